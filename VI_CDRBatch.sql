@@ -0,0 +1,57 @@
+-- CDR batch table type
+--
+-- The loader sends each batch of records to VI_StoreCDRs as a table-valued
+-- parameter of this type. Every call gets its own copy of the rows, so
+-- concurrent loaders no longer share (or TRUNCATE) the VI_Inboundcdrs
+-- staging table.
+--
+-- Column order must match BATCH_COLUMNS in lib/writer.js: RowId, then the
+-- CDR_FIELDS of lib/record.js (each phone field followed by its Raw copy),
+-- then CallKey, then the country of each phone field, then the NANP category
+-- of each phone field, then the customer attribution, retail rating and
+-- jurisdiction.
+--
+-- Run once after VI_CallKey.sql and before deploying the updated VI_StoreCDRs.sql.
+-- To change the type, drop VI_StoreCDRs first (a type in use cannot be dropped).
+
+IF TYPE_ID('dbo.VI_CDRBatch') IS NULL
+    CREATE TYPE dbo.VI_CDRBatch AS TABLE (
+        RowId int NOT NULL PRIMARY KEY,   -- Position in the batch, links cdr rows back to their detail
+        CallType nvarchar(50),
+        StartTime datetime2,
+        StopTime datetime2,
+        CallDuration decimal(10,2),
+        BillDuration int,
+        CallMinimum int,
+        CallIncrement int,
+        BasePrice decimal(12,5),
+        CallPrice decimal(12,5),
+        TransactionId nvarchar(50),
+        CustomerIP nvarchar(50),
+        ANI nvarchar(20),
+        RawANI nvarchar(32),
+        ANIState nvarchar(10),
+        DNIS nvarchar(20),
+        RawDNIS nvarchar(32),
+        LRN nvarchar(20),
+        DNISState nvarchar(10),
+        DNISLATA nvarchar(10),
+        DNISOCN nvarchar(10),
+        OrigTier nvarchar(50),
+        TermRateDeck nvarchar(50),
+        TermCarrier nvarchar(100),
+        VIIP nvarchar(50),
+        EPG nvarchar(50),
+        [Identity] nvarchar(max),
+        CallKey char(64),
+        ANICountry char(2),
+        DNISCountry char(2),
+        ANICategory nvarchar(24),
+        DNISCategory nvarchar(24),
+        CustomerId int,                   -- NULL when the call could not be attributed
+        Attribution nvarchar(16),         -- did, ani, ip, unmatched, ambiguous
+        RetailPrice decimal(12,5),        -- NULL when the call could not be rated
+        RatedSeconds int,
+        RateId int,
+        Jurisdiction nvarchar(16)         -- interstate, intrastate, intraLATA, local, toll-free, international
+    );
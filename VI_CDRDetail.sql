@@ -0,0 +1,75 @@
+-- Schema for the full VoIP Innovations CDR column set
+--
+-- VI_Inboundcdrs is recreated with one column per CDRRecord field (see
+-- lib/record.js) plus a RowId used to link each staged row to the cdr row it
+-- produces. cdr_detail holds the vendor columns that do not fit in cdr, one
+-- row per cdr row, so finance can reconcile BasePrice, CallPrice and the
+-- rating increments without going back to the raw files.
+--
+-- Run once before deploying the updated VI_StoreCDRs.sql.
+
+-- Staging table (truncated on every load, safe to recreate)
+IF OBJECT_ID('dbo.VI_Inboundcdrs', 'U') IS NOT NULL
+    DROP TABLE dbo.VI_Inboundcdrs;
+
+CREATE TABLE dbo.VI_Inboundcdrs (
+    RowId int IDENTITY(1,1) PRIMARY KEY,
+    CallType nvarchar(50),
+    StartTime datetime2,
+    StopTime datetime2,
+    CallDuration decimal(10,2),
+    BillDuration int,
+    CallMinimum int,
+    CallIncrement int,
+    BasePrice decimal(12,5),
+    CallPrice decimal(12,5),
+    TransactionId nvarchar(50),
+    CustomerIP nvarchar(50),
+    ANI nvarchar(20),
+    RawANI nvarchar(32),
+    ANIState nvarchar(10),
+    DNIS nvarchar(20),
+    RawDNIS nvarchar(32),
+    LRN nvarchar(20),
+    DNISState nvarchar(10),
+    DNISLATA nvarchar(10),
+    DNISOCN nvarchar(10),
+    OrigTier nvarchar(50),
+    TermRateDeck nvarchar(50),
+    TermCarrier nvarchar(100),
+    VIIP nvarchar(50),
+    EPG nvarchar(50),
+    [Identity] nvarchar(max)
+);
+
+-- Companion detail table, one row per cdr row loaded from VoIP Innovations
+IF OBJECT_ID('dbo.cdr_detail', 'U') IS NULL
+BEGIN
+    CREATE TABLE dbo.cdr_detail (
+        cdrID int NOT NULL PRIMARY KEY
+            CONSTRAINT FK_cdr_detail_cdr REFERENCES dbo.cdr(cdrID),
+        StopTime datetime2,
+        CallDuration decimal(10,2),
+        CallMinimum int,
+        CallIncrement int,
+        BasePrice decimal(12,5),
+        CallPrice decimal(12,5),          -- Unrounded; cdr.cost is decimal(10,4)
+        TransactionId nvarchar(50),
+        RawANI nvarchar(32),
+        ANIState nvarchar(10),
+        RawDNIS nvarchar(32),
+        LRN nvarchar(20),
+        DNISState nvarchar(10),
+        DNISLATA nvarchar(10),
+        DNISOCN nvarchar(10),
+        OrigTier nvarchar(50),
+        TermRateDeck nvarchar(50),
+        TermCarrier nvarchar(100),
+        VIIP nvarchar(50),
+        EPG nvarchar(50),
+        [Identity] nvarchar(max),
+        SourceFile nvarchar(255)
+    );
+
+    CREATE INDEX IX_cdr_detail_TransactionId ON dbo.cdr_detail (TransactionId);
+END
@@ -0,0 +1,39 @@
+-- Per-call deduplication key
+--
+-- Adds cdr.CallKey, a SHA-256 of the vendor's TransactionId, StartTime,
+-- StopTime, ANI and DNIS (see lib/callKey.js), under a unique index.
+-- VI_StoreCDRs matches incoming rows on CallKey: a new key inserts a call,
+-- a known key with a changed duration or price is a vendor re-rate and
+-- updates the existing row.
+--
+-- Rows loaded before this script have no CallKey. VI_StoreCDRs gives an
+-- unkeyed row the CallKey of the incoming call with the same time and
+-- numbers (so a re-rate updates it rather than adding a second call), using
+-- the filtered index IX_cdr_Unkeyed.
+--
+-- Run once after VI_FileLedger.sql and before deploying the updated VI_StoreCDRs.sql.
+
+IF COL_LENGTH('dbo.cdr', 'CallKey') IS NULL
+    ALTER TABLE dbo.cdr ADD CallKey char(64) NULL;
+GO
+
+IF NOT EXISTS (SELECT 1 FROM sys.indexes WHERE name = 'UX_cdr_CallKey' AND object_id = OBJECT_ID('dbo.cdr'))
+    CREATE UNIQUE INDEX UX_cdr_CallKey ON dbo.cdr (CallKey) WHERE CallKey IS NOT NULL;
+GO
+
+-- Keeps the five-column match against unkeyed rows cheap; new rows always
+-- have a key, so the index stops growing once this script is deployed
+IF NOT EXISTS (SELECT 1 FROM sys.indexes WHERE name = 'IX_cdr_Unkeyed' AND object_id = OBJECT_ID('dbo.cdr'))
+    CREATE INDEX IX_cdr_Unkeyed ON dbo.cdr ([date], source, destination)
+        INCLUDE (seconds, cost) WHERE CallKey IS NULL;
+GO
+
+-- Re-rate history
+IF COL_LENGTH('dbo.cdr_detail', 'RerateCount') IS NULL
+    ALTER TABLE dbo.cdr_detail ADD RerateCount int NOT NULL DEFAULT 0,
+                                   LastReratedAt datetime2 NULL;
+GO
+
+IF COL_LENGTH('dbo.VI_FileLedger', 'RowsRerated') IS NULL
+    ALTER TABLE dbo.VI_FileLedger ADD RowsRerated int NULL;   -- Existing cdr rows updated by a re-rate
+GO
@@ -0,0 +1,113 @@
+-- Customer attribution
+--
+-- The loader resolves every call to a customer account from VI_CustomerMap
+-- (see lib/attribution.js) and sends the result with the record: cdr.CustomerId
+-- and how it was found in cdr_detail.Attribution ('did', 'ani', 'ip'), or why
+-- it was not ('unmatched', 'ambiguous'). VI_StoreCDRs queues the calls it
+-- could not attribute in VI_AttributionReview; VI_ResolveAttribution assigns
+-- a queued call to a customer once it has been reviewed.
+--
+-- Run once after VI_NumberCategory.sql. On an existing database, run
+-- VI_CDRBatch.sql again afterwards to recreate the type, then deploy the
+-- updated VI_StoreCDRs.sql.
+
+-- Mapping table: which numbers and IP ranges belong to which customer, and when
+IF OBJECT_ID('dbo.VI_CustomerMap', 'U') IS NULL
+BEGIN
+    CREATE TABLE dbo.VI_CustomerMap (
+        MapId int IDENTITY(1,1) PRIMARY KEY,
+        CustomerId int NOT NULL,
+        MatchType nvarchar(8) NOT NULL,     -- did (DNIS of inbound calls), ani (ANI of outbound calls), ip (CustomerIP)
+        Pattern nvarchar(50) NOT NULL,      -- Cleaned number, number block ending in * (e.g. 8314240*), IP or CIDR range
+        EffectiveFrom date NOT NULL,
+        EffectiveTo date NULL,              -- First day the entry no longer applies, NULL while in force
+        Notes nvarchar(255) NULL,
+        CreatedAt datetime2 NOT NULL DEFAULT SYSUTCDATETIME(),
+        CONSTRAINT CK_VI_CustomerMap_MatchType CHECK (MatchType IN ('did', 'ani', 'ip')),
+        CONSTRAINT CK_VI_CustomerMap_Dates CHECK (EffectiveTo IS NULL OR EffectiveTo > EffectiveFrom)
+    );
+
+    CREATE INDEX IX_VI_CustomerMap_CustomerId ON dbo.VI_CustomerMap (CustomerId);
+END
+GO
+
+-- Review queue: one row per stored call that could not be attributed
+IF OBJECT_ID('dbo.VI_AttributionReview', 'U') IS NULL
+BEGIN
+    CREATE TABLE dbo.VI_AttributionReview (
+        ReviewId int IDENTITY(1,1) PRIMARY KEY,
+        cdrID int NOT NULL,
+        Reason nvarchar(16) NOT NULL,       -- unmatched, ambiguous
+        CustomerIP nvarchar(50) NULL,
+        ANI nvarchar(20) NULL,
+        DNIS nvarchar(20) NULL,
+        CallDate datetime2 NULL,
+        SourceFile nvarchar(255) NULL,
+        QueuedAt datetime2 NOT NULL DEFAULT SYSUTCDATETIME(),
+        ResolvedCustomerId int NULL,
+        ResolvedAt datetime2 NULL,
+        ResolvedBy nvarchar(100) NULL,
+        CONSTRAINT UQ_VI_AttributionReview_cdrID UNIQUE (cdrID)
+    );
+
+    CREATE INDEX IX_VI_AttributionReview_Open ON dbo.VI_AttributionReview (ResolvedAt, CustomerIP);
+END
+GO
+
+IF COL_LENGTH('dbo.cdr', 'CustomerId') IS NULL
+    ALTER TABLE dbo.cdr ADD CustomerId int NULL;
+GO
+
+IF NOT EXISTS (SELECT 1 FROM sys.indexes
+               WHERE name = 'IX_cdr_CustomerId' AND object_id = OBJECT_ID('dbo.cdr'))
+    CREATE INDEX IX_cdr_CustomerId ON dbo.cdr (CustomerId, [date]);
+GO
+
+IF COL_LENGTH('dbo.cdr_detail', 'Attribution') IS NULL
+    ALTER TABLE dbo.cdr_detail ADD Attribution nvarchar(16) NULL;    -- did, ani, ip, unmatched, ambiguous
+GO
+
+-- A table type cannot be altered, and not dropped while VI_StoreCDRs uses it
+IF TYPE_ID('dbo.VI_CDRBatch') IS NOT NULL
+   AND NOT EXISTS (SELECT 1 FROM sys.table_types tt
+                   JOIN sys.columns c ON c.object_id = tt.type_table_object_id
+                   WHERE tt.name = 'VI_CDRBatch' AND c.name = 'CustomerId')
+BEGIN
+    IF OBJECT_ID('dbo.VI_StoreCDRs', 'P') IS NOT NULL
+        DROP PROCEDURE dbo.VI_StoreCDRs;
+    DROP TYPE dbo.VI_CDRBatch;
+END
+GO
+
+-- Assigns a queued call to a customer and closes its review entry
+CREATE OR ALTER PROCEDURE dbo.VI_ResolveAttribution
+    @reviewId INT,
+    @customerId INT,
+    @resolvedBy NVARCHAR(100)
+AS
+BEGIN
+    SET NOCOUNT ON;
+
+    BEGIN TRANSACTION;
+
+    UPDATE c
+    SET CustomerId = @customerId
+    FROM cdr c
+    JOIN VI_AttributionReview r ON r.cdrID = c.cdrID
+    WHERE r.ReviewId = @reviewId;
+
+    UPDATE VI_AttributionReview
+    SET ResolvedCustomerId = @customerId,
+        ResolvedAt = SYSUTCDATETIME(),
+        ResolvedBy = @resolvedBy
+    WHERE ReviewId = @reviewId;
+
+    IF @@ROWCOUNT = 0
+    BEGIN
+        ROLLBACK TRANSACTION;
+        THROW 50001, 'No attribution review entry with that ReviewId', 1;
+    END
+
+    COMMIT TRANSACTION;
+END
+GO
@@ -0,0 +1,47 @@
+-- Processed-files ledger
+--
+-- One row per distinct CDR file content (SHA-256). The loader skips files
+-- whose entry is 'loaded' and retries entries left 'failed' or 'loading'.
+-- Each VI_StoreCDRs batch adds its row counts to the entry as it commits;
+-- the loader sets Status = 'loaded' (completeLedgerEntry in lib/ledger.js)
+-- only after the file's last batch is stored.
+--
+-- Run before deploying the updated VI_StoreCDRs.sql. Safe to run again: an
+-- existing ledger gets the columns added since it was created.
+
+IF OBJECT_ID('dbo.VI_FileLedger', 'U') IS NULL
+BEGIN
+    CREATE TABLE dbo.VI_FileLedger (
+        LedgerId int IDENTITY(1,1) PRIMARY KEY,
+        FileName nvarchar(255) NOT NULL,
+        SourceFolder nvarchar(8) NULL,    -- Dated source folder (YYYYMMDD), NULL for local files
+        Sha256 char(64) NOT NULL,
+        FileSize bigint NOT NULL,
+        RowsParsed int NULL,              -- Rows read from the file
+        RowsProcessed int NULL,           -- Records sent to VI_StoreCDRs
+        RowsStaged int NULL,              -- Records staged by VI_StoreCDRs
+        RowsInserted int NULL,            -- New cdr rows after deduplication
+        Status nvarchar(20) NOT NULL,     -- loading, loaded, failed
+        Attempts int NOT NULL DEFAULT 0,
+        LastError nvarchar(max) NULL,
+        FirstSeenAt datetime2 NOT NULL DEFAULT SYSUTCDATETIME(),
+        StartedAt datetime2 NULL,
+        LoadedAt datetime2 NULL,
+        UpdatedAt datetime2 NOT NULL DEFAULT SYSUTCDATETIME(),
+        CONSTRAINT UQ_VI_FileLedger_Sha256 UNIQUE (Sha256),
+        CONSTRAINT CK_VI_FileLedger_Status CHECK (Status IN ('loading', 'loaded', 'failed'))
+    );
+
+    CREATE INDEX IX_VI_FileLedger_FileName ON dbo.VI_FileLedger (FileName);
+END
+GO
+
+-- Ledgers created before the daily catch-up: record which dated folder each
+-- file came from, so tbssync daily can tell which folders are fully loaded
+IF COL_LENGTH('dbo.VI_FileLedger', 'SourceFolder') IS NULL
+    ALTER TABLE dbo.VI_FileLedger ADD SourceFolder nvarchar(8) NULL;
+GO
+
+IF NOT EXISTS (SELECT 1 FROM sys.indexes
+               WHERE name = 'IX_VI_FileLedger_SourceFolder' AND object_id = OBJECT_ID('dbo.VI_FileLedger'))
+    CREATE INDEX IX_VI_FileLedger_SourceFolder ON dbo.VI_FileLedger (SourceFolder, FileName) INCLUDE (Status);
@@ -0,0 +1,31 @@
+-- Call jurisdiction
+--
+-- The loader now labels every call with its own jurisdiction (see
+-- lib/jurisdiction.js): interstate, intrastate, intraLATA, local, toll-free
+-- or international, checked against the vendor's CallType. This script adds
+-- the label to cdr_detail, lets rates be restricted to a jurisdiction, and
+-- drops dbo.VI_CDRBatch if it predates the label.
+--
+-- Run once after VI_Rating.sql. On an existing database, run VI_CDRBatch.sql
+-- again afterwards to recreate the type, then deploy the updated
+-- VI_StoreCDRs.sql.
+
+IF COL_LENGTH('dbo.cdr_detail', 'Jurisdiction') IS NULL
+    ALTER TABLE dbo.cdr_detail ADD Jurisdiction nvarchar(16) NULL;    -- NULL when an end is a service code or unknown
+GO
+
+IF COL_LENGTH('dbo.VI_Rate', 'Jurisdiction') IS NULL
+    ALTER TABLE dbo.VI_Rate ADD Jurisdiction nvarchar(16) NULL;       -- NULL for any jurisdiction
+GO
+
+-- A table type cannot be altered, and not dropped while VI_StoreCDRs uses it
+IF TYPE_ID('dbo.VI_CDRBatch') IS NOT NULL
+   AND NOT EXISTS (SELECT 1 FROM sys.table_types tt
+                   JOIN sys.columns c ON c.object_id = tt.type_table_object_id
+                   WHERE tt.name = 'VI_CDRBatch' AND c.name = 'Jurisdiction')
+BEGIN
+    IF OBJECT_ID('dbo.VI_StoreCDRs', 'P') IS NOT NULL
+        DROP PROCEDURE dbo.VI_StoreCDRs;
+    DROP TYPE dbo.VI_CDRBatch;
+END
+GO
@@ -0,0 +1,28 @@
+-- NANP number categories
+--
+-- The loader now checks every 10-digit number against the NANP rules and
+-- sends its category with the record (see lib/nanp.js): geographic,
+-- toll-free, premium, personal-communications, or invalid for a number the
+-- vendor sent that could not be cleaned. This script adds the category
+-- columns to cdr_detail and drops dbo.VI_CDRBatch if it predates them.
+--
+-- Run once after VI_PhoneCountry.sql. On an existing database, run
+-- VI_CDRBatch.sql again afterwards to recreate the type, then deploy the
+-- updated VI_StoreCDRs.sql.
+
+IF COL_LENGTH('dbo.cdr_detail', 'ANICategory') IS NULL
+    ALTER TABLE dbo.cdr_detail ADD ANICategory nvarchar(24) NULL,    -- e.g. 'geographic', 'toll-free'
+                                   DNISCategory nvarchar(24) NULL;
+GO
+
+-- A table type cannot be altered, and not dropped while VI_StoreCDRs uses it
+IF TYPE_ID('dbo.VI_CDRBatch') IS NOT NULL
+   AND NOT EXISTS (SELECT 1 FROM sys.table_types tt
+                   JOIN sys.columns c ON c.object_id = tt.type_table_object_id
+                   WHERE tt.name = 'VI_CDRBatch' AND c.name = 'ANICategory')
+BEGIN
+    IF OBJECT_ID('dbo.VI_StoreCDRs', 'P') IS NOT NULL
+        DROP PROCEDURE dbo.VI_StoreCDRs;
+    DROP TYPE dbo.VI_CDRBatch;
+END
+GO
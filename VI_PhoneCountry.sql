@@ -0,0 +1,28 @@
+-- International numbers and number countries
+--
+-- The loader now stores international numbers in E.164 form ('+' and the
+-- country code, at most 16 characters, so cdr.source and cdr.destination
+-- still fit) instead of NULL, and sends the ISO 3166-1 country of every ANI
+-- and DNIS (see lib/phoneNumbers.js). This script adds the country columns
+-- to cdr_detail and drops dbo.VI_CDRBatch if it predates them.
+--
+-- Run once after VI_CDRBatch.sql. On an existing database, run
+-- VI_CDRBatch.sql again afterwards to recreate the type, then deploy the
+-- updated VI_StoreCDRs.sql.
+
+IF COL_LENGTH('dbo.cdr_detail', 'ANICountry') IS NULL
+    ALTER TABLE dbo.cdr_detail ADD ANICountry char(2) NULL,    -- e.g. 'US', 'CA', 'DE'
+                                   DNISCountry char(2) NULL;
+GO
+
+-- A table type cannot be altered, and not dropped while VI_StoreCDRs uses it
+IF TYPE_ID('dbo.VI_CDRBatch') IS NOT NULL
+   AND NOT EXISTS (SELECT 1 FROM sys.table_types tt
+                   JOIN sys.columns c ON c.object_id = tt.type_table_object_id
+                   WHERE tt.name = 'VI_CDRBatch' AND c.name = 'ANICountry')
+BEGIN
+    IF OBJECT_ID('dbo.VI_StoreCDRs', 'P') IS NOT NULL
+        DROP PROCEDURE dbo.VI_StoreCDRs;
+    DROP TYPE dbo.VI_CDRBatch;
+END
+GO
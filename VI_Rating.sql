@@ -0,0 +1,74 @@
+-- Retail rating
+--
+-- The loader prices every attributed call from its customer's rate plan
+-- (see lib/rating.js) and sends the retail price with the record, so it is
+-- stored in cdr_detail next to the vendor's CallPrice and margin can be
+-- computed per call. This script adds the rate plan tables and the retail
+-- columns, and drops dbo.VI_CDRBatch if it predates them.
+--
+-- Run once after VI_CustomerAttribution.sql. On an existing database, run
+-- VI_CDRBatch.sql again afterwards to recreate the type, then deploy the
+-- updated VI_StoreCDRs.sql.
+
+IF OBJECT_ID('dbo.VI_RatePlan', 'U') IS NULL
+    CREATE TABLE dbo.VI_RatePlan (
+        RatePlanId int IDENTITY(1,1) PRIMARY KEY,
+        Name nvarchar(100) NOT NULL,
+        Notes nvarchar(255) NULL,
+        CreatedAt datetime2 NOT NULL DEFAULT SYSUTCDATETIME(),
+        CONSTRAINT UQ_VI_RatePlan_Name UNIQUE (Name)
+    );
+GO
+
+-- Rates of each plan. NULL criteria match any call; the most specific
+-- matching rate wins (DNIS prefix, then LATA, then state, then call type).
+IF OBJECT_ID('dbo.VI_Rate', 'U') IS NULL
+BEGIN
+    CREATE TABLE dbo.VI_Rate (
+        RateId int IDENTITY(1,1) PRIMARY KEY,
+        RatePlanId int NOT NULL REFERENCES dbo.VI_RatePlan (RatePlanId),
+        CallType nvarchar(50) NULL,         -- Vendor CallType, e.g. TERM_INTRASTATE
+        DNISState nvarchar(10) NULL,
+        DNISLATA nvarchar(10) NULL,
+        Prefix nvarchar(16) NULL,           -- Leading DNIS digits: NPA (831), NPA-NXX (831424) or E.164 (+44)
+        RatePerMinute decimal(12,5) NOT NULL,
+        CallMinimum int NULL,               -- Minimum billed seconds, NULL to use the CDR's
+        CallIncrement int NULL,             -- Billing increment in seconds, NULL to use the CDR's
+        EffectiveFrom date NOT NULL,
+        EffectiveTo date NULL,              -- First day the rate no longer applies, NULL while in force
+        CONSTRAINT CK_VI_Rate_Dates CHECK (EffectiveTo IS NULL OR EffectiveTo > EffectiveFrom)
+    );
+
+    CREATE INDEX IX_VI_Rate_RatePlanId ON dbo.VI_Rate (RatePlanId);
+END
+GO
+
+-- Which plan each customer (cdr.CustomerId) is on, and when
+IF OBJECT_ID('dbo.VI_CustomerRatePlan', 'U') IS NULL
+    CREATE TABLE dbo.VI_CustomerRatePlan (
+        CustomerId int NOT NULL,
+        RatePlanId int NOT NULL REFERENCES dbo.VI_RatePlan (RatePlanId),
+        EffectiveFrom date NOT NULL,
+        EffectiveTo date NULL,
+        CONSTRAINT PK_VI_CustomerRatePlan PRIMARY KEY (CustomerId, EffectiveFrom),
+        CONSTRAINT CK_VI_CustomerRatePlan_Dates CHECK (EffectiveTo IS NULL OR EffectiveTo > EffectiveFrom)
+    );
+GO
+
+IF COL_LENGTH('dbo.cdr_detail', 'RetailPrice') IS NULL
+    ALTER TABLE dbo.cdr_detail ADD RetailPrice decimal(12,5) NULL,   -- Billed to the customer; CallPrice is the wholesale cost
+                                   RatedSeconds int NULL,           -- Seconds after the rate's minimum and increment
+                                   RateId int NULL;                 -- VI_Rate row that priced the call
+GO
+
+-- A table type cannot be altered, and not dropped while VI_StoreCDRs uses it
+IF TYPE_ID('dbo.VI_CDRBatch') IS NOT NULL
+   AND NOT EXISTS (SELECT 1 FROM sys.table_types tt
+                   JOIN sys.columns c ON c.object_id = tt.type_table_object_id
+                   WHERE tt.name = 'VI_CDRBatch' AND c.name = 'RetailPrice')
+BEGIN
+    IF OBJECT_ID('dbo.VI_StoreCDRs', 'P') IS NOT NULL
+        DROP PROCEDURE dbo.VI_StoreCDRs;
+    DROP TYPE dbo.VI_CDRBatch;
+END
+GO
@@ -1,7 +1,8 @@
-ALTER PROCEDURE [dbo].[VI_StoreCDRs]
-    @cdrData NVARCHAR(MAX),
+CREATE OR ALTER PROCEDURE [dbo].[VI_StoreCDRs]
+    @cdrBatch dbo.VI_CDRBatch READONLY,
     @filename NVARCHAR(255),
-    @recordCount INT OUTPUT
+    @recordCount INT OUTPUT,
+    @ledgerId INT = NULL
 AS
 BEGIN
     SET NOCOUNT ON;
@@ -9,64 +10,152 @@ BEGIN
     BEGIN TRY
         BEGIN TRANSACTION;
         
-        -- Clear staging table
-        TRUNCATE TABLE VI_Inboundcdrs;
+        -- One batch of pre-processed records (see VI_CDRBatch.sql). The batch
+        -- is private to this call, so concurrent loaders never see each other's rows.
+        SET @recordCount = (SELECT COUNT(*) FROM @cdrBatch);
         
-        -- Insert pre-processed data (no more file reading or complex parsing)
-        INSERT INTO VI_Inboundcdrs
-        SELECT * FROM OPENJSON(@cdrData)
-        WITH (
-            StartTime datetime2 '$.StartTime',
-            BillDuration int '$.BillDuration',
-            CallPrice decimal(10,4) '$.CallPrice',
-            ANI nvarchar(20) '$.ANI',
-            DNIS nvarchar(20) '$.DNIS',
-            CustomerIP nvarchar(50) '$.CustomerIP',
-            CallType nvarchar(50) '$.CallType',
-            LRN nvarchar(20) '$.LRN'
-        );
+        -- Deduplicate on CallKey (see VI_CallKey.sql and lib/callKey.js).
+        -- A new key inserts a call; a known key whose duration or price changed
+        -- is a vendor re-rate and updates the existing call in place.
+        -- HOLDLOCK keeps two loaders from inserting the same CallKey at once.
+        DECLARE @merged TABLE (Action nvarchar(10) NOT NULL, cdrID int PRIMARY KEY, RowId int NOT NULL);
+
+        -- Calls loaded before CallKey existed have no key. An unkeyed call
+        -- with the same time and numbers as an incoming row is the same call,
+        -- whatever its duration and price now, so it takes the row's CallKey
+        -- and the MERGE below re-rates it in place instead of inserting it
+        -- again. Repeated calls (same time and numbers) pair up in order.
+        WITH legacy AS (
+            SELECT c.CallKey, c.[date], c.source, c.destination,
+                   ROW_NUMBER() OVER (PARTITION BY c.[date], c.source, c.destination ORDER BY c.cdrID) AS Occurrence
+            FROM cdr c WITH (UPDLOCK, HOLDLOCK)
+            WHERE c.CallKey IS NULL
+              AND EXISTS (SELECT 1 FROM @cdrBatch vi
+                          WHERE vi.StartTime = c.[date] AND vi.ANI = c.source AND vi.DNIS = c.destination)
+        ), incoming AS (
+            SELECT vi.CallKey, vi.StartTime, vi.ANI, vi.DNIS,
+                   ROW_NUMBER() OVER (PARTITION BY vi.StartTime, vi.ANI, vi.DNIS ORDER BY vi.RowId) AS Occurrence
+            FROM @cdrBatch vi
+        )
+        UPDATE l
+        SET CallKey = i.CallKey
+        FROM legacy l
+        JOIN incoming i ON i.StartTime = l.[date] AND i.ANI = l.source AND i.DNIS = l.destination
+                       AND i.Occurrence = l.Occurrence
+        WHERE NOT EXISTS (SELECT 1 FROM cdr k WHERE k.CallKey = i.CallKey);
+
+        -- Unkeyed calls left over (more of them than incoming rows) are still
+        -- never duplicated by an exact five-column match
+        MERGE INTO cdr WITH (HOLDLOCK) AS c
+        USING (
+            SELECT vi.*
+            FROM @cdrBatch vi
+            WHERE NOT EXISTS (
+                SELECT 1 FROM cdr c 
+                WHERE c.CallKey IS NULL
+                AND c.[date] = vi.StartTime 
+                AND c.source = vi.ANI 
+                AND c.destination = vi.DNIS
+                AND c.seconds = vi.BillDuration
+                AND c.cost = vi.CallPrice
+            )
+        ) AS vi
+        ON c.CallKey = vi.CallKey
+        WHEN NOT MATCHED THEN
+            INSERT ([date], source, destination, seconds, callerid, disposition, cost, peer, SIP, CallType, CallKey, CustomerId)
+            VALUES (vi.StartTime, vi.ANI, vi.DNIS, vi.BillDuration, vi.ANI, 'ANSWERED',
+                    vi.CallPrice, vi.CustomerIP, 'VI', vi.CallType, vi.CallKey, vi.CustomerId)
+        WHEN MATCHED AND (c.seconds <> vi.BillDuration OR c.cost <> vi.CallPrice) THEN
+            UPDATE SET seconds = vi.BillDuration, cost = vi.CallPrice
+        OUTPUT $action, inserted.cdrID, vi.RowId INTO @merged (Action, cdrID, RowId);
+
+        -- Vendor columns that do not fit in cdr
+        INSERT INTO cdr_detail (cdrID, StopTime, CallDuration, CallMinimum, CallIncrement,
+                                BasePrice, CallPrice, TransactionId, RawANI, ANIState, RawDNIS,
+                                LRN, DNISState, DNISLATA, DNISOCN, OrigTier, TermRateDeck,
+                                TermCarrier, VIIP, EPG, [Identity], SourceFile,
+                                ANICountry, DNISCountry, ANICategory, DNISCategory, Attribution,
+                                RetailPrice, RatedSeconds, RateId, Jurisdiction)
+        SELECT m.cdrID, vi.StopTime, vi.CallDuration, vi.CallMinimum, vi.CallIncrement,
+               vi.BasePrice, vi.CallPrice, vi.TransactionId, vi.RawANI, vi.ANIState, vi.RawDNIS,
+               vi.LRN, vi.DNISState, vi.DNISLATA, vi.DNISOCN, vi.OrigTier, vi.TermRateDeck,
+               vi.TermCarrier, vi.VIIP, vi.EPG, vi.[Identity], @filename,
+               vi.ANICountry, vi.DNISCountry, vi.ANICategory, vi.DNISCategory, vi.Attribution,
+               vi.RetailPrice, vi.RatedSeconds, vi.RateId, vi.Jurisdiction
+        FROM @merged m
+        JOIN @cdrBatch vi ON vi.RowId = m.RowId
+        WHERE m.Action = 'INSERT';
+
+        -- New calls no customer could be attributed to wait for review
+        -- (see VI_CustomerAttribution.sql); re-rated calls keep their customer
+        INSERT INTO VI_AttributionReview (cdrID, Reason, CustomerIP, ANI, DNIS, CallDate, SourceFile)
+        SELECT m.cdrID, vi.Attribution, vi.CustomerIP, vi.ANI, vi.DNIS, vi.StartTime, @filename
+        FROM @merged m
+        JOIN @cdrBatch vi ON vi.RowId = m.RowId
+        WHERE m.Action = 'INSERT'
+          AND vi.Attribution IN ('unmatched', 'ambiguous');
+
+        -- Re-rated calls keep their original detail row, with the new rating
+        UPDATE d
+        SET CallDuration = vi.CallDuration,
+            CallMinimum = vi.CallMinimum,
+            CallIncrement = vi.CallIncrement,
+            BasePrice = vi.BasePrice,
+            CallPrice = vi.CallPrice,
+            RetailPrice = vi.RetailPrice,
+            RatedSeconds = vi.RatedSeconds,
+            RateId = vi.RateId,
+            SourceFile = @filename,
+            RerateCount = d.RerateCount + 1,
+            LastReratedAt = SYSUTCDATETIME()
+        FROM cdr_detail d
+        JOIN @merged m ON m.cdrID = d.cdrID
+        JOIN @cdrBatch vi ON vi.RowId = m.RowId
+        WHERE m.Action = 'UPDATE';
+
+        -- Calls stored before they could be priced (no plan or rate at the
+        -- time) pick up their retail price when the file is reloaded
+        UPDATE d
+        SET RetailPrice = vi.RetailPrice,
+            RatedSeconds = vi.RatedSeconds,
+            RateId = vi.RateId
+        FROM cdr_detail d
+        JOIN cdr c ON c.cdrID = d.cdrID
+        JOIN @cdrBatch vi ON vi.CallKey = c.CallKey
+        WHERE d.RetailPrice IS NULL
+          AND vi.RetailPrice IS NOT NULL;
+
+        DECLARE @insertedCount INT = (SELECT COUNT(*) FROM @merged WHERE Action = 'INSERT');
+        DECLARE @reratedCount INT = (SELECT COUNT(*) FROM @merged WHERE Action = 'UPDATE');
         
-        -- Get record count
-        SET @recordCount = @@ROWCOUNT;
+        -- Running totals for the file; the loader marks the ledger entry
+        -- 'loaded' once every batch has been stored (see lib/ledger.js)
+        IF @ledgerId IS NOT NULL
+            UPDATE VI_FileLedger
+            SET RowsStaged = ISNULL(RowsStaged, 0) + @recordCount,
+                RowsInserted = ISNULL(RowsInserted, 0) + @insertedCount,
+                RowsRerated = ISNULL(RowsRerated, 0) + @reratedCount,
+                UpdatedAt = SYSUTCDATETIME()
+            WHERE LedgerId = @ledgerId;
         
-        -- Insert into main CDR table with deduplication
-        -- No more complex phone number processing - handled in JavaScript
-        INSERT INTO cdr ([date], source, destination, seconds, callerid, disposition, cost, peer, SIP, CallType)
-        SELECT 
-            StartTime,
-            ANI,
-            DNIS,
-            BillDuration,
-            ANI,
-            'ANSWERED',
-            CallPrice,
-            CustomerIP,
-            'VI',
-            CallType
-        FROM VI_Inboundcdrs vi
-        WHERE NOT EXISTS (
-            SELECT 1 FROM cdr c 
-            WHERE c.[date] = vi.StartTime 
-            AND c.source = vi.ANI 
-            AND c.destination = vi.DNIS
-            AND c.seconds = vi.BillDuration
-            AND c.cost = vi.CallPrice
-        );
-        
-        -- Clean up staging table
-        TRUNCATE TABLE VI_Inboundcdrs;
-        
-        -- Audit log
+        -- Audit log, one entry per customer in the batch (cid 0 for the
+        -- calls that could not be attributed)
         INSERT INTO AuditTrail(cid, event, outcome, eventdate, datavalue, category, vendor, direction)
-        VALUES (0, 'Processed ' + @filename, 'Success', GETDATE(), 
-                CAST(@recordCount AS VARCHAR) + ' CDR records processed', 
-                'API Event', 'VoIP Innovations', 'Inbound');
+        SELECT ISNULL(vi.CustomerId, 0), 'Processed ' + @filename, 'Success', GETDATE(),
+               CAST(COUNT(*) AS VARCHAR) + ' CDR records processed, '
+               + CAST(SUM(CASE WHEN m.Action = 'INSERT' THEN 1 ELSE 0 END) AS VARCHAR) + ' inserted, '
+               + CAST(SUM(CASE WHEN m.Action = 'UPDATE' THEN 1 ELSE 0 END) AS VARCHAR) + ' re-rated',
+               'API Event', 'VoIP Innovations', 'Inbound'
+        FROM @cdrBatch vi
+        LEFT JOIN @merged m ON m.RowId = vi.RowId
+        GROUP BY ISNULL(vi.CustomerId, 0);
         
         COMMIT TRANSACTION;
         
     END TRY
     BEGIN CATCH
-        ROLLBACK TRANSACTION;
+        IF @@TRANCOUNT > 0
+            ROLLBACK TRANSACTION;
         
         -- Log error
         INSERT INTO AuditTrail(cid, event, outcome, eventdate, datavalue, category, vendor, direction)
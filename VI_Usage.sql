@@ -0,0 +1,106 @@
+-- Usage rollups
+--
+-- Daily and monthly usage per customer, call type and service code: calls,
+-- billed seconds, wholesale cost (the vendor's CallPrice) and retail amount.
+-- The loader calls VI_RefreshUsage for the days of each file it loads (see
+-- lib/usage.js), and `tbssync usage` exports a billing period from them.
+--
+-- Run once after VI_Jurisdiction.sql. Rollups for calls loaded before it
+-- are built with `tbssync usage --from <date> --to <date> --refresh`.
+
+-- CustomerId 0 holds the calls not attributed to a customer, and
+-- ServiceCode '' the calls that are not to a service code
+IF OBJECT_ID('dbo.VI_UsageDaily', 'U') IS NULL
+    CREATE TABLE dbo.VI_UsageDaily (
+        UsageDate date NOT NULL,
+        CustomerId int NOT NULL,
+        CallType nvarchar(50) NOT NULL,
+        ServiceCode nvarchar(3) NOT NULL,
+        Calls int NOT NULL,
+        BilledSeconds bigint NOT NULL,         -- Vendor BillDuration
+        RatedSeconds bigint NOT NULL,          -- Seconds of the calls with a retail price, after our rounding
+        WholesaleCost decimal(18,5) NOT NULL,  -- Vendor CallPrice
+        RetailAmount decimal(18,5) NOT NULL,
+        UnratedCalls int NOT NULL,             -- Calls without a retail price (not in RetailAmount)
+        UpdatedAt datetime2 NOT NULL DEFAULT SYSUTCDATETIME(),
+        CONSTRAINT PK_VI_UsageDaily PRIMARY KEY (UsageDate, CustomerId, CallType, ServiceCode)
+    );
+GO
+
+IF OBJECT_ID('dbo.VI_UsageMonthly', 'U') IS NULL
+    CREATE TABLE dbo.VI_UsageMonthly (
+        UsageMonth date NOT NULL,              -- First day of the month
+        CustomerId int NOT NULL,
+        CallType nvarchar(50) NOT NULL,
+        ServiceCode nvarchar(3) NOT NULL,
+        Calls int NOT NULL,
+        BilledSeconds bigint NOT NULL,
+        RatedSeconds bigint NOT NULL,
+        WholesaleCost decimal(18,5) NOT NULL,
+        RetailAmount decimal(18,5) NOT NULL,
+        UnratedCalls int NOT NULL,
+        UpdatedAt datetime2 NOT NULL DEFAULT SYSUTCDATETIME(),
+        CONSTRAINT PK_VI_UsageMonthly PRIMARY KEY (UsageMonth, CustomerId, CallType, ServiceCode)
+    );
+GO
+
+-- Rebuilds the daily rollups of a range of days from cdr and cdr_detail, and
+-- the monthly rollups of the months they fall in. Rebuilding rather than
+-- adding keeps re-rated and reloaded calls from being counted twice.
+CREATE OR ALTER PROCEDURE dbo.VI_RefreshUsage
+    @fromDate DATE,
+    @toDate DATE,
+    @dailyRows INT = NULL OUTPUT
+AS
+BEGIN
+    SET NOCOUNT ON;
+    SET XACT_ABORT ON;
+
+    BEGIN TRANSACTION;
+
+    -- Files loaded in parallel often share a day; refresh one at a time
+    EXEC sp_getapplock @Resource = 'VI_RefreshUsage', @LockMode = 'Exclusive', @LockOwner = 'Transaction';
+
+    DELETE FROM VI_UsageDaily WHERE UsageDate BETWEEN @fromDate AND @toDate;
+
+    INSERT INTO VI_UsageDaily (UsageDate, CustomerId, CallType, ServiceCode, Calls, BilledSeconds,
+                               RatedSeconds, WholesaleCost, RetailAmount, UnratedCalls)
+    SELECT u.UsageDate, u.CustomerId, u.CallType, u.ServiceCode, COUNT(*),
+           ISNULL(SUM(CAST(u.seconds AS bigint)), 0), ISNULL(SUM(CAST(u.RatedSeconds AS bigint)), 0),
+           ISNULL(SUM(u.CallPrice), 0), ISNULL(SUM(u.RetailPrice), 0),
+           SUM(CASE WHEN u.RetailPrice IS NULL THEN 1 ELSE 0 END)
+    FROM (
+        SELECT CAST(c.[date] AS date) AS UsageDate,
+               ISNULL(c.CustomerId, 0) AS CustomerId,
+               ISNULL(c.CallType, '') AS CallType,
+               -- Only registered service codes are stored with 3 digits or fewer
+               CASE WHEN LEN(c.destination) <= 3 THEN c.destination ELSE '' END AS ServiceCode,
+               c.seconds, d.RatedSeconds, d.CallPrice, d.RetailPrice
+        FROM cdr c
+        JOIN cdr_detail d ON d.cdrID = c.cdrID
+        WHERE c.SIP = 'VI'
+          AND c.[date] >= @fromDate
+          AND c.[date] < DATEADD(day, 1, @toDate)
+    ) u
+    GROUP BY u.UsageDate, u.CustomerId, u.CallType, u.ServiceCode;
+
+    SET @dailyRows = @@ROWCOUNT;
+
+    DECLARE @fromMonth date = DATEFROMPARTS(YEAR(@fromDate), MONTH(@fromDate), 1);
+    DECLARE @toMonth date = DATEFROMPARTS(YEAR(@toDate), MONTH(@toDate), 1);
+
+    DELETE FROM VI_UsageMonthly WHERE UsageMonth BETWEEN @fromMonth AND @toMonth;
+
+    INSERT INTO VI_UsageMonthly (UsageMonth, CustomerId, CallType, ServiceCode, Calls, BilledSeconds,
+                                 RatedSeconds, WholesaleCost, RetailAmount, UnratedCalls)
+    SELECT DATEFROMPARTS(YEAR(UsageDate), MONTH(UsageDate), 1), CustomerId, CallType, ServiceCode,
+           SUM(Calls), SUM(BilledSeconds), SUM(RatedSeconds), SUM(WholesaleCost), SUM(RetailAmount),
+           SUM(UnratedCalls)
+    FROM VI_UsageDaily
+    WHERE UsageDate >= @fromMonth
+      AND UsageDate < DATEADD(month, 1, @toMonth)
+    GROUP BY DATEFROMPARTS(YEAR(UsageDate), MONTH(UsageDate), 1), CustomerId, CallType, ServiceCode;
+
+    COMMIT TRANSACTION;
+END
+GO
@@ -0,0 +1,7 @@
+#!/usr/bin/env node
+/**
+ * tbssync - VoIP Innovations CDR processing CLI
+ * Run `tbssync --help` for commands and options.
+ */
+
+require('../lib/cli').main(process.argv.slice(2));
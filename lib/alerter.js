@@ -0,0 +1,120 @@
+/**
+ * Alerting
+ * Dispatches processing failures and data quality alerts to every configured
+ * sink (email, webhook, Slack/Teams chat, syslog, digest file) whose severity
+ * threshold the alert meets. Sinks live in lib/alerts/.
+ *
+ * Each sink has a default threshold, overridden with ALERT_<SINK>_MIN_SEVERITY
+ * (e.g. ALERT_CHAT_MIN_SEVERITY=error). With the defaults, a 911 anomaly
+ * (critical) reaches chat, webhook, email, syslog and the digest file, while a
+ * low invalid-number count (info) only goes to the digest file.
+ */
+
+const os = require('os');
+const email = require('./alerts/email');
+
+/**
+ * Alert severities, lowest first.
+ *
+ * @constant {string[]} SEVERITIES
+ */
+const SEVERITIES = ['info', 'warning', 'error', 'critical'];
+
+const SINKS = [
+  email,
+  require('./alerts/webhook'),
+  require('./alerts/chat'),
+  require('./alerts/syslog'),
+  require('./alerts/file')
+];
+
+function severityRank(severity) {
+  return SEVERITIES.indexOf(severity);
+}
+
+function minSeverity(sink) {
+  const configured = (process.env[`ALERT_${sink.name.toUpperCase()}_MIN_SEVERITY`] || '').toLowerCase();
+  return SEVERITIES.includes(configured) ? configured : sink.defaultSeverity;
+}
+
+/**
+ * Describes every sink and the lowest severity it receives, for tbssync verify.
+ *
+ * @returns {Array<{name: string, configured: boolean, minSeverity: string}>}
+ */
+function describeAlertSinks() {
+  return SINKS.map(sink => ({ name: sink.name, configured: sink.isConfigured(), minSeverity: minSeverity(sink) }));
+}
+
+/**
+ * Lists the sinks that would receive an alert of the given severity.
+ *
+ * @param {string} severity - One of {@link SEVERITIES}
+ * @returns {Object[]} Sink modules
+ */
+function routeAlert(severity) {
+  if (process.env.ALERTS_ENABLED === 'false') return [];
+
+  return SINKS.filter(sink => sink.isConfigured() && severityRank(severity) >= severityRank(minSeverity(sink)));
+}
+
+/**
+ * Logs an alert and sends it to every sink routed for its severity.
+ * Sink failures are logged, never thrown: alerting must not stop CDR processing.
+ *
+ * @param {string} subject - Short description
+ * @param {string} message - Details
+ * @param {Object} [options]
+ * @param {string} [options.severity='error'] - One of {@link SEVERITIES}
+ * @returns {Promise<void>}
+ */
+async function sendAlert(subject, message, options = {}) {
+  const severity = SEVERITIES.includes(options.severity) ? options.severity : 'error';
+  const alert = {
+    severity,
+    subject,
+    message,
+    timestamp: new Date().toISOString(),
+    host: os.hostname()
+  };
+
+  // Log to console for immediate visibility
+  console.error(`ALERT [${severity}]: ${subject} - ${message}`);
+
+  const sinks = routeAlert(severity);
+  if (sinks.length === 0) {
+    console.warn(`No alert sinks configured for ${severity} alerts - alert logged to the console only`);
+    return;
+  }
+
+  await Promise.all(sinks.map(async sink => {
+    try {
+      await sink.send(alert);
+    } catch (err) {
+      console.error(`Failed to send alert via ${sink.name}:`, err.message);
+    }
+  }));
+}
+
+function isSMTPConfigured() {
+  return email.isSMTPConfigured();
+}
+
+/**
+ * Confirms the SMTP server accepts our connection and credentials.
+ *
+ * @returns {Promise<void>}
+ * @throws {Error} When SMTP is not configured or the server rejects the connection
+ */
+async function verifySMTP() {
+  await email.verify();
+}
+
+module.exports = {
+  SEVERITIES,
+  describeAlertSinks,
+  isSMTPConfigured,
+  routeAlert,
+  sendAlert,
+  verifySMTP
+};
@@ -0,0 +1,65 @@
+/**
+ * Chat alert sink
+ * Posts alerts to a Slack or Microsoft Teams incoming webhook
+ * (ALERT_CHAT_WEBHOOK_URL). ALERT_CHAT_FORMAT selects the payload: 'slack'
+ * (default) or 'teams'.
+ */
+
+const { postJSON } = require('./http');
+
+const SEVERITY_COLORS = {
+  critical: 'B00020',
+  error: 'E8590C',
+  warning: 'F2C744',
+  info: '2F81F7'
+};
+
+// Chat messages are for people; long details stay in email and the digest
+const MAX_DETAIL_LENGTH = 2500;
+
+function truncate(text) {
+  return text.length > MAX_DETAIL_LENGTH ? `${text.slice(0, MAX_DETAIL_LENGTH)}\n…` : text;
+}
+
+function slackPayload(alert) {
+  return {
+    text: `[${alert.severity.toUpperCase()}] CDR System Alert: ${alert.subject}`,
+    attachments: [{
+      color: `#${SEVERITY_COLORS[alert.severity]}`,
+      text: '```' + truncate(alert.message) + '```',
+      footer: `tbssync on ${alert.host}`,
+      ts: Math.floor(Date.parse(alert.timestamp) / 1000)
+    }]
+  };
+}
+
+function teamsPayload(alert) {
+  return {
+    '@type': 'MessageCard',
+    '@context': 'https://schema.org/extensions',
+    summary: `CDR System Alert: ${alert.subject}`,
+    themeColor: SEVERITY_COLORS[alert.severity],
+    title: `[${alert.severity.toUpperCase()}] CDR System Alert: ${alert.subject}`,
+    text: `<pre>${truncate(alert.message)}</pre>`,
+    sections: [{ facts: [
+      { name: 'Severity', value: alert.severity },
+      { name: 'Host', value: alert.host },
+      { name: 'Timestamp', value: alert.timestamp }
+    ] }]
+  };
+}
+
+module.exports = {
+  name: 'chat',
+  defaultSeverity: 'critical',
+
+  isConfigured() {
+    return Boolean(process.env.ALERT_CHAT_WEBHOOK_URL);
+  },
+
+  async send(alert) {
+    const format = (process.env.ALERT_CHAT_FORMAT || 'slack').toLowerCase();
+    const payload = format === 'teams' ? teamsPayload(alert) : slackPayload(alert);
+    await postJSON(process.env.ALERT_CHAT_WEBHOOK_URL, payload);
+  }
+};
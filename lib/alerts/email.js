@@ -0,0 +1,65 @@
+/**
+ * Email alert sink
+ * Sends alerts through SMTP with nodemailer.
+ *
+ * ALERT_EMAIL_TO, SMTP_HOST and SMTP_USER are required. ALERT_EMAIL_ENABLED=false
+ * (tbssync --no-email) switches this sink off without touching the others.
+ */
+
+const nodemailer = require('nodemailer');
+
+function isSMTPConfigured() {
+  return Boolean(process.env.SMTP_HOST && process.env.SMTP_USER && process.env.ALERT_EMAIL_TO);
+}
+
+function createTransporter() {
+  return nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT) || 587,
+    secure: process.env.SMTP_SECURE === 'true', // true for 465, false for other ports
+    auth: {
+      user: process.env.SMTP_USER,
+      pass: process.env.SMTP_PASSWORD,
+    },
+  });
+}
+
+module.exports = {
+  name: 'email',
+  defaultSeverity: 'warning',
+
+  isConfigured() {
+    return isSMTPConfigured() && process.env.ALERT_EMAIL_ENABLED !== 'false';
+  },
+
+  async send(alert) {
+    const severityLabel = alert.severity === 'critical' ? '[CRITICAL] ' : '';
+
+    await createTransporter().sendMail({
+      from: process.env.ALERT_EMAIL_FROM || process.env.SMTP_USER,
+      to: process.env.ALERT_EMAIL_TO,
+      subject: `${severityLabel}CDR System Alert: ${alert.subject}`,
+      text: `CDR Processing Alert\n\nSubject: ${alert.subject}\nSeverity: ${alert.severity}\n\nDetails:\n${alert.message}\n\nTimestamp: ${alert.timestamp}\n\nThis is an automated alert from the VoIP Innovations CDR processing system.`,
+      html: `
+        <h2>CDR Processing Alert</h2>
+        <p><strong>Subject:</strong> ${alert.subject}</p>
+        <p><strong>Severity:</strong> ${alert.severity}</p>
+        <p><strong>Details:</strong></p>
+        <pre>${alert.message}</pre>
+        <p><strong>Timestamp:</strong> ${alert.timestamp}</p>
+        <hr>
+        <p><em>This is an automated alert from the VoIP Innovations CDR processing system.</em></p>
+      `
+    });
+    console.log(`Alert email sent successfully to ${process.env.ALERT_EMAIL_TO}`);
+  },
+
+  isSMTPConfigured,
+
+  async verify() {
+    if (!isSMTPConfigured()) {
+      throw new Error('SMTP not configured (SMTP_HOST, SMTP_USER and ALERT_EMAIL_TO are required)');
+    }
+    await createTransporter().verify();
+  }
+};
@@ -0,0 +1,37 @@
+/**
+ * File alert sink
+ * Appends each alert as a JSON line to ALERT_FILE_PATH. A `{date}` in the
+ * path is replaced with the local date (YYYY-MM-DD), giving one digest file
+ * per day that can be reviewed or mailed once a day.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+function resolveAlertFilePath(timestamp) {
+  const date = new Date(timestamp);
+  const day = [
+    date.getFullYear(),
+    String(date.getMonth() + 1).padStart(2, '0'),
+    String(date.getDate()).padStart(2, '0')
+  ].join('-');
+
+  return process.env.ALERT_FILE_PATH.replace(/\{date\}/g, day);
+}
+
+module.exports = {
+  name: 'file',
+  defaultSeverity: 'info',
+
+  isConfigured() {
+    return Boolean(process.env.ALERT_FILE_PATH);
+  },
+
+  async send(alert) {
+    const filePath = resolveAlertFilePath(alert.timestamp);
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.promises.appendFile(filePath, JSON.stringify(alert) + '\n');
+  },
+
+  resolveAlertFilePath
+};
@@ -0,0 +1,35 @@
+/**
+ * HTTP helper for alert sinks
+ * POSTs JSON with a timeout, so a hung endpoint cannot stall a CDR run.
+ */
+
+const DEFAULT_TIMEOUT_MS = 10000;
+
+/**
+ * POSTs a JSON body and fails on any non-2xx response.
+ *
+ * @param {string} url - Endpoint URL (http:// works for a local stand-in)
+ * @param {Object} body - Request body, sent as JSON
+ * @param {Object<string, string>} [headers={}] - Extra request headers
+ * @returns {Promise<void>}
+ * @throws {Error} On a network error, timeout or non-2xx status
+ */
+async function postJSON(url, body, headers = {}) {
+  const timeout = parseInt(process.env.ALERT_HTTP_TIMEOUT) || DEFAULT_TIMEOUT_MS;
+
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: JSON.stringify(body),
+    signal: AbortSignal.timeout(timeout)
+  });
+
+  if (!response.ok) {
+    const detail = (await response.text().catch(() => '')).slice(0, 200);
+    throw new Error(`HTTP ${response.status} from ${new URL(url).host}${detail ? `: ${detail}` : ''}`);
+  }
+}
+
+module.exports = {
+  postJSON
+};
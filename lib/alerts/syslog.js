@@ -0,0 +1,83 @@
+/**
+ * Syslog alert sink
+ * Sends alerts as RFC 5424 messages to ALERT_SYSLOG_HOST over UDP (default)
+ * or TCP (octet-counted framing, RFC 6587).
+ */
+
+const dgram = require('dgram');
+const net = require('net');
+const os = require('os');
+
+const FACILITIES = {
+  user: 1, daemon: 3,
+  local0: 16, local1: 17, local2: 18, local3: 19,
+  local4: 20, local5: 21, local6: 22, local7: 23
+};
+
+// Syslog severity codes
+const SEVERITY_CODES = {
+  critical: 2,
+  error: 3,
+  warning: 4,
+  info: 6
+};
+
+const TIMEOUT_MS = 5000;
+
+/**
+ * Formats an alert as a single-line RFC 5424 message.
+ *
+ * @param {Object} alert
+ * @returns {string}
+ */
+function formatSyslogMessage(alert) {
+  const facility = FACILITIES[process.env.ALERT_SYSLOG_FACILITY] ?? FACILITIES.local0;
+  const priority = facility * 8 + SEVERITY_CODES[alert.severity];
+  const message = `${alert.subject}: ${alert.message}`.replace(/\s*\n\s*/g, ' | ');
+
+  return `<${priority}>1 ${alert.timestamp} ${os.hostname()} tbssync ${process.pid} CDRALERT - ${message}`;
+}
+
+function sendUDP(host, port, message) {
+  return new Promise((resolve, reject) => {
+    const socket = dgram.createSocket(net.isIPv6(host) ? 'udp6' : 'udp4');
+    socket.send(Buffer.from(message), port, host, err => {
+      socket.close();
+      if (err) reject(err); else resolve();
+    });
+  });
+}
+
+function sendTCP(host, port, message) {
+  return new Promise((resolve, reject) => {
+    const frame = `${Buffer.byteLength(message)} ${message}`;
+    const socket = net.createConnection({ host, port }, () => {
+      socket.end(frame, resolve);
+    });
+    socket.setTimeout(TIMEOUT_MS, () => socket.destroy(new Error(`syslog connection to ${host}:${port} timed out`)));
+    socket.on('error', reject);
+  });
+}
+
+module.exports = {
+  name: 'syslog',
+  defaultSeverity: 'warning',
+
+  isConfigured() {
+    return Boolean(process.env.ALERT_SYSLOG_HOST);
+  },
+
+  async send(alert) {
+    const host = process.env.ALERT_SYSLOG_HOST;
+    const port = parseInt(process.env.ALERT_SYSLOG_PORT) || 514;
+    const message = formatSyslogMessage(alert);
+
+    if ((process.env.ALERT_SYSLOG_PROTOCOL || 'udp').toLowerCase() === 'tcp') {
+      await sendTCP(host, port, message);
+    } else {
+      await sendUDP(host, port, message);
+    }
+  },
+
+  formatSyslogMessage
+};
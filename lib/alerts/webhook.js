@@ -0,0 +1,29 @@
+/**
+ * Generic webhook alert sink
+ * POSTs each alert as JSON to ALERT_WEBHOOK_URL, for incident tools and
+ * in-house services:
+ *
+ *   { "source": "tbssync", "severity": "error", "subject": "...",
+ *     "message": "...", "timestamp": "...", "host": "..." }
+ *
+ * ALERT_WEBHOOK_TOKEN, when set, is sent as a bearer token.
+ */
+
+const { postJSON } = require('./http');
+
+module.exports = {
+  name: 'webhook',
+  defaultSeverity: 'error',
+
+  isConfigured() {
+    return Boolean(process.env.ALERT_WEBHOOK_URL);
+  },
+
+  async send(alert) {
+    const headers = process.env.ALERT_WEBHOOK_TOKEN
+      ? { Authorization: `Bearer ${process.env.ALERT_WEBHOOK_TOKEN}` }
+      : {};
+
+    await postJSON(process.env.ALERT_WEBHOOK_URL, { source: 'tbssync', ...alert }, headers);
+  }
+};
@@ -0,0 +1,239 @@
+/**
+ * Customer attribution
+ * Resolves each CDR to a customer account from the VI_CustomerMap mapping
+ * table: number ownership (the customer's DIDs and ANIs) and the IP ranges
+ * its traffic comes from, each valid for a range of dates. Calls that match
+ * no entry, or entries of more than one customer, are left unattributed and
+ * queued for review by VI_StoreCDRs (see VI_CustomerAttribution.sql).
+ */
+
+const { getPool } = require('./db');
+
+/**
+ * What a VI_CustomerMap entry matches on.
+ * - did: the DNIS of an inbound call (a number the customer owns)
+ * - ani: the ANI of an outbound call (a number the customer calls from)
+ * - ip:  the CustomerIP of any call, as an address or IPv4 CIDR range
+ *
+ * @constant {Object<string, string>} MATCH_TYPES
+ */
+const MATCH_TYPES = {
+  DID: 'did',
+  ANI: 'ani',
+  IP: 'ip'
+};
+
+/**
+ * Outcome stored in cdr_detail.Attribution: the match type that attributed
+ * the call, or why it could not be attributed.
+ *
+ * @constant {Object<string, string>} ATTRIBUTION_OUTCOMES
+ */
+const ATTRIBUTION_OUTCOMES = {
+  UNMATCHED: 'unmatched',   // No entry matches the call
+  AMBIGUOUS: 'ambiguous'    // Equally specific entries of different customers match
+};
+
+// Origination (Orig-Tiered, 800OrigE, SMS-LOCAL-IN) is a call to the
+// customer; termination (TERM_*, Registered 911) is a call from it
+function getCallDirection(callType) {
+  if (/orig|-in$/i.test(callType || '')) return 'inbound';
+  if (/^term|911/i.test(callType || '')) return 'outbound';
+  return null;
+}
+
+function parseIPv4(address) {
+  const parts = String(address).trim().split('.');
+  if (parts.length !== 4 || !parts.every(part => /^\d{1,3}$/.test(part) && Number(part) <= 255)) return null;
+  return parts.reduce((value, part) => value * 256 + Number(part), 0);
+}
+
+function toDateString(value) {
+  if (!value) return null;
+  return value instanceof Date ? value.toISOString().slice(0, 10) : String(value).slice(0, 10);
+}
+
+/**
+ * @typedef {Object} CustomerMapEntry
+ * @property {number} mapId - VI_CustomerMap.MapId
+ * @property {number} customerId - Customer account the entry attributes calls to
+ * @property {string} matchType - One of {@link MATCH_TYPES}
+ * @property {string} pattern - Address or CIDR range (ip), or cleaned number, optionally ending in * for a block (did, ani)
+ * @property {string} effectiveFrom - First day the entry applies (YYYY-MM-DD)
+ * @property {string|null} effectiveTo - Day it stops applying (exclusive), or null if open
+ */
+
+// Compiles an entry into a matcher with a specificity; null if the pattern is invalid
+function compileEntry(entry) {
+  const pattern = String(entry.pattern || '').trim();
+
+  if (entry.matchType === MATCH_TYPES.IP) {
+    const [address, bits = '32'] = pattern.split('/');
+    const base = parseIPv4(address);
+    if (base === null) {
+      // IPv6 and other forms are matched exactly
+      return pattern.includes(':') ? { ...entry, specificity: 128, matches: value => value === pattern } : null;
+    }
+    const length = Number(bits);
+    if (!/^\d{1,2}$/.test(bits) || length > 32) return null;
+    const size = 2 ** (32 - length);
+    const network = Math.floor(base / size) * size;
+    return { ...entry, specificity: length, matches: value => {
+      const ip = parseIPv4(value);
+      return ip !== null && ip >= network && ip < network + size;
+    } };
+  }
+
+  if (entry.matchType === MATCH_TYPES.DID || entry.matchType === MATCH_TYPES.ANI) {
+    if (!/^\+?\d+\*?$/.test(pattern)) return null;
+    if (pattern.endsWith('*')) {
+      const prefix = pattern.slice(0, -1);
+      return { ...entry, specificity: prefix.length, matches: value => value.startsWith(prefix) };
+    }
+    // An exact number beats any block it belongs to
+    return { ...entry, specificity: Infinity, matches: value => value === pattern };
+  }
+
+  return null;
+}
+
+/**
+ * Creates an attributor for one set of mapping entries. Entries with an
+ * invalid pattern or match type are skipped with a warning.
+ *
+ * A call is matched in stages; the first stage with any entry in effect on
+ * the call's date decides:
+ * 1. Number ownership: `did` entries on the DNIS of an inbound call, `ani`
+ *    entries on the ANI of an outbound call (both when the CallType does
+ *    not say which way the call went)
+ * 2. `ip` entries on the CustomerIP
+ *
+ * Within the stage the most specific entries win (an exact number over a
+ * block, a longer CIDR prefix over a shorter one). If they belong to more
+ * than one customer the call is ambiguous.
+ *
+ * @param {CustomerMapEntry[]} entries
+ * @returns {{size: number, attribute: function(CDRRecord): CDRRecord, summary: function(): AttributionSummary}}
+ */
+function createCustomerAttributor(entries) {
+  const compiled = [];
+  entries.forEach(entry => {
+    const matcher = compileEntry(entry);
+    if (matcher) {
+      compiled.push(matcher);
+    } else {
+      console.warn(`⚠️  Customer map entry ${entry.mapId} ignored: invalid ${entry.matchType} pattern "${entry.pattern}"`);
+    }
+  });
+
+  const counts = { attributed: 0, unattributed: 0, matchedBy: { did: 0, ani: 0, ip: 0 }, unmatched: 0, ambiguous: 0 };
+  const unattributedIPs = {};
+
+  function inEffect(entry, date) {
+    return entry.effectiveFrom <= date && (!entry.effectiveTo || date < entry.effectiveTo);
+  }
+
+  function bestMatches(matchType, value, date) {
+    if (!value) return [];
+    const matching = compiled.filter(entry => entry.matchType === matchType && inEffect(entry, date) && entry.matches(value));
+    const best = Math.max(...matching.map(entry => entry.specificity));
+    return matching.filter(entry => entry.specificity === best);
+  }
+
+  function attribute(record) {
+    // A call without a StartTime is matched against the entries in effect today
+    const date = toDateString(record.StartTime) || new Date().toISOString().slice(0, 10);
+    const direction = getCallDirection(record.CallType);
+
+    const stages = [
+      [
+        ...(direction !== 'outbound' ? bestMatches(MATCH_TYPES.DID, record.DNIS, date) : []),
+        ...(direction !== 'inbound' ? bestMatches(MATCH_TYPES.ANI, record.ANI, date) : [])
+      ],
+      bestMatches(MATCH_TYPES.IP, (record.CustomerIP || '').trim(), date)
+    ];
+    const matches = stages.find(stage => stage.length) || [];
+    const customers = [...new Set(matches.map(entry => entry.customerId))];
+
+    if (customers.length === 1) {
+      const matchType = matches[0].matchType;
+      record.CustomerId = customers[0];
+      record.Attribution = matchType;
+      counts.attributed++;
+      counts.matchedBy[matchType]++;
+    } else {
+      record.CustomerId = null;
+      record.Attribution = customers.length ? ATTRIBUTION_OUTCOMES.AMBIGUOUS : ATTRIBUTION_OUTCOMES.UNMATCHED;
+      counts.unattributed++;
+      counts[record.Attribution]++;
+      const ip = (record.CustomerIP || '').trim() || '(none)';
+      unattributedIPs[ip] = (unattributedIPs[ip] || 0) + 1;
+    }
+    return record;
+  }
+
+  return {
+    size: compiled.length,
+    attribute,
+    summary() {
+      return { ...counts, matchedBy: { ...counts.matchedBy }, unattributedIPs: { ...unattributedIPs } };
+    }
+  };
+}
+
+/**
+ * @typedef {Object} AttributionSummary
+ * @property {number} attributed - Calls resolved to a customer
+ * @property {number} unattributed - Calls queued for review
+ * @property {Object<string, number>} matchedBy - Attributed calls by match type (did, ani, ip)
+ * @property {number} unmatched - Unattributed calls no entry matched
+ * @property {number} ambiguous - Unattributed calls matched by more than one customer
+ * @property {Object<string, number>} unattributedIPs - Unattributed calls by CustomerIP
+ */
+
+/**
+ * Reads every entry of the VI_CustomerMap mapping table.
+ *
+ * @returns {Promise<CustomerMapEntry[]>}
+ */
+async function loadCustomerMap() {
+  const pool = await getPool();
+  const result = await pool.request()
+    .query(`SELECT MapId, CustomerId, MatchType, Pattern, EffectiveFrom, EffectiveTo
+            FROM VI_CustomerMap`);
+  return result.recordset.map(row => ({
+    mapId: row.MapId,
+    customerId: row.CustomerId,
+    matchType: String(row.MatchType || '').trim().toLowerCase(),
+    pattern: row.Pattern,
+    effectiveFrom: toDateString(row.EffectiveFrom),
+    effectiveTo: toDateString(row.EffectiveTo)
+  }));
+}
+
+let mapPromise = null;
+
+/**
+ * The customer mapping table, read once per run and shared by every file.
+ * A failed read is not cached, so the next file tries again.
+ *
+ * @returns {Promise<CustomerMapEntry[]>}
+ */
+function getCustomerMap() {
+  if (!mapPromise) {
+    mapPromise = loadCustomerMap().catch(err => {
+      mapPromise = null;
+      throw err;
+    });
+  }
+  return mapPromise;
+}
+
+module.exports = {
+  MATCH_TYPES,
+  ATTRIBUTION_OUTCOMES,
+  getCallDirection,
+  createCustomerAttributor,
+  loadCustomerMap,
+  getCustomerMap
+};
@@ -0,0 +1,81 @@
+/**
+ * Per-call deduplication key
+ * A deterministic SHA-256 key identifying one vendor call, stored in
+ * cdr.CallKey under a unique index so VI_StoreCDRs can deduplicate exactly.
+ *
+ * The key is built from fields that identify the call but do not change when
+ * the vendor re-rates it: TransactionId, the vendor's own StartTime and
+ * StopTime strings (before timezone conversion, so changing TIMEZONE never
+ * changes a key) and the raw ANI/DNIS. Price and duration are deliberately
+ * left out, so a re-rated call matches its original row and updates it.
+ */
+
+const crypto = require('crypto');
+
+// Bump if the key composition ever changes; old and new keys must not collide
+const CALL_KEY_VERSION = 'v1';
+
+const CALL_KEY_FIELDS = ['TransactionId', 'StartTime', 'StopTime', 'ANI', 'DNIS'];
+
+// Distinct key fields remembered while numbering repeated rows. The vendor
+// writes a second's calls together, so repeats are never this far apart
+const OCCURRENCE_WINDOW = 10000;
+
+/**
+ * Builds the key for a raw CDR row.
+ *
+ * Two rows with identical key fields in the same file are distinct calls (an
+ * auto-dialer can place them in the same second), so the caller passes the
+ * row's occurrence number among identical rows: 0 for the first, 1 for the
+ * second, and so on. Reloading the same file reproduces the same keys.
+ *
+ * @param {Object} raw - Row from the parser, keyed by column name
+ * @param {number} [occurrence=0] - Index among rows with identical key fields
+ * @returns {string} 64-character hex key
+ *
+ * @example
+ * buildCallKey({ TransactionId: 'CHRG00067263453', StartTime: '2025-01-13 17:17:34',
+ *                StopTime: '2025-01-13 17:19:09', ANI: '+18314240641', DNIS: '18313834971' })
+ * // sha256('v1|CHRG00067263453|2025-01-13 17:17:34|2025-01-13 17:19:09|+18314240641|18313834971|0')
+ */
+function buildCallKey(raw, occurrence = 0) {
+  return crypto.createHash('sha256')
+    .update(callKeyBase(raw) + '|' + occurrence)
+    .digest('hex');
+}
+
+function callKeyBase(raw) {
+  return [CALL_KEY_VERSION, ...CALL_KEY_FIELDS.map(field => String(raw[field] || '').trim())].join('|');
+}
+
+/**
+ * Returns a function that keys the rows of one file in order, numbering
+ * repeated rows so each gets its own key. Only the last OCCURRENCE_WINDOW
+ * distinct rows are remembered, so memory stays flat however long the file
+ * is streamed.
+ *
+ * @returns {function(Object): string}
+ */
+function createCallKeyGenerator() {
+  // Insertion-ordered, so the first entry is the least recently seen
+  const seen = new Map();
+
+  return raw => {
+    const base = callKeyBase(raw);
+    const occurrence = seen.get(base) || 0;
+    seen.delete(base);
+    seen.set(base, occurrence + 1);
+    if (seen.size > OCCURRENCE_WINDOW) {
+      seen.delete(seen.keys().next().value);
+    }
+    return buildCallKey(raw, occurrence);
+  };
+}
+
+module.exports = {
+  CALL_KEY_VERSION,
+  CALL_KEY_FIELDS,
+  OCCURRENCE_WINDOW,
+  buildCallKey,
+  createCallKeyGenerator
+};
@@ -0,0 +1,325 @@
+/**
+ * tbssync command-line interface
+ * Argument parsing, subcommand dispatch and scheduler-friendly exit codes.
+ *
+ * Usage:
+ *   tbssync daily
+ *   tbssync backfill --from 2025-01-13 --to 2025-01-15
+ *   tbssync reprocess ./cdrs
+ *   tbssync parse ./cdrs/20250113.CDR --json
+ *   tbssync verify
+ *   tbssync usage --from 2025-01-01 --to 2025-01-31 --format csv
+ *   tbssync reconcile ./invoices/2025-01.csv
+ */
+
+const path = require('path');
+const { mergeValidationSummaries } = require('./validation');
+
+/**
+ * Process exit codes. The scheduler treats anything other than SUCCESS as
+ * needing attention; PARTIAL and NO_DATA are distinct so a late vendor drop
+ * is not confused with a broken run.
+ *
+ * @constant {Object<string, number>} EXIT_CODES
+ */
+const EXIT_CODES = {
+  SUCCESS: 0,   // Every file/date processed
+  FAILURE: 1,   // Nothing processed successfully
+  USAGE: 2,     // Bad command line
+  PARTIAL: 3,   // Some files/dates failed
+  NO_DATA: 4    // Nothing to process
+};
+
+const STATUS_EXIT_CODES = {
+  'success': EXIT_CODES.SUCCESS,
+  'failed': EXIT_CODES.FAILURE,
+  'partial': EXIT_CODES.PARTIAL,
+  'no-data': EXIT_CODES.NO_DATA
+};
+
+const BOOLEAN_FLAGS = ['dry-run', 'no-db', 'no-email', 'no-alerts', 'force', 'wait', 'refresh', 'json', 'help'];
+const VALUE_FLAGS = ['from', 'to', 'customer', 'format', 'output', 'tolerance', 'config'];
+
+const COMMANDS = {
+  daily: './commands/daily',
+  backfill: './commands/backfill',
+  reprocess: './commands/reprocess',
+  parse: './commands/parse',
+  verify: './commands/verify',
+  usage: './commands/usage',
+  reconcile: './commands/reconcile'
+};
+
+const USAGE = `Usage: tbssync <command> [options]
+
+Commands:
+  daily                          Download and load today's folder and any missed days
+  backfill --from <date> [--to <date>]
+                                 Download and load a date range (YYYY-MM-DD)
+  reprocess [dir|file]           Load local .CDR files (default: ./cdrs)
+  parse <file>                   Parse and clean a .CDR file without storing it
+  verify                         Check configuration, database, CDR source and SMTP access
+  usage --from <date> [--to <date>]
+                                 Export a billing period's usage per customer, call type and
+                                 service code (YYYY-MM-DD)
+  reconcile <invoice.csv>        Compare the vendor's invoice totals with the loaded calls per
+                                 day and call type, and check the ledger for missing files
+
+Options:
+  --dry-run                      Parse and clean only: no backups, database writes or alerts
+  --no-db                        Skip the database write (backups are still written)
+  --no-email                     Do not send alert email (other alert sinks still receive alerts)
+  --no-alerts                    Log alerts to the console only
+  --force                        Reload files the ledger shows as already loaded
+  --wait                         daily: poll until today's folder is published or CDR_WAIT_DEADLINE
+  --customer <id>                usage: only this CustomerId
+  --format <csv|json>            usage, reconcile: report format (default: csv)
+  --output <path>                usage, reconcile: report file (default: <command>_<from>_<to>.<format>)
+  --refresh                      usage: rebuild the period's rollups from the stored calls first
+  --tolerance <percent>          reconcile: allowed variance (default: CDR_RECONCILE_TOLERANCE)
+  --config <path>                Load environment settings from <path> (overrides .env)
+  --json                         Print the run summary as JSON on stdout
+  --help                         Show this message
+
+Exit codes:
+  0 success, 1 failure, 2 usage error, 3 partial failure, 4 no data`;
+
+class UsageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'UsageError';
+  }
+}
+
+/**
+ * Splits argv into a command, positional arguments and flags.
+ *
+ * @param {string[]} argv - Arguments after the node executable and script
+ * @returns {{command: string|undefined, positionals: string[], flags: Object}}
+ * @throws {UsageError} On unknown flags or a missing flag value
+ */
+function parseArgs(argv) {
+  const positionals = [];
+  const flags = {};
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+
+    if (!arg.startsWith('--')) {
+      positionals.push(arg);
+      continue;
+    }
+
+    let [name, value] = arg.slice(2).split(/=(.*)/s);
+
+    if (BOOLEAN_FLAGS.includes(name)) {
+      if (value !== undefined) {
+        throw new UsageError(`--${name} does not take a value`);
+      }
+      flags[name] = true;
+    } else if (VALUE_FLAGS.includes(name)) {
+      if (value === undefined) {
+        value = argv[++i];
+      }
+      if (value === undefined || value.startsWith('--')) {
+        throw new UsageError(`--${name} requires a value`);
+      }
+      flags[name] = value;
+    } else {
+      throw new UsageError(`Unknown option: --${name}`);
+    }
+  }
+
+  return { command: positionals.shift(), positionals, flags };
+}
+
+/**
+ * Derives an overall run status from per-file or per-date outcomes.
+ *
+ * @param {string[]} outcomes - Each 'success', 'skipped', 'failed' or 'no-data'
+ * @returns {string} 'success', 'partial', 'failed' or 'no-data'
+ */
+function overallStatus(outcomes) {
+  const ok = outcomes.filter(outcome => outcome === 'success' || outcome === 'skipped').length;
+  const failed = outcomes.filter(outcome => outcome === 'failed').length;
+  const empty = outcomes.filter(outcome => outcome === 'no-data').length;
+
+  if (ok === 0 && failed === 0) return 'no-data';
+  if (ok === 0) return 'failed';
+  if (failed === 0 && empty === 0) return 'success';
+  return 'partial';
+}
+
+/**
+ * Totals a list of pipeline file results for the run summary.
+ *
+ * @param {Object[]} results - FileResult objects from the pipeline
+ * @returns {Object} Counts of files and records, and accepted and rejected rows per validation rule
+ */
+function summarizeFiles(results) {
+  return {
+    files: results.length,
+    succeeded: results.filter(r => r.status === 'success').length,
+    skipped: results.filter(r => r.status === 'skipped').length,
+    alreadyLoaded: results.filter(r => r.reason === 'already-loaded').length,
+    retried: results.filter(r => r.attempt > 1).length,
+    failed: results.filter(r => r.status === 'failed').length,
+    parsedRecords: results.reduce((sum, r) => sum + r.parsed, 0),
+    processedRecords: results.reduce((sum, r) => sum + r.processed, 0),
+    serviceNumbers: results.reduce((sum, r) => sum + r.serviceNumbers, 0),
+    internationalNumbers: results.reduce((sum, r) => sum + (r.internationalNumbers || 0), 0),
+    invalidNumbers: results.reduce((sum, r) => sum + r.invalidNumbers, 0),
+    formatChanged: results.filter(r => r.formatChanges).length,
+    rejectedRecords: results.reduce((sum, r) => sum + (r.rejected || 0), 0),
+    unattributedRecords: results.reduce((sum, r) => sum + (r.unattributed || 0), 0),
+    unratedRecords: results.reduce((sum, r) => sum + (r.unrated || 0), 0),
+    jurisdictionMismatches: results.reduce((sum, r) => sum + (r.jurisdictionMismatches || 0), 0),
+    validation: mergeValidationSummaries(results.map(r => r.validation))
+  };
+}
+
+function printSummary(summary) {
+  console.log(`\n=== tbssync ${summary.command}: ${summary.status.toUpperCase()} ===`);
+  if (summary.totals) {
+    Object.entries(summary.totals).forEach(([key, value]) => {
+      if (key === 'validation') return;
+      console.log(`  ${key}: ${value}`);
+    });
+    const rules = Object.entries(summary.totals.validation || {});
+    if (rules.length) {
+      console.log(`  validation (accepted/warned/rejected rows per rule):`);
+      rules.forEach(([rule, count]) => {
+        console.log(`    ${rule}: ${count.accepted}/${count.warned}/${count.rejected}`);
+      });
+    }
+  }
+  (summary.files || []).filter(r => r.status === 'failed').forEach(r => {
+    console.log(`  ❌ ${r.file}: ${r.error}`);
+  });
+  (summary.files || []).filter(r => r.rejectFile).forEach(r => {
+    console.log(`  ⚠️  ${r.file}: ${r.rejected} rows rejected (${r.rejectFile})`);
+  });
+}
+
+/**
+ * Runs the CLI and returns the process exit code.
+ *
+ * Environment settings are loaded here, before the library is required, so
+ * --config takes effect for the database, CDR source and SMTP settings.
+ *
+ * @param {string[]} argv - Arguments after the node executable and script
+ * @returns {Promise<number>} One of {@link EXIT_CODES}
+ */
+async function run(argv) {
+  let parsed;
+  try {
+    parsed = parseArgs(argv);
+  } catch (err) {
+    console.error(err.message);
+    console.error(USAGE);
+    return EXIT_CODES.USAGE;
+  }
+
+  const { command, positionals, flags } = parsed;
+
+  // Asking for help is not a usage error; a missing command is
+  if (flags.help) {
+    console.log(USAGE);
+    return EXIT_CODES.SUCCESS;
+  }
+  if (!command) {
+    console.error(USAGE);
+    return EXIT_CODES.USAGE;
+  }
+
+  if (!COMMANDS[command]) {
+    console.error(`Unknown command: ${command}`);
+    console.error(USAGE);
+    return EXIT_CODES.USAGE;
+  }
+
+  if (flags.config) {
+    // The wrapper scripts have already loaded .env; the file named here wins
+    const result = require('dotenv').config({ path: path.resolve(flags.config), override: true });
+    if (result.error) {
+      console.error(`Could not load config file ${flags.config}: ${result.error.message}`);
+      return EXIT_CODES.USAGE;
+    }
+  }
+
+  // Dry runs have no side effects, including alerts
+  if (flags['no-email'] || flags['dry-run']) {
+    process.env.ALERT_EMAIL_ENABLED = 'false';
+  }
+  if (flags['no-alerts'] || flags['dry-run']) {
+    process.env.ALERTS_ENABLED = 'false';
+  }
+
+  // Keep stdout clean for the JSON summary; progress logging goes to stderr
+  if (flags.json) {
+    console.log = console.error;
+    console.info = console.error;
+  }
+
+  const options = {
+    dryRun: Boolean(flags['dry-run']),
+    noDb: Boolean(flags['no-db']),
+    force: Boolean(flags.force),
+    wait: Boolean(flags.wait),
+    refresh: Boolean(flags.refresh),
+    from: flags.from,
+    to: flags.to,
+    customer: flags.customer,
+    format: flags.format,
+    output: flags.output,
+    tolerance: flags.tolerance
+  };
+
+  let summary;
+  try {
+    summary = await require(COMMANDS[command])(positionals, options);
+  } catch (err) {
+    if (err instanceof UsageError) {
+      console.error(err.message);
+      console.error(USAGE);
+      return EXIT_CODES.USAGE;
+    }
+    console.error(`❌ tbssync ${command} failed:`, err.message);
+    summary = { command, status: 'failed', error: err.message };
+  } finally {
+    // Let the process exit once the command is done
+    await require('./db').closePool();
+  }
+
+  if (flags.json) {
+    process.stdout.write(JSON.stringify(summary, null, 2) + '\n');
+  } else {
+    printSummary(summary);
+  }
+
+  return STATUS_EXIT_CODES[summary.status];
+}
+
+/**
+ * Entry point for bin/tbssync.js and the legacy wrapper scripts.
+ *
+ * @param {string[]} argv - Arguments after the node executable and script
+ */
+function main(argv) {
+  run(argv).then(code => {
+    process.exitCode = code;
+  }, err => {
+    console.error(err);
+    process.exitCode = EXIT_CODES.FAILURE;
+  });
+}
+
+module.exports = {
+  EXIT_CODES,
+  UsageError,
+  parseArgs,
+  overallStatus,
+  summarizeFiles,
+  run,
+  main
+};
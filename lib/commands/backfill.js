@@ -0,0 +1,76 @@
+/**
+ * tbssync backfill
+ * Fetches and loads the dated folders for a range of days from the CDR
+ * source (see lib/source.js).
+ */
+
+const path = require('path');
+const { CDR_DIRECTORY, ensureDirectories } = require('../config');
+const { formatDateForFolder, parseDateArg, getDateRange } = require('../dates');
+const { createCDRSource, loadBatch } = require('../source');
+const { UsageError, overallStatus, summarizeFiles } = require('../cli');
+
+async function backfill(positionals, options) {
+  if (!options.from) {
+    throw new UsageError('backfill requires --from <YYYY-MM-DD>');
+  }
+
+  const startDate = parseDateArg(options.from);
+  const endDate = options.to ? parseDateArg(options.to) : startDate;
+
+  if (!startDate || !endDate) {
+    throw new UsageError('Invalid date format. Use YYYY-MM-DD');
+  }
+  if (startDate > endDate) {
+    throw new UsageError('Start date must be before or equal to end date');
+  }
+
+  ensureDirectories();
+
+  console.log('🚀 Starting retroactive CDR processing...');
+  console.log(`📅 Date range: ${startDate.toDateString()} to ${endDate.toDateString()}`);
+
+  const dates = getDateRange(startDate, endDate);
+  console.log(`📊 Total dates to process: ${dates.length}`);
+
+  const source = createCDRSource();
+  const dateResults = [];
+  const files = [];
+
+  for (const date of dates) {
+    const folderName = formatDateForFolder(date);
+    console.log(`\n=== Processing ${date.toDateString()} (folder: ${folderName}) ===`);
+
+    try {
+      const results = await loadBatch(source, folderName, path.join(CDR_DIRECTORY, folderName), {
+        ...options, backupPrefix: `${folderName}_`
+      });
+
+      if (results.length === 0) {
+        console.log(`⚠️  No CDR files found for ${date.toDateString()}`);
+      }
+
+      files.push(...results);
+      dateResults.push({
+        folder: folderName,
+        status: results.length ? overallStatus(results.map(r => r.status)) : 'no-data'
+      });
+    } catch (error) {
+      console.error(`❌ Failed to download CDRs for ${date.toDateString()}:`, error.message);
+      dateResults.push({ folder: folderName, status: 'failed', error: error.message });
+    }
+
+    // Small delay between dates to be nice to the remote server
+    await new Promise(resolve => setTimeout(resolve, 1000));
+  }
+
+  return {
+    command: 'backfill',
+    status: overallStatus(dateResults.map(d => d.status === 'partial' ? 'failed' : d.status)),
+    dates: dateResults,
+    totals: summarizeFiles(files),
+    files
+  };
+}
+
+module.exports = backfill;
@@ -0,0 +1,265 @@
+/**
+ * tbssync daily
+ * Fetches today's dated folder from the CDR source (see lib/source.js) and
+ * loads it.
+ * The folder is named for today but the file inside holds yesterday's calls.
+ *
+ * Before today's folder, the folders of the previous CDR_CATCHUP_DAYS days
+ * are listed at the source and compared with the ledger, and any folder
+ * with files not yet loaded is fetched and loaded, so a day missed because
+ * the job or the vendor was down is picked up by the next run.
+ *
+ * With --wait, a missing or empty folder is polled for, with backoff, until
+ * CDR_WAIT_DEADLINE: a warning goes out at the first miss and a critical
+ * escalation if the deadline passes, since VoIP Innovations sometimes
+ * publishes hours late.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const {
+  CDR_DIRECTORY, CATCHUP_DAYS, WAIT_DEADLINE, POLL_INTERVAL, POLL_MAX_INTERVAL, ensureDirectories
+} = require('../config');
+const { formatDateForFolder, parseTimeOfDay } = require('../dates');
+const { createCDRSource, loadBatch, acknowledgeLoaded } = require('../source');
+const { processCDRDirectory } = require('../pipeline');
+const { listLoadedFiles } = require('../ledger');
+const { sendAlert } = require('../alerter');
+const { UsageError, overallStatus, summarizeFiles } = require('../cli');
+
+async function daily(positionals, options) {
+  const deadline = options.wait ? parseTimeOfDay(WAIT_DEADLINE) : null;
+  if (options.wait && !deadline) {
+    throw new UsageError(`Invalid CDR_WAIT_DEADLINE "${WAIT_DEADLINE}" (expected HH:MM)`);
+  }
+
+  ensureDirectories();
+
+  const todayFolder = formatDateForFolder(new Date());
+  console.log(`📅 Daily CDR run for folder: ${todayFolder}`);
+
+  const source = createCDRSource();
+
+  const catchUp = await catchUpMissedFolders(source, options);
+  const handled = new Set([todayFolder, ...catchUp.folders.map(f => f.folder)]);
+
+  const wait = options.wait ? await waitForFolder(source, todayFolder, deadline) : null;
+
+  let todayFiles = [];
+  try {
+    if (!wait || wait.published) {
+      todayFiles = await loadBatch(source, todayFolder, path.join(CDR_DIRECTORY, todayFolder), options);
+    }
+  } catch (err) {
+    console.error(`${source.type} download failed:`, err);
+    await sendAlert("CDR Download Failed", `Could not fetch /${todayFolder}/ from the ${source.type} source: ${err.message}`);
+    return {
+      command: 'daily',
+      folder: todayFolder,
+      status: 'failed',
+      error: err.message,
+      wait,
+      caughtUp: catchUp.folders,
+      totals: summarizeFiles(catchUp.files),
+      files: catchUp.files
+    };
+  }
+
+  // Files from earlier runs whose load failed are still on disk; the ledger
+  // records them as failed, so retry them now
+  const resumedFiles = [];
+  for (const folder of listLeftoverFolders(handled)) {
+    console.log(`\n🔁 Resuming files left in ${folder} by an earlier run`);
+    const folderDir = path.join(CDR_DIRECTORY, folder);
+    const results = await processCDRDirectory(folderDir, { ...options, folder, backupPrefix: `${folder}_`, retire: true });
+    if (!options.dryRun) {
+      await acknowledgeLoaded(source, folder, results);
+    }
+    resumedFiles.push(...results);
+    removeIfEmpty(folderDir);
+  }
+
+  const files = [...catchUp.files, ...todayFiles, ...resumedFiles];
+  const earlierFailures = catchUp.folders.filter(f => f.status === 'failed').map(() => 'failed');
+
+  if (todayFiles.length === 0) {
+    console.log("No files found to process");
+    // --wait has already warned and escalated
+    if (!wait) {
+      await sendAlert("CDR Processing Warning", `No CDR files found for processing in /${todayFolder}/`, { severity: 'warning' });
+    }
+    return {
+      command: 'daily',
+      folder: todayFolder,
+      status: files.length || earlierFailures.length
+        ? overallStatus([...files.map(r => r.status), ...earlierFailures, 'no-data'])
+        : 'no-data',
+      wait,
+      caughtUp: catchUp.folders,
+      totals: summarizeFiles(files),
+      files
+    };
+  }
+
+  return {
+    command: 'daily',
+    folder: todayFolder,
+    status: overallStatus([...files.map(r => r.status), ...earlierFailures]),
+    wait,
+    caughtUp: catchUp.folders,
+    totals: summarizeFiles(files),
+    files
+  };
+}
+
+/**
+ * Loads the folders of the last CATCHUP_DAYS days (oldest first) that hold
+ * files the ledger does not show as loaded. Needs the ledger, so it is
+ * skipped for --dry-run and --no-db.
+ *
+ * @param {CDRSource} source
+ * @param {Object} options - Command options
+ * @returns {Promise<{folders: Array<{folder: string, status: string, error?: string}>, files: Object[]}>}
+ */
+async function catchUpMissedFolders(source, options) {
+  const caughtUp = { folders: [], files: [] };
+  if (CATCHUP_DAYS === 0) return caughtUp;
+
+  if (options.dryRun || options.noDb) {
+    console.log('⏭️  Missed-day catch-up needs the ledger - skipped for this run');
+    return caughtUp;
+  }
+
+  const folders = [];
+  for (let daysAgo = CATCHUP_DAYS; daysAgo >= 1; daysAgo--) {
+    const date = new Date();
+    date.setDate(date.getDate() - daysAgo);
+    folders.push(formatDateForFolder(date));
+  }
+
+  let loaded;
+  try {
+    loaded = await listLoadedFiles(folders[0], folders[folders.length - 1]);
+  } catch (err) {
+    console.error(`❌ Could not read the ledger for missed-day catch-up: ${err.message}`);
+    return caughtUp;
+  }
+
+  console.log(`🔎 Checking ${folders[0]}-${folders[folders.length - 1]} for folders not yet loaded`);
+
+  for (const folder of folders) {
+    try {
+      const remoteFiles = await source.listBatch(folder);
+      const loadedFiles = loaded.get(folder) || new Set();
+      const missing = (remoteFiles || []).filter(file => !loadedFiles.has(file.name));
+      if (missing.length === 0) continue;
+
+      console.log(`\n📥 Catching up ${folder}: ${missing.length} of ${remoteFiles.length} files not loaded yet`);
+      const results = await loadBatch(source, folder, path.join(CDR_DIRECTORY, folder), {
+        ...options, backupPrefix: `${folder}_`
+      });
+
+      caughtUp.files.push(...results);
+      caughtUp.folders.push({
+        folder,
+        status: results.length ? overallStatus(results.map(r => r.status)) : 'no-data'
+      });
+    } catch (err) {
+      console.error(`❌ Catch-up of ${folder} failed: ${err.message}`);
+      caughtUp.folders.push({ folder, status: 'failed', error: err.message });
+    }
+  }
+
+  if (caughtUp.folders.length) {
+    const failed = caughtUp.folders.filter(f => f.status !== 'success');
+    await sendAlert(
+      "CDR Missed Days Loaded",
+      `Caught up ${caughtUp.folders.length} earlier folder(s): ` +
+      caughtUp.folders.map(f => `/${f.folder}/ ${f.status}`).join(', '),
+      { severity: failed.length ? 'error' : 'info' }
+    );
+  }
+
+  return caughtUp;
+}
+
+/**
+ * Polls the source until a folder holds .CDR files or the deadline passes,
+ * waiting POLL_INTERVAL seconds after the first miss and doubling up to
+ * POLL_MAX_INTERVAL. Listing errors are treated as misses, so a network
+ * blip while the vendor is late does not end the wait.
+ *
+ * @param {CDRSource} source
+ * @param {string} folder - Folder to wait for, e.g. '20250113'
+ * @param {Date} deadline - When to give up and escalate
+ * @returns {Promise<{published: boolean, polls: number, deadline: string, publishedAt?: string, lastError?: string}>}
+ */
+async function waitForFolder(source, folder, deadline) {
+  const wait = { published: false, polls: 0, deadline: deadline.toISOString() };
+  const deadlineText = deadline.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+  let interval = POLL_INTERVAL * 1000;
+
+  for (;;) {
+    wait.polls++;
+    try {
+      const files = await source.listBatch(folder);
+      delete wait.lastError;
+      if (files && files.length) {
+        wait.published = true;
+        wait.publishedAt = new Date().toISOString();
+        if (wait.polls > 1) {
+          console.log(`✅ /${folder}/ published after ${wait.polls} checks`);
+        }
+        return wait;
+      }
+    } catch (err) {
+      console.error(`⚠️  Could not list /${folder}/ at the ${source.type} source: ${err.message}`);
+      wait.lastError = err.message;
+    }
+
+    const remaining = deadline.getTime() - Date.now();
+    if (remaining <= 0) break;
+
+    if (wait.polls === 1) {
+      await sendAlert(
+        "CDR Files Late",
+        `/${folder}/ has no CDR files at the ${source.type} source yet; checking again until ${deadlineText}`,
+        { severity: 'warning' }
+      );
+    }
+
+    const delay = Math.min(interval, remaining);
+    const delayText = delay < 60000 ? `${Math.ceil(delay / 1000)} s` : `${Math.ceil(delay / 60000)} min`;
+    console.log(`⏳ /${folder}/ not published yet - checking again in ${delayText}`);
+    await new Promise(resolve => setTimeout(resolve, delay));
+    interval = Math.min(interval * 2, POLL_MAX_INTERVAL * 1000);
+  }
+
+  await sendAlert(
+    "CDR Files Missing After Deadline",
+    `/${folder}/ still has no CDR files at the ${source.type} source at ${deadlineText} ` +
+    `after ${wait.polls} checks` + (wait.lastError ? `; last error: ${wait.lastError}` : '') +
+    `. Contact VoIP Innovations; the next daily run catches the folder up once it is published.`,
+    { severity: 'critical' }
+  );
+  return wait;
+}
+
+// Dated folders (YYYYMMDD) under ./cdrs not already handled by this run
+function listLeftoverFolders(handled) {
+  return fs.readdirSync(CDR_DIRECTORY)
+    .filter(name => /^\d{8}$/.test(name) && !handled.has(name))
+    .filter(name => fs.statSync(path.join(CDR_DIRECTORY, name)).isDirectory())
+    .sort();
+}
+
+// Remove a dated directory once every file in it has been loaded
+function removeIfEmpty(directory) {
+  try {
+    if (directory) fs.rmdirSync(directory);
+  } catch (e) {
+    // Directory not empty (failed or skipped files remain), ignore
+  }
+}
+
+module.exports = daily;
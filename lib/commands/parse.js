@@ -0,0 +1,63 @@
+/**
+ * tbssync parse
+ * Parses and cleans a single .CDR file without writing anything, for
+ * inspecting vendor data. With --json the cleaned records and the rows that
+ * failed validation are included.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseCDRFile, readCDRHeader } = require('../parser');
+const { checkCDRHeader, describeSchemaDrift } = require('../schema');
+const { processAndCleanCDRs } = require('../processor');
+const { UsageError } = require('../cli');
+
+async function parse(positionals) {
+  const filePath = positionals[0];
+
+  if (!filePath) {
+    throw new UsageError('parse requires a .CDR file');
+  }
+  if (!fs.existsSync(filePath) || !fs.statSync(filePath).isFile()) {
+    throw new UsageError(`File not found: ${filePath}`);
+  }
+
+  const schema = checkCDRHeader(await readCDRHeader(filePath));
+  if (schema.version === null) {
+    console.warn(`⚠️  Header differs from CDR schema version ${schema.expectedVersion}: ${describeSchemaDrift(schema)}`);
+  }
+
+  const parsedCDRs = parseCDRFile(filePath);
+  const { processedRecords, processingStats, invalidNumbers, invalidPhoneNumbers, validation, jurisdiction, rejects } = await processAndCleanCDRs(parsedCDRs);
+
+  const summary = {
+    command: 'parse',
+    file: path.basename(filePath),
+    status: parsedCDRs.length ? 'success' : 'no-data',
+    schema,
+    totals: {
+      parsedRecords: parsedCDRs.length,
+      processedRecords: processedRecords.length,
+      tenDigitNumbers: processingStats.tenDigitNumbers,
+      serviceNumbers: processingStats.serviceNumbers,
+      internationalNumbers: processingStats.internationalNumbers,
+      invalidNumbers,
+      rejectedRecords: validation.rejected,
+      jurisdictionMismatches: jurisdiction.mismatches,
+      validation: validation.rules
+    },
+    invalidPhoneNumbers,
+    rejects: rejects.map(({ line, failures }) => ({ line, failures })),
+    records: processedRecords
+  };
+
+  // The pipeline would refuse to load this file
+  if (schema.missingRequired.length) {
+    summary.status = 'failed';
+    summary.error = `CDR format changed: missing ${schema.missingRequired.join(', ')}`;
+  }
+
+  return summary;
+}
+
+module.exports = parse;
@@ -0,0 +1,88 @@
+/**
+ * tbssync reconcile <invoice.csv>
+ * Compares the vendor's invoice totals with the loaded calls per day and
+ * call type (see lib/reconcile.js), lists the days over the tolerance and
+ * the files behind them, and writes the full report as CSV or JSON.
+ * Exits partial when anything does not reconcile, so a scheduled run is
+ * noticed.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { RECONCILE_TOLERANCE } = require('../config');
+const {
+  RECONCILE_STATUS, loadInvoice, getLoadedTotals, getLedgerEntries, reconcileInvoice, formatReconciliationCSV
+} = require('../reconcile');
+const { UsageError } = require('../cli');
+
+const FORMATS = ['csv', 'json'];
+
+async function reconcile(positionals, options) {
+  if (!positionals[0]) {
+    throw new UsageError('reconcile requires the invoice CSV file');
+  }
+
+  const format = options.format || 'csv';
+  if (!FORMATS.includes(format)) {
+    throw new UsageError(`--format must be ${FORMATS.join(' or ')}`);
+  }
+
+  let tolerance = RECONCILE_TOLERANCE;
+  if (options.tolerance !== undefined) {
+    tolerance = Number(options.tolerance);
+    if (!(tolerance >= 0)) {
+      throw new UsageError('--tolerance must be a percentage (e.g. 0.5)');
+    }
+  }
+
+  const invoiceFile = path.resolve(positionals[0]);
+  const invoice = loadInvoice(invoiceFile);
+  if (!invoice.length) {
+    console.log(`No invoice lines in ${invoiceFile}`);
+    return { command: 'reconcile', status: 'no-data', invoice: invoiceFile };
+  }
+
+  const period = { from: invoice[0].date, to: invoice[invoice.length - 1].date };
+  console.log(`🧾 Reconciling ${invoiceFile} (${period.from} to ${period.to}, tolerance ${tolerance}%)`);
+
+  const [loaded, ledger] = await Promise.all([
+    getLoadedTotals(period.from, period.to),
+    getLedgerEntries(period.from, period.to)
+  ]);
+  const { rows, files, totals } = reconcileInvoice({ invoice, loaded, ledger, tolerance });
+
+  const flagged = rows.filter(row => row.Status !== RECONCILE_STATUS.MATCHED);
+  if (flagged.length) {
+    console.log(`\n⚠️  Days and call types that do not reconcile:`);
+    flagged.forEach(row => {
+      console.log(`  ${row.Date} ${row.CallType}: ${row.Status}, invoiced ${row.InvoicedAmount} ` +
+        `(${row.InvoicedCalls ?? '?'} calls, ${row.InvoicedSeconds ?? '?'}s), loaded ${row.LoadedAmount} ` +
+        `(${row.LoadedCalls} calls, ${row.LoadedSeconds}s)${row.Files ? ` from ${row.Files}` : ''}`);
+    });
+  }
+  if (files.length) {
+    console.log(`\n📁 Files to check:`);
+    files.forEach(issue => {
+      console.log(`  ${issue.issue}: ${issue.file || `(${issue.date})`} - ${issue.detail}`);
+    });
+  }
+
+  const output = path.resolve(options.output ||
+    `reconcile_${period.from.replace(/-/g, '')}_${period.to.replace(/-/g, '')}.${format}`);
+  fs.writeFileSync(output, format === 'csv'
+    ? formatReconciliationCSV(rows)
+    : JSON.stringify({ invoice: invoiceFile, period, tolerance, totals, rows, files }, null, 2) + '\n');
+  console.log(`✅ ${rows.length} days and call types reconciled, ${flagged.length} flagged; report written to ${output}`);
+
+  return {
+    command: 'reconcile',
+    status: flagged.length || files.length ? 'partial' : 'success',
+    invoice: invoiceFile,
+    period,
+    file: output,
+    totals,
+    issues: files
+  };
+}
+
+module.exports = reconcile;
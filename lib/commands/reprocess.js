@@ -0,0 +1,36 @@
+/**
+ * tbssync reprocess
+ * Loads .CDR files already on disk: a single file or every file in a directory.
+ * The files are the operator's own, so they are left where they are.
+ */
+
+const fs = require('fs');
+const { CDR_DIRECTORY, ensureDirectories } = require('../config');
+const { processCDRFile, processCDRDirectory } = require('../pipeline');
+const { UsageError, overallStatus, summarizeFiles } = require('../cli');
+
+async function reprocess(positionals, options) {
+  const target = positionals[0] || CDR_DIRECTORY;
+
+  if (!fs.existsSync(target)) {
+    throw new UsageError(`File or directory not found: ${target}`);
+  }
+
+  ensureDirectories();
+
+  console.log('🚀 Processing existing CDR files with enhanced service number support...\n');
+
+  const files = fs.statSync(target).isDirectory()
+    ? await processCDRDirectory(target, options)
+    : [await processCDRFile(target, options)];
+
+  return {
+    command: 'reprocess',
+    target,
+    status: overallStatus(files.map(r => r.status)),
+    totals: summarizeFiles(files),
+    files
+  };
+}
+
+module.exports = reprocess;
@@ -0,0 +1,67 @@
+/**
+ * tbssync usage
+ * Exports a billing period's usage per customer, call type and service code
+ * from the usage rollups (see lib/usage.js), as CSV or JSON for the
+ * invoicing system.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseDateArg } = require('../dates');
+const { refreshUsage, getUsageSummary, totalUsage, formatUsageCSV } = require('../usage');
+const { UsageError } = require('../cli');
+
+const FORMATS = ['csv', 'json'];
+
+async function usage(positionals, options) {
+  if (!options.from) {
+    throw new UsageError('usage requires --from <YYYY-MM-DD>');
+  }
+
+  const from = options.from;
+  const to = options.to || options.from;
+  if (!parseDateArg(from) || !parseDateArg(to)) {
+    throw new UsageError('Invalid date format. Use YYYY-MM-DD');
+  }
+  if (from > to) {
+    throw new UsageError('Start date must be before or equal to end date');
+  }
+
+  const format = options.format || 'csv';
+  if (!FORMATS.includes(format)) {
+    throw new UsageError(`--format must be ${FORMATS.join(' or ')}`);
+  }
+
+  let customerId;
+  if (options.customer !== undefined) {
+    if (!/^\d+$/.test(options.customer)) {
+      throw new UsageError('--customer must be a CustomerId');
+    }
+    customerId = Number(options.customer);
+  }
+
+  if (options.refresh) {
+    const rows = await refreshUsage(from, to);
+    console.log(`📈 Rebuilt usage rollups for ${from} to ${to}: ${rows} daily rows`);
+  }
+
+  const period = { from, to };
+  const rows = await getUsageSummary({ ...period, customerId });
+  const totals = totalUsage(rows);
+
+  const output = path.resolve(options.output || `usage_${from.replace(/-/g, '')}_${to.replace(/-/g, '')}.${format}`);
+  fs.writeFileSync(output, format === 'csv'
+    ? formatUsageCSV(rows, period)
+    : JSON.stringify({ period, customerId: customerId ?? null, totals, rows }, null, 2) + '\n');
+  console.log(`✅ ${rows.length} usage rows for ${totals.customers} customers written to ${output}`);
+
+  return {
+    command: 'usage',
+    status: rows.length ? 'success' : 'no-data',
+    period,
+    file: output,
+    totals
+  };
+}
+
+module.exports = usage;
@@ -0,0 +1,116 @@
+/**
+ * tbssync verify
+ * Checks that the configuration is complete and that the database, CDR
+ * source and SMTP server accept our credentials.
+ */
+
+const { verifyDatabaseConnection } = require('../writer');
+const { SOURCE_SETTINGS, getSourceType, createCDRSource } = require('../source');
+const { verifySMTP, describeAlertSinks } = require('../alerter');
+const { getTimeZoneSettings } = require('../time');
+const { getValidationRules, VALIDATION_RULES } = require('../validation');
+const { getServiceCodes } = require('../serviceNumbers');
+const { getExchanges } = require('../jurisdiction');
+const { getCustomerMap, createCustomerAttributor } = require('../attribution');
+const { getRatePlans } = require('../rating');
+const { overallStatus } = require('../cli');
+
+const REQUIRED_SETTINGS = {
+  database: ['DB_USER', 'DB_PASSWORD', 'DB_SERVER', 'DB_DATABASE']
+};
+
+async function runCheck(name, fn) {
+  try {
+    await fn();
+    console.log(`✅ ${name}: OK`);
+    return { name, status: 'success' };
+  } catch (err) {
+    console.error(`❌ ${name}: ${err.message}`);
+    return { name, status: 'failed', error: err.message };
+  }
+}
+
+async function verify(positionals, options) {
+  const checks = [];
+  const sourceType = getSourceType();
+
+  Object.entries({ ...REQUIRED_SETTINGS, [sourceType]: SOURCE_SETTINGS[sourceType] || [] }).forEach(([group, keys]) => {
+    const missing = keys.filter(key => !process.env[key]);
+    if (missing.length) {
+      console.error(`❌ ${group} settings: missing ${missing.join(', ')}`);
+      checks.push({ name: `${group} settings`, status: 'failed', error: `Missing ${missing.join(', ')}` });
+    } else {
+      console.log(`✅ ${group} settings: OK`);
+      checks.push({ name: `${group} settings`, status: 'success' });
+    }
+  });
+
+  checks.push(await runCheck('timezone settings', async () => {
+    const { sourceTimeZone, targetTimeZone } = getTimeZoneSettings();
+    console.log(`   CDR timestamps read as ${sourceTimeZone}, stored as ${targetTimeZone}`);
+  }));
+
+  checks.push(await runCheck('validation rules', async () => {
+    const rules = getValidationRules();
+    const changed = rules.filter(rule => VALIDATION_RULES.find(r => r.id === rule.id).severity !== rule.severity);
+    const off = VALIDATION_RULES.length - rules.length;
+    console.log(`   ${rules.length} rules active` +
+      (changed.length ? `; ${changed.map(rule => `${rule.id}=${rule.severity}`).join(', ')}` : '') +
+      (off ? `; ${off} turned off` : ''));
+  }));
+
+  checks.push(await runCheck('service codes', async () => {
+    const serviceCodes = getServiceCodes();
+    const overrides = serviceCodes.filter(serviceCode => Object.keys(serviceCode.customers).length);
+    console.log(`   ${serviceCodes.length} codes: ${serviceCodes.map(serviceCode => serviceCode.code).join(', ')}` +
+      (overrides.length ? `; customer overrides for ${overrides.map(serviceCode => serviceCode.code).join(', ')}` : ''));
+  }));
+
+  checks.push(await runCheck('exchange data', async () => {
+    const exchanges = getExchanges();
+    console.log(exchanges
+      ? `   ${exchanges.size} exchanges from ${process.env.CDR_EXCHANGE_FILE}`
+      : '   CDR_EXCHANGE_FILE not set - same-state calls are labelled intrastate');
+  }));
+
+  if (options.noDb || options.dryRun) {
+    checks.push({ name: 'database connection', status: 'skipped' });
+    checks.push({ name: 'customer map', status: 'skipped' });
+    checks.push({ name: 'rate plans', status: 'skipped' });
+  } else {
+    checks.push(await runCheck('database connection', verifyDatabaseConnection));
+    checks.push(await runCheck('customer map', async () => {
+      const entries = await getCustomerMap();
+      const attributor = createCustomerAttributor(entries);
+      const customers = new Set(entries.map(entry => entry.customerId));
+      console.log(`   ${attributor.size} entries for ${customers.size} customers` +
+        (attributor.size < entries.length ? `; ${entries.length - attributor.size} ignored` : ''));
+    }));
+    checks.push(await runCheck('rate plans', async () => {
+      const { assignments, rates } = await getRatePlans();
+      const plans = new Set(rates.map(rate => rate.ratePlanId));
+      const customers = new Set(assignments.map(assignment => assignment.customerId));
+      console.log(`   ${rates.length} rates in ${plans.size} plans, assigned to ${customers.size} customers`);
+    }));
+  }
+
+  checks.push(await runCheck(`${sourceType} source`, () => createCDRSource(sourceType).verify()));
+
+  describeAlertSinks().filter(sink => sink.configured).forEach(sink => {
+    console.log(`   Alerts: ${sink.name} receives ${sink.minSeverity} and above`);
+  });
+
+  if (process.env.ALERT_EMAIL_ENABLED === 'false' || process.env.ALERTS_ENABLED === 'false') {
+    checks.push({ name: 'SMTP connection', status: 'skipped' });
+  } else {
+    checks.push(await runCheck('SMTP connection', verifySMTP));
+  }
+
+  return {
+    command: 'verify',
+    status: overallStatus(checks.map(c => c.status)),
+    checks
+  };
+}
+
+module.exports = verify;
@@ -0,0 +1,76 @@
+/**
+ * Configuration
+ * Database settings and working directories shared by all CDR entry scripts.
+ */
+
+require('dotenv').config();
+const fs = require('fs');
+
+const dbconfig = {
+  user: process.env.DB_USER,
+  password: process.env.DB_PASSWORD,
+  server: process.env.DB_SERVER,
+  database: process.env.DB_DATABASE,
+  requestTimeout: parseInt(process.env.DB_REQUEST_TIMEOUT) || 300000,
+  options: {
+    encrypt: process.env.DB_ENCRYPT === 'true',
+    trustServerCertificate: process.env.DB_TRUST_SERVER_CERTIFICATE === 'true',
+  },
+};
+
+// Downloaded CDR files and processed JSON backups
+const CDR_DIRECTORY = './cdrs';
+const BACKUP_DIRECTORY = './bak';
+
+// Loaded source files are moved here instead of deleted when set
+const ARCHIVE_DIRECTORY = process.env.CDR_ARCHIVE_DIRECTORY || null;
+
+// Truncated files are moved here, by source folder, instead of being loaded
+const QUARANTINE_DIRECTORY = process.env.CDR_QUARANTINE_DIRECTORY || './quarantine';
+
+// Rows parsed, backed up and sent to VI_StoreCDRs at a time while streaming a file
+const BATCH_SIZE = Math.max(1, parseInt(process.env.CDR_BATCH_SIZE) || 5000);
+
+// Times a batch is resent after a transient database error (deadlock, timeout, ...)
+const BATCH_RETRIES = Math.max(0, parseInt(process.env.CDR_BATCH_RETRIES ?? '3') || 0);
+
+// Files loaded at once by processCDRDirectory (each uses one pooled connection)
+const FILE_CONCURRENCY = Math.max(1, parseInt(process.env.CDR_FILE_CONCURRENCY) || 1);
+
+// Days before today that tbssync daily checks for folders it has not loaded (0 turns catch-up off)
+const CATCHUP_DAYS = Math.max(0, parseInt(process.env.CDR_CATCHUP_DAYS ?? '7') || 0);
+
+// tbssync daily --wait: poll for today's folder until this local time (HH:MM),
+// first after POLL_INTERVAL seconds, doubling up to POLL_MAX_INTERVAL
+const WAIT_DEADLINE = process.env.CDR_WAIT_DEADLINE || '12:00';
+const POLL_INTERVAL = Math.max(1, parseInt(process.env.CDR_POLL_INTERVAL) || 300);
+const POLL_MAX_INTERVAL = Math.max(POLL_INTERVAL, parseInt(process.env.CDR_POLL_MAX_INTERVAL) || 1800);
+
+// tbssync reconcile: percent of an invoiced figure a loaded day and call type may differ by
+const RECONCILE_TOLERANCE = Math.max(0, parseFloat(process.env.CDR_RECONCILE_TOLERANCE ?? '0.5') || 0);
+
+// Create directories if they don't exist
+function ensureDirectories() {
+  [CDR_DIRECTORY, BACKUP_DIRECTORY, ARCHIVE_DIRECTORY].filter(Boolean).forEach(directory => {
+    if (!fs.existsSync(directory)) {
+      fs.mkdirSync(directory, { recursive: true });
+    }
+  });
+}
+
+module.exports = {
+  dbconfig,
+  CDR_DIRECTORY,
+  BACKUP_DIRECTORY,
+  ARCHIVE_DIRECTORY,
+  QUARANTINE_DIRECTORY,
+  BATCH_SIZE,
+  BATCH_RETRIES,
+  FILE_CONCURRENCY,
+  CATCHUP_DAYS,
+  WAIT_DEADLINE,
+  POLL_INTERVAL,
+  POLL_MAX_INTERVAL,
+  RECONCILE_TOLERANCE,
+  ensureDirectories
+};
@@ -0,0 +1,221 @@
+/**
+ * Country calling codes
+ * ITU-T E.164 country codes mapped to ISO 3166-1 alpha-2 countries, and the
+ * NANP area codes that belong to countries other than the United States.
+ */
+
+/**
+ * Country calling code → ISO country. Codes are prefix-free, so reading one
+ * to three leading digits finds at most one match. Where a code is shared the
+ * country that owns most of it is given (7 → RU, not KZ; 44 → GB, not the
+ * Channel Islands); null marks non-geographic codes (satellite, international
+ * networks and freephone).
+ *
+ * @constant {Object<string, string|null>} COUNTRY_CALLING_CODES
+ */
+const COUNTRY_CALLING_CODES = {
+  '1': 'US', '7': 'RU',
+  '20': 'EG', '211': 'SS', '212': 'MA', '213': 'DZ', '216': 'TN', '218': 'LY', '220': 'GM',
+  '221': 'SN', '222': 'MR', '223': 'ML', '224': 'GN', '225': 'CI', '226': 'BF', '227': 'NE',
+  '228': 'TG', '229': 'BJ', '230': 'MU', '231': 'LR', '232': 'SL', '233': 'GH', '234': 'NG',
+  '235': 'TD', '236': 'CF', '237': 'CM', '238': 'CV', '239': 'ST', '240': 'GQ', '241': 'GA',
+  '242': 'CG', '243': 'CD', '244': 'AO', '245': 'GW', '246': 'IO', '247': 'AC', '248': 'SC',
+  '249': 'SD', '250': 'RW', '251': 'ET', '252': 'SO', '253': 'DJ', '254': 'KE', '255': 'TZ',
+  '256': 'UG', '257': 'BI', '258': 'MZ', '260': 'ZM', '261': 'MG', '262': 'RE', '263': 'ZW',
+  '264': 'NA', '265': 'MW', '266': 'LS', '267': 'BW', '268': 'SZ', '269': 'KM', '27': 'ZA',
+  '290': 'SH', '291': 'ER', '297': 'AW', '298': 'FO', '299': 'GL',
+  '30': 'GR', '31': 'NL', '32': 'BE', '33': 'FR', '34': 'ES', '350': 'GI', '351': 'PT',
+  '352': 'LU', '353': 'IE', '354': 'IS', '355': 'AL', '356': 'MT', '357': 'CY', '358': 'FI',
+  '359': 'BG', '36': 'HU', '370': 'LT', '371': 'LV', '372': 'EE', '373': 'MD', '374': 'AM',
+  '375': 'BY', '376': 'AD', '377': 'MC', '378': 'SM', '379': 'VA', '380': 'UA', '381': 'RS',
+  '382': 'ME', '383': 'XK', '385': 'HR', '386': 'SI', '387': 'BA', '389': 'MK', '39': 'IT',
+  '40': 'RO', '41': 'CH', '420': 'CZ', '421': 'SK', '423': 'LI', '43': 'AT', '44': 'GB',
+  '45': 'DK', '46': 'SE', '47': 'NO', '48': 'PL', '49': 'DE',
+  '500': 'FK', '501': 'BZ', '502': 'GT', '503': 'SV', '504': 'HN', '505': 'NI', '506': 'CR',
+  '507': 'PA', '508': 'PM', '509': 'HT', '51': 'PE', '52': 'MX', '53': 'CU', '54': 'AR',
+  '55': 'BR', '56': 'CL', '57': 'CO', '58': 'VE', '590': 'GP', '591': 'BO', '592': 'GY',
+  '593': 'EC', '594': 'GF', '595': 'PY', '596': 'MQ', '597': 'SR', '598': 'UY', '599': 'CW',
+  '60': 'MY', '61': 'AU', '62': 'ID', '63': 'PH', '64': 'NZ', '65': 'SG', '66': 'TH',
+  '670': 'TL', '672': 'NF', '673': 'BN', '674': 'NR', '675': 'PG', '676': 'TO', '677': 'SB',
+  '678': 'VU', '679': 'FJ', '680': 'PW', '681': 'WF', '682': 'CK', '683': 'NU', '685': 'WS',
+  '686': 'KI', '687': 'NC', '688': 'TV', '689': 'PF', '690': 'TK', '691': 'FM', '692': 'MH',
+  '800': null, '808': null, '81': 'JP', '82': 'KR', '84': 'VN', '850': 'KP', '852': 'HK',
+  '853': 'MO', '855': 'KH', '856': 'LA', '86': 'CN', '870': null, '878': null, '880': 'BD',
+  '881': null, '882': null, '883': null, '886': 'TW', '888': null,
+  '90': 'TR', '91': 'IN', '92': 'PK', '93': 'AF', '94': 'LK', '95': 'MM', '960': 'MV',
+  '961': 'LB', '962': 'JO', '963': 'SY', '964': 'IQ', '965': 'KW', '966': 'SA', '967': 'YE',
+  '968': 'OM', '970': 'PS', '971': 'AE', '972': 'IL', '973': 'BH', '974': 'QA', '975': 'BT',
+  '976': 'MN', '977': 'NP', '979': null, '98': 'IR', '992': 'TJ', '993': 'TM', '994': 'AZ',
+  '995': 'GE', '996': 'KG', '998': 'UZ'
+};
+
+/**
+ * NANP area codes (NPAs) outside the United States proper: Canada, the
+ * Caribbean members and the US territories with their own ISO code. Any
+ * other NANP number is counted as US.
+ *
+ * @constant {Object<string, string>} NANP_AREA_CODE_COUNTRIES
+ */
+const NANP_AREA_CODE_COUNTRIES = {
+  // Canada
+  ...Object.fromEntries([
+    '204', '226', '236', '249', '250', '257', '263', '289', '306', '343', '354', '365', '367',
+    '368', '382', '387', '403', '416', '418', '428', '431', '437', '438', '450', '460', '468',
+    '474', '506', '514', '519', '548', '579', '581', '584', '587', '600', '604', '613', '639',
+    '647', '672', '683', '705', '709', '742', '753', '778', '780', '782', '807', '819',
+    '825', '867', '873', '879', '902', '905', '942'
+  ].map(npa => [npa, 'CA'])),
+  // Caribbean and Atlantic
+  '242': 'BS', '246': 'BB', '264': 'AI', '268': 'AG', '284': 'VG', '345': 'KY', '441': 'BM',
+  '473': 'GD', '649': 'TC', '658': 'JM', '876': 'JM', '664': 'MS', '721': 'SX', '758': 'LC',
+  '767': 'DM', '784': 'VC', '809': 'DO', '829': 'DO', '849': 'DO', '868': 'TT', '869': 'KN',
+  // US territories
+  '340': 'VI', '670': 'MP', '671': 'GU', '684': 'AS', '787': 'PR', '939': 'PR'
+};
+
+// US area codes by state, from the NANPA area code assignments
+const US_STATE_AREA_CODES = {
+  AL: ['205', '251', '256', '334', '659', '938'],
+  AK: ['907'],
+  AZ: ['480', '520', '602', '623', '928'],
+  AR: ['327', '479', '501', '870'],
+  CA: [
+    '209', '213', '279', '310', '323', '341', '350', '369', '408', '415', '424', '442', '510', '530',
+    '559', '562', '619', '626', '628', '650', '657', '661', '669', '707', '714', '738', '747', '760',
+    '805', '818', '820', '831', '837', '840', '858', '909', '916', '925', '949', '951'
+  ],
+  CO: ['303', '719', '720', '970', '983'],
+  CT: ['203', '475', '860', '959'],
+  DE: ['302'],
+  DC: ['202', '771'],
+  FL: [
+    '239', '305', '321', '324', '352', '386', '407', '448', '561', '645', '656', '689', '727', '728',
+    '754', '772', '786', '813', '850', '863', '904', '941', '954'
+  ],
+  GA: ['229', '404', '470', '478', '678', '706', '762', '770', '912', '943'],
+  HI: ['808'],
+  ID: ['208', '986'],
+  IL: [
+    '217', '224', '309', '312', '331', '447', '464', '618', '630', '708', '730', '773', '779', '815',
+    '847', '861', '872'
+  ],
+  IN: ['219', '260', '317', '463', '574', '765', '812', '930'],
+  IA: ['319', '515', '563', '641', '712'],
+  KS: ['316', '620', '785', '913'],
+  KY: ['270', '364', '502', '606', '859'],
+  LA: ['225', '318', '337', '504', '985'],
+  ME: ['207'],
+  MD: ['227', '240', '301', '410', '443', '667'],
+  MA: ['339', '351', '413', '508', '617', '774', '781', '857', '978'],
+  MI: ['231', '248', '269', '313', '517', '586', '616', '679', '734', '810', '906', '947', '989'],
+  MN: ['218', '320', '507', '612', '651', '763', '924', '952'],
+  MS: ['228', '601', '662', '769'],
+  MO: ['235', '314', '417', '557', '573', '636', '660', '816', '975'],
+  MT: ['406'],
+  NE: ['308', '402', '531'],
+  NV: ['702', '725', '775'],
+  NH: ['603'],
+  NJ: ['201', '551', '609', '640', '732', '848', '856', '862', '908', '973'],
+  NM: ['505', '575'],
+  NY: [
+    '212', '315', '329', '332', '347', '363', '516', '518', '585', '607', '624', '631', '646', '680',
+    '716', '718', '838', '845', '914', '917', '929', '934'
+  ],
+  NC: ['252', '336', '472', '704', '743', '828', '910', '919', '980', '984'],
+  ND: ['701'],
+  OH: [
+    '216', '220', '234', '283', '326', '330', '380', '419', '436', '440', '513', '567', '614', '740',
+    '937'
+  ],
+  OK: ['405', '539', '572', '580', '918'],
+  OR: ['458', '503', '541', '971'],
+  PA: [
+    '215', '223', '267', '272', '412', '445', '484', '570', '582', '610', '717', '724', '814', '835',
+    '878'
+  ],
+  RI: ['401'],
+  SC: ['803', '821', '839', '843', '854', '864'],
+  SD: ['605'],
+  TN: ['423', '615', '629', '731', '865', '901', '931'],
+  TX: [
+    '210', '214', '254', '281', '325', '346', '361', '409', '430', '432', '469', '512', '682', '713',
+    '726', '737', '806', '817', '830', '832', '903', '915', '936', '940', '945', '956', '972', '979'
+  ],
+  UT: ['385', '435', '801'],
+  VT: ['802'],
+  VA: ['276', '434', '540', '571', '686', '703', '757', '804', '826', '948'],
+  WA: ['206', '253', '360', '425', '509', '564'],
+  WV: ['304', '681'],
+  WI: ['262', '274', '353', '414', '534', '608', '715', '920'],
+  WY: ['307']
+};
+
+/**
+ * NANP area code → US state (two-letter postal code), for the area codes of
+ * the United States and its territories (PR, VI, GU, MP, AS, which count as
+ * states for jurisdiction). Used where the vendor leaves ANIState or
+ * DNISState empty; the vendor's state follows the number's LRN and is
+ * preferred when present.
+ *
+ * @constant {Object<string, string>} NANP_AREA_CODE_STATES
+ */
+const NANP_AREA_CODE_STATES = {
+  ...Object.fromEntries(Object.entries(US_STATE_AREA_CODES)
+    .flatMap(([state, npas]) => npas.map(npa => [npa, state]))),
+  '340': 'VI', '670': 'MP', '671': 'GU', '684': 'AS', '787': 'PR', '939': 'PR'
+};
+
+/**
+ * Finds the country calling code a string of international digits starts with.
+ *
+ * @param {string} digits - Number without its international prefix, e.g. '497044908814'
+ * @returns {{code: string, country: string|null}|null} The code and its country, or null if none is assigned
+ *
+ * @example
+ * findCountryCallingCode('497044908814') // { code: '49', country: 'DE' }
+ * findCountryCallingCode('61408127108')  // { code: '61', country: 'AU' }
+ */
+function findCountryCallingCode(digits) {
+  for (let length = 1; length <= 3; length++) {
+    const code = digits.slice(0, length);
+    if (Object.prototype.hasOwnProperty.call(COUNTRY_CALLING_CODES, code)) {
+      return { code, country: COUNTRY_CALLING_CODES[code] };
+    }
+  }
+  return null;
+}
+
+/**
+ * Country of a 10-digit NANP number, from its area code.
+ *
+ * @param {string} number - 10-digit NANP number
+ * @returns {string} ISO country, 'US' unless the area code is listed in NANP_AREA_CODE_COUNTRIES
+ */
+function getNANPCountry(number) {
+  return NANP_AREA_CODE_COUNTRIES[number.slice(0, 3)] || 'US';
+}
+
+/**
+ * US state of a 10-digit NANP number, from its area code.
+ *
+ * @param {string} number - 10-digit NANP number
+ * @returns {string|null} Postal code of the state or territory, null outside the US or for
+ *   non-geographic area codes (toll-free, 5XX)
+ *
+ * @example
+ * getNANPState('8314240641') // 'CA'
+ * getNANPState('7875551234') // 'PR'
+ * getNANPState('4165551234') // null (Toronto)
+ */
+function getNANPState(number) {
+  return NANP_AREA_CODE_STATES[number.slice(0, 3)] || null;
+}
+
+module.exports = {
+  COUNTRY_CALLING_CODES,
+  NANP_AREA_CODE_COUNTRIES,
+  NANP_AREA_CODE_STATES,
+  findCountryCallingCode,
+  getNANPCountry,
+  getNANPState
+};
@@ -0,0 +1,66 @@
+/**
+ * Date helpers
+ * Folder naming and date range utilities for dated CDR batches.
+ */
+
+// Format date for folder name (YYYYMMDD)
+function formatDateForFolder(date) {
+  const yyyy = date.getFullYear();
+  const mm = String(date.getMonth() + 1).padStart(2, "0");
+  const dd = String(date.getDate()).padStart(2, "0");
+  return yyyy + mm + dd;
+}
+
+/**
+ * Parses a YYYY-MM-DD argument as a local calendar date.
+ *
+ * `new Date('2025-01-13')` is UTC midnight, which lands on the previous day
+ * for hosts west of Greenwich, so the components are read explicitly.
+ *
+ * @param {string} value - Date in YYYY-MM-DD format
+ * @returns {Date|null} Local midnight of that date, or null if invalid
+ */
+function parseDateArg(value) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value || '');
+  if (!match) return null;
+
+  const date = new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+  if (date.getMonth() !== Number(match[2]) - 1) return null;
+  return date;
+}
+
+/**
+ * Resolves a time of day (HH:MM, 24-hour, host local time) to that time today.
+ *
+ * @param {string} value - e.g. '10:30'
+ * @param {Date} [now=new Date()] - Day to resolve against
+ * @returns {Date|null} The moment today, or null if invalid
+ */
+function parseTimeOfDay(value, now = new Date()) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(value || '');
+  if (!match || Number(match[1]) > 23 || Number(match[2]) > 59) return null;
+
+  const time = new Date(now);
+  time.setHours(Number(match[1]), Number(match[2]), 0, 0);
+  return time;
+}
+
+// Generate date range
+function getDateRange(start, end) {
+  const dates = [];
+  const current = new Date(start);
+
+  while (current <= end) {
+    dates.push(new Date(current));
+    current.setDate(current.getDate() + 1);
+  }
+
+  return dates;
+}
+
+module.exports = {
+  formatDateForFolder,
+  parseDateArg,
+  parseTimeOfDay,
+  getDateRange
+};
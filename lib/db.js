@@ -0,0 +1,50 @@
+/**
+ * Database connection pool
+ * One mssql ConnectionPool shared by the writer and the ledger for the life
+ * of a run. Never use the global sql.connect()/sql.close(): closing the
+ * global pool in one call kills requests still running in another.
+ */
+
+const sql = require('mssql');
+const { dbconfig } = require('./config');
+
+let poolPromise = null;
+
+/**
+ * Returns the shared connection pool, connecting on first use.
+ * A failed connection is not cached, so the next call tries again.
+ *
+ * @returns {Promise<sql.ConnectionPool>}
+ */
+function getPool() {
+  if (!poolPromise) {
+    poolPromise = new sql.ConnectionPool(dbconfig).connect().catch(err => {
+      poolPromise = null;
+      throw err;
+    });
+  }
+  return poolPromise;
+}
+
+/**
+ * Closes the shared pool, if one was opened. Called once at the end of a run.
+ *
+ * @returns {Promise<void>}
+ */
+async function closePool() {
+  if (!poolPromise) return;
+
+  const pending = poolPromise;
+  poolPromise = null;
+  try {
+    const pool = await pending;
+    await pool.close();
+  } catch (err) {
+    // Connection never opened; nothing to close
+  }
+}
+
+module.exports = {
+  getPool,
+  closePool
+};
@@ -0,0 +1,477 @@
+/**
+ * VoIP Innovations FTP client
+ * Connects to the CDR FTP server and downloads a dated CDR folder. Used by
+ * the FTP source (lib/sources/ftp.js).
+ *
+ * The server's certificate is always validated: against the system CAs, or
+ * the bundle in FTP_CA_FILE, and its host name against FTP_HOST. Set
+ * FTP_CERT_SHA256 to also pin the certificate's fingerprint. A rejected or
+ * changed certificate refuses the connection and raises a critical alert.
+ *
+ * The fingerprint of every accepted certificate is kept in
+ * FTP_CERT_STATE_FILE, so a certificate that still validates but differs
+ * from the one seen on the last connection raises a warning, pinned or not.
+ */
+
+const ftp = require('basic-ftp');
+const fs = require('fs');
+const path = require('path');
+const tls = require('tls');
+const { sendAlert } = require('./alerter');
+const { isCDRFile, downloadVerified } = require('./sources/common');
+
+// Node error codes for a certificate that failed validation
+const CERTIFICATE_ERRORS = [
+  'CERT_HAS_EXPIRED',
+  'CERT_NOT_YET_VALID',
+  'CERT_UNTRUSTED',
+  'DEPTH_ZERO_SELF_SIGNED_CERT',
+  'SELF_SIGNED_CERT_IN_CHAIN',
+  'UNABLE_TO_GET_ISSUER_CERT',
+  'UNABLE_TO_GET_ISSUER_CERT_LOCALLY',
+  'UNABLE_TO_VERIFY_LEAF_SIGNATURE',
+  'ERR_TLS_CERT_ALTNAME_INVALID',
+  'ERR_FTP_CERT_PIN'
+];
+
+// Certificate problems already alerted this run, so retries do not repeat them
+const alertedCertificates = new Set();
+
+// Last certificate accepted from each FTP host
+const DEFAULT_CERT_STATE_FILE = './state/ftp-certificates.json';
+
+function normalizeFingerprint(value) {
+  return value.trim().replace(/^sha256:/i, '').replace(/:/g, '').toUpperCase();
+}
+
+/**
+ * Fingerprints accepted from FTP_CERT_SHA256: comma-separated SHA-256
+ * fingerprints, hex with or without colons (as `openssl x509 -fingerprint
+ * -sha256` prints them). List the old and new certificates during a renewal.
+ *
+ * @returns {string[]} Normalized fingerprints; empty when pinning is off
+ */
+function pinnedFingerprints() {
+  return (process.env.FTP_CERT_SHA256 || '').split(',').map(normalizeFingerprint).filter(Boolean);
+}
+
+/**
+ * Builds the TLS options for the control and data connections.
+ *
+ * @returns {tls.ConnectionOptions}
+ */
+function tlsOptions() {
+  const options = {
+    rejectUnauthorized: true,
+    servername: process.env.FTP_HOST
+  };
+
+  if (process.env.FTP_CA_FILE) {
+    // Replaces the system CAs; include the full chain for the vendor's certificate
+    options.ca = fs.readFileSync(process.env.FTP_CA_FILE);
+  }
+
+  const pins = pinnedFingerprints();
+  if (pins.length) {
+    options.checkServerIdentity = (host, cert) => {
+      const err = tls.checkServerIdentity(host, cert);
+      if (err) return err;
+
+      if (!pins.includes(normalizeFingerprint(cert.fingerprint256))) {
+        const pinError = new Error(`Certificate SHA256 ${cert.fingerprint256} does not match FTP_CERT_SHA256`);
+        pinError.code = 'ERR_FTP_CERT_PIN';
+        pinError.cert = cert;
+        return pinError;
+      }
+      return undefined;
+    };
+  }
+
+  return options;
+}
+
+function describeCertificate(cert) {
+  if (!cert || !cert.fingerprint256) return 'Certificate details unavailable.';
+
+  const name = entity => entity ? Object.entries(entity).map(([key, value]) => `${key}=${value}`).join(', ') : 'unknown';
+  return [
+    `SHA256 fingerprint: ${cert.fingerprint256}`,
+    `Subject: ${name(cert.subject)}`,
+    `Issuer: ${name(cert.issuer)}`,
+    `Valid: ${cert.valid_from} to ${cert.valid_to}`
+  ].join('\n');
+}
+
+/**
+ * Reads the certificate the server presents without trusting it or logging
+ * in, for the alert when validation fails. Resolves null if none can be read.
+ *
+ * @param {Object} options - basic-ftp access options of the failed connection
+ * @returns {Promise<Object|null>} Peer certificate
+ */
+async function probeCertificate(options) {
+  const client = new ftp.Client(10000);
+  client.ftp.ipFamily = 4;
+  const secureOptions = { rejectUnauthorized: false, servername: process.env.FTP_HOST };
+
+  try {
+    if (options.secure === 'implicit') {
+      await client.connectImplicitTLS(process.env.FTP_HOST, options.port || 990, secureOptions);
+    } else {
+      await client.connect(process.env.FTP_HOST, options.port || 21);
+      await client.useTLS(secureOptions);
+    }
+    return client.ftp.socket.getPeerCertificate();
+  } catch (err) {
+    return null;
+  } finally {
+    client.close();
+  }
+}
+
+/**
+ * Alerts once per run about a certificate that failed validation or pinning.
+ *
+ * @param {Error} err - TLS error with a code from CERTIFICATE_ERRORS
+ * @param {Object} options - basic-ftp access options of the failed connection
+ * @returns {Promise<void>}
+ */
+async function alertCertificateError(err, options) {
+  const cert = err.cert || await probeCertificate(options);
+  const key = `${err.code}|${cert && cert.fingerprint256}`;
+  if (alertedCertificates.has(key)) return;
+  alertedCertificates.add(key);
+
+  if (err.code === 'ERR_FTP_CERT_PIN') {
+    await sendAlert(
+      'FTP Server Certificate Changed',
+      `${process.env.FTP_HOST} presented a certificate that does not match FTP_CERT_SHA256, so the connection was refused.\n` +
+      `${describeCertificate(cert)}\n` +
+      `If VoIP Innovations renewed its certificate, confirm the new fingerprint with them before adding it to FTP_CERT_SHA256.`,
+      { severity: 'critical' }
+    );
+  } else {
+    await sendAlert(
+      'FTP Server Certificate Rejected',
+      `${process.env.FTP_HOST} presented a certificate that failed validation (${err.code}: ${err.message}), so the connection was refused.\n` +
+      `${describeCertificate(cert)}\n` +
+      `If this is the vendor's certificate, add its CA to FTP_CA_FILE.`,
+      { severity: 'critical' }
+    );
+  }
+}
+
+/**
+ * Records the certificate a host presented and compares it with the one
+ * recorded on the previous connection.
+ *
+ * @param {string} host - FTP_HOST
+ * @param {Object} cert - Peer certificate
+ * @param {string} [file] - State file; defaults to FTP_CERT_STATE_FILE
+ * @returns {{first: boolean, previous: Object|null}} previous is the earlier
+ *   record ({fingerprint256, description, seenAt}) when the certificate changed
+ * @throws {Error} When the state file cannot be written
+ */
+function recordCertificate(host, cert, file = process.env.FTP_CERT_STATE_FILE || DEFAULT_CERT_STATE_FILE) {
+  let state = {};
+  try {
+    state = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (err) {
+    // A missing file is the first connection; an unreadable one is started again
+    if (err.code !== 'ENOENT') console.warn(`⚠️  Ignoring unreadable certificate state ${file}: ${err.message}`);
+  }
+
+  const previous = state[host] || null;
+  if (previous && previous.fingerprint256 === cert.fingerprint256) {
+    return { first: false, previous: null };
+  }
+
+  state[host] = {
+    fingerprint256: cert.fingerprint256,
+    description: describeCertificate(cert),
+    seenAt: new Date().toISOString()
+  };
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(state, null, 2) + '\n');
+  return { first: !previous, previous };
+}
+
+/**
+ * Warns when the server's certificate passed validation but is not the one
+ * it presented on the last connection, e.g. a renewal or a new CA. Never
+ * throws: the connection has already been accepted.
+ *
+ * @param {ftp.Client} client - Connected client
+ * @returns {Promise<void>}
+ */
+async function checkCertificateChange(client) {
+  const socket = client.ftp.socket;
+  if (typeof socket.getPeerCertificate !== 'function') return;
+  const cert = socket.getPeerCertificate();
+  if (!cert || !cert.fingerprint256) return;
+
+  let change;
+  try {
+    change = recordCertificate(process.env.FTP_HOST, cert);
+  } catch (err) {
+    console.warn(`⚠️  Could not record the FTP certificate: ${err.message}`);
+    return;
+  }
+
+  if (change.first) {
+    console.log(`🔏 Recorded FTP certificate SHA256 ${cert.fingerprint256}`);
+  }
+  if (change.previous) {
+    console.warn(`⚠️  FTP certificate changed from ${change.previous.fingerprint256} to ${cert.fingerprint256}`);
+    await sendAlert(
+      'FTP Server Certificate Replaced',
+      `${process.env.FTP_HOST} presented a different certificate than on the last connection (${change.previous.seenAt}). ` +
+      `It passed validation${pinnedFingerprints().length ? ' and FTP_CERT_SHA256' : ''}, so the connection went ahead.\n` +
+      `Now:\n${describeCertificate(cert)}\n` +
+      `Before:\n${change.previous.description}\n` +
+      `If VoIP Innovations did not announce a certificate change, confirm the new fingerprint with them.`,
+      { severity: 'warning' }
+    );
+  }
+}
+
+function isCertificateError(err) {
+  return CERTIFICATE_ERRORS.includes(err.code);
+}
+
+/**
+ * Connects and logs in over TLS, alerting when the certificate is refused
+ * or differs from the one accepted on the last connection.
+ *
+ * @param {ftp.Client} client
+ * @param {Object} options - basic-ftp access options (secure, port)
+ * @returns {Promise<void>}
+ * @throws {Error} When the connection fails; certificate errors keep their code
+ */
+async function accessTLS(client, options) {
+  try {
+    await client.access({
+      host: process.env.FTP_HOST,
+      user: process.env.FTP_USER,
+      password: process.env.FTP_PASSWORD,
+      ...options,
+      secureOptions: tlsOptions()
+    });
+  } catch (err) {
+    if (isCertificateError(err)) {
+      console.error(`❌ FTP server certificate refused: ${err.message}`);
+      await alertCertificateError(err, options);
+    }
+    throw err;
+  }
+  await checkCertificateChange(client);
+}
+
+/**
+ * Opens an FTPS connection to the VoIP Innovations CDR server.
+ *
+ * Uses the proven standard FTPS (port 21) method by default. Set
+ * FTP_OPTIMIZED_CONNECTION=false to fall back to trying explicit, implicit
+ * and standard FTPS in turn.
+ *
+ * @param {ftp.Client} client - basic-ftp client to connect
+ * @returns {Promise<void>}
+ * @throws {Error} When no connection method succeeds
+ */
+async function connectFTP(client) {
+  console.log(`Attempting FTP connection to ${process.env.FTP_HOST} (secure: ${process.env.FTP_SECURE})`);
+
+  // Check if optimized connection is enabled (default: true)
+  const useOptimizedConnection = process.env.FTP_OPTIMIZED_CONNECTION !== 'false';
+
+  if (process.env.FTP_SECURE === 'false') {
+    // Plain FTP, for a local test server; the vendor requires FTPS
+    console.log(`⚠️  Connecting without TLS (FTP_SECURE=false)`);
+    await client.access({
+      host: process.env.FTP_HOST,
+      user: process.env.FTP_USER,
+      password: process.env.FTP_PASSWORD,
+      secure: false,
+      port: parseInt(process.env.FTP_PORT) || 21
+    });
+    client.ftp.pasv = true;
+  } else if (useOptimizedConnection) {
+    // Use the proven working connection method directly
+    console.log(`🔐 Connecting using standard FTPS on port 21 (optimized mode)...`);
+
+    try {
+      await accessTLS(client, { secure: true, port: parseInt(process.env.FTP_PORT) || 21 });
+      console.log(`✅ Standard FTPS connection established`);
+
+      // Configure passive mode settings after connection
+      client.ftp.pasv = true; // Enable passive mode
+    } catch (connectionError) {
+      console.error(`❌ FTPS connection failed: ${connectionError.message}`);
+      const error = new Error(`Failed to establish FTPS connection: ${connectionError.message}`);
+      error.code = connectionError.code;
+      throw error;
+    }
+  } else {
+    // Legacy mode: Try multiple connection approaches
+    console.log(`🔐 Using legacy connection mode with multiple attempts...`);
+    let connected = false;
+
+    // Approach 1: Explicit FTPS (STARTTLS on port 21)
+    if (!connected) {
+      try {
+        console.log(`🔐 Trying explicit FTPS (STARTTLS)...`);
+        await accessTLS(client, { secure: "explicit" });
+        console.log(`✅ Explicit FTPS connection established`);
+        connected = true;
+      } catch (explicitError) {
+        // A refused certificate will not be accepted by another method either
+        if (isCertificateError(explicitError)) throw explicitError;
+        console.log(`⚠️  Explicit FTPS failed: ${explicitError.message}`);
+      }
+    }
+
+    // Approach 2: Implicit FTPS (SSL from start, usually port 990)
+    if (!connected) {
+      try {
+        console.log(`🔐 Trying implicit FTPS...`);
+        await accessTLS(client, { secure: true, port: 990 });
+        console.log(`✅ Implicit FTPS connection established`);
+        connected = true;
+      } catch (implicitError) {
+        // A refused certificate will not be accepted by another method either
+        if (isCertificateError(implicitError)) throw implicitError;
+        console.log(`⚠️  Implicit FTPS failed: ${implicitError.message}`);
+      }
+    }
+
+    // Approach 3: Standard FTPS on port 21
+    if (!connected) {
+      try {
+        console.log(`🔐 Trying standard FTPS on port 21...`);
+        await accessTLS(client, { secure: true, port: 21 });
+        console.log(`✅ Standard FTPS connection established`);
+
+        // Configure passive mode settings after connection
+        client.ftp.pasv = true; // Enable passive mode
+        connected = true;
+      } catch (standardError) {
+        // A refused certificate will not be accepted by another method either
+        if (isCertificateError(standardError)) throw standardError;
+        console.log(`⚠️  Standard FTPS failed: ${standardError.message}`);
+      }
+    }
+
+    if (!connected) {
+      throw new Error("All FTPS connection methods failed");
+    }
+  }
+}
+
+/**
+ * Downloads every .CDR file in a dated folder (YYYYMMDD) on the FTP server.
+ * Other files, such as CDRs already acknowledged as <name>.done, are left.
+ *
+ * Each file is written to <name>.part and checked against the size in the
+ * folder listing before it is renamed into place. An interrupted transfer is
+ * resumed with REST from the bytes already received, on a new connection if
+ * the old one dropped; a file that arrives short is quarantined.
+ *
+ * @param {string} folderName - Remote folder name, e.g. '20250113'
+ * @param {string} targetDir - Local directory to download into
+ * @returns {Promise<{directory: string, quarantined: Object[]}|null>} The local
+ *   directory and any quarantined files, or null when the remote folder does not exist
+ * @throws {Error} When the connection or a download fails
+ */
+async function downloadCDRFolder(folderName, targetDir) {
+  const client = new ftp.Client();
+  client.ftp.verbose = false;
+
+  // Configure timeouts and passive mode
+  client.ftp.timeout = 30000; // 30 second timeout
+  client.ftp.ipFamily = 4; // Force IPv4
+
+  const remoteDir = "/" + folderName + "/";
+
+  try {
+    await connectFTP(client);
+
+    console.log(`Connecting to FTP folder: ${remoteDir}`);
+
+    try {
+      await client.cd(remoteDir);
+    } catch (cdError) {
+      console.log(`⚠️  Folder ${remoteDir} not found or inaccessible: ${cdError.message}`);
+      return null;
+    }
+
+    if (!fs.existsSync(targetDir)) {
+      fs.mkdirSync(targetDir, { recursive: true });
+    }
+
+    const entries = (await client.list())
+      .filter(entry => entry.isFile && isCDRFile(entry.name));
+
+    const quarantined = [];
+    for (const entry of entries) {
+      const problem = await downloadVerified(
+        { name: entry.name, size: entry.size },
+        targetDir,
+        (partFile, offset) => client.downloadTo(partFile, entry.name, offset),
+        {
+          folder: folderName,
+          onRetry: async retryCount => {
+            if (client.closed) {
+              console.log(`🔄 Reconnecting to resume ${entry.name}...`);
+              await connectFTP(client);
+              await client.cd(remoteDir);
+            }
+
+            // Try switching to active mode for the last retry
+            if (retryCount === 2) {
+              console.log(`🔄 Switching to active mode for retry...`);
+              client.ftp.pasv = false;
+            }
+          }
+        }
+      );
+      if (problem) quarantined.push(problem);
+    }
+
+    console.log(`✅ Downloaded CDRs from ${remoteDir}`);
+    return { directory: targetDir, quarantined };
+
+  } finally {
+    client.close();
+  }
+}
+
+/**
+ * Opens and closes an FTP connection to confirm credentials and reachability.
+ *
+ * @returns {Promise<void>}
+ * @throws {Error} When the connection fails
+ */
+async function verifyFTPConnection() {
+  const client = new ftp.Client();
+  client.ftp.timeout = 30000;
+  client.ftp.ipFamily = 4;
+
+  try {
+    await connectFTP(client);
+
+    if (typeof client.ftp.socket.getPeerCertificate === 'function') {
+      const cert = client.ftp.socket.getPeerCertificate();
+      console.log(`   FTP certificate SHA256 ${cert.fingerprint256}, valid to ${cert.valid_to}` +
+        (pinnedFingerprints().length ? ' (pinned)' : ''));
+    }
+  } finally {
+    client.close();
+  }
+}
+
+module.exports = {
+  recordCertificate,
+  connectFTP,
+  downloadCDRFolder,
+  verifyFTPConnection
+};
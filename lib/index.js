@@ -0,0 +1,63 @@
+/**
+ * TBSSync CDR processing library
+ * Shared parser, normalizer, statistics, writer and alerter used by the
+ * daily, retroactive and existing-file entry scripts.
+ */
+
+const config = require('./config');
+const serviceNumbers = require('./serviceNumbers');
+const stats = require('./stats');
+const countryCodes = require('./countryCodes');
+const nanp = require('./nanp');
+const jurisdiction = require('./jurisdiction');
+const phoneNumbers = require('./phoneNumbers');
+const time = require('./time');
+const dates = require('./dates');
+const parser = require('./parser');
+const record = require('./record');
+const schema = require('./schema');
+const callKey = require('./callKey');
+const validation = require('./validation');
+const processor = require('./processor');
+const db = require('./db');
+const writer = require('./writer');
+const ledger = require('./ledger');
+const attribution = require('./attribution');
+const rating = require('./rating');
+const usage = require('./usage');
+const reconcile = require('./reconcile');
+const ftp = require('./ftp');
+const source = require('./source');
+const quarantine = require('./quarantine');
+const pipeline = require('./pipeline');
+const alerter = require('./alerter');
+
+module.exports = {
+  ...config,
+  ...serviceNumbers,
+  ...stats,
+  ...countryCodes,
+  ...nanp,
+  ...jurisdiction,
+  ...phoneNumbers,
+  ...time,
+  ...dates,
+  ...parser,
+  ...record,
+  ...schema,
+  ...callKey,
+  ...validation,
+  ...processor,
+  ...db,
+  ...writer,
+  ...ledger,
+  ...attribution,
+  ...rating,
+  ...usage,
+  ...reconcile,
+  ...ftp,
+  ...source,
+  ...quarantine,
+  ...pipeline,
+  ...alerter
+};
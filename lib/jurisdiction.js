@@ -0,0 +1,252 @@
+/**
+ * Call jurisdiction
+ * Labels each call interstate, intrastate, intraLATA, local, toll-free or
+ * international from its own numbers, states and LATA, instead of trusting
+ * the vendor's CallType, and counts the calls where the two disagree.
+ *
+ * States come from the CDR's ANIState/DNISState, or the NANP area code when
+ * the vendor leaves them empty. Telling intraLATA and local calls apart
+ * needs the LATA and rate center of each exchange, read from the file named
+ * by CDR_EXCHANGE_FILE (an NPA-NXX extract such as the LERG); without it
+ * every same-state call is intrastate.
+ */
+
+const fs = require('fs');
+const Papa = require('papaparse');
+const { getNANPState } = require('./countryCodes');
+const { NANP_CATEGORIES } = require('./nanp');
+
+/**
+ * Jurisdiction labels, stored in cdr_detail.Jurisdiction.
+ *
+ * @constant {Object<string, string>} JURISDICTIONS
+ */
+const JURISDICTIONS = {
+  INTERSTATE: 'interstate',
+  INTRASTATE: 'intrastate',        // Same state, different LATAs (or LATA unknown)
+  INTRALATA: 'intraLATA',          // Same LATA, different rate centers
+  LOCAL: 'local',                  // Same rate center
+  TOLL_FREE: 'toll-free',          // Call to a toll-free number
+  INTERNATIONAL: 'international'   // Either end outside the US and its territories
+};
+
+// Countries whose calls are domestic: the US and the territories that share
+// its numbering plan and are rated as states
+const DOMESTIC_COUNTRIES = ['US', 'PR', 'VI', 'GU', 'MP', 'AS'];
+
+// Labels the vendor's intrastate call types cover
+const INTRASTATE_FAMILY = [JURISDICTIONS.INTRASTATE, JURISDICTIONS.INTRALATA, JURISDICTIONS.LOCAL];
+
+/**
+ * The jurisdiction a vendor CallType states, if any.
+ *
+ * @param {string} callType - e.g. 'TERM_INTRASTATE'
+ * @returns {string|null} A JURISDICTIONS value, or null for call types that do not
+ *   state one (Orig-Tiered, Registered 911)
+ *
+ * @example
+ * getVendorJurisdiction('TERM_INTERSTATE')    // 'interstate'
+ * getVendorJurisdiction('TERM_EXT_US_INTER')  // 'international' (Canada and the Caribbean)
+ * getVendorJurisdiction('800OrigE')           // 'toll-free'
+ * getVendorJurisdiction('Orig-Tiered')        // null
+ */
+function getVendorJurisdiction(callType) {
+  const type = callType || '';
+  if (/INTRASTATE/i.test(type)) return JURISDICTIONS.INTRASTATE;
+  if (/INTERSTATE/i.test(type)) return JURISDICTIONS.INTERSTATE;
+  if (/INTL|_INTER$/i.test(type)) return JURISDICTIONS.INTERNATIONAL;
+  if (/^8\d\dOrig/i.test(type)) return JURISDICTIONS.TOLL_FREE;
+  if (/LOCAL/i.test(type)) return JURISDICTIONS.LOCAL;
+  return null;
+}
+
+/**
+ * Whether our label agrees with the vendor's. The vendor only says
+ * intrastate, so intraLATA and local calls agree with it (and with its
+ * local SMS types). Calls we label toll-free are terminated by the vendor
+ * as TERM_INTRASTATE or TERM_INTERSTATE, so those agree too.
+ *
+ * @param {string} ours - A JURISDICTIONS value
+ * @param {string} vendor - A JURISDICTIONS value from getVendorJurisdiction
+ * @returns {boolean}
+ */
+function jurisdictionsAgree(ours, vendor) {
+  if (ours === vendor) return true;
+  if (ours === JURISDICTIONS.TOLL_FREE) {
+    return vendor === JURISDICTIONS.INTRASTATE || vendor === JURISDICTIONS.INTERSTATE;
+  }
+  return INTRASTATE_FAMILY.includes(ours) && INTRASTATE_FAMILY.includes(vendor);
+}
+
+/**
+ * @typedef {Object} Exchange
+ * @property {string} state - Postal code of the exchange's state
+ * @property {string} lata - LATA number
+ * @property {string} rateCenter - Rate center name
+ */
+
+/**
+ * Reads an exchange file: CSV with the header NPA,NXX,State,LATA,RateCenter
+ * (other columns are ignored).
+ *
+ * @param {string} file - Path to the file
+ * @returns {Map<string, Exchange>} Exchanges by NPA-NXX (6 digits)
+ * @throws {Error} When the file cannot be read or a row is invalid
+ */
+function loadExchanges(file) {
+  let text;
+  try {
+    text = fs.readFileSync(file, 'utf8');
+  } catch (err) {
+    throw new Error(`Cannot read exchange file ${file}: ${err.message}`);
+  }
+
+  const { data, meta } = Papa.parse(text, { header: true, skipEmptyLines: true, transformHeader: h => h.trim() });
+  const missing = ['NPA', 'NXX', 'LATA'].filter(column => !meta.fields.includes(column));
+  if (missing.length) throw new Error(`Invalid exchange file ${file}: missing column ${missing.join(', ')}`);
+
+  const exchanges = new Map();
+  data.forEach((row, index) => {
+    const npa = String(row.NPA || '').trim();
+    const nxx = String(row.NXX || '').trim();
+    if (!/^\d{3}$/.test(npa) || !/^\d{3}$/.test(nxx)) {
+      throw new Error(`Invalid exchange file ${file}: row ${index + 2} has NPA "${npa}" NXX "${nxx}" (expected 3 digits each)`);
+    }
+    exchanges.set(npa + nxx, {
+      state: String(row.State || '').trim().toUpperCase(),
+      lata: String(row.LATA || '').trim(),
+      rateCenter: String(row.RateCenter || '').trim().toUpperCase()
+    });
+  });
+  return exchanges;
+}
+
+let cache = null;
+
+/**
+ * The exchanges in use, read once from CDR_EXCHANGE_FILE.
+ *
+ * @returns {Map<string, Exchange>|null} null when CDR_EXCHANGE_FILE is not set
+ * @throws {Error} When the file cannot be read or is invalid
+ */
+function getExchanges() {
+  const file = process.env.CDR_EXCHANGE_FILE;
+  if (!file) return null;
+  if (!cache || cache.file !== file) {
+    cache = { file, exchanges: loadExchanges(file) };
+  }
+  return cache.exchanges;
+}
+
+/**
+ * Creates a classifier that labels calls and counts the labels, and the
+ * calls whose vendor CallType states a different jurisdiction.
+ *
+ * Rules, in order:
+ * - A call to a toll-free number is toll-free
+ * - A call with an end outside the US and its territories is international
+ * - Ends in different states are interstate
+ * - Same state: with exchange data, ends in the same rate center are local
+ *   and in the same LATA intraLATA; otherwise the call is intrastate
+ *
+ * A call is left unlabelled (null) when an end is a service code or invalid
+ * number, or its state is unknown.
+ *
+ * @returns {{classify: function(CDRRecord): (string|null), summary: function(): JurisdictionSummary}}
+ * @throws {Error} When CDR_EXCHANGE_FILE is invalid
+ */
+function createJurisdictionClassifier() {
+  const exchanges = getExchanges();
+
+  const counts = Object.fromEntries([...Object.values(JURISDICTIONS), 'unclassified'].map(label => [label, 0]));
+  let checked = 0;
+  let mismatches = 0;
+  const mismatchesByType = {};
+  const mismatchExamples = [];
+
+  function findExchange(number) {
+    return exchanges && number && number.length === 10 ? exchanges.get(number.slice(0, 6)) || null : null;
+  }
+
+  function stateOf(vendorState, number, exchange) {
+    const state = (vendorState || '').trim().toUpperCase();
+    if (state) return state;
+    return (exchange && exchange.state) || (number && number.length === 10 ? getNANPState(number) : null);
+  }
+
+  function label(record) {
+    if (record.DNISCategory === NANP_CATEGORIES.TOLL_FREE) return JURISDICTIONS.TOLL_FREE;
+    if (!record.ANICountry || !record.DNISCountry) return null;
+    if (!DOMESTIC_COUNTRIES.includes(record.ANICountry) || !DOMESTIC_COUNTRIES.includes(record.DNISCountry)) {
+      return JURISDICTIONS.INTERNATIONAL;
+    }
+
+    const aniExchange = findExchange(record.ANI);
+    const dnisExchange = findExchange(record.DNIS);
+    const aniState = stateOf(record.ANIState, record.ANI, aniExchange);
+    const dnisState = stateOf(record.DNISState, record.DNIS, dnisExchange);
+    if (!aniState || !dnisState) return null;
+    if (aniState !== dnisState) return JURISDICTIONS.INTERSTATE;
+
+    const aniLATA = aniExchange && aniExchange.lata;
+    const dnisLATA = (record.DNISLATA || '').trim() || (dnisExchange && dnisExchange.lata);
+    if (!aniLATA || aniLATA !== dnisLATA) return JURISDICTIONS.INTRASTATE;
+    if (aniExchange.rateCenter && dnisExchange && aniExchange.rateCenter === dnisExchange.rateCenter) {
+      return JURISDICTIONS.LOCAL;
+    }
+    return JURISDICTIONS.INTRALATA;
+  }
+
+  function classify(record) {
+    const jurisdiction = label(record);
+    counts[jurisdiction || 'unclassified']++;
+
+    const vendor = getVendorJurisdiction(record.CallType);
+    if (jurisdiction && vendor) {
+      checked++;
+      if (!jurisdictionsAgree(jurisdiction, vendor)) {
+        mismatches++;
+        const key = `${record.CallType} → ${jurisdiction}`;
+        mismatchesByType[key] = (mismatchesByType[key] || 0) + 1;
+        if (mismatchExamples.length < 10) {
+          mismatchExamples.push(`${record.CallType}: ${record.ANI} (${record.ANIState || '?'}) → ` +
+            `${record.DNIS} (${record.DNISState || '?'}, LATA ${record.DNISLATA || '?'}) is ${jurisdiction}`);
+        }
+      }
+    }
+    return jurisdiction;
+  }
+
+  return {
+    classify,
+    summary() {
+      return {
+        exchangeData: Boolean(exchanges),
+        byJurisdiction: { ...counts },
+        checked,
+        mismatches,
+        mismatchesByType: { ...mismatchesByType },
+        mismatchExamples: [...mismatchExamples]
+      };
+    }
+  };
+}
+
+/**
+ * @typedef {Object} JurisdictionSummary
+ * @property {boolean} exchangeData - Whether CDR_EXCHANGE_FILE was used
+ * @property {Object<string, number>} byJurisdiction - Calls by label, and 'unclassified'
+ * @property {number} checked - Calls whose vendor CallType states a jurisdiction and that we labelled
+ * @property {number} mismatches - Checked calls where the two disagree
+ * @property {Object<string, number>} mismatchesByType - Mismatches by 'CallType → our label'
+ * @property {string[]} mismatchExamples - Up to 10 mismatched calls, for troubleshooting
+ */
+
+module.exports = {
+  JURISDICTIONS,
+  getVendorJurisdiction,
+  jurisdictionsAgree,
+  loadExchanges,
+  getExchanges,
+  createJurisdictionClassifier
+};
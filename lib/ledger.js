@@ -0,0 +1,190 @@
+/**
+ * Processed-files ledger
+ * Records every CDR file we attempt to load (name, SHA-256, size, row counts,
+ * status and timestamps) in VI_FileLedger so files are never loaded twice
+ * and failed loads are retried on the next run.
+ *
+ * Status lifecycle: loading → loaded, or loading → failed → loading → ...
+ * Each VI_StoreCDRs batch adds its row counts to the entry as it commits; the
+ * entry is marked 'loaded' only after the last batch, so a 'loaded' entry
+ * always has all of its CDRs stored. A file that failed part way is loaded
+ * again from the start: batches already stored are matched on CallKey.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const sql = require('mssql');
+const { getPool } = require('./db');
+
+const LEDGER_STATUS = {
+  LOADING: 'loading',
+  LOADED: 'loaded',
+  FAILED: 'failed'
+};
+
+/**
+ * Computes the SHA-256 hash and size of a file without reading it into memory.
+ *
+ * @param {string} filePath - Path to the file
+ * @returns {Promise<{sha256: string, size: number}>}
+ */
+function hashFile(filePath) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256');
+    let size = 0;
+
+    fs.createReadStream(filePath)
+      .on('data', chunk => {
+        size += chunk.length;
+        hash.update(chunk);
+      })
+      .on('error', reject)
+      .on('end', () => resolve({ sha256: hash.digest('hex'), size }));
+  });
+}
+
+/**
+ * Looks up the ledger entry for a file's contents.
+ *
+ * @param {string} sha256 - File hash from {@link hashFile}
+ * @returns {Promise<Object|null>} The VI_FileLedger row, or null if never seen
+ */
+async function findLedgerEntry(sha256) {
+  const pool = await getPool();
+  const result = await pool.request()
+    .input('sha256', sql.Char(64), sha256)
+    .query(`SELECT LedgerId, FileName, SourceFolder, Sha256, FileSize, RowsParsed, RowsProcessed,
+                   RowsStaged, RowsInserted, RowsRerated, Status, Attempts, LastError,
+                   FirstSeenAt, StartedAt, LoadedAt, UpdatedAt
+            FROM VI_FileLedger WHERE Sha256 = @sha256`);
+  return result.recordset[0] || null;
+}
+
+/**
+ * Marks a file as being loaded, creating its ledger entry on first sight.
+ *
+ * @param {Object} entry
+ * @param {string} entry.fileName - File name as downloaded
+ * @param {string} [entry.folder] - Dated source folder (YYYYMMDD) the file came from
+ * @param {string} entry.sha256 - File hash
+ * @param {number} entry.size - File size in bytes
+ * @param {number} [entry.rowsParsed] - Rows read from the file, if already known
+ * @param {number} [entry.rowsProcessed] - Records sent to the database, if already known
+ * @returns {Promise<number>} The LedgerId to pass to VI_StoreCDRs and completeLedgerEntry
+ */
+async function beginLedgerEntry(entry) {
+  const pool = await getPool();
+  const result = await pool.request()
+    .input('fileName', sql.NVarChar(255), entry.fileName)
+    .input('folder', sql.NVarChar(8), entry.folder || null)
+    .input('sha256', sql.Char(64), entry.sha256)
+    .input('fileSize', sql.BigInt, entry.size)
+    .input('rowsParsed', sql.Int, entry.rowsParsed ?? null)
+    .input('rowsProcessed', sql.Int, entry.rowsProcessed ?? null)
+    .input('status', sql.NVarChar(20), LEDGER_STATUS.LOADING)
+    .query(`MERGE VI_FileLedger WITH (HOLDLOCK) AS l
+            USING (SELECT @sha256 AS Sha256) AS src ON l.Sha256 = src.Sha256
+            WHEN MATCHED THEN UPDATE SET
+                FileName = @fileName, SourceFolder = COALESCE(@folder, l.SourceFolder), RowsParsed = @rowsParsed, RowsProcessed = @rowsProcessed,
+                RowsStaged = NULL, RowsInserted = NULL, RowsRerated = NULL,
+                Status = @status, Attempts = l.Attempts + 1, LastError = NULL,
+                StartedAt = SYSUTCDATETIME(), UpdatedAt = SYSUTCDATETIME()
+            WHEN NOT MATCHED THEN INSERT
+                (FileName, SourceFolder, Sha256, FileSize, RowsParsed, RowsProcessed, Status, Attempts, StartedAt, UpdatedAt)
+                VALUES (@fileName, @folder, @sha256, @fileSize, @rowsParsed, @rowsProcessed, @status, 1,
+                        SYSUTCDATETIME(), SYSUTCDATETIME())
+            OUTPUT inserted.LedgerId;`);
+  return result.recordset[0].LedgerId;
+}
+
+/**
+ * Marks a file loaded once every batch of its CDRs has been stored.
+ *
+ * @param {number} ledgerId - Entry from {@link beginLedgerEntry}
+ * @param {Object} counts
+ * @param {number} counts.rowsParsed - Rows read from the file
+ * @param {number} counts.rowsProcessed - Records sent to the database
+ * @returns {Promise<void>}
+ */
+async function completeLedgerEntry(ledgerId, counts) {
+  const pool = await getPool();
+  await pool.request()
+    .input('ledgerId', sql.Int, ledgerId)
+    .input('rowsParsed', sql.Int, counts.rowsParsed)
+    .input('rowsProcessed', sql.Int, counts.rowsProcessed)
+    .input('status', sql.NVarChar(20), LEDGER_STATUS.LOADED)
+    .query(`UPDATE VI_FileLedger
+            SET Status = @status, RowsParsed = @rowsParsed, RowsProcessed = @rowsProcessed,
+                LoadedAt = SYSUTCDATETIME(), UpdatedAt = SYSUTCDATETIME()
+            WHERE LedgerId = @ledgerId`);
+}
+
+/**
+ * Records a failed load so the next run retries the file.
+ *
+ * @param {number} ledgerId - Entry from {@link beginLedgerEntry}
+ * @param {string} error - Failure reason
+ * @returns {Promise<void>}
+ */
+async function failLedgerEntry(ledgerId, error) {
+  const pool = await getPool();
+  await pool.request()
+    .input('ledgerId', sql.Int, ledgerId)
+    .input('status', sql.NVarChar(20), LEDGER_STATUS.FAILED)
+    .input('error', sql.NVarChar(sql.MAX), error)
+    .query(`UPDATE VI_FileLedger
+            SET Status = @status, LastError = @error, UpdatedAt = SYSUTCDATETIME()
+            WHERE LedgerId = @ledgerId`);
+}
+
+/**
+ * Records the source folder of an entry loaded before folders were tracked,
+ * so the daily catch-up sees its folder as loaded.
+ *
+ * @param {number} ledgerId - Existing entry
+ * @param {string} folder - Dated source folder (YYYYMMDD)
+ * @returns {Promise<void>}
+ */
+async function setLedgerFolder(ledgerId, folder) {
+  const pool = await getPool();
+  await pool.request()
+    .input('ledgerId', sql.Int, ledgerId)
+    .input('folder', sql.NVarChar(8), folder)
+    .query(`UPDATE VI_FileLedger SET SourceFolder = @folder, UpdatedAt = SYSUTCDATETIME()
+            WHERE LedgerId = @ledgerId AND SourceFolder IS NULL`);
+}
+
+/**
+ * Lists the files loaded from each dated source folder in a range.
+ *
+ * @param {string} fromFolder - First folder, YYYYMMDD
+ * @param {string} toFolder - Last folder, YYYYMMDD
+ * @returns {Promise<Map<string, Set<string>>>} Folder → names of its loaded files
+ */
+async function listLoadedFiles(fromFolder, toFolder) {
+  const pool = await getPool();
+  const result = await pool.request()
+    .input('fromFolder', sql.NVarChar(8), fromFolder)
+    .input('toFolder', sql.NVarChar(8), toFolder)
+    .input('status', sql.NVarChar(20), LEDGER_STATUS.LOADED)
+    .query(`SELECT SourceFolder, FileName FROM VI_FileLedger
+            WHERE SourceFolder BETWEEN @fromFolder AND @toFolder AND Status = @status`);
+
+  const loaded = new Map();
+  result.recordset.forEach(({ SourceFolder, FileName }) => {
+    if (!loaded.has(SourceFolder)) loaded.set(SourceFolder, new Set());
+    loaded.get(SourceFolder).add(FileName);
+  });
+  return loaded;
+}
+
+module.exports = {
+  LEDGER_STATUS,
+  hashFile,
+  findLedgerEntry,
+  beginLedgerEntry,
+  completeLedgerEntry,
+  failLedgerEntry,
+  setLedgerFolder,
+  listLoadedFiles
+};
@@ -0,0 +1,109 @@
+/**
+ * NANP numbering rules
+ * Checks a 10-digit North American number (NPA-NXX-XXXX) against the
+ * numbering plan and classifies it, so billing can treat toll-free, premium
+ * and personal communications calls differently from geographic ones.
+ */
+
+/**
+ * Classes of NANP number. Each cleaned 10-digit ANI and DNIS is stored with
+ * one of these in cdr_detail.ANICategory/DNISCategory.
+ *
+ * @constant {Object<string, string>} NANP_CATEGORIES
+ */
+const NANP_CATEGORIES = {
+  GEOGRAPHIC: 'geographic',
+  TOLL_FREE: 'toll-free',
+  PREMIUM: 'premium',
+  PERSONAL_COMMUNICATIONS: 'personal-communications',
+  INVALID: 'invalid'
+};
+
+// Toll-free area codes in service (8XX with a repeated digit; 822 and 880-887
+// are reserved for it but not yet opened)
+const TOLL_FREE_AREA_CODES = ['800', '833', '844', '855', '866', '877', '888'];
+
+// Premium (pay-per-call) area code, and the exchange used for premium
+// services inside geographic area codes
+const PREMIUM_AREA_CODES = ['900'];
+const PREMIUM_EXCHANGES = ['976'];
+
+// Personal communications services (5XX) area codes assigned by NANPA
+const PERSONAL_COMMUNICATIONS_AREA_CODES = [
+  '500', '521', '522', '523', '524', '525', '526', '527', '528', '529', '532', '533', '535',
+  '538', '542', '543', '544', '545', '546', '547', '549', '550', '552', '553', '554', '556',
+  '558', '566', '569', '577', '578', '588'
+];
+
+/**
+ * Why a 10-digit number is not a valid NANP number, matching the
+ * invalidCategories counters of the processing statistics.
+ *
+ * @constant {Object<string, string>} NANP_INVALID_REASONS
+ */
+const NANP_INVALID_REASONS = {
+  PATTERN: 'invalidPattern',         // All zeros or all ones
+  AREA_CODE: 'invalidAreaCode',      // Area code starting 0/1, N11 or N9X (reserved)
+  EXCHANGE: 'invalidExchange',       // Exchange starting 0/1, or N11 outside toll-free
+  FICTIONAL: 'fictional'             // 555-0100 to 555-0199, reserved for fiction
+};
+
+function isN11(code) {
+  return code.charAt(0) >= '2' && code.slice(1) === '11';
+}
+
+/**
+ * Checks a 10-digit number against the NANP numbering rules and classifies it.
+ *
+ * Rules, in order:
+ * - 0000000000 and 1111111111 are invalid patterns
+ * - The area code (NPA) must start 2-9 and may not be N11 (211-911, service
+ *   codes) or N9X (reserved for expanding the plan)
+ * - The exchange (NXX) must start 2-9 and, outside toll-free area codes, may
+ *   not be N11 (toll-free numbers such as 888-611-XXXX are assigned)
+ * - 555-0100 to 555-0199 are reserved for fiction in every area code
+ *
+ * A number that passes is toll-free (800, 833, 844, 855, 866, 877, 888),
+ * premium (area code 900 or exchange 976), personal communications (5XX
+ * codes such as 500 and 533) or geographic.
+ *
+ * @param {string} number - 10 digits, e.g. '8314240641'
+ * @returns {{category: string, reason?: string}} A NANP_CATEGORIES value, and
+ *   for invalid numbers a NANP_INVALID_REASONS value
+ *
+ * @example
+ * classifyNANPNumber('8314240641') // { category: 'geographic' }
+ * classifyNANPNumber('8885551234') // { category: 'toll-free' }
+ * classifyNANPNumber('9005551234') // { category: 'premium' }
+ * classifyNANPNumber('3109761234') // { category: 'premium' }
+ * classifyNANPNumber('5002221234') // { category: 'personal-communications' }
+ * classifyNANPNumber('4115551234') // { category: 'invalid', reason: 'invalidAreaCode' }
+ * classifyNANPNumber('3101231234') // { category: 'invalid', reason: 'invalidExchange' }
+ * classifyNANPNumber('3105550142') // { category: 'invalid', reason: 'fictional' }
+ */
+function classifyNANPNumber(number) {
+  const invalid = reason => ({ category: NANP_CATEGORIES.INVALID, reason });
+
+  if (number === '0000000000' || number === '1111111111') return invalid(NANP_INVALID_REASONS.PATTERN);
+
+  const npa = number.slice(0, 3);
+  const nxx = number.slice(3, 6);
+  const line = number.slice(6);
+
+  if (npa.charAt(0) < '2' || isN11(npa) || npa.charAt(1) === '9') return invalid(NANP_INVALID_REASONS.AREA_CODE);
+
+  const tollFree = TOLL_FREE_AREA_CODES.includes(npa);
+  if (nxx.charAt(0) < '2' || (isN11(nxx) && !tollFree)) return invalid(NANP_INVALID_REASONS.EXCHANGE);
+  if (nxx === '555' && line.startsWith('01')) return invalid(NANP_INVALID_REASONS.FICTIONAL);
+
+  if (tollFree) return { category: NANP_CATEGORIES.TOLL_FREE };
+  if (PREMIUM_AREA_CODES.includes(npa) || PREMIUM_EXCHANGES.includes(nxx)) return { category: NANP_CATEGORIES.PREMIUM };
+  if (PERSONAL_COMMUNICATIONS_AREA_CODES.includes(npa)) return { category: NANP_CATEGORIES.PERSONAL_COMMUNICATIONS };
+  return { category: NANP_CATEGORIES.GEOGRAPHIC };
+}
+
+module.exports = {
+  NANP_CATEGORIES,
+  NANP_INVALID_REASONS,
+  classifyNANPNumber
+};
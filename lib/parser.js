@@ -0,0 +1,141 @@
+/**
+ * CDR file parser
+ * Reads semicolon-delimited VoIP Innovations .CDR files into row objects,
+ * either whole (small files, the parse command) or streamed in batches.
+ * Each row carries the file line it started on as a non-enumerable
+ * `lineNumber` (the header is line 1), for the reject file, and the number
+ * of trailing columns it is short of the header as `missingColumns`.
+ */
+
+const fs = require('fs');
+const { pipeline } = require('stream');
+const Papa = require('papaparse');
+
+// VoIP Innovations CDR files are semicolon-delimited with a header row
+const CDR_PARSE_CONFIG = {
+  delimiter: ';',
+  header: true,
+  skipEmptyLines: true,
+};
+
+/**
+ * Returns a function that turns Papa's value arrays, read with header: false
+ * and skipEmptyLines: false, into row objects keyed by the header row.
+ * Rows come through as arrays because Papa's streaming header mode treats the
+ * first row of every chunk as a header and renames repeated values in it
+ * ('CA_1'); empty lines come through so the line count stays right.
+ *
+ * @returns {function(string[]): (Object|null)} Row object, or null for the header and empty lines
+ */
+function createRowReader() {
+  let headers = null;
+  let line = 1;
+
+  return values => {
+    const lineNumber = line;
+    // A quoted value can span lines
+    line += 1 + values.reduce((count, value) => count + (value.match(/\n/g) || []).length, 0);
+
+    if (values.length === 1 && values[0] === '') return null;
+    if (!headers) {
+      headers = values;
+      return null;
+    }
+
+    // Same shape as header mode: missing trailing columns are left undefined
+    const row = {};
+    headers.forEach((header, i) => {
+      if (i < values.length) row[header] = values[i];
+    });
+    Object.defineProperty(row, 'lineNumber', { value: lineNumber });
+    Object.defineProperty(row, 'missingColumns', { value: Math.max(0, headers.length - values.length) });
+    return row;
+  };
+}
+
+const ROW_PARSE_CONFIG = { ...CDR_PARSE_CONFIG, header: false, skipEmptyLines: false };
+
+// Bytes read to find the header row; it is a few hundred in practice
+const HEADER_BYTES = 64 * 1024;
+
+/**
+ * Parses raw CDR file contents into an array of row objects keyed by column name.
+ *
+ * @param {string} content - Raw contents of a .CDR file
+ * @returns {Object[]} Parsed CDR rows
+ */
+function parseCDRs(content) {
+  const readRow = createRowReader();
+  return Papa.parse(content, ROW_PARSE_CONFIG).data.map(readRow).filter(row => row !== null);
+}
+
+/**
+ * Reads the column names from a .CDR file's header row (its first non-empty
+ * line) without reading the rest of the file.
+ *
+ * @param {string} filePath - Path to the .CDR file
+ * @returns {Promise<string[]>} Column names, empty if the file has no header
+ */
+async function readCDRHeader(filePath) {
+  const handle = await fs.promises.open(filePath, 'r');
+  try {
+    const head = Buffer.alloc(HEADER_BYTES);
+    const { bytesRead } = await handle.read(head, 0, head.length, 0);
+    const line = head.subarray(0, bytesRead).toString('utf8').split(/\r?\n/).find(text => text.trim() !== '');
+    if (!line) return [];
+    return Papa.parse(line, { delimiter: CDR_PARSE_CONFIG.delimiter }).data[0].map(column => column.trim());
+  } finally {
+    await handle.close();
+  }
+}
+
+/**
+ * Reads and parses a .CDR file from disk.
+ *
+ * @param {string} filePath - Path to the .CDR file
+ * @returns {Object[]} Parsed CDR rows
+ */
+function parseCDRFile(filePath) {
+  return parseCDRs(fs.readFileSync(filePath, 'utf8'));
+}
+
+/**
+ * Streams a .CDR file as batches of parsed rows, so only one batch is held in
+ * memory at a time however large the file is.
+ *
+ * @param {string} filePath - Path to the .CDR file
+ * @param {number} batchSize - Rows per batch (the last batch may be smaller)
+ * @returns {AsyncGenerator<Object[]>} Batches of parsed CDR rows, in file order
+ * @throws {Error} When the file cannot be read
+ */
+async function* readCDRBatches(filePath, batchSize) {
+  const rows = pipeline(
+    fs.createReadStream(filePath, 'utf8'),
+    Papa.parse(Papa.NODE_STREAM_INPUT, ROW_PARSE_CONFIG),
+    () => {}
+  );
+
+  const readRow = createRowReader();
+  let batch = [];
+  for await (const values of rows) {
+    const row = readRow(values);
+    if (!row) continue;
+
+    batch.push(row);
+    if (batch.length >= batchSize) {
+      yield batch;
+      batch = [];
+    }
+  }
+  if (batch.length > 0) {
+    yield batch;
+  }
+}
+
+module.exports = {
+  CDR_PARSE_CONFIG,
+  parseCDRs,
+  parseCDRFile,
+  readCDRHeader,
+  readCDRBatches
+};
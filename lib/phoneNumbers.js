@@ -0,0 +1,344 @@
+/**
+ * Phone number normalization
+ * Cleans ANI/DNIS values into 10-digit NANP numbers, registered service codes
+ * or E.164 international numbers ('+' and country code).
+ */
+
+const { getServiceCodes, findServiceCode } = require('./serviceNumbers');
+const { findCountryCallingCode, getNANPCountry } = require('./countryCodes');
+const { NANP_CATEGORIES, classifyNANPNumber } = require('./nanp');
+
+// Digits in an E.164 number, country code included (Niue's are the shortest)
+const E164_MIN_DIGITS = 7;
+const E164_MAX_DIGITS = 15;
+
+/**
+ * Reads a number as international when it is written as one: a leading '+',
+ * or the 011 (NANP) or 00 international dialing prefix. Without a prefix,
+ * only numbers too long for NANP (11 digits not starting with 1, or 12+) are
+ * tried, so a short local number is never taken for a country code.
+ *
+ * @param {string} phone - Raw number as the vendor sent it
+ * @param {string} digits - Its digits only
+ * @returns {{number: string, country: string|null}|null} E.164 number and country, or null if it is not one
+ */
+function parseInternationalNumber(phone, digits) {
+  let international = digits;
+  let prefixed = phone.trim().startsWith('+');
+  if (!prefixed && digits.startsWith('011')) {
+    international = digits.slice(3);
+    prefixed = true;
+  } else if (!prefixed && digits.startsWith('00')) {
+    international = digits.slice(2);
+    prefixed = true;
+  }
+  if (!prefixed && digits.length <= 10) return null;
+
+  if (international.length < E164_MIN_DIGITS || international.length > E164_MAX_DIGITS) return null;
+
+  // NANP numbers take the 10-digit path; one reaching here is malformed
+  const callingCode = findCountryCallingCode(international);
+  if (!callingCode || callingCode.code === '1') return null;
+
+  return { number: `+${international}`, country: callingCode.country };
+}
+
+/**
+ * Cleans and validates phone numbers with comprehensive support for 10-digit 
+ * regular numbers, emergency/service/operator codes and international numbers.
+ * 
+ * This is the core phone number processing function that handles the complete
+ * validation pipeline for CDR data. It normalizes input formats, validates
+ * against North American numbering plan rules, preserves critical service numbers,
+ * and provides detailed statistics collection for monitoring and troubleshooting.
+ * 
+ * @function cleanPhoneNumber
+ * @param {string} phone - Raw phone number in any format (with or without formatting)
+ * @param {ProcessingStats} [stats=null] - Optional statistics object to collect processing metrics
+ * @returns {string|null} Cleaned phone number string (10 digits, a service code
+ *   or '+' and up to 15 digits) or null if invalid
+ * 
+ * @description
+ * Processing Logic:
+ * 1. Input validation (null, undefined, non-string inputs rejected)
+ * 2. Character normalization (removes all non-numeric characters)
+ * 3. Length-based routing:
+ *    - 1-3 digits: Service code lookup in the registry (911, 988, 0, ...);
+ *      an unregistered 3-digit number is an invalid short code
+ *    - 11 digits starting with '1': North American format, strip leading 1
+ *    - 10 digits: Standard phone number validation
+ *    - '+', 011 or 00 prefix, or too long for NANP: E.164 international number
+ *      with a known country code, returned as '+' and digits
+ *    - Other lengths: Categorized as invalid with detailed classification
+ * 
+ * Supported service codes are listed in serviceCodes.json (or the file named
+ * by CDR_SERVICE_CODES_FILE): by default the N11 codes 211-911, 988 and the
+ * operator codes 0 and 00.
+ * 
+ * 10-digit number validation rules (see classifyNANPNumber):
+ * - Cannot be all zeros (0000000000) or all ones (1111111111)
+ * - Area code must start 2-9 and not be N11 or N9X
+ * - Exchange must start 2-9 and not be N11
+ * - 555-0100 to 555-0199 (fictional) are rejected
+ * 
+ * @example
+ * // Basic service number processing
+ * cleanPhoneNumber('911')           // → '911'
+ * cleanPhoneNumber('411')           // → '411'
+ * cleanPhoneNumber('988')           // → '988'
+ * cleanPhoneNumber('0')             // → '0' (operator)
+ * cleanPhoneNumber('123')           // → null (invalid service number)
+ * 
+ * @example
+ * // Formatted service numbers
+ * cleanPhoneNumber('9-1-1')         // → '911'
+ * cleanPhoneNumber('4.1.1')         // → '411'
+ * cleanPhoneNumber(' 911 ')         // → '911'
+ * cleanPhoneNumber('(911)')         // → '911'
+ * 
+ * @example
+ * // 10-digit number processing
+ * cleanPhoneNumber('5552345678')              // → '5552345678'
+ * cleanPhoneNumber('(555) 234-5678')          // → '5552345678'
+ * cleanPhoneNumber('+1-555-234-5678')         // → '5552345678'
+ * cleanPhoneNumber('1.555.234.5678')          // → '5552345678'
+ * cleanPhoneNumber('+15552345678')            // → '5552345678'
+ * 
+ * @example
+ * // Invalid number handling
+ * cleanPhoneNumber('0000000000')              // → null (invalid pattern)
+ * cleanPhoneNumber('1234567890')              // → null (invalid area code)
+ * cleanPhoneNumber('3101234567')              // → null (exchange starts with 1)
+ * cleanPhoneNumber('3105550142')              // → null (fictional 555-01XX)
+ * cleanPhoneNumber('41362')                   // → null (short code)
+ * cleanPhoneNumber('+999123456789')           // → null (unassigned country code)
+ * 
+ * @example
+ * // International numbers (E.164)
+ * cleanPhoneNumber('+353874075705')           // → '+353874075705' (IE)
+ * cleanPhoneNumber('011302671069266')         // → '+302671069266' (GR, 011 prefix)
+ * cleanPhoneNumber('497044908814')            // → '+497044908814' (DE, 12 digits)
+ * 
+ * @example
+ * // Statistics collection
+ * const stats = createProcessingStats();
+ * cleanPhoneNumber('911', stats);
+ * cleanPhoneNumber('5552345678', stats);
+ * cleanPhoneNumber('123', stats);
+ * 
+ * console.log(stats.serviceNumbers);          // 1
+ * console.log(stats.tenDigitNumbers);         // 1
+ * console.log(stats.invalidNumbers);          // 1
+ * console.log(stats.serviceNumberBreakdown['911']); // 1
+ * 
+ * @example
+ * // Edge cases
+ * cleanPhoneNumber(null)                      // → null
+ * cleanPhoneNumber('')                        // → null
+ * cleanPhoneNumber('abc')                     // → null
+ * cleanPhoneNumber('0911')                    // → null (4 digits, not service)
+ * cleanPhoneNumber('1911')                    // → null (4 digits, not service)
+ * cleanPhoneNumber('91')                      // → null (incomplete)
+ * cleanPhoneNumber('9111')                    // → null (too long for service)
+ * 
+ * @throws {Error} Only when the service code registry cannot be read - returns null for invalid inputs
+ * 
+ * @since 2.1.0
+ * @see {@link findServiceCode} for service code lookup
+ * @see {@link createProcessingStats} for statistics object creation
+ * @see {@link getServiceCodes} for the complete list of supported service codes
+ */
+function cleanPhoneNumber(phone, stats = null) {
+  // === INPUT VALIDATION PHASE ===
+  // Reject null, undefined, or non-string inputs immediately
+  if (!phone || typeof phone !== 'string') return null;
+
+  // === CHARACTER NORMALIZATION PHASE ===
+  // Strip all non-numeric characters to get clean digits only
+  // This handles formats like: +1-555-234-5678, (555) 234-5678, 9-1-1, etc.
+  let cleaned = phone.replace(/\D/g, '');
+
+  // Reject empty results (input was all non-numeric characters)
+  if (!cleaned || cleaned.length === 0) return null;
+
+  // === SERVICE CODE PROCESSING ===
+  // Critical path for emergency, service and operator codes (911, 411, 0, etc.)
+  // Check against the service code registry (see lib/serviceNumbers.js)
+  const serviceCode = cleaned.length <= 3 ? findServiceCode(cleaned) : null;
+  if (serviceCode) {
+    // === DEBUG LOGGING FOR SERVICE NUMBER DETECTION ===
+    // Only log when debug mode is enabled to avoid log spam in production
+    if (process.env.LOG_LEVEL === 'debug' || process.env.LOG_SERVICE_NUMBER_DETAILS === 'true') {
+      console.log(`🚨 Service number detected: '${phone}' -> '${cleaned}' (${serviceCode.description})`);
+    }
+
+    // === STATISTICS COLLECTION FOR VALID SERVICE NUMBERS ===
+    if (stats) {
+      stats.serviceNumbers++;                           // Increment total service number count
+      stats.serviceNumberBreakdown[cleaned] = (stats.serviceNumberBreakdown[cleaned] || 0) + 1;  // Specific service code count
+      stats.totalProcessed++;                           // Increment overall processing count
+      stats.uniqueNumbers.add(cleaned);                 // Track unique numbers (Set handles duplicates)
+    }
+
+    // Return the cleaned service code (preserved in original format)
+    return cleaned;
+  }
+
+  if (cleaned.length === 3) {
+    // === INVALID 3-DIGIT NUMBER HANDLING ===
+    // Provide detailed logging to help troubleshoot data quality issues
+    console.warn(`⚠️  Invalid 3-digit service number rejected: '${phone}' -> '${cleaned}'`);
+    console.warn(`   Valid service numbers are: ${getServiceCodes().map(entry => entry.code).join(', ')}`);
+
+    // === CONTEXTUAL HELP FOR COMMON INVALID PATTERNS ===
+    // Provide specific guidance based on the invalid number pattern
+    if (['123', '999', '000', '555'].includes(cleaned)) {
+      console.warn(`   Note: '${cleaned}' is a common test/placeholder number, not a valid service code`);
+    } else {
+      console.warn(`   Note: '${cleaned}' is not in the service code registry`);
+    }
+
+    // === STATISTICS COLLECTION FOR INVALID 3-DIGIT NUMBERS ===
+    if (stats) {
+      stats.invalidNumbers++;                           // Increment invalid number count
+      stats.totalProcessed++;                           // Increment overall processing count
+      stats.invalidCategories.shortCodes++;             // Categorize as invalid short code
+      // Collect sample invalid numbers for troubleshooting (limit to 10 to prevent memory issues)
+      if (stats.invalidExamples.length < 10) {
+        stats.invalidExamples.push(`Invalid 3-digit: ${phone}`);
+      }
+    }
+
+    // Return null to indicate invalid number
+    return null;
+  }
+
+  // '+' followed by a country code other than 1 is international, even when
+  // it happens to be 10 digits long (+45 12345678)
+  const international = phone.trim().startsWith('+') && !cleaned.startsWith('1');
+
+  // Remove leading 1 if we have 11 digits (North American format)
+  if (!international && cleaned.length === 11 && cleaned.startsWith('1')) {
+    cleaned = cleaned.substring(1);
+  }
+
+  // Handle 10-digit numbers: area code, exchange and reserved ranges are
+  // checked against the NANP rules (see lib/nanp.js)
+  if (!international && cleaned.length === 10) {
+    const { category, reason } = classifyNANPNumber(cleaned);
+
+    if (category === NANP_CATEGORIES.INVALID) {
+      if (stats) {
+        stats.invalidNumbers++;
+        stats.totalProcessed++;
+        stats.invalidCategories[reason]++;
+        if (stats.invalidExamples.length < 10) {
+          stats.invalidExamples.push(`Invalid NANP number (${reason}): ${phone}`);
+        }
+      }
+      return null;
+    }
+
+    // Update statistics if provided
+    if (stats) {
+      stats.tenDigitNumbers++;
+      stats.totalProcessed++;
+      stats.nanpCategoryBreakdown[category]++;
+      stats.uniqueNumbers.add(cleaned);
+    }
+    return cleaned;
+  }
+
+  // === INTERNATIONAL (E.164) NUMBER PROCESSING ===
+  const e164 = parseInternationalNumber(phone, cleaned);
+  if (e164) {
+    if (stats) {
+      const country = e164.country || 'non-geographic';
+      stats.internationalNumbers++;
+      stats.totalProcessed++;
+      stats.countryBreakdown[country] = (stats.countryBreakdown[country] || 0) + 1;
+      stats.uniqueNumbers.add(e164.number);
+    }
+    return e164.number;
+  }
+
+  // Log problematic numbers for debugging (but don't fail processing)
+  if (cleaned.length !== 10 && cleaned.length !== 3) {
+    console.warn(`Invalid phone number length (${cleaned.length} digits): ${phone} -> ${cleaned}`);
+  }
+
+  // Invalid length - track in stats with categorization
+  if (stats) {
+    stats.invalidNumbers++;
+    stats.totalProcessed++;
+
+    // Categorize the invalid number
+    if (cleaned.length > 10) {
+      // Looks international, but no known country code or the wrong length
+      stats.invalidCategories.international++;
+    } else if (cleaned.length >= 4 && cleaned.length <= 6) {
+      // Short codes
+      stats.invalidCategories.shortCodes++;
+    } else {
+      // Other invalid lengths
+      stats.invalidCategories.invalidLength++;
+    }
+
+    if (stats.invalidExamples.length < 10) {
+      stats.invalidExamples.push(`Invalid length (${cleaned.length}): ${phone}`);
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Country of a number returned by cleanPhoneNumber.
+ *
+ * @param {string|null} number - Cleaned number
+ * @returns {string|null} ISO 3166-1 alpha-2 country: from the area code for
+ *   NANP numbers, from the country code for international ones; null for
+ *   service numbers, non-geographic codes and missing numbers
+ *
+ * @example
+ * getPhoneNumberCountry('8314240641')     // → 'US'
+ * getPhoneNumberCountry('4165551234')     // → 'CA'
+ * getPhoneNumberCountry('+61408127108')   // → 'AU'
+ * getPhoneNumberCountry('911')            // → null
+ */
+function getPhoneNumberCountry(number) {
+  if (!number) return null;
+  if (number.startsWith('+')) {
+    const callingCode = findCountryCallingCode(number.slice(1));
+    return callingCode ? callingCode.country : null;
+  }
+  if (number.length === 10) return getNANPCountry(number);
+  return null;
+}
+
+/**
+ * NANP category of a number returned by cleanPhoneNumber, stored with the
+ * record so billing can treat each category differently.
+ *
+ * @param {string|null} number - Cleaned number
+ * @param {string} [raw] - The number as the vendor sent it
+ * @returns {string|null} A NANP_CATEGORIES value for 10-digit numbers;
+ *   'invalid' when the vendor sent a number that could not be cleaned; null
+ *   for service numbers, international numbers and blanks
+ *
+ * @example
+ * getPhoneNumberCategory('8665551234')                 // → 'toll-free'
+ * getPhoneNumberCategory(null, '3105550142')           // → 'invalid'
+ * getPhoneNumberCategory('911')                        // → null
+ */
+function getPhoneNumberCategory(number, raw) {
+  if (!number) return raw && raw.trim() ? NANP_CATEGORIES.INVALID : null;
+  if (number.length !== 10 || number.startsWith('+')) return null;
+  return classifyNANPNumber(number).category;
+}
+
+module.exports = {
+  cleanPhoneNumber,
+  getPhoneNumberCountry,
+  getPhoneNumberCategory
+};
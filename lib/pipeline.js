@@ -0,0 +1,576 @@
+/**
+ * CDR file pipeline
+ * Streams CDR files through parse → clean → backup → SQL in batches, so
+ * memory use stays flat however large a file is, and returns a per-file
+ * result so callers can tell success from partial failure.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { once } = require('events');
+const { BACKUP_DIRECTORY, ARCHIVE_DIRECTORY, BATCH_SIZE, FILE_CONCURRENCY } = require('./config');
+const { readCDRBatches, readCDRHeader } = require('./parser');
+const { checkCDRHeader, describeSchemaDrift } = require('./schema');
+const { createCDRProcessor } = require('./processor');
+const { createCDRWriter } = require('./writer');
+const { getCustomerMap, createCustomerAttributor } = require('./attribution');
+const { getRatePlans, createRater } = require('./rating');
+const { refreshUsage } = require('./usage');
+const { sendAlert } = require('./alerter');
+const { checkCDRFileComplete, quarantineFile, createRejectWriter } = require('./quarantine');
+const {
+  LEDGER_STATUS, hashFile, findLedgerEntry, beginLedgerEntry, completeLedgerEntry, failLedgerEntry, setLedgerFolder
+} = require('./ledger');
+
+/**
+ * @typedef {Object} PipelineOptions
+ * @property {boolean} [dryRun=false] - Parse and clean only: no backup, no database write, source file kept
+ * @property {boolean} [noDb=false] - Write the JSON backup but skip the database; source file kept
+ * @property {string} [backupPrefix=''] - Prefix for the backup file name (e.g. the dated folder)
+ * @property {string} [folder] - Dated source folder (YYYYMMDD) the files came from, recorded in the ledger
+ * @property {boolean} [force=false] - Reload a file even if the ledger shows it already loaded
+ * @property {boolean} [retire=false] - Delete (or archive) each file once loaded; only for files the
+ *   command downloaded itself, never for the operator's own files
+ * @property {number} [concurrency] - Files loaded at once by processCDRDirectory (default CDR_FILE_CONCURRENCY)
+ */
+
+/**
+ * @typedef {Object} FileResult
+ * @property {string} file - File name
+ * @property {string} status - 'success', 'failed' or 'skipped'
+ * @property {number} parsed - Rows parsed from the file
+ * @property {number} processed - Records produced by the CDR processor
+ * @property {number} serviceNumbers - Service numbers found
+ * @property {number} internationalNumbers - International (E.164) numbers found
+ * @property {number} invalidNumbers - Invalid phone numbers found
+ * @property {string|null} backupFile - Path of the JSON backup, if written
+ * @property {string|null} archivedFile - Where the source file was moved, if archiving is enabled
+ * @property {boolean} written - Whether the records were stored in SQL
+ * @property {string|null} sha256 - File hash recorded in the ledger
+ * @property {number} attempt - Load attempt number from the ledger (0 when not consulted)
+ * @property {number} rejected - Rows that failed validation and were not loaded
+ * @property {string|null} rejectFile - Where the rejected rows were written, if any
+ * @property {number} unattributed - Records no customer could be attributed to (queued for review)
+ * @property {AttributionSummary|null} attribution - Attribution counts, when the customer map was used
+ * @property {number} unrated - Attributed records without a rate plan or rate (no retail price)
+ * @property {RatingSummary|null} rating - Retail rating counts and totals, when rate plans were used
+ * @property {number} jurisdictionMismatches - Records whose jurisdiction disagrees with the vendor CallType
+ * @property {ValidationSummary|null} validation - Accepted and rejected counts per validation rule
+ * @property {number|null} schemaVersion - CDR schema version the header matched (see lib/schema.js)
+ * @property {{added: string[], removed: string[], reordered: boolean}} [formatChanges] - How the header differs from the expected schema
+ * @property {string|null} [quarantinedFile] - Where a truncated file was moved instead of being loaded
+ * @property {string} [reason] - Why a file was skipped ('dry-run', 'no-db', 'already-loaded') or failed ('quarantined', 'format-changed')
+ * @property {string} [error] - Failure reason
+ */
+
+/**
+ * Writes records to a JSON backup file as they are produced, in the same
+ * layout as JSON.stringify(records, null, 2), without holding them all.
+ *
+ * @param {string} filePath - Backup file path
+ * @returns {{write: function(CDRRecord[]): Promise<void>, close: function(): Promise<void>, discard: function(): void}}
+ */
+function createBackupWriter(filePath) {
+  const stream = fs.createWriteStream(filePath);
+  let streamError = null;
+  let count = 0;
+
+  stream.on('error', err => {
+    streamError = err;
+  });
+
+  async function put(chunk) {
+    if (streamError) throw streamError;
+    if (!stream.write(chunk)) {
+      await once(stream, 'drain');
+    }
+  }
+
+  return {
+    async write(records) {
+      for (const record of records) {
+        const json = JSON.stringify(record, null, 2).replace(/\n/g, '\n  ');
+        await put(`${count++ === 0 ? '[\n' : ',\n'}  ${json}`);
+      }
+    },
+
+    async close() {
+      await put(count === 0 ? '[]' : '\n]');
+      await new Promise((resolve, reject) => {
+        stream.end(err => (err ? reject(err) : resolve()));
+      });
+      if (streamError) throw streamError;
+    },
+
+    // Removes a partial backup after a failure
+    discard() {
+      stream.destroy();
+      try {
+        fs.unlinkSync(filePath);
+      } catch (err) {
+        // Never created
+      }
+    }
+  };
+}
+
+/**
+ * Removes a loaded source file, or moves it to ARCHIVE_DIRECTORY when
+ * archiving is enabled. Only called once all of the file's data is stored.
+ *
+ * @param {string} filePath - Path to the .CDR file
+ * @param {string} [prefix=''] - Prefix for the archived name (e.g. the dated folder)
+ * @returns {string|null} The archived path, or null if the file was deleted
+ */
+function retireSourceFile(filePath, prefix = '') {
+  if (!ARCHIVE_DIRECTORY) {
+    fs.unlinkSync(filePath);
+    console.log(`🗑️  Cleaned up: ${filePath}`);
+    return null;
+  }
+
+  const archivedFile = path.join(ARCHIVE_DIRECTORY, `${prefix}${path.basename(filePath)}`);
+  try {
+    fs.renameSync(filePath, archivedFile);
+  } catch (err) {
+    if (err.code !== 'EXDEV') throw err;
+    // Archive is on another volume
+    fs.copyFileSync(filePath, archivedFile);
+    fs.unlinkSync(filePath);
+  }
+  console.log(`📦 Archived: ${filePath} → ${archivedFile}`);
+  return archivedFile;
+}
+
+function createFileResult(file) {
+  return {
+    file,
+    status: 'success',
+    parsed: 0,
+    processed: 0,
+    serviceNumbers: 0,
+    internationalNumbers: 0,
+    invalidNumbers: 0,
+    backupFile: null,
+    archivedFile: null,
+    written: false,
+    sha256: null,
+    attempt: 0,
+    rejected: 0,
+    rejectFile: null,
+    unattributed: 0,
+    attribution: null,
+    unrated: 0,
+    rating: null,
+    jurisdictionMismatches: 0,
+    validation: null,
+    schemaVersion: null
+  };
+}
+
+/**
+ * The result for a file quarantined as truncated instead of loaded, whether
+ * by the pipeline or by a source while downloading it.
+ *
+ * @param {string} file - File name
+ * @param {string} reason - Why it looks truncated
+ * @param {string|null} quarantinedFile - Where it was moved, or null when it was left in place
+ * @returns {FileResult}
+ */
+function quarantinedFileResult(file, reason, quarantinedFile) {
+  return {
+    ...createFileResult(file),
+    status: 'failed',
+    reason: 'quarantined',
+    quarantinedFile,
+    error: `Truncated file: ${reason}`
+  };
+}
+
+/**
+ * Runs a single CDR file through parse → clean → backup → SQL.
+ *
+ * With `retire` set, the source file is removed (or archived) only after
+ * VI_StoreCDRs has committed every batch, so a failed or skipped write
+ * leaves it in place for a rerun. Without it the file is never touched.
+ *
+ * Unless the database is disabled, the file's SHA-256 is checked against the
+ * VI_FileLedger ledger first: content already loaded is skipped (and a
+ * downloaded duplicate removed when `retire` is set) unless `force` is set,
+ * and content from a failed earlier attempt is loaded again.
+ *
+ * @param {string} filePath - Path to the .CDR file
+ * @param {PipelineOptions} [options={}]
+ * @returns {Promise<FileResult>}
+ */
+async function processCDRFile(filePath, options = {}) {
+  const file = path.basename(filePath);
+  const result = createFileResult(file);
+
+  console.log(`Processing file: ${file}`);
+
+  // A cut-off last row means the file was truncated; never load part of a day.
+  // Only a downloaded copy is moved to quarantine; the operator's own file stays put
+  const truncation = await checkCDRFileComplete(filePath);
+  if (truncation) {
+    let quarantinedFile = null;
+    if (options.retire && !options.dryRun) {
+      quarantinedFile = await quarantineFile(filePath, truncation, { folder: options.folder });
+    } else {
+      console.error(`🚫 ${file} looks truncated and was not loaded: ${truncation} (left at ${filePath})`);
+    }
+    return quarantinedFileResult(file, truncation, quarantinedFile);
+  }
+
+  // Rows are read by column name, so a renamed column would load as blanks
+  const schema = checkCDRHeader(await readCDRHeader(filePath));
+  result.schemaVersion = schema.version;
+  if (schema.version === null) {
+    result.formatChanges = { added: schema.added, removed: schema.removed, reordered: schema.reordered };
+
+    if (schema.missingRequired.length) {
+      const drift = describeSchemaDrift(schema);
+      const missing = schema.missingRequired.join(', ');
+      console.error(`❌ ${file} has changed format and lacks required columns ${missing} - not loaded`);
+      await sendAlert(
+        "CDR Format Changed",
+        `The header of ${file}${options.folder ? ` from /${options.folder}/` : ''} no longer matches CDR schema ` +
+        `version ${schema.expectedVersion}: ${drift}.\n\n` +
+        `Required columns are missing (${missing}), so the file was not loaded. It is kept at ${filePath}. ` +
+        `Add the new layout to lib/schema.js (and CDR_FIELDS) before loading it.`,
+        { severity: 'critical' }
+      );
+      return { ...result, status: 'failed', reason: 'format-changed', error: `CDR format changed: missing ${missing}` };
+    }
+  }
+
+  const useLedger = !options.dryRun && !options.noDb;
+  let fileInfo;
+  try {
+    fileInfo = await hashFile(filePath);
+    result.sha256 = fileInfo.sha256;
+
+    if (useLedger) {
+      const entry = await findLedgerEntry(fileInfo.sha256);
+
+      if (entry && entry.Status === LEDGER_STATUS.LOADED && !options.force) {
+        console.log(`⏭️  ${file} already loaded (as ${entry.FileName} at ${new Date(entry.LoadedAt).toISOString()}) - skipping`);
+        if (options.folder && !entry.SourceFolder) {
+          await setLedgerFolder(entry.LedgerId, options.folder);
+        }
+        // A downloaded duplicate is dropped; the operator's own files are never touched
+        let archivedFile = null;
+        if (options.retire) {
+          try {
+            archivedFile = retireSourceFile(filePath, options.backupPrefix);
+          } catch (cleanupError) {
+            console.warn(`⚠️  Could not remove ${filePath}:`, cleanupError.message);
+          }
+        }
+        return { ...result, archivedFile, status: 'skipped', reason: 'already-loaded' };
+      }
+
+      result.attempt = entry ? entry.Attempts + 1 : 1;
+      if (entry && entry.Status === LEDGER_STATUS.LOADED) {
+        console.log(`🔁 Forcing reload of ${file} (previously loaded as ${entry.FileName})`);
+      } else if (entry) {
+        console.log(`🔁 Resuming ${file}: previous attempt ${entry.Status}${entry.LastError ? ` (${entry.LastError})` : ''}`);
+      }
+    }
+  } catch (ledgerError) {
+    console.error(`❌ Could not check the file ledger for ${file}:`, ledgerError.message);
+    return { ...result, status: 'failed', error: ledgerError.message };
+  }
+
+  // Only alerted once the file is really being loaded, not each time a
+  // catch-up run skips it as already loaded
+  if (schema.version === null) {
+    const drift = describeSchemaDrift(schema);
+    console.warn(`⚠️  ${file} header differs from CDR schema version ${schema.expectedVersion} (${drift}) - loading columns by name`);
+    await sendAlert(
+      "CDR Format Changed",
+      `The header of ${file}${options.folder ? ` from /${options.folder}/` : ''} no longer matches CDR schema ` +
+      `version ${schema.expectedVersion}: ${drift}.\n\n` +
+      `Every required column is present, so the file is being loaded by column name; ` +
+      `added columns are ignored and removed ones are stored blank. Add the new layout to lib/schema.js.`,
+      { severity: 'warning' }
+    );
+  }
+
+  // Stream the file one batch at a time: parse → clean → backup → SQL.
+  // Each batch is its own VI_StoreCDRs transaction (see createCDRWriter).
+  let batchRejects = [];
+  let attributor = null;
+  const processor = createCDRProcessor({
+    onReject: rejected => batchRejects.push(rejected),
+    attribute: record => attributor && attributor.attribute(record)
+  });
+  const rejects = options.dryRun ? null : createRejectWriter(file, { folder: options.folder });
+  const backupFile = path.join(BACKUP_DIRECTORY, `${options.backupPrefix || ''}${file}.json`);
+  let backup = null;
+  let writer = null;
+  let rater = null;
+  // First and last day of the file's calls, for the usage rollups
+  let firstCallDate = null;
+  let lastCallDate = null;
+  let ledgerId = null;
+  let stage = 'parse';
+
+  try {
+    if (!options.dryRun) {
+      stage = 'backup';
+      backup = createBackupWriter(backupFile);
+    }
+
+    if (useLedger) {
+      stage = 'database';
+      ledgerId = await beginLedgerEntry({
+        fileName: file, folder: options.folder, sha256: fileInfo.sha256, size: fileInfo.size
+      });
+      writer = createCDRWriter(file, { ledgerId });
+
+      const customerMap = await getCustomerMap();
+      if (customerMap.length) {
+        attributor = createCustomerAttributor(customerMap);
+      } else {
+        console.log('⏭️  VI_CustomerMap has no entries - customer attribution skipped');
+      }
+
+      // Retail prices come from the customer's plan, so rating needs attribution
+      const ratePlans = await getRatePlans();
+      if (attributor && ratePlans.rates.length) {
+        rater = createRater(ratePlans);
+      } else if (attributor) {
+        console.log('⏭️  VI_Rate has no rates - retail rating skipped');
+      }
+    }
+
+    stage = 'parse';
+    for await (const rows of readCDRBatches(filePath, BATCH_SIZE)) {
+      const records = rows.map(processor.processRow).filter(record => record !== null);
+      if (rater) records.forEach(rater.rate);
+      records.forEach(record => {
+        const day = record.StartTime && record.StartTime.slice(0, 10);
+        if (!day) return;
+        if (!firstCallDate || day < firstCallDate) firstCallDate = day;
+        if (!lastCallDate || day > lastCallDate) lastCallDate = day;
+      });
+
+      if (backup) {
+        stage = 'backup';
+        await backup.write(records);
+      }
+      if (rejects) {
+        stage = 'backup';
+        await rejects.write(batchRejects);
+      }
+      batchRejects = [];
+      if (writer) {
+        stage = 'database';
+        await writer.write(records);
+      }
+      stage = 'parse';
+    }
+
+    const { processingStats, invalidNumbers, validation, jurisdiction, rowCount, recordCount } = await processor.finish();
+    result.parsed = rowCount;
+    result.processed = recordCount;
+    result.serviceNumbers = processingStats.serviceNumbers;
+    result.internationalNumbers = processingStats.internationalNumbers;
+    result.invalidNumbers = invalidNumbers;
+    result.rejected = validation.rejected;
+    result.jurisdictionMismatches = jurisdiction.mismatches;
+    result.validation = validation;
+    console.log(`Parsed ${rowCount} CDR records from ${file}`);
+    console.log(`Processed ${recordCount} CDR records`);
+
+    if (attributor) {
+      const attribution = attributor.summary();
+      result.attribution = attribution;
+      result.unattributed = attribution.unattributed;
+      console.log(`👤 Customer attribution: ${attribution.attributed} attributed ` +
+        `(DID ${attribution.matchedBy.did}, ANI ${attribution.matchedBy.ani}, IP ${attribution.matchedBy.ip}), ` +
+        `${attribution.unattributed} queued for review`);
+
+      if (attribution.unattributed > 0) {
+        const topIPs = Object.entries(attribution.unattributedIPs).sort(([, a], [, b]) => b - a).slice(0, 5);
+        await sendAlert(
+          `CDR Calls Not Attributed: ${file}`,
+          `${attribution.unattributed} of ${recordCount} calls in ${file}${options.folder ? ` from /${options.folder}/` : ''} ` +
+          `could not be attributed to a customer (${attribution.unmatched} unmatched, ${attribution.ambiguous} ambiguous) ` +
+          `and were added to VI_AttributionReview.\n\nTop CustomerIPs:\n` +
+          topIPs.map(([ip, count]) => `- ${ip}: ${count}`).join('\n') +
+          `\n\nAdd the missing entries to VI_CustomerMap, then resolve the queued calls with VI_ResolveAttribution.`,
+          { severity: 'warning' }
+        );
+      }
+    }
+
+    if (rater) {
+      const rating = rater.summary();
+      result.rating = rating;
+      result.unrated = rating.noPlan + rating.noRate;
+      console.log(`💲 Retail rating: ${rating.rated} rated, ${rating.serviceCodes} service code calls, ` +
+        `${rating.unrated} without a price; retail $${rating.retail.toFixed(2)} against ` +
+        `wholesale $${rating.wholesale.toFixed(2)} (margin $${(rating.retail - rating.wholesale).toFixed(2)})`);
+
+      if (result.unrated > 0) {
+        await sendAlert(
+          `CDR Calls Not Rated: ${file}`,
+          `${result.unrated} attributed calls in ${file}${options.folder ? ` from /${options.folder}/` : ''} ` +
+          `have no retail price (${rating.noPlan} without a rate plan, ${rating.noRate} without a matching rate).\n\n` +
+          `By CustomerId:\n` +
+          Object.entries(rating.unratedCustomers)
+            .sort(([, a], [, b]) => b - a)
+            .map(([customerId, count]) => `- ${customerId}: ${count}`)
+            .join('\n') +
+          `\n\nAssign a plan in VI_CustomerRatePlan or add the missing rates to VI_Rate, then reprocess the file with --force.`,
+          { severity: 'warning' }
+        );
+      }
+    }
+
+    if (rejects) {
+      stage = 'backup';
+      if (await rejects.close()) {
+        result.rejectFile = rejects.path;
+        console.warn(`⚠️  ${validation.rejected} rejected rows written to ${rejects.path}`);
+        await sendAlert(
+          `CDR Rows Rejected: ${file}`,
+          `${validation.rejected} of ${rowCount} rows in ${file}${options.folder ? ` from /${options.folder}/` : ''} ` +
+          `failed validation and were not loaded:\n` +
+          Object.entries(validation.rules)
+            .filter(([, count]) => count.rejected > 0)
+            .map(([rule, count]) => `- ${rule}: ${count.rejected}`)
+            .join('\n') +
+          `\n\nThe rows, their line numbers and the reasons are in ${rejects.path}`,
+          { severity: 'warning' }
+        );
+      }
+    }
+
+    if (backup) {
+      stage = 'backup';
+      await backup.close();
+      result.backupFile = backupFile;
+      console.log(`✅ Backup saved: ${backupFile}`);
+    }
+
+    if (writer) {
+      stage = 'database';
+      await completeLedgerEntry(ledgerId, { rowsParsed: rowCount, rowsProcessed: recordCount });
+      result.written = true;
+      console.log(`✅ Database insertion completed for ${file}`);
+
+      // The calls are stored either way; a failed refresh is rebuilt later
+      // with tbssync usage --refresh
+      if (firstCallDate) {
+        try {
+          const rows = await refreshUsage(firstCallDate, lastCallDate);
+          console.log(`📈 Usage rollups refreshed for ${firstCallDate} to ${lastCallDate} (${rows} daily rows)`);
+        } catch (error) {
+          console.error(`❌ Usage rollup refresh failed for ${file}:`, error.message);
+          await sendAlert(
+            `CDR Usage Rollup Failed: ${file}`,
+            `${file} was loaded, but the usage rollups for ${firstCallDate} to ${lastCallDate} could not be refreshed: ` +
+            `${error.message}\n\nRebuild them with: tbssync usage --from ${firstCallDate} --to ${lastCallDate} --refresh`,
+            { severity: 'warning' }
+          );
+        }
+      }
+    }
+  } catch (error) {
+    if (backup && !result.backupFile) backup.discard();
+    if (rejects && !result.rejectFile) rejects.discard();
+
+    if (stage === 'parse') {
+      console.error(`❌ Error parsing CDR file ${file}:`, error.message);
+      await sendAlert(`CDR Parsing Failed: ${file}`, error.message);
+    } else if (stage === 'backup') {
+      console.error(`❌ Error saving backup file for ${file}:`, error.message);
+      await sendAlert(`CDR Backup Failed: ${file}`, error.message);
+    } else {
+      console.error(`❌ Database insertion failed for ${file}:`, error.message);
+      await sendAlert(`CDR Processing Failed: ${file}`, error.message);
+    }
+    if (result.backupFile) {
+      console.log(`💾 Data is still available in backup file: ${result.backupFile}`);
+    }
+    console.log(`💾 ${filePath} is kept for a rerun; batches already stored will be matched, not duplicated`);
+
+    if (ledgerId) {
+      try {
+        await failLedgerEntry(ledgerId, error.message);
+      } catch (ledgerError) {
+        console.error(`❌ Could not record failure in the file ledger for ${file}:`, ledgerError.message);
+      }
+    }
+    return { ...result, status: 'failed', error: error.message };
+  }
+
+  if (options.dryRun) {
+    console.log(`🔍 Dry run - skipping backup and database write for ${file}`);
+    return { ...result, status: 'skipped', reason: 'dry-run' };
+  }
+
+  if (options.noDb) {
+    console.log(`⏭️  Database disabled - ${file} kept for a later load`);
+    return { ...result, status: 'skipped', reason: 'no-db' };
+  }
+
+  if (!options.retire) {
+    return result;
+  }
+
+  // Committed: the downloaded copy is no longer needed
+  try {
+    result.archivedFile = retireSourceFile(filePath, options.backupPrefix);
+  } catch (cleanupError) {
+    // The data is loaded; the ledger skips this file if it is seen again
+    console.warn(`⚠️  Could not remove ${filePath}:`, cleanupError.message);
+  }
+
+  return result;
+}
+
+/**
+ * Runs every .CDR file in a directory through {@link processCDRFile}, at
+ * most `concurrency` files at a time (one at a time by default). Results are
+ * returned in file-name order whatever order the files finish in.
+ *
+ * @param {string} directory - Directory containing .CDR files
+ * @param {PipelineOptions} [options={}]
+ * @returns {Promise<FileResult[]>}
+ */
+async function processCDRDirectory(directory, options = {}) {
+  const filenames = fs.readdirSync(directory)
+    .filter(file => fs.statSync(path.join(directory, file)).isFile())
+    .filter(file => file.toUpperCase().endsWith('.CDR'))
+    .sort();
+  console.log(`Found ${filenames.length} CDR files in ${directory}`);
+
+  const concurrency = options.concurrency || FILE_CONCURRENCY;
+  const results = new Array(filenames.length);
+  let next = 0;
+
+  async function worker() {
+    while (next < filenames.length) {
+      const index = next++;
+      results[index] = await processCDRFile(path.join(directory, filenames[index]), options);
+    }
+  }
+
+  const workers = [];
+  for (let i = 0; i < Math.min(concurrency, filenames.length); i++) {
+    workers.push(worker());
+  }
+  await Promise.all(workers);
+
+  return results;
+}
+
+module.exports = {
+  processCDRFile,
+  processCDRDirectory,
+  quarantinedFileResult
+};
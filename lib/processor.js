@@ -0,0 +1,540 @@
+/**
+ * CDR record processor
+ * Validates and normalizes parsed CDR rows, collects processing statistics
+ * and raises data quality alerts.
+ */
+
+const { getServiceCodes, findServiceCode, isValidServiceNumber, exceededThreshold } = require('./serviceNumbers');
+const { createProcessingStats } = require('./stats');
+const { cleanPhoneNumber, getPhoneNumberCountry, getPhoneNumberCategory } = require('./phoneNumbers');
+const { convertCDRTime, getTimeZoneSettings } = require('./time');
+const { buildCDRRecord } = require('./record');
+const { createCallKeyGenerator } = require('./callKey');
+const { sendAlert } = require('./alerter');
+const { createRowValidator } = require('./validation');
+const { createJurisdictionClassifier } = require('./jurisdiction');
+
+// Rejected rows logged individually per file; the rest are only counted
+const LOGGED_REJECTS = 10;
+
+// A bad timestamp has already been counted by the start-time or stop-time
+// rule; when that rule only warns, the row is loaded with the time left empty
+function tryConvertCDRTime(value) {
+  if (!value) return null;
+  try {
+    return convertCDRTime(value);
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * @typedef {Object} RejectedRow
+ * @property {number} line - Line of the .CDR file the row started on
+ * @property {RuleFailure[]} failures - Every rule the row failed, warnings included
+ * @property {Object} row - The raw row, keyed by column name
+ */
+
+/**
+ * Creates a processor that cleans CDR rows one at a time, so a file can be
+ * streamed through it without holding every row in memory.
+ *
+ * Call `processRow` for each parsed row in file order, then `finish` once to
+ * log the processing statistics and raise the volume and invalid-number
+ * alerts; `finish` resolves once those alerts have been sent.
+ *
+ * Each row is checked against the validation rules (see lib/validation.js)
+ * first. A row that fails a reject rule, or throws while being cleaned, is
+ * passed to `onReject` and `processRow` returns null for it.
+ *
+ * @param {Object} [options]
+ * @param {function(RejectedRow): void} [options.onReject] - Receives each rejected row
+ * @param {function(CDRRecord): void} [options.attribute] - Sets each record's CustomerId, so
+ *   service code calls are counted against their customer's own alert thresholds
+ * @returns {{processRow: function(Object): (CDRRecord|null), finish: function(): Promise<{processingStats: ProcessingStats, invalidNumbers: number, invalidPhoneNumbers: string[], validation: ValidationSummary, jurisdiction: JurisdictionSummary, rowCount: number, recordCount: number}>}}
+ * @throws {Error} When CDR_VALIDATION_RULES or CDR_EXCHANGE_FILE is invalid
+ * @see {@link processAndCleanCDRs} for the processing steps
+ */
+function createCDRProcessor(options = {}) {
+  const validator = createRowValidator();
+  const jurisdictions = createJurisdictionClassifier();
+  const onReject = options.onReject || (() => {});
+  const attribute = options.attribute || (() => {});
+
+  // === INITIALIZATION PHASE ===
+  // Create comprehensive statistics tracking object for detailed monitoring
+  const processingStats = createProcessingStats();
+  
+  // Truly invalid phone numbers (excluding valid service numbers), counted for
+  // the alert threshold; the first 10 are kept as examples for the alert
+  let invalidNumberCount = 0;
+  const invalidPhoneNumbers = [];
+  const noteInvalidNumber = example => {
+    invalidNumberCount++;
+    if (invalidPhoneNumbers.length < 10) invalidPhoneNumbers.push(example);
+  };
+  // Rows seen and records produced, for the statistics and alert threshold
+  let rowCount = 0;
+  let recordCount = 0;
+  let rejectCount = 0;
+  
+  
+  // Enhanced logging for service number processing initialization
+  console.log(`\n=== Starting Phone Number Processing ===`);
+  console.log(`\n🚨 Service Number Detection Enabled:`);
+  console.log(`  Monitoring for the following service numbers:`);
+  getServiceCodes().forEach(serviceCode => {
+    console.log(`    ${serviceCode.code} - ${serviceCode.description} (${serviceCode.priority} - ${serviceCode.note})`);
+  });
+  
+  console.log(`\n📊 Processing Configuration:`);
+  console.log(`  10-digit number validation: Enabled (NANP area code, exchange and reserved ranges)`);
+  console.log(`  Service code registry: ${getServiceCodes().length} codes`);
+  console.log(`  Invalid number categorization: Enabled`);
+  const { sourceTimeZone, targetTimeZone } = getTimeZoneSettings();
+  console.log(`  Timezone conversion: ${sourceTimeZone} -> ${targetTimeZone}`);
+  console.log(`  Jurisdiction: ${process.env.CDR_EXCHANGE_FILE ? `states, LATAs and rate centers from ${process.env.CDR_EXCHANGE_FILE}` : 'states only (CDR_EXCHANGE_FILE not set)'}`);
+  console.log(`  Debug logging: ${process.env.LOG_LEVEL === 'debug' || process.env.LOG_SERVICE_NUMBER_DETAILS === 'true' ? 'Enabled' : 'Disabled'}`);
+  console.log(`  Statistics collection: Enabled`);
+  console.log(`=== Processing Started ===\n`);
+
+  // Deterministic per-call keys for exact deduplication in VI_StoreCDRs
+  const nextCallKey = createCallKeyGenerator();
+
+  // Service code calls from customers with their own alert thresholds, by
+  // code and customer; the rest are checked against the code's thresholds
+  const customerServiceCalls = {};
+
+  function countCustomerServiceCall(number, customer) {
+    if (!number || number.length > 3 || customer === null || customer === undefined) return;
+    const serviceCode = findServiceCode(number);
+    const override = serviceCode && serviceCode.customers[customer];
+    if (override && override.alertThresholds) {
+      const byCustomer = customerServiceCalls[number] || (customerServiceCalls[number] = {});
+      byCustomer[customer] = (byCustomer[customer] || 0) + 1;
+    }
+  }
+
+  async function checkServiceCodeVolume(serviceCode, count, thresholds, customer) {
+    const label = `${serviceCode.description} (${serviceCode.code})` + (customer ? ` from ${customer}` : '');
+    const exceeded = exceededThreshold(thresholds, count);
+    if (!exceeded) {
+      console.log(`  ✅ ${label}: ${count} calls, normal volume`);
+      return;
+    }
+    console.warn(`  ⚠️  ${label}: ${count} calls, above the ${exceeded.severity} threshold of ${exceeded.threshold} (review for unusual activity)`);
+    await sendAlert(
+      `High Call Volume to ${serviceCode.code} (${serviceCode.description}): ${count} calls` + (customer ? ` from ${customer}` : ''),
+      `${count} calls to ${serviceCode.code} (${serviceCode.description}) were found in ${rowCount} CDR records` +
+      (customer ? ` from customer ${customer}` : '') + `, above the ${exceeded.severity} threshold of ${exceeded.threshold}.\n` +
+      `Review for unusual activity (misdials, a stuck auto-dialer or a real incident).`,
+      { severity: exceeded.severity }
+    );
+  }
+
+
+  function reject(record, failures) {
+    if (++rejectCount <= LOGGED_REJECTS) {
+      console.warn(`⚠️  Rejected row at line ${record.lineNumber}: ${failures.map(f => f.reason).join('; ')}`);
+    }
+    onReject({ line: record.lineNumber, failures, row: record });
+  }
+
+  function processRow(record) {
+    rowCount++;
+    const validation = validator.validate(record);
+    if (validation.rejected) {
+      reject(record, validation.failures);
+      return null;
+    }
+
+    try {
+      const callKey = nextCallKey(record);
+
+      // Timezone conversion (vendor zone -> billing zone wall clock)
+      let startTime = null;
+      const converted = tryConvertCDRTime(record.StartTime);
+      if (converted) {
+        startTime = converted.value;
+        if (converted.ambiguous) processingStats.ambiguousTimes++;
+        if (converted.nonexistent) processingStats.nonexistentTimes++;
+      }
+
+      // Clean phone numbers with statistics collection
+      let ani = cleanPhoneNumber(record.ANI, processingStats);
+      let dnis = cleanPhoneNumber(record.DNIS, processingStats);
+
+      // Track invalid phone numbers for alerting (excluding valid service numbers)
+      if (!ani && record.ANI) {
+        // Only add to invalid list if it's not a valid service number
+        const cleanedANI = record.ANI.replace(/\D/g, '');
+        if (!isValidServiceNumber(cleanedANI)) {
+          noteInvalidNumber(`ANI: ${record.ANI}`);
+        }
+      }
+      if (!dnis && record.DNIS) {
+        // Only add to invalid list if it's not a valid service number
+        const cleanedDNIS = record.DNIS.replace(/\D/g, '');
+        if (!isValidServiceNumber(cleanedDNIS)) {
+          noteInvalidNumber(`DNIS: ${record.DNIS}`);
+        }
+      }
+
+      const cdr = buildCDRRecord(record, {
+        StartTime: startTime,
+        StopTime: tryConvertCDRTime(record.StopTime)?.value ?? null,
+        ANI: ani,
+        DNIS: dnis,
+        ANICountry: getPhoneNumberCountry(ani),
+        DNISCountry: getPhoneNumberCountry(dnis),
+        ANICategory: getPhoneNumberCategory(ani, record.ANI),
+        DNISCategory: getPhoneNumberCategory(dnis, record.DNIS),
+        CallKey: callKey
+      });
+      cdr.Jurisdiction = jurisdictions.classify(cdr);
+      attribute(cdr);
+      countCustomerServiceCall(ani, cdr.CustomerId);
+      countCustomerServiceCall(dnis, cdr.CustomerId);
+      recordCount++;
+      return cdr;
+    } catch (err) {
+      reject(record, [...validation.failures, validator.processingError(err)]);
+      return null;
+    }
+  }
+
+  async function finish() {
+    // Enhanced processing statistics logging
+    console.log(`\n=== Phone Number Processing Statistics ===`);
+    console.log(`Total CDR records processed: ${rowCount}`);
+    console.log(`Total phone numbers processed: ${processingStats.totalProcessed}`);
+    const validNumbers = processingStats.tenDigitNumbers + processingStats.serviceNumbers + processingStats.internationalNumbers;
+    console.log(`Successfully processed: ${validNumbers} (${(validNumbers / processingStats.totalProcessed * 100).toFixed(1)}%)`);
+    console.log(`\nBreakdown by type:`);
+    console.log(`  📞 10-digit numbers: ${processingStats.tenDigitNumbers} (${(processingStats.tenDigitNumbers / processingStats.totalProcessed * 100).toFixed(1)}%)`);
+    console.log(`  🌍 International numbers: ${processingStats.internationalNumbers} (${(processingStats.internationalNumbers / processingStats.totalProcessed * 100).toFixed(1)}%)`);
+    console.log(`  🚨 Service numbers: ${processingStats.serviceNumbers} (${(processingStats.serviceNumbers / processingStats.totalProcessed * 100).toFixed(1)}%)`);
+    console.log(`  ❌ Invalid numbers: ${processingStats.invalidNumbers} (${(processingStats.invalidNumbers / processingStats.totalProcessed * 100).toFixed(1)}%)`);
+
+    // Enhanced service number processing summary
+    if (processingStats.serviceNumbers > 0) {
+      console.log(`\n🚨 Service Number Processing Summary:`);
+      console.log(`  Total service numbers processed: ${processingStats.serviceNumbers}`);
+      console.log(`  Service number success rate: 100% (all service numbers are valid by definition)`);
+      console.log(`  Impact on data quality: Service numbers excluded from invalid count`);
+    
+      console.log(`\n🚨 Service Number Breakdown:`);
+      getServiceCodes().forEach(serviceCode => {
+        const count = processingStats.serviceNumberBreakdown[serviceCode.code];
+        if (count > 0) {
+          const percentage = (count / processingStats.serviceNumbers * 100).toFixed(1);
+          const totalPercentage = (count / processingStats.totalProcessed * 100).toFixed(2);
+          console.log(`    ${serviceCode.code} (${serviceCode.description}):`);
+          console.log(`      Count: ${count} calls`);
+          console.log(`      Percentage of service numbers: ${percentage}%`);
+          console.log(`      Percentage of total processed: ${totalPercentage}%`);
+          console.log(`      Priority: ${serviceCode.priority} - ${serviceCode.note}`);
+          console.log(`      Billing: ${serviceCode.billing}`);
+        }
+      });
+
+      // Volume checks against each code's alert thresholds; calls from
+      // customers with their own thresholds are checked separately
+      console.log(`\n🚨 Service Number Analysis:`);
+      for (const serviceCode of getServiceCodes()) {
+        const count = processingStats.serviceNumberBreakdown[serviceCode.code];
+        if (!count) continue;
+        const byCustomer = customerServiceCalls[serviceCode.code] || {};
+        const customerCount = Object.values(byCustomer).reduce((sum, calls) => sum + calls, 0);
+        if (count > customerCount) {
+          await checkServiceCodeVolume(serviceCode, count - customerCount, serviceCode.alertThresholds);
+        }
+        for (const [customer, calls] of Object.entries(byCustomer)) {
+          await checkServiceCodeVolume(serviceCode, calls, serviceCode.customers[customer].alertThresholds, customer);
+        }
+      }
+    
+    } else {
+      console.log(`\n✅ Service Number Processing Summary:`);
+      console.log(`  No service numbers (911, 411, etc.) found in this batch`);
+      console.log(`  All phone numbers processed as regular 10-digit numbers`);
+      console.log(`  No special service number handling required`);
+    }
+
+    if (processingStats.tenDigitNumbers > 0) {
+      console.log(`\n📇 10-digit Numbers by NANP Category:`);
+      Object.entries(processingStats.nanpCategoryBreakdown).forEach(([category, count]) => {
+        if (count > 0) {
+          console.log(`    ${category}: ${count} (${(count / processingStats.tenDigitNumbers * 100).toFixed(1)}%)`);
+        }
+      });
+    }
+
+    if (processingStats.internationalNumbers > 0) {
+      console.log(`\n🌍 International Numbers by Country:`);
+      Object.entries(processingStats.countryBreakdown)
+        .sort(([, a], [, b]) => b - a)
+        .forEach(([country, count]) => {
+          console.log(`    ${country}: ${count}`);
+        });
+    }
+
+    // Invalid number analysis with detailed categorization
+    if (processingStats.invalidNumbers > 0) {
+      console.log(`\n❌ Invalid Number Analysis:`);
+      console.log(`  Total invalid: ${processingStats.invalidNumbers}`);
+
+      // Show breakdown by category
+      console.log(`  Invalid number categories:`);
+      Object.entries(processingStats.invalidCategories).forEach(([category, count]) => {
+        if (count > 0) {
+          const percentage = (count / processingStats.invalidNumbers * 100).toFixed(1);
+          let description = '';
+          switch (category) {
+            case 'international': description = 'Unrecognised international numbers'; break;
+            case 'shortCodes': description = 'Short codes (4-6 digits)'; break;
+            case 'invalidLength': description = 'Other invalid lengths'; break;
+            case 'invalidPattern': description = 'Invalid patterns (all zeros, etc.)'; break;
+            case 'invalidAreaCode': description = 'Invalid area codes (0/1 prefix, N11, N9X)'; break;
+            case 'invalidExchange': description = 'Invalid exchanges (0/1 prefix, N11)'; break;
+            case 'fictional': description = 'Fictional numbers (555-01XX)'; break;
+          }
+          console.log(`    ${description}: ${count} (${percentage}%)`);
+        }
+      });
+
+      if (processingStats.invalidExamples.length > 0) {
+        console.log(`  Sample invalid numbers:`);
+        processingStats.invalidExamples.slice(0, 5).forEach((example, index) => {
+          console.log(`    ${index + 1}. ${example}`);
+        });
+        if (processingStats.invalidExamples.length > 5) {
+          console.log(`    ... and ${processingStats.invalidExamples.length - 5} more`);
+        }
+      }
+    }
+
+    // Processing efficiency metrics
+    const processingEndTime = new Date();
+    const processingDuration = processingEndTime - processingStats.processingStartTime;
+    const successRate = (validNumbers / processingStats.totalProcessed * 100).toFixed(1);
+
+    console.log(`\n📊 Processing Efficiency:`);
+    console.log(`  Success rate: ${successRate}%`);
+    console.log(`  Records with valid phone numbers: ${recordCount}/${rowCount}`);
+    console.log(`  Unique phone numbers found: ${processingStats.uniqueNumbers.size}`);
+    console.log(`  Processing time: ${processingDuration}ms`);
+    console.log(`  Processing rate: ${(processingStats.totalProcessed / (processingDuration / 1000)).toFixed(0)} numbers/second`);
+
+    const validation = validator.summary();
+    console.log(`\n🧪 Row Validation:`);
+    console.log(`  Accepted: ${validation.accepted}, rejected: ${validation.rejected}`);
+    Object.entries(validation.rules).forEach(([rule, count]) => {
+      if (count.warned > 0 || count.rejected > 0) {
+        console.log(`    ${rule} (${count.severity}): ${count.rejected} rejected, ${count.warned} warned`);
+      }
+    });
+    if (validation.rejected > LOGGED_REJECTS) {
+      console.warn(`  ... ${validation.rejected - LOGGED_REJECTS} more rejected rows not logged individually`);
+    }
+
+    const jurisdiction = jurisdictions.summary();
+    console.log(`\n🧭 Calls by Jurisdiction:`);
+    Object.entries(jurisdiction.byJurisdiction).forEach(([label, count]) => {
+      if (count > 0) {
+        console.log(`    ${label}: ${count}`);
+      }
+    });
+    if (jurisdiction.mismatches > 0) {
+      console.warn(`⚠️  ${jurisdiction.mismatches} of ${jurisdiction.checked} calls disagree with the vendor CallType:`);
+      Object.entries(jurisdiction.mismatchesByType)
+        .sort(([, a], [, b]) => b - a)
+        .forEach(([type, count]) => console.warn(`    ${type}: ${count}`));
+      jurisdiction.mismatchExamples.slice(0, 5).forEach(example => console.warn(`    e.g. ${example}`));
+    } else if (jurisdiction.checked > 0) {
+      console.log(`  ✅ All ${jurisdiction.checked} calls with a stated jurisdiction agree with the vendor CallType`);
+    }
+
+    if (processingStats.ambiguousTimes > 0 || processingStats.nonexistentTimes > 0) {
+      console.warn(`⚠️  DST transition times: ${processingStats.ambiguousTimes} ambiguous (resolved ${process.env.CDR_AMBIGUOUS_TIME || 'earlier'}), ${processingStats.nonexistentTimes} nonexistent (moved forward)`);
+    }
+
+    if (successRate < 95) {
+      console.warn(`⚠️  Phone number success rate below 95% - review data quality`);
+    }
+
+    if (processingStats.uniqueNumbers.size < processingStats.totalProcessed * 0.1) {
+      console.warn(`⚠️  Low unique number diversity - possible data quality issue`);
+    }
+
+    // Final service number processing summary
+    console.log(`\n🚨 Final Service Number Processing Report:`);
+    if (processingStats.serviceNumbers > 0) {
+      console.log(`  ✅ Service numbers successfully processed and preserved`);
+      getServiceCodes().forEach(serviceCode => {
+        const count = processingStats.serviceNumberBreakdown[serviceCode.code];
+        if (count > 0) {
+          console.log(`  ✅ ${serviceCode.description} (${serviceCode.code}) captured: ${count} (billing: ${serviceCode.billing})`);
+        }
+      });
+      console.log(`  ✅ All service numbers excluded from invalid phone number alerts`);
+      console.log(`  ✅ Service number data will be stored in database with original format`);
+    } else {
+      console.log(`  ℹ️  No service numbers found in this batch`);
+      console.log(`  ℹ️  All phone numbers processed as regular 10-digit numbers`);
+    }
+  
+    // Debug logging summary
+    if (process.env.LOG_LEVEL === 'debug' || process.env.LOG_SERVICE_NUMBER_DETAILS === 'true') {
+      console.log(`\n🔍 Debug Logging Summary:`);
+      console.log(`  Debug mode: Active`);
+      console.log(`  Individual service number detections logged above`);
+      console.log(`  Enhanced validation decision logging enabled`);
+    }
+  
+    console.log(`=== End Processing Statistics ===\n`);
+
+    // Enhanced alert logic for invalid phone numbers
+    // Use corrected invalid count (excluding valid service numbers)
+    if (invalidNumberCount > 0) {
+      const threshold = Math.max(5, Math.floor(rowCount * 0.1)); // 10% or minimum 5
+      const invalidRate = (invalidNumberCount / rowCount * 100).toFixed(1);
+
+      if (invalidNumberCount >= threshold) {
+        // Build detailed alert message with enhanced statistics
+        let alertMessage = `CDR Processing Alert - High Invalid Phone Number Count\n\n`;
+        alertMessage += `SUMMARY:\n`;
+        alertMessage += `- Total CDR records: ${rowCount}\n`;
+        alertMessage += `- Invalid phone numbers: ${invalidNumberCount} (${invalidRate}%)\n`;
+        alertMessage += `- Alert threshold: ${threshold} (${(threshold / rowCount * 100).toFixed(1)}%)\n\n`;
+
+        alertMessage += `PROCESSING STATISTICS:\n`;
+        alertMessage += `- 10-digit numbers: ${processingStats.tenDigitNumbers}\n`;
+        alertMessage += `- International numbers: ${processingStats.internationalNumbers}\n`;
+        alertMessage += `- Service numbers: ${processingStats.serviceNumbers}\n`;
+        alertMessage += `- Total invalid: ${processingStats.invalidNumbers}\n`;
+        alertMessage += `- Corrected invalid (excluding service numbers): ${invalidNumberCount}\n\n`;
+
+        // Service number breakdown if any found
+        if (processingStats.serviceNumbers > 0) {
+          alertMessage += `SERVICE NUMBERS FOUND (excluded from invalid count):\n`;
+          getServiceCodes().forEach(serviceCode => {
+            const count = processingStats.serviceNumberBreakdown[serviceCode.code];
+            if (count > 0) {
+              alertMessage += `- ${serviceCode.code} (${serviceCode.description}): ${count} calls\n`;
+            }
+          });
+          alertMessage += `\n`;
+        }
+
+        // Invalid number categorization
+        if (Object.values(processingStats.invalidCategories).some(count => count > 0)) {
+          alertMessage += `INVALID NUMBER CATEGORIES:\n`;
+          Object.entries(processingStats.invalidCategories).forEach(([category, count]) => {
+            if (count > 0) {
+              let description = '';
+              switch (category) {
+                case 'international': description = 'Unrecognised international numbers'; break;
+                case 'shortCodes': description = 'Short codes (4-6 digits)'; break;
+                case 'invalidLength': description = 'Other invalid lengths'; break;
+                case 'invalidPattern': description = 'Invalid patterns (all zeros, etc.)'; break;
+                case 'invalidAreaCode': description = 'Invalid area codes (0/1 prefix, N11, N9X)'; break;
+                case 'invalidExchange': description = 'Invalid exchanges (0/1 prefix, N11)'; break;
+                case 'fictional': description = 'Fictional numbers (555-01XX)'; break;
+              }
+              alertMessage += `- ${description}: ${count}\n`;
+            }
+          });
+          alertMessage += `\n`;
+        }
+
+        alertMessage += `SAMPLE INVALID NUMBERS:\n`;
+        invalidPhoneNumbers.forEach((example, index) => {
+          alertMessage += `${index + 1}. ${example}\n`;
+        });
+        if (invalidNumberCount > invalidPhoneNumbers.length) {
+          alertMessage += `... and ${invalidNumberCount - invalidPhoneNumbers.length} more\n`;
+        }
+
+        alertMessage += `\nRECOMMENDATIONS:\n`;
+        alertMessage += `- Review data source quality\n`;
+        alertMessage += `- Check for format changes in CDR files\n`;
+        alertMessage += `- Verify international number handling if applicable\n`;
+        alertMessage += `- Consider updating phone number validation rules if needed`;
+
+        await sendAlert(
+          `High Invalid Phone Number Count: ${invalidNumberCount} (${invalidRate}%)`,
+          alertMessage,
+          { severity: 'warning' }
+        );
+      } else {
+        console.warn(`Found ${invalidNumberCount} invalid phone numbers (${invalidRate}% - below alert threshold of ${threshold})`);
+        await sendAlert(
+          `Invalid Phone Numbers: ${invalidNumberCount} (${invalidRate}%)`,
+          `Below the alert threshold of ${threshold}. Sample:\n` + invalidPhoneNumbers.join('\n'),
+          { severity: 'info' }
+        );
+      }
+    } else {
+      console.log(`✅ No invalid phone numbers found - all numbers processed successfully`);
+    }
+
+    return { processingStats, invalidNumbers: invalidNumberCount, invalidPhoneNumbers, validation, jurisdiction, rowCount, recordCount };
+  }
+
+  return { processRow, finish };
+}
+
+/**
+ * Processes and cleans CDR data with enhanced service number support and statistics collection.
+ * 
+ * This function orchestrates the complete CDR processing pipeline, including phone number
+ * cleaning, timezone conversion, data validation, and comprehensive statistics collection.
+ * It handles both ANI (source) and DNIS (destination) phone numbers with full support
+ * for registered service codes and detailed invalid number categorization.
+ * 
+ * @function processAndCleanCDRs
+ * @param {Object[]} parsedCDRs - Array of parsed CDR records from CSV
+ * @returns {Promise<{processedRecords: CDRRecord[], processingStats: ProcessingStats, invalidNumbers: number, invalidPhoneNumbers: string[], validation: ValidationSummary, jurisdiction: JurisdictionSummary, rejects: RejectedRow[]}>}
+ *   Processed CDR records with cleaned phone numbers, the statistics collected
+ *   while cleaning them, the count of invalid numbers (excluding service
+ *   numbers) with up to 10 examples, the per-rule validation counts and rejected rows, and the jurisdiction counts
+ * 
+ * @description
+ * Processing Pipeline:
+ * 1. Initialize comprehensive statistics tracking
+ * 2. Process each CDR record:
+ *    - Check it against the validation rules; rejected rows are returned in `rejects`
+ *    - Convert timestamps from CDR_SOURCE_TIMEZONE to the TIMEZONE billing zone
+ *    - Clean and validate ANI (source) phone numbers
+ *    - Clean and validate DNIS (destination) phone numbers
+ *    - Track invalid numbers (excluding valid service numbers)
+ *    - Label the call's jurisdiction and check it against the vendor CallType
+ * 3. Generate detailed processing statistics and logs
+ * 4. Send alerts if invalid number threshold exceeded
+ * 5. Return processed records and statistics for database storage
+ * 
+ * Service Number Handling:
+ * - Preserves every code in the service code registry (911, 411, 988, 0, ...)
+ * - Excludes service numbers from invalid phone number alerts
+ * - Provides detailed breakdown of service number usage
+ * - Alerts when calls to a code exceed its thresholds, per customer where
+ *   the registry overrides them
+ * 
+ * @since 2.1.0
+ * @see {@link cleanPhoneNumber} for individual phone number processing
+ * @see {@link createProcessingStats} for statistics object structure
+ */
+async function processAndCleanCDRs(parsedCDRs) {
+  const rejects = [];
+  const processor = createCDRProcessor({ onReject: rejected => rejects.push(rejected) });
+  const processedRecords = parsedCDRs.map(processor.processRow).filter(record => record !== null);
+  const { processingStats, invalidNumbers, invalidPhoneNumbers, validation, jurisdiction } = await processor.finish();
+
+  return { processedRecords, processingStats, invalidNumbers, invalidPhoneNumbers, validation, jurisdiction, rejects };
+}
+
+module.exports = {
+  createCDRProcessor,
+  processAndCleanCDRs
+};
@@ -0,0 +1,177 @@
+/**
+ * Quarantine for truncated CDR files and rejected rows
+ * A file that is shorter than the source listed, or whose last row is cut
+ * off, is moved to CDR_QUARANTINE_DIRECTORY/<folder>/ with a .reason.txt
+ * next to it and an alert, and is never loaded. It is not acknowledged at
+ * the source either, so the next run fetches the vendor's copy again.
+ *
+ * Rows of a loaded file that fail validation are written beside them to
+ * <file>.rejects.csv, with the line they came from and why.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { once } = require('events');
+const Papa = require('papaparse');
+const { QUARANTINE_DIRECTORY } = require('./config');
+const { CDR_PARSE_CONFIG } = require('./parser');
+const { CDR_FIELDS } = require('./record');
+const { sendAlert } = require('./alerter');
+
+// Bytes read from each end of a file to find its header and last row
+const EDGE_BYTES = 64 * 1024;
+
+function countFields(line) {
+  return Papa.parse(line, { delimiter: CDR_PARSE_CONFIG.delimiter }).data[0].length;
+}
+
+/**
+ * Checks that a .CDR file ends with a complete row: as many columns in its
+ * last row as in the header, whether or not a line ending follows it. Only
+ * the first and last 64 KB are read.
+ *
+ * @param {string} filePath - Path to the .CDR file
+ * @returns {Promise<string|null>} Why the file looks truncated, or null if it looks complete
+ */
+async function checkCDRFileComplete(filePath) {
+  const handle = await fs.promises.open(filePath, 'r');
+  try {
+    const { size } = await handle.stat();
+    if (size === 0) return 'File is empty';
+
+    const head = Buffer.alloc(Math.min(EDGE_BYTES, size));
+    await handle.read(head, 0, head.length, 0);
+    const tail = Buffer.alloc(Math.min(EDGE_BYTES, size));
+    await handle.read(tail, 0, tail.length, size - tail.length);
+
+    const headerEnd = head.indexOf('\n');
+    if (headerEnd === -1) return 'Header row is incomplete';
+
+    const lines = tail.toString('utf8').trimEnd().split(/\r?\n/);
+    if (size <= EDGE_BYTES && lines.length < 2) return null;  // Header only: no calls
+
+    const expected = countFields(head.subarray(0, headerEnd).toString('utf8').trimEnd());
+    const actual = countFields(lines[lines.length - 1]);
+    if (actual < expected) return `Last row has ${actual} of ${expected} columns`;
+
+    return null;
+  } finally {
+    await handle.close();
+  }
+}
+
+/**
+ * Moves a file into quarantine, records why and alerts.
+ *
+ * @param {string} filePath - File to move
+ * @param {string} reason - Why it was quarantined
+ * @param {Object} [options]
+ * @param {string} [options.folder] - Dated source folder (YYYYMMDD); 'local' when not set
+ * @param {string} [options.name] - File name to quarantine it under (default: its own)
+ * @returns {Promise<string>} Where the file now is
+ */
+async function quarantineFile(filePath, reason, options = {}) {
+  const name = options.name || path.basename(filePath);
+  const directory = path.join(QUARANTINE_DIRECTORY, options.folder || 'local');
+  fs.mkdirSync(directory, { recursive: true });
+
+  let destination = path.join(directory, name);
+  if (fs.existsSync(destination)) {
+    destination = path.join(directory, `${new Date().toISOString().replace(/[:.]/g, '-')}_${name}`);
+  }
+
+  try {
+    fs.renameSync(filePath, destination);
+  } catch (err) {
+    if (err.code !== 'EXDEV') throw err;
+    // Quarantine is on another volume
+    fs.copyFileSync(filePath, destination);
+    fs.unlinkSync(filePath);
+  }
+  fs.writeFileSync(`${destination}.reason.txt`, `${new Date().toISOString()} ${reason}\n`);
+
+  console.error(`🚫 Quarantined ${name}: ${reason} (${destination})`);
+  await sendAlert(
+    "CDR File Quarantined",
+    `${name}${options.folder ? ` from /${options.folder}/` : ''} looks truncated and was not loaded: ${reason}. ` +
+    `It was moved to ${destination}; the next run fetches it again.`
+  );
+
+  return destination;
+}
+
+/**
+ * Writes a file's rejected rows to CDR_QUARANTINE_DIRECTORY/<folder>/<file>.rejects.csv
+ * as they are found. The file is semicolon-delimited like a .CDR: the line
+ * the row came from, the rules it failed and why, then its original columns.
+ * Nothing is created until the first row is written.
+ *
+ * @param {string} file - Name of the .CDR file the rows came from
+ * @param {Object} [options]
+ * @param {string} [options.folder] - Dated source folder (YYYYMMDD); 'local' when not set
+ * @returns {{path: string, write: function(RejectedRow[]): Promise<void>, close: function(): Promise<number>, discard: function(): void}}
+ */
+function createRejectWriter(file, options = {}) {
+  const filePath = path.join(QUARANTINE_DIRECTORY, options.folder || 'local', `${file}.rejects.csv`);
+  const columns = ['Line', 'Rules', 'Reasons', ...CDR_FIELDS.map(({ name }) => name)];
+  let stream = null;
+  let streamError = null;
+  let count = 0;
+
+  function open() {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    stream = fs.createWriteStream(filePath);
+    stream.on('error', err => {
+      streamError = err;
+    });
+  }
+
+  return {
+    path: filePath,
+
+    async write(rejects) {
+      if (rejects.length === 0) return;
+      if (!stream) open();
+      if (streamError) throw streamError;
+
+      const data = rejects.map(({ line, failures, row }) => [
+        line,
+        failures.map(f => f.rule).join(','),
+        failures.map(f => f.reason).join('; '),
+        ...CDR_FIELDS.map(({ name }) => row[name] ?? '')
+      ]);
+      const text = Papa.unparse(count === 0 ? [columns, ...data] : data, { delimiter: CDR_PARSE_CONFIG.delimiter });
+      count += rejects.length;
+      if (!stream.write(`${text}\n`)) {
+        await once(stream, 'drain');
+      }
+    },
+
+    // Returns the number of rows written
+    async close() {
+      if (!stream) return 0;
+      await new Promise((resolve, reject) => {
+        stream.end(err => (err ? reject(err) : resolve()));
+      });
+      if (streamError) throw streamError;
+      return count;
+    },
+
+    // Removes a partial reject file after a failure
+    discard() {
+      if (!stream) return;
+      stream.destroy();
+      try {
+        fs.unlinkSync(filePath);
+      } catch (err) {
+        // Never created
+      }
+    }
+  };
+}
+
+module.exports = {
+  checkCDRFileComplete,
+  quarantineFile,
+  createRejectWriter
+};
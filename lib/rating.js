@@ -0,0 +1,267 @@
+/**
+ * Customer rating
+ * Applies our own rate decks on top of the vendor's CallPrice: each
+ * attributed call is priced from its customer's rate plan, so the retail
+ * price is stored next to the wholesale cost and margin can be computed per
+ * call. Plans and rates live in VI_RatePlan, VI_Rate and VI_CustomerRatePlan
+ * (see VI_Rating.sql).
+ */
+
+const { getPool } = require('./db');
+const { findServiceCode, SERVICE_BILLING } = require('./serviceNumbers');
+
+/**
+ * Why a call has no retail price.
+ *
+ * @constant {Object<string, string>} UNRATED_REASONS
+ */
+const UNRATED_REASONS = {
+  NO_CUSTOMER: 'noCustomer',   // The call was not attributed to a customer
+  NO_PLAN: 'noPlan',           // The customer has no rate plan on the call's date
+  NO_RATE: 'noRate'            // The plan has no rate for the call
+};
+
+function toDateString(value) {
+  if (!value) return null;
+  return value instanceof Date ? value.toISOString().slice(0, 10) : String(value).slice(0, 10);
+}
+
+function inEffect(entry, date) {
+  return entry.effectiveFrom <= date && (!entry.effectiveTo || date < entry.effectiveTo);
+}
+
+/**
+ * Seconds billed for a call after minimum and increment rounding.
+ *
+ * @param {number} duration - Seconds connected (fractions are rounded up)
+ * @param {number} minimum - Minimum billed seconds
+ * @param {number} increment - Billing increment in seconds
+ * @returns {number} 0 for a call that never connected
+ *
+ * @example
+ * roundBilledSeconds(12.4, 30, 6)  // 30
+ * roundBilledSeconds(43, 30, 6)    // 48
+ * roundBilledSeconds(61, 60, 60)   // 120
+ */
+function roundBilledSeconds(duration, minimum, increment) {
+  if (!(duration > 0)) return 0;
+  const step = increment > 0 ? increment : 1;
+  return Math.max(minimum > 0 ? minimum : 0, Math.ceil(duration / step) * step);
+}
+
+/**
+ * @typedef {Object} Rate
+ * @property {number} rateId - VI_Rate.RateId
+ * @property {number} ratePlanId - Plan the rate belongs to
+ * @property {string|null} callType - Vendor CallType it applies to (e.g. 'TERM_INTRASTATE'), null for any
+ * @property {string|null} jurisdiction - Our jurisdiction label it applies to (see lib/jurisdiction.js), null for any
+ * @property {string|null} state - DNISState it applies to, null for any
+ * @property {string|null} lata - DNISLATA it applies to, null for any
+ * @property {string|null} prefix - Leading digits of the DNIS (NPA, NPA-NXX, or '+44' style), null for any
+ * @property {number} ratePerMinute - Retail rate
+ * @property {number|null} minimum - Minimum billed seconds, null to use the CDR's CallMinimum
+ * @property {number|null} increment - Billing increment, null to use the CDR's CallIncrement
+ * @property {string} effectiveFrom - First day the rate applies (YYYY-MM-DD)
+ * @property {string|null} effectiveTo - Day it stops applying (exclusive), or null if open
+ */
+
+/**
+ * @typedef {Object} RatePlanAssignment
+ * @property {number} customerId
+ * @property {number} ratePlanId
+ * @property {string} effectiveFrom - First day the customer is on the plan (YYYY-MM-DD)
+ * @property {string|null} effectiveTo - Day the customer leaves it (exclusive), or null if open
+ */
+
+// A matching NPA-NXX outranks a matching LATA, which outranks a state,
+// then a jurisdiction, then a call type
+function specificity(rate) {
+  return (rate.prefix ? rate.prefix.length * 16 : 0) + (rate.lata ? 8 : 0) + (rate.state ? 4 : 0) +
+    (rate.jurisdiction ? 2 : 0) + (rate.callType ? 1 : 0);
+}
+
+function rateMatches(rate, record) {
+  return (!rate.callType || rate.callType.toUpperCase() === (record.CallType || '').toUpperCase()) &&
+    (!rate.jurisdiction || rate.jurisdiction === record.Jurisdiction) &&
+    (!rate.state || rate.state === record.DNISState) &&
+    (!rate.lata || rate.lata === record.DNISLATA) &&
+    (!rate.prefix || (record.DNIS || '').startsWith(rate.prefix));
+}
+
+/**
+ * Creates a rater for one set of rate plans.
+ *
+ * A call is priced by, in order:
+ * 1. Service codes: the registry's billing (see serviceCodes.json); no-charge
+ *    calls are free, pass-through calls cost the vendor's CallPrice, and
+ *    billable ones are rated like any other call
+ * 2. The plan the call's customer is on at the call's date
+ * 3. The plan's most specific rate for the call's CallType, Jurisdiction,
+ *    DNISState, DNISLATA and DNIS prefix; on a tie the most recent rate wins
+ *
+ * The rate's minimum and increment (or the CDR's, where the rate leaves them
+ * empty) round the connected seconds, and the retail price is the rounded
+ * minutes at the rate per minute, to 5 decimals like CallPrice.
+ *
+ * @param {{assignments: RatePlanAssignment[], rates: Rate[]}} ratePlans
+ * @returns {{rate: function(CDRRecord): CDRRecord, summary: function(): RatingSummary}}
+ */
+function createRater({ assignments, rates }) {
+  const ratesByPlan = new Map();
+  rates.forEach(rate => {
+    if (!ratesByPlan.has(rate.ratePlanId)) ratesByPlan.set(rate.ratePlanId, []);
+    ratesByPlan.get(rate.ratePlanId).push({ ...rate, specificity: specificity(rate) });
+  });
+  ratesByPlan.forEach(planRates => planRates.sort((a, b) =>
+    b.specificity - a.specificity || b.effectiveFrom.localeCompare(a.effectiveFrom) || b.rateId - a.rateId));
+
+  const counts = { rated: 0, serviceCodes: 0, unrated: 0, noCustomer: 0, noPlan: 0, noRate: 0, retail: 0, wholesale: 0 };
+  const unratedCustomers = {};
+
+  function findPlan(customerId, date) {
+    const current = assignments
+      .filter(assignment => assignment.customerId === customerId && inEffect(assignment, date))
+      .sort((a, b) => b.effectiveFrom.localeCompare(a.effectiveFrom));
+    return current.length ? current[0].ratePlanId : null;
+  }
+
+  function priced(record, retailPrice) {
+    record.RetailPrice = retailPrice;
+    counts.retail += retailPrice;
+    counts.wholesale += record.CallPrice || 0;
+    return record;
+  }
+
+  function unrated(record, reason) {
+    record.RetailPrice = null;
+    record.RatedSeconds = null;
+    record.RateId = null;
+    counts.unrated++;
+    counts[reason]++;
+    if (record.CustomerId !== null && record.CustomerId !== undefined) {
+      unratedCustomers[record.CustomerId] = (unratedCustomers[record.CustomerId] || 0) + 1;
+    }
+    return record;
+  }
+
+  function rate(record) {
+    if (record.CustomerId === null || record.CustomerId === undefined) return unrated(record, UNRATED_REASONS.NO_CUSTOMER);
+
+    const serviceCode = record.DNIS && record.DNIS.length <= 3 ? findServiceCode(record.DNIS, record.CustomerId) : null;
+    if (serviceCode && serviceCode.billing !== SERVICE_BILLING.BILLABLE) {
+      record.RatedSeconds = null;
+      record.RateId = null;
+      counts.serviceCodes++;
+      return priced(record, serviceCode.billing === SERVICE_BILLING.PASS_THROUGH ? record.CallPrice || 0 : 0);
+    }
+
+    // A call without a StartTime is rated with the plans in effect today
+    const date = toDateString(record.StartTime) || new Date().toISOString().slice(0, 10);
+    const ratePlanId = findPlan(record.CustomerId, date);
+    if (ratePlanId === null) return unrated(record, UNRATED_REASONS.NO_PLAN);
+
+    const match = (ratesByPlan.get(ratePlanId) || []).find(candidate => inEffect(candidate, date) && rateMatches(candidate, record));
+    if (!match) return unrated(record, UNRATED_REASONS.NO_RATE);
+
+    const seconds = roundBilledSeconds(
+      record.CallDuration,
+      match.minimum !== null ? match.minimum : record.CallMinimum,
+      match.increment !== null ? match.increment : record.CallIncrement
+    );
+    record.RatedSeconds = seconds;
+    record.RateId = match.rateId;
+    counts.rated++;
+    return priced(record, Math.round(seconds * match.ratePerMinute / 60 * 100000) / 100000);
+  }
+
+  return {
+    rate,
+    summary() {
+      return {
+        ...counts,
+        retail: Math.round(counts.retail * 100000) / 100000,
+        wholesale: Math.round(counts.wholesale * 100000) / 100000,
+        unratedCustomers: { ...unratedCustomers }
+      };
+    }
+  };
+}
+
+/**
+ * @typedef {Object} RatingSummary
+ * @property {number} rated - Calls priced from a rate plan
+ * @property {number} serviceCodes - No-charge and pass-through service code calls
+ * @property {number} unrated - Calls left without a retail price
+ * @property {number} noCustomer - Unrated calls that were not attributed to a customer
+ * @property {number} noPlan - Unrated calls whose customer has no rate plan
+ * @property {number} noRate - Unrated calls the customer's plan has no rate for
+ * @property {number} retail - Total retail price of the priced calls
+ * @property {number} wholesale - Total vendor CallPrice of the priced calls
+ * @property {Object<string, number>} unratedCustomers - Calls without a plan or rate, by CustomerId
+ */
+
+/**
+ * Reads every customer's rate plan assignments and every rate.
+ *
+ * @returns {Promise<{assignments: RatePlanAssignment[], rates: Rate[]}>}
+ */
+async function loadRatePlans() {
+  const pool = await getPool();
+  const assignments = await pool.request()
+    .query(`SELECT CustomerId, RatePlanId, EffectiveFrom, EffectiveTo
+            FROM VI_CustomerRatePlan`);
+  const rates = await pool.request()
+    .query(`SELECT RateId, RatePlanId, CallType, Jurisdiction, DNISState, DNISLATA, Prefix, RatePerMinute,
+                   CallMinimum, CallIncrement, EffectiveFrom, EffectiveTo
+            FROM VI_Rate`);
+  const trimmed = value => (value === null || value === undefined || !String(value).trim() ? null : String(value).trim());
+
+  return {
+    assignments: assignments.recordset.map(row => ({
+      customerId: row.CustomerId,
+      ratePlanId: row.RatePlanId,
+      effectiveFrom: toDateString(row.EffectiveFrom),
+      effectiveTo: toDateString(row.EffectiveTo)
+    })),
+    rates: rates.recordset.map(row => ({
+      rateId: row.RateId,
+      ratePlanId: row.RatePlanId,
+      callType: trimmed(row.CallType),
+      jurisdiction: trimmed(row.Jurisdiction),
+      state: trimmed(row.DNISState),
+      lata: trimmed(row.DNISLATA),
+      prefix: trimmed(row.Prefix),
+      ratePerMinute: Number(row.RatePerMinute),
+      minimum: row.CallMinimum,
+      increment: row.CallIncrement,
+      effectiveFrom: toDateString(row.EffectiveFrom),
+      effectiveTo: toDateString(row.EffectiveTo)
+    }))
+  };
+}
+
+let ratePlansPromise = null;
+
+/**
+ * The rate plans, read once per run and shared by every file. A failed read
+ * is not cached, so the next file tries again.
+ *
+ * @returns {Promise<{assignments: RatePlanAssignment[], rates: Rate[]}>}
+ */
+function getRatePlans() {
+  if (!ratePlansPromise) {
+    ratePlansPromise = loadRatePlans().catch(err => {
+      ratePlansPromise = null;
+      throw err;
+    });
+  }
+  return ratePlansPromise;
+}
+
+module.exports = {
+  UNRATED_REASONS,
+  roundBilledSeconds,
+  createRater,
+  loadRatePlans,
+  getRatePlans
+};
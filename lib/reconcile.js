@@ -0,0 +1,399 @@
+/**
+ * Vendor invoice reconciliation
+ * Proves a VoIP Innovations invoice against what we loaded: the invoice's
+ * totals per day and call type are compared with the sums of the stored
+ * calls' CallPrice and BillDuration, and the ledger is checked for the files
+ * behind any difference (not loaded, or loaded twice under the same name).
+ *
+ * Days are the vendor's: the calls of a CDR file and of an invoice day are
+ * those whose StartTime falls on that day in CDR_SOURCE_TIMEZONE, while cdr
+ * stores the billing zone's wall clock (TIMEZONE). Stored calls are summed
+ * per hour and each hour is moved back to the vendor's day.
+ */
+
+const fs = require('fs');
+const sql = require('mssql');
+const Papa = require('papaparse');
+const { getPool } = require('./db');
+const { parseDateArg, formatDateForFolder } = require('./dates');
+const { getTimeZoneSettings, convertCDRTime } = require('./time');
+const { LEDGER_STATUS } = require('./ledger');
+
+/**
+ * Outcome of one day and call type.
+ *
+ * @constant {Object<string, string>} RECONCILE_STATUS
+ */
+const RECONCILE_STATUS = {
+  MATCHED: 'matched',            // Within tolerance
+  VARIANCE: 'variance',          // Calls, seconds or amount differ by more than the tolerance
+  NOT_LOADED: 'not-loaded',      // Invoiced, but no calls are stored
+  NOT_INVOICED: 'not-invoiced'   // Calls are stored, but the invoice has no line for them
+};
+
+/**
+ * Columns of a reconciliation report row, in export order.
+ *
+ * @constant {string[]} RECONCILE_COLUMNS
+ */
+const RECONCILE_COLUMNS = [
+  'Date', 'CallType', 'Status', 'InvoicedCalls', 'LoadedCalls', 'InvoicedSeconds', 'LoadedSeconds',
+  'InvoicedAmount', 'LoadedAmount', 'AmountVariance', 'Files'
+];
+
+const money = value => Math.round(value * 100000) / 100000;
+
+// Invoices exported from a spreadsheet write dates as M/D/YYYY
+function toInvoiceDate(value) {
+  const text = String(value || '').trim();
+  const us = /^(\d{1,2})\/(\d{1,2})\/(\d{4})$/.exec(text);
+  const date = us ? `${us[3]}-${us[1].padStart(2, '0')}-${us[2].padStart(2, '0')}` : text;
+  return parseDateArg(date) ? date : null;
+}
+
+// Amounts may carry a currency sign and thousands separators
+function toNumber(value) {
+  const text = String(value ?? '').replace(/[$,\s]/g, '');
+  return text === '' ? null : Number(text);
+}
+
+/**
+ * @typedef {Object} InvoiceLine
+ * @property {string} date - Call date, YYYY-MM-DD
+ * @property {string} callType - Vendor CallType, as in the CDR files
+ * @property {number|null} calls - Calls invoiced, null when the invoice does not say
+ * @property {number|null} seconds - Seconds invoiced, null when the invoice does not say
+ * @property {number} amount - Amount invoiced
+ */
+
+/**
+ * Reads the vendor's invoice totals: CSV with the header
+ * Date,CallType,Amount and optionally Calls and Seconds (or Minutes).
+ * Lines for the same day and call type are added together.
+ *
+ * @param {string} file - Path to the file
+ * @returns {InvoiceLine[]} Ordered by date and call type
+ * @throws {Error} When the file cannot be read or a line is invalid
+ */
+function loadInvoice(file) {
+  let text;
+  try {
+    text = fs.readFileSync(file, 'utf8');
+  } catch (err) {
+    throw new Error(`Cannot read invoice file ${file}: ${err.message}`);
+  }
+
+  const { data, meta } = Papa.parse(text, { header: true, skipEmptyLines: true, transformHeader: h => h.trim() });
+  const missing = ['Date', 'CallType', 'Amount'].filter(column => !meta.fields.includes(column));
+  if (missing.length) throw new Error(`Invalid invoice file ${file}: missing column ${missing.join(', ')}`);
+
+  const lines = new Map();
+  data.forEach((row, index) => {
+    const where = `Invalid invoice file ${file}: row ${index + 2}`;
+    const date = toInvoiceDate(row.Date);
+    if (!date) throw new Error(`${where} has Date "${row.Date}" (expected YYYY-MM-DD or M/D/YYYY)`);
+    const callType = String(row.CallType || '').trim();
+    if (!callType) throw new Error(`${where} has no CallType`);
+
+    const values = {};
+    ['Amount', 'Calls', 'Seconds', 'Minutes'].forEach(column => {
+      values[column] = toNumber(row[column]);
+      if (Number.isNaN(values[column])) throw new Error(`${where} has ${column} "${row[column]}" (expected a number)`);
+    });
+    if (values.Amount === null) throw new Error(`${where} has no Amount`);
+    const amount = values.Amount;
+    const calls = values.Calls;
+    const seconds = values.Seconds ?? (values.Minutes === null ? null : Math.round(values.Minutes * 60));
+
+    const key = `${date}|${callType.toUpperCase()}`;
+    const line = lines.get(key) || { date, callType, calls: null, seconds: null, amount: 0 };
+    if (calls !== null) line.calls = (line.calls || 0) + calls;
+    if (seconds !== null) line.seconds = (line.seconds || 0) + seconds;
+    line.amount = money(line.amount + amount);
+    lines.set(key, line);
+  });
+
+  return [...lines.values()].sort((a, b) => a.date.localeCompare(b.date) || a.callType.localeCompare(b.callType));
+}
+
+/**
+ * @typedef {Object} LoadedTotal
+ * @property {string} date - Vendor call date, YYYY-MM-DD
+ * @property {string} callType - Vendor CallType
+ * @property {string} file - SourceFile the calls were last loaded from
+ * @property {number} calls
+ * @property {number} seconds - Sum of BillDuration (cdr.seconds)
+ * @property {number} amount - Sum of CallPrice
+ */
+
+// Billing-zone range that holds every call of a range of vendor days
+function storedRange(fromDate, toDate) {
+  const from = parseDateArg(fromDate);
+  const to = parseDateArg(toDate);
+  from.setDate(from.getDate() - 1);
+  to.setDate(to.getDate() + 1);
+  const iso = date => `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+  return { storedFrom: iso(from), storedTo: iso(to) };
+}
+
+/**
+ * Sums the stored VoIP Innovations calls of a range of vendor days per day,
+ * call type and source file.
+ *
+ * @param {string} fromDate - First day, YYYY-MM-DD
+ * @param {string} toDate - Last day, YYYY-MM-DD
+ * @returns {Promise<LoadedTotal[]>}
+ */
+async function getLoadedTotals(fromDate, toDate) {
+  const { sourceTimeZone, targetTimeZone } = getTimeZoneSettings();
+  const { storedFrom, storedTo } = storedRange(fromDate, toDate);
+  const pool = await getPool();
+  const result = await pool.request()
+    .input('fromDate', sql.VarChar(10), storedFrom)
+    .input('toDate', sql.VarChar(10), storedTo)
+    .query(`SELECT CONVERT(char(10), c.[date], 23) AS StoredDate, DATEPART(hour, c.[date]) AS StoredHour,
+                   ISNULL(c.CallType, '') AS CallType, ISNULL(d.SourceFile, '') AS SourceFile,
+                   COUNT(*) AS Calls, SUM(CAST(c.seconds AS bigint)) AS Seconds,
+                   SUM(d.CallPrice) AS Amount
+            FROM cdr c
+            JOIN cdr_detail d ON d.cdrID = c.cdrID
+            WHERE c.SIP = 'VI'
+              AND c.[date] >= @fromDate
+              AND c.[date] < DATEADD(day, 1, CAST(@toDate AS date))
+            GROUP BY CONVERT(char(10), c.[date], 23), DATEPART(hour, c.[date]),
+                     ISNULL(c.CallType, ''), ISNULL(d.SourceFile, '')`);
+
+  const totals = new Map();
+  result.recordset.forEach(row => {
+    const hour = `${row.StoredDate} ${String(row.StoredHour).padStart(2, '0')}:00:00`;
+    const date = convertCDRTime(hour, { sourceTimeZone: targetTimeZone, targetTimeZone: sourceTimeZone }).value.slice(0, 10);
+    if (date < fromDate || date > toDate) return;
+
+    const key = `${date}|${row.CallType}|${row.SourceFile}`;
+    const total = totals.get(key) || { date, callType: row.CallType, file: row.SourceFile, calls: 0, seconds: 0, amount: 0 };
+    total.calls += row.Calls;
+    // bigint sums come back as strings
+    total.seconds += Number(row.Seconds || 0);
+    total.amount += Number(row.Amount || 0);
+    totals.set(key, total);
+  });
+  return [...totals.values()];
+}
+
+// The folder named for a day holds the previous day's calls
+function folderForDay(date) {
+  const day = parseDateArg(date);
+  day.setDate(day.getDate() + 1);
+  return formatDateForFolder(day);
+}
+
+/**
+ * Reads the ledger entries behind a range of days: every entry from the
+ * dated folders holding those days' calls, and every entry sharing a name
+ * with one of them or with a file the days' calls were loaded from.
+ *
+ * @param {string} fromDate - First day, YYYY-MM-DD
+ * @param {string} toDate - Last day, YYYY-MM-DD
+ * @returns {Promise<Object[]>} VI_FileLedger rows
+ */
+async function getLedgerEntries(fromDate, toDate) {
+  const { storedFrom, storedTo } = storedRange(fromDate, toDate);
+  const pool = await getPool();
+  const result = await pool.request()
+    .input('fromFolder', sql.NVarChar(8), folderForDay(fromDate))
+    .input('toFolder', sql.NVarChar(8), folderForDay(toDate))
+    .input('fromDate', sql.VarChar(10), storedFrom)
+    .input('toDate', sql.VarChar(10), storedTo)
+    .query(`WITH Names AS (
+                SELECT FileName FROM VI_FileLedger WHERE SourceFolder BETWEEN @fromFolder AND @toFolder
+                UNION
+                SELECT DISTINCT d.SourceFile FROM cdr c
+                JOIN cdr_detail d ON d.cdrID = c.cdrID
+                WHERE c.SIP = 'VI'
+                  AND c.[date] >= @fromDate
+                  AND c.[date] < DATEADD(day, 1, CAST(@toDate AS date))
+            )
+            SELECT LedgerId, FileName, SourceFolder, Sha256, RowsInserted, RowsRerated, Status,
+                   LastError, LoadedAt
+            FROM VI_FileLedger
+            WHERE SourceFolder BETWEEN @fromFolder AND @toFolder
+               OR FileName IN (SELECT FileName FROM Names)
+            ORDER BY SourceFolder, FileName, LedgerId`);
+  return result.recordset;
+}
+
+// Whether the loaded figure is further from the invoiced one than the
+// tolerance (a percentage of the invoiced figure); differences under a
+// cent or a second are rounding
+function exceeds(invoiced, loaded, tolerance, rounding) {
+  if (invoiced === null) return false;
+  const difference = Math.abs(loaded - invoiced);
+  return difference >= rounding && difference > Math.abs(invoiced) * tolerance / 100;
+}
+
+/**
+ * @typedef {Object} ReconciliationRow
+ * @property {string} Date
+ * @property {string} CallType
+ * @property {string} Status - A RECONCILE_STATUS value
+ * @property {number|null} InvoicedCalls
+ * @property {number} LoadedCalls
+ * @property {number|null} InvoicedSeconds
+ * @property {number} LoadedSeconds
+ * @property {number} InvoicedAmount
+ * @property {number} LoadedAmount
+ * @property {number} AmountVariance - Loaded minus invoiced
+ * @property {string} Files - Source files of the loaded calls, separated by spaces
+ */
+
+/**
+ * @typedef {Object} FileIssue
+ * @property {string} date - Call date the file covers, or null when unknown
+ * @property {string} file - File name
+ * @property {string} issue - 'not-loaded' or 'loaded-twice'
+ * @property {string} detail - What the ledger and stored calls show
+ */
+
+/**
+ * Compares an invoice with the stored calls and the ledger.
+ *
+ * A day and call type is a variance when its calls, seconds or amount
+ * differ by more than the tolerance; the invoice's calls and seconds are
+ * only compared when it has them. Files are reported:
+ * - not-loaded: an invoiced day has no stored calls, or a ledger entry from
+ *   the day's folder is failed or still loading
+ * - loaded-twice: loaded ledger entries with different hashes share a file
+ *   name. A day's calls coming from more than one file is normal (each file
+ *   carries some of the previous day's calls), and a file holding calls that
+ *   were already stored fails on the unique CallKey instead of loading
+ *
+ * @param {Object} input
+ * @param {InvoiceLine[]} input.invoice
+ * @param {LoadedTotal[]} input.loaded
+ * @param {Object[]} input.ledger - Entries from {@link getLedgerEntries}
+ * @param {number} input.tolerance - Percent of the invoiced figure
+ * @returns {{rows: ReconciliationRow[], files: FileIssue[], totals: Object}}
+ */
+function reconcileInvoice({ invoice, loaded, ledger, tolerance }) {
+  const byKey = new Map();
+  const entry = (date, callType) => {
+    const key = `${date}|${callType.toUpperCase()}`;
+    if (!byKey.has(key)) {
+      byKey.set(key, { date, callType, invoice: null, calls: 0, seconds: 0, amount: 0, files: new Set() });
+    }
+    return byKey.get(key);
+  };
+
+  invoice.forEach(line => {
+    entry(line.date, line.callType).invoice = line;
+  });
+  loaded.forEach(total => {
+    const target = entry(total.date, total.callType);
+    target.calls += total.calls;
+    target.seconds += total.seconds;
+    target.amount += total.amount;
+    if (total.file) target.files.add(total.file);
+  });
+
+  const rows = [...byKey.values()]
+    .sort((a, b) => a.date.localeCompare(b.date) || a.callType.localeCompare(b.callType))
+    .map(item => {
+      const line = item.invoice;
+      const amount = money(item.amount);
+      let status;
+      if (!line) status = RECONCILE_STATUS.NOT_INVOICED;
+      else if (!item.calls) status = RECONCILE_STATUS.NOT_LOADED;
+      else if (exceeds(line.calls, item.calls, tolerance, 1) || exceeds(line.seconds, item.seconds, tolerance, 1) ||
+               exceeds(line.amount, amount, tolerance, 0.01)) status = RECONCILE_STATUS.VARIANCE;
+      else status = RECONCILE_STATUS.MATCHED;
+
+      return {
+        Date: item.date,
+        CallType: item.callType,
+        Status: status,
+        InvoicedCalls: line ? line.calls : 0,
+        LoadedCalls: item.calls,
+        InvoicedSeconds: line ? line.seconds : 0,
+        LoadedSeconds: item.seconds,
+        InvoicedAmount: line ? line.amount : 0,
+        LoadedAmount: amount,
+        AmountVariance: money(amount - (line ? line.amount : 0)),
+        Files: [...item.files].sort().join(' ')
+      };
+    });
+
+  const files = [];
+  const invoicedDays = [...new Set(invoice.map(line => line.date))];
+  const loadedDays = new Set(loaded.map(total => total.date));
+
+  invoicedDays.forEach(date => {
+    const folder = folderForDay(date);
+    const unloaded = ledger.filter(e => e.SourceFolder === folder && e.Status !== LEDGER_STATUS.LOADED);
+    unloaded.forEach(e => files.push({
+      date,
+      file: e.FileName,
+      issue: 'not-loaded',
+      detail: `ledger entry ${e.LedgerId} from /${folder}/ is ${e.Status}${e.LastError ? `: ${e.LastError}` : ''}`
+    }));
+    if (!loadedDays.has(date) && !unloaded.length) {
+      files.push({ date, file: null, issue: 'not-loaded', detail: `no calls stored and no file from /${folder}/ in the ledger` });
+    }
+  });
+
+  const loadedByName = new Map();
+  ledger.filter(e => e.Status === LEDGER_STATUS.LOADED).forEach(e => {
+    if (!loadedByName.has(e.FileName)) loadedByName.set(e.FileName, []);
+    loadedByName.get(e.FileName).push(e);
+  });
+  loadedByName.forEach((entries, fileName) => {
+    if (new Set(entries.map(e => e.Sha256)).size < 2) return;
+    files.push({
+      date: null,
+      file: fileName,
+      issue: 'loaded-twice',
+      detail: `${entries.length} different contents loaded under this name (ledger entries ` +
+        `${entries.map(e => `${e.LedgerId}${e.SourceFolder ? ` from /${e.SourceFolder}/` : ''}`).join(', ')})`
+    });
+  });
+
+  const sum = column => money(rows.reduce((total, row) => total + (row[column] || 0), 0));
+  const count = status => rows.filter(row => row.Status === status).length;
+  return {
+    rows,
+    files,
+    totals: {
+      days: invoicedDays.length,
+      matched: count(RECONCILE_STATUS.MATCHED),
+      variances: count(RECONCILE_STATUS.VARIANCE),
+      notLoaded: count(RECONCILE_STATUS.NOT_LOADED),
+      notInvoiced: count(RECONCILE_STATUS.NOT_INVOICED),
+      fileIssues: files.length,
+      invoicedAmount: sum('InvoicedAmount'),
+      loadedAmount: sum('LoadedAmount'),
+      amountVariance: sum('AmountVariance')
+    }
+  };
+}
+
+/**
+ * Formats a reconciliation as CSV, one line per day and call type.
+ *
+ * @param {ReconciliationRow[]} rows
+ * @returns {string}
+ */
+function formatReconciliationCSV(rows) {
+  return Papa.unparse({
+    fields: RECONCILE_COLUMNS,
+    data: rows.map(row => RECONCILE_COLUMNS.map(column => row[column]))
+  }) + '\n';
+}
+
+module.exports = {
+  RECONCILE_STATUS,
+  RECONCILE_COLUMNS,
+  loadInvoice,
+  getLoadedTotals,
+  getLedgerEntries,
+  reconcileInvoice,
+  formatReconciliationCSV
+};
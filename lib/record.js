@@ -0,0 +1,144 @@
+/**
+ * CDR record model
+ * The typed shape of a processed VoIP Innovations CDR, covering every column
+ * in the raw 24-column .CDR file. The same field list drives the batches sent
+ * to VI_StoreCDRs, so the dbo.VI_CDRBatch type in VI_CDRBatch.sql must match it.
+ */
+
+/**
+ * Field definitions in raw file column order. `type` controls coercion:
+ * - string:   trimmed text, '' when missing
+ * - int:      whole number, 0 when missing or unparseable
+ * - decimal:  floating point, 0 when missing or unparseable
+ * - datetime: converted by the processor (see lib/time.js)
+ * - phone:    cleaned by the processor (see lib/phoneNumbers.js); the vendor's
+ *             original value is also kept as Raw<name> (RawANI, RawDNIS), the
+ *             number's country as <name>Country (ANICountry, DNISCountry) and
+ *             its NANP category as <name>Category (ANICategory, DNISCategory)
+ *
+ * @constant {Array<{name: string, type: string, sqlType: string}>} CDR_FIELDS
+ */
+const CDR_FIELDS = [
+  { name: 'CallType',      type: 'string',   sqlType: 'nvarchar(50)' },
+  { name: 'StartTime',     type: 'datetime', sqlType: 'datetime2' },
+  { name: 'StopTime',      type: 'datetime', sqlType: 'datetime2' },
+  { name: 'CallDuration',  type: 'decimal',  sqlType: 'decimal(10,2)' },  // Actual seconds connected
+  { name: 'BillDuration',  type: 'int',      sqlType: 'int' },            // Seconds billed after minimum/increment
+  { name: 'CallMinimum',   type: 'int',      sqlType: 'int' },            // Minimum billed seconds
+  { name: 'CallIncrement', type: 'int',      sqlType: 'int' },            // Billing increment in seconds
+  { name: 'BasePrice',     type: 'decimal',  sqlType: 'decimal(12,5)' },  // Per-minute rate
+  { name: 'CallPrice',     type: 'decimal',  sqlType: 'decimal(12,5)' },  // Charged amount
+  { name: 'TransactionId', type: 'string',   sqlType: 'nvarchar(50)' },
+  { name: 'CustomerIP',    type: 'string',   sqlType: 'nvarchar(50)' },
+  { name: 'ANI',           type: 'phone',    sqlType: 'nvarchar(20)' },
+  { name: 'ANIState',      type: 'string',   sqlType: 'nvarchar(10)' },
+  { name: 'DNIS',          type: 'phone',    sqlType: 'nvarchar(20)' },
+  { name: 'LRN',           type: 'string',   sqlType: 'nvarchar(20)' },   // Kept for reference, not used for DNIS
+  { name: 'DNISState',     type: 'string',   sqlType: 'nvarchar(10)' },
+  { name: 'DNISLATA',      type: 'string',   sqlType: 'nvarchar(10)' },
+  { name: 'DNISOCN',       type: 'string',   sqlType: 'nvarchar(10)' },
+  { name: 'OrigTier',      type: 'string',   sqlType: 'nvarchar(50)' },
+  { name: 'TermRateDeck',  type: 'string',   sqlType: 'nvarchar(50)' },
+  { name: 'TermCarrier',   type: 'string',   sqlType: 'nvarchar(100)' },
+  { name: 'VIIP',          type: 'string',   sqlType: 'nvarchar(50)' },
+  { name: 'EPG',           type: 'string',   sqlType: 'nvarchar(50)' },
+  { name: 'Identity',      type: 'string',   sqlType: 'nvarchar(max)' }   // SIP Identity (STIR/SHAKEN) header
+];
+
+/**
+ * @typedef {Object} CDRRecord
+ * @property {string} CallType - Vendor call type, e.g. 'TERM_INTRASTATE'
+ * @property {string|null} StartTime - Billing-zone wall clock, e.g. '2025-01-13T09:17:34.000'
+ * @property {string|null} StopTime - Billing-zone wall clock
+ * @property {number} CallDuration - Actual seconds connected
+ * @property {number} BillDuration - Seconds billed
+ * @property {number} CallMinimum - Minimum billed seconds
+ * @property {number} CallIncrement - Billing increment in seconds
+ * @property {number} BasePrice - Per-minute rate
+ * @property {number} CallPrice - Charged amount
+ * @property {string} TransactionId
+ * @property {string} CustomerIP
+ * @property {string|null} ANI - Cleaned source number: 10-digit NANP, service code or E.164 ('+' and country code)
+ * @property {string} RawANI - Source number exactly as the vendor sent it
+ * @property {string|null} ANICountry - ISO country of the source number
+ * @property {string|null} ANICategory - NANP category of the source number (see lib/nanp.js)
+ * @property {string} ANIState
+ * @property {string|null} DNIS - Cleaned destination number: 10-digit NANP, service code or E.164 ('+' and country code)
+ * @property {string} RawDNIS - Destination number exactly as the vendor sent it
+ * @property {string|null} DNISCountry - ISO country of the destination number
+ * @property {string|null} DNISCategory - NANP category of the destination number (see lib/nanp.js)
+ * @property {string} LRN
+ * @property {string} DNISState
+ * @property {string} DNISLATA
+ * @property {string} DNISOCN
+ * @property {string} OrigTier
+ * @property {string} TermRateDeck
+ * @property {string} TermCarrier
+ * @property {string} VIIP
+ * @property {string} EPG
+ * @property {string} Identity
+ * @property {string} CallKey - Deduplication key (see lib/callKey.js)
+ * @property {number|null} CustomerId - Customer account the call belongs to (see lib/attribution.js)
+ * @property {string|null} Attribution - How CustomerId was found (did, ani, ip) or why not (unmatched,
+ *   ambiguous); null when attribution did not run
+ * @property {number|null} RetailPrice - Price billed to the customer (see lib/rating.js); null when not rated
+ * @property {number|null} RatedSeconds - Seconds the retail price was rated on, after minimum and increment
+ * @property {number|null} RateId - VI_Rate row that priced the call
+ * @property {string|null} Jurisdiction - Our jurisdiction label (see lib/jurisdiction.js); null when
+ *   an end is a service code or invalid, or its state is unknown
+ */
+
+function coerceField(type, value) {
+  switch (type) {
+    case 'int': return parseInt(value) || 0;
+    case 'decimal': return parseFloat(value) || 0.0;
+    default: return value ? String(value).trim() : '';
+  }
+}
+
+/**
+ * Builds a typed CDR record from a raw parsed row and the values the
+ * processor has already converted (timestamps and phone numbers).
+ *
+ * @param {Object} raw - Row from the parser, keyed by column name
+ * @param {Object} converted - StartTime, StopTime, ANI and DNIS as processed, the
+ *   ANICountry/DNISCountry and ANICategory/DNISCategory, plus the CallKey
+ * @returns {CDRRecord}
+ */
+function buildCDRRecord(raw, converted) {
+  const record = {};
+
+  CDR_FIELDS.forEach(({ name, type }) => {
+    if (type === 'datetime' || type === 'phone') {
+      record[name] = converted[name] !== undefined ? converted[name] : null;
+    } else {
+      record[name] = coerceField(type, raw[name]);
+    }
+
+    // Keep the vendor's original numbers alongside the cleaned ones
+    if (type === 'phone') {
+      record[`Raw${name}`] = coerceField('string', raw[name]);
+      record[`${name}Country`] = converted[`${name}Country`] || null;
+      record[`${name}Category`] = converted[`${name}Category`] || null;
+    }
+  });
+
+  record.CallKey = converted.CallKey || null;
+
+  // Set by the processor's jurisdiction classifier
+  record.Jurisdiction = null;
+
+  // Set by the pipeline's attribution and rating stages
+  record.CustomerId = null;
+  record.Attribution = null;
+  record.RetailPrice = null;
+  record.RatedSeconds = null;
+  record.RateId = null;
+
+  return record;
+}
+
+module.exports = {
+  CDR_FIELDS,
+  buildCDRRecord
+};
@@ -0,0 +1,102 @@
+/**
+ * CDR file schema
+ * The .CDR header VoIP Innovations is expected to send, by version, and the
+ * check that compares a file's header with it. Rows are read by column name,
+ * so a renamed or missing column would otherwise load as blanks without
+ * anything failing.
+ */
+
+/**
+ * Known .CDR header layouts, oldest first. When the vendor changes the format,
+ * add a version (and update CDR_FIELDS and dbo.VI_CDRBatch to match) rather
+ * than editing an existing one, so files in an older layout are still
+ * recognised when they are reloaded.
+ *
+ * @constant {Array<{version: number, since: string, columns: string[]}>} CDR_SCHEMA_VERSIONS
+ */
+const CDR_SCHEMA_VERSIONS = [
+  {
+    version: 1,
+    since: '2025-01-13',
+    columns: [
+      'CallType', 'StartTime', 'StopTime', 'CallDuration', 'BillDuration', 'CallMinimum',
+      'CallIncrement', 'BasePrice', 'CallPrice', 'TransactionId', 'CustomerIP', 'ANI',
+      'ANIState', 'DNIS', 'LRN', 'DNISState', 'DNISLATA', 'DNISOCN', 'OrigTier',
+      'TermRateDeck', 'TermCarrier', 'VIIP', 'EPG', 'Identity'
+    ]
+  }
+];
+
+const CURRENT_SCHEMA = CDR_SCHEMA_VERSIONS[CDR_SCHEMA_VERSIONS.length - 1];
+
+/**
+ * Columns a file cannot be loaded without: the call's time, duration, price
+ * and numbers, and the fields its deduplication key is built from. Other
+ * columns going missing only raises a warning.
+ *
+ * @constant {string[]} REQUIRED_COLUMNS
+ */
+const REQUIRED_COLUMNS = [
+  'StartTime', 'StopTime', 'CallDuration', 'BillDuration', 'CallPrice', 'TransactionId', 'ANI', 'DNIS'
+];
+
+/**
+ * @typedef {Object} SchemaCheck
+ * @property {number|null} version - Schema version the header matches exactly, or null
+ * @property {number} expectedVersion - Version it was compared with when it matched none
+ * @property {string[]} added - Columns not in the expected header
+ * @property {string[]} removed - Expected columns the header lacks
+ * @property {boolean} reordered - Whether the columns both have are in a different order
+ * @property {string[]} missingRequired - Removed columns from REQUIRED_COLUMNS; the file must not be loaded
+ */
+
+/**
+ * Compares a file's header row with the known schema versions.
+ *
+ * @param {string[]} headers - Column names from the file's header row
+ * @returns {SchemaCheck}
+ *
+ * @example
+ * checkCDRHeader([...CDR_SCHEMA_VERSIONS[0].columns]).version // 1
+ * checkCDRHeader(['CallType', 'StartTime', 'CallerNumber', ...]).missingRequired // ['ANI', ...]
+ */
+function checkCDRHeader(headers) {
+  const known = CDR_SCHEMA_VERSIONS.find(schema =>
+    schema.columns.length === headers.length && schema.columns.every((column, i) => column === headers[i]));
+
+  const expected = known ? known.columns : CURRENT_SCHEMA.columns;
+  const added = headers.filter(column => !expected.includes(column));
+  const removed = expected.filter(column => !headers.includes(column));
+  const shared = headers.filter(column => expected.includes(column));
+  const expectedOrder = expected.filter(column => shared.includes(column));
+
+  return {
+    version: known ? known.version : null,
+    expectedVersion: known ? known.version : CURRENT_SCHEMA.version,
+    added,
+    removed,
+    reordered: shared.some((column, i) => column !== expectedOrder[i]),
+    missingRequired: removed.filter(column => REQUIRED_COLUMNS.includes(column))
+  };
+}
+
+/**
+ * Describes a header that does not match its schema, for logs and alerts.
+ *
+ * @param {SchemaCheck} check
+ * @returns {string} e.g. 'added CallerNumber; removed ANI; columns reordered'
+ */
+function describeSchemaDrift(check) {
+  const changes = [];
+  if (check.added.length) changes.push(`added ${check.added.join(', ')}`);
+  if (check.removed.length) changes.push(`removed ${check.removed.join(', ')}`);
+  if (check.reordered) changes.push('columns reordered');
+  return changes.join('; ');
+}
+
+module.exports = {
+  CDR_SCHEMA_VERSIONS,
+  REQUIRED_COLUMNS,
+  checkCDRHeader,
+  describeSchemaDrift
+};
@@ -0,0 +1,210 @@
+/**
+ * Service number registry
+ * The short service codes (911, 411, 988, operator 0, ...) that are preserved
+ * during phone number processing instead of being rejected as invalid, with
+ * how each is described, billed and alerted on.
+ *
+ * The registry is read from serviceCodes.json in the project root, or the
+ * file named by CDR_SERVICE_CODES_FILE.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { SEVERITIES } = require('./alerter');
+
+/**
+ * How calls to a service code are charged.
+ * - no-charge:    never billed to the customer (911, 711, ...)
+ * - billable:     rated like any other call
+ * - pass-through: the vendor's CallPrice is passed on unchanged (411, operator)
+ *
+ * @constant {Object<string, string>} SERVICE_BILLING
+ */
+const SERVICE_BILLING = {
+  NO_CHARGE: 'no-charge',
+  BILLABLE: 'billable',
+  PASS_THROUGH: 'pass-through'
+};
+
+const DEFAULT_SERVICE_CODES_FILE = path.join(__dirname, '..', 'serviceCodes.json');
+
+/**
+ * @typedef {Object} ServiceCode
+ * @property {string} code - Digits dialled, e.g. '911', '0'
+ * @property {string} description - e.g. 'Emergency services'
+ * @property {string} category - e.g. 'emergency', 'operator'
+ * @property {string} priority - Label used in logs, e.g. 'CRITICAL', 'BILLABLE'
+ * @property {string} note - Why the code matters, e.g. 'Must be captured for compliance'
+ * @property {string} billing - One of {@link SERVICE_BILLING}
+ * @property {Object<string, number>} alertThresholds - Alert severity → calls per file above which it is raised
+ * @property {Object<string, {billing?: string, alertThresholds?: Object<string, number>}>} customers
+ *   Overrides by customer (CustomerId from VI_CustomerMap)
+ */
+
+let cache = null;
+
+function checkThresholds(thresholds, where) {
+  if (thresholds === undefined) return {};
+  if (!thresholds || typeof thresholds !== 'object' || Array.isArray(thresholds)) {
+    throw new Error(`${where}: alertThresholds must be an object`);
+  }
+  Object.entries(thresholds).forEach(([severity, count]) => {
+    if (!SEVERITIES.includes(severity)) {
+      throw new Error(`${where}: unknown alert severity "${severity}" (expected ${SEVERITIES.join(', ')})`);
+    }
+    if (!Number.isInteger(count) || count < 0) {
+      throw new Error(`${where}: alertThresholds.${severity} must be a whole number of calls`);
+    }
+  });
+  return thresholds;
+}
+
+function checkBilling(billing, where) {
+  if (!Object.values(SERVICE_BILLING).includes(billing)) {
+    throw new Error(`${where}: billing must be ${Object.values(SERVICE_BILLING).join(', ')}`);
+  }
+  return billing;
+}
+
+function checkServiceCode(entry, index, seen) {
+  const where = `entry ${index + 1}`;
+  if (!entry || typeof entry !== 'object') throw new Error(`${where}: expected an object`);
+  if (typeof entry.code !== 'string' || !/^\d{1,3}$/.test(entry.code)) {
+    throw new Error(`${where}: code must be 1 to 3 digits, as a string`);
+  }
+  const at = `code ${entry.code}`;
+  if (seen.has(entry.code)) throw new Error(`${at}: listed more than once`);
+  seen.add(entry.code);
+  ['description', 'category'].forEach(field => {
+    if (typeof entry[field] !== 'string' || !entry[field].trim()) throw new Error(`${at}: ${field} is required`);
+  });
+
+  const customers = {};
+  Object.entries(entry.customers || {}).forEach(([customer, override]) => {
+    const on = `${at}, customer ${customer}`;
+    if (!/^\d+$/.test(customer)) throw new Error(`${on}: customers are keyed by CustomerId (see VI_CustomerMap)`);
+    if (!override || typeof override !== 'object') throw new Error(`${on}: expected an object`);
+    const unknown = Object.keys(override).filter(key => key !== 'billing' && key !== 'alertThresholds');
+    if (unknown.length) throw new Error(`${on}: only billing and alertThresholds can be overridden, not ${unknown.join(', ')}`);
+    customers[customer] = {};
+    if (override.billing !== undefined) customers[customer].billing = checkBilling(override.billing, on);
+    if (override.alertThresholds !== undefined) customers[customer].alertThresholds = checkThresholds(override.alertThresholds, on);
+  });
+
+  return {
+    code: entry.code,
+    description: entry.description,
+    category: entry.category,
+    priority: entry.priority || '',
+    note: entry.note || '',
+    billing: checkBilling(entry.billing, at),
+    alertThresholds: checkThresholds(entry.alertThresholds, at),
+    customers
+  };
+}
+
+/**
+ * Reads and checks a service code registry file: a JSON array of
+ * {@link ServiceCode} entries.
+ *
+ * @param {string} file - Path to the registry
+ * @returns {ServiceCode[]} Entries in file order
+ * @throws {Error} When the file cannot be read or an entry is invalid
+ */
+function loadServiceCodes(file) {
+  let entries;
+  try {
+    entries = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (err) {
+    throw new Error(`Cannot read service code registry ${file}: ${err.message}`);
+  }
+  if (!Array.isArray(entries)) {
+    throw new Error(`Invalid service code registry ${file}: expected an array of service codes`);
+  }
+
+  const seen = new Set();
+  try {
+    return entries.map((entry, index) => checkServiceCode(entry, index, seen));
+  } catch (err) {
+    throw new Error(`Invalid service code registry ${file}: ${err.message}`);
+  }
+}
+
+/**
+ * The service code registry in use, read once from CDR_SERVICE_CODES_FILE
+ * (default: serviceCodes.json in the project root).
+ *
+ * @returns {ServiceCode[]}
+ * @throws {Error} When the registry cannot be read or is invalid
+ */
+function getServiceCodes() {
+  const file = process.env.CDR_SERVICE_CODES_FILE || DEFAULT_SERVICE_CODES_FILE;
+  if (!cache || cache.file !== file) {
+    cache = { file, entries: loadServiceCodes(file) };
+  }
+  return cache.entries;
+}
+
+/**
+ * Looks up a service code, applying the customer's overrides if it has any.
+ *
+ * @param {string} code - Cleaned digits, e.g. '911'
+ * @param {number|string} [customer] - CustomerId the call is attributed to
+ * @returns {ServiceCode|null} The entry, or null if the code is not registered
+ *
+ * @example
+ * findServiceCode('911').billing  // 'no-charge'
+ * findServiceCode('123')          // null
+ */
+function findServiceCode(code, customer) {
+  const entry = getServiceCodes().find(serviceCode => serviceCode.code === code);
+  if (!entry) return null;
+  const override = customer !== null && customer !== undefined && entry.customers[customer];
+  return override ? { ...entry, ...override } : entry;
+}
+
+/**
+ * Validates if a number is a registered service code.
+ *
+ * @function isValidServiceNumber
+ * @param {string} number - Cleaned digits
+ * @returns {boolean} true if the number is in the registry, false otherwise
+ *
+ * @example
+ * isValidServiceNumber('911') // returns true (Emergency services)
+ * isValidServiceNumber('0')   // returns true (Operator assistance)
+ * isValidServiceNumber('123') // returns false (Not a recognized service)
+ * isValidServiceNumber(null)  // returns false (Invalid input)
+ *
+ * @since 2.1.0
+ * @see {@link getServiceCodes} for the registered codes
+ */
+function isValidServiceNumber(number) {
+  return Boolean(number) && findServiceCode(number) !== null;
+}
+
+/**
+ * The highest alert threshold a call count is above.
+ *
+ * @param {Object<string, number>} thresholds - Severity → calls, from a {@link ServiceCode}
+ * @param {number} count - Calls to the code
+ * @returns {{severity: string, threshold: number}|null} null when no threshold is exceeded
+ *
+ * @example
+ * exceededThreshold({ warning: 5, critical: 10 }, 7)  // { severity: 'warning', threshold: 5 }
+ */
+function exceededThreshold(thresholds, count) {
+  const exceeded = Object.entries(thresholds)
+    .filter(([, threshold]) => count > threshold)
+    .sort(([a], [b]) => SEVERITIES.indexOf(b) - SEVERITIES.indexOf(a));
+  return exceeded.length ? { severity: exceeded[0][0], threshold: exceeded[0][1] } : null;
+}
+
+module.exports = {
+  SERVICE_BILLING,
+  loadServiceCodes,
+  getServiceCodes,
+  findServiceCode,
+  isValidServiceNumber,
+  exceededThreshold
+};
@@ -0,0 +1,134 @@
+/**
+ * CDR sources
+ * Where the daily and backfill commands get their dated CDR batches from,
+ * chosen with CDR_SOURCE:
+ * - ftp:   the VoIP Innovations FTPS server (default, lib/sources/ftp.js)
+ * - sftp:  an SSH server (lib/sources/sftp.js)
+ * - local: a local or mounted directory (lib/sources/local.js)
+ *
+ * A batch is one dated folder (YYYYMMDD). Each source opens and closes its
+ * own connection per call, so a slow load never holds a connection open.
+ */
+
+const fs = require('fs');
+const { processCDRDirectory, quarantinedFileResult } = require('./pipeline');
+
+/**
+ * @typedef {Object} CDRSource
+ * @property {string} type - 'ftp', 'sftp' or 'local'
+ * @property {function(string): Promise<Array<{name: string, size: number}>|null>} listBatch
+ *   Lists the .CDR files in a folder, or null when the folder does not exist
+ * @property {function(string, string): Promise<{directory: string, quarantined: Object[]}|null>} fetchBatch
+ *   Copies a folder's .CDR files into a local directory, each checked against
+ *   the listed size (see downloadVerified in lib/sources/common.js). Returns
+ *   the directory and the files quarantined as truncated, or null when the
+ *   folder does not exist
+ * @property {function(string, string[]): Promise<void>} acknowledgeBatch
+ *   Marks loaded files as done at the source, as set by CDR_SOURCE_ACK
+ * @property {function(): Promise<void>} verify
+ *   Confirms the source is reachable with the configured credentials
+ */
+
+const SOURCES = {
+  ftp: () => require('./sources/ftp').createFTPSource(),
+  sftp: () => require('./sources/sftp').createSFTPSource(),
+  local: () => require('./sources/local').createLocalSource()
+};
+
+/**
+ * Settings each source needs, for tbssync verify.
+ *
+ * @constant {Object<string, string[]>} SOURCE_SETTINGS
+ */
+const SOURCE_SETTINGS = {
+  ftp: ['FTP_HOST', 'FTP_USER', 'FTP_PASSWORD'],
+  sftp: ['SFTP_HOST', 'SFTP_USER'],
+  local: ['CDR_SOURCE_DIR']
+};
+
+/**
+ * @returns {string} The configured source type (CDR_SOURCE, default 'ftp')
+ */
+function getSourceType() {
+  return (process.env.CDR_SOURCE || 'ftp').toLowerCase();
+}
+
+/**
+ * Creates the configured CDR source.
+ *
+ * @param {string} [type] - Source type; defaults to CDR_SOURCE
+ * @returns {CDRSource}
+ * @throws {Error} On an unknown source type
+ */
+function createCDRSource(type = getSourceType()) {
+  if (!SOURCES[type]) {
+    throw new Error(`Unknown CDR_SOURCE "${type}" (expected ${Object.keys(SOURCES).join(', ')})`);
+  }
+  return SOURCES[type]();
+}
+
+/**
+ * Fetches a dated folder, loads its files (retiring each downloaded copy
+ * once stored) and acknowledges the loaded ones (except on dry runs). Files
+ * the source quarantined while downloading are reported as failed results.
+ * The local directory is removed once empty.
+ *
+ * @param {CDRSource} source
+ * @param {string} folderName - Batch folder, e.g. '20250113'
+ * @param {string} targetDir - Local directory to fetch into
+ * @param {PipelineOptions} options
+ * @returns {Promise<FileResult[]>} Empty when the folder does not exist
+ * @throws {Error} When the folder cannot be fetched
+ */
+async function loadBatch(source, folderName, targetDir, options) {
+  const batch = await source.fetchBatch(folderName, targetDir);
+  if (!batch) return [];
+
+  const results = [
+    ...batch.quarantined.map(q => quarantinedFileResult(q.file, q.reason, q.quarantinedFile)),
+    ...await processCDRDirectory(batch.directory, { ...options, folder: folderName, retire: true })
+  ];
+
+  if (!options.dryRun) {
+    await acknowledgeLoaded(source, folderName, results);
+  }
+
+  try {
+    fs.rmdirSync(batch.directory);
+  } catch (err) {
+    // Not empty: failed, skipped or partly downloaded files remain for the next run
+  }
+
+  return results;
+}
+
+/**
+ * Acknowledges the files of a batch that are now in the database: loaded
+ * this run, or found already loaded by the ledger. Failed and skipped files
+ * stay at the source for the next run. An acknowledgement failure is logged,
+ * not thrown; the ledger keeps a re-fetched file from loading twice.
+ *
+ * @param {CDRSource} source
+ * @param {string} folderName - Batch folder, e.g. '20250113'
+ * @param {Object[]} results - FileResult objects from the pipeline
+ * @returns {Promise<void>}
+ */
+async function acknowledgeLoaded(source, folderName, results) {
+  const loaded = results
+    .filter(r => r.status === 'success' || r.reason === 'already-loaded')
+    .map(r => r.file);
+
+  try {
+    await source.acknowledgeBatch(folderName, loaded);
+  } catch (err) {
+    console.error(`⚠️  Could not acknowledge ${folderName} at the ${source.type} source: ${err.message}`);
+  }
+}
+
+module.exports = {
+  SOURCE_SETTINGS,
+  getSourceType,
+  createCDRSource,
+  loadBatch,
+  acknowledgeLoaded
+};
@@ -0,0 +1,114 @@
+/**
+ * Helpers shared by the CDR source implementations.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { quarantineFile } = require('../quarantine');
+
+// Attempts per file before a download is given up
+const DOWNLOAD_ATTEMPTS = 3;
+
+/**
+ * What a source does with a file once it has been loaded:
+ * - none:   leave it (default; the ledger skips it if it is fetched again)
+ * - delete: remove it from the source
+ * - rename: rename it to <name>.done, so it is no longer listed
+ *
+ * @constant {Object<string, string>} ACK_MODES
+ */
+const ACK_MODES = {
+  NONE: 'none',
+  DELETE: 'delete',
+  RENAME: 'rename'
+};
+
+/**
+ * Reads CDR_SOURCE_ACK.
+ *
+ * @returns {string} One of {@link ACK_MODES}
+ * @throws {Error} On an unknown mode
+ */
+function getAckMode() {
+  const mode = (process.env.CDR_SOURCE_ACK || ACK_MODES.NONE).toLowerCase();
+  if (!Object.values(ACK_MODES).includes(mode)) {
+    throw new Error(`Invalid CDR_SOURCE_ACK "${mode}" (expected none, delete or rename)`);
+  }
+  return mode;
+}
+
+function isCDRFile(name) {
+  return name.toUpperCase().endsWith('.CDR');
+}
+
+/**
+ * Downloads one listed file to <name>.part and renames it to its .CDR name
+ * only once its size matches the listing, so a partly written file is never
+ * picked up by the loader. A .part left by an interrupted transfer is resumed
+ * from its current size; a file the size of the listing is not downloaded
+ * again. A transfer that completes short is quarantined, not loaded.
+ *
+ * @param {{name: string, size: number}} file - Entry from the source listing
+ * @param {string} targetDir - Local directory for the batch
+ * @param {function(string, number): Promise<void>} transfer - Copies the file
+ *   into the given local path, starting at the given byte offset
+ * @param {Object} [options]
+ * @param {string} [options.folder] - Batch folder, for the quarantine location
+ * @param {boolean} [options.resumable=true] - Whether transfer honours the offset
+ * @param {function(number, Error): Promise<void>} [options.onRetry] - Called before each retry
+ * @returns {Promise<{file: string, reason: string, quarantinedFile: string}|null>}
+ *   The quarantined file, or null when the download is complete
+ * @throws {Error} When the transfer still fails after DOWNLOAD_ATTEMPTS attempts
+ */
+async function downloadVerified(file, targetDir, transfer, options = {}) {
+  const finalFile = path.join(targetDir, file.name);
+  const partFile = `${finalFile}.part`;
+
+  if (fs.existsSync(finalFile) && fs.statSync(finalFile).size === file.size) {
+    console.log(`⏭️  ${file.name} already downloaded`);
+    return null;
+  }
+
+  for (let attempt = 1; ; attempt++) {
+    let offset = fs.existsSync(partFile) ? fs.statSync(partFile).size : 0;
+    if (offset > file.size || options.resumable === false) {
+      // The source file changed, or the transport cannot resume: start over
+      offset = 0;
+    }
+
+    try {
+      if (offset === file.size && offset > 0) break;
+      if (offset > 0) {
+        console.log(`↪️  Resuming ${file.name} at byte ${offset} of ${file.size}`);
+      }
+      await transfer(partFile, offset);
+      break;
+    } catch (err) {
+      console.log(`⚠️  Download attempt ${attempt} of ${file.name} failed: ${err.message}`);
+      if (attempt >= DOWNLOAD_ATTEMPTS) throw err;
+
+      console.log(`🔄 Retrying in 2 seconds...`);
+      await new Promise(resolve => setTimeout(resolve, 2000));
+      if (options.onRetry) await options.onRetry(attempt, err);
+    }
+  }
+
+  const size = fs.statSync(partFile).size;
+  if (size !== file.size) {
+    const reason = `Downloaded ${size} of ${file.size} bytes listed at the source`;
+    const quarantinedFile = await quarantineFile(partFile, reason, { folder: options.folder, name: file.name });
+    return { file: file.name, reason, quarantinedFile };
+  }
+
+  fs.renameSync(partFile, finalFile);
+  console.log(`Downloaded: ${file.name} - ${size} bytes`);
+  return null;
+}
+
+module.exports = {
+  ACK_MODES,
+  DOWNLOAD_ATTEMPTS,
+  getAckMode,
+  isCDRFile,
+  downloadVerified
+};
@@ -0,0 +1,72 @@
+/**
+ * FTP/FTPS CDR source
+ * The VoIP Innovations CDR server: one folder per day (/YYYYMMDD/) on
+ * FTP_HOST. Connection handling lives in lib/ftp.js.
+ */
+
+const ftp = require('basic-ftp');
+const { connectFTP, downloadCDRFolder, verifyFTPConnection } = require('../ftp');
+const { ACK_MODES, getAckMode, isCDRFile } = require('./common');
+
+async function withClient(fn) {
+  const client = new ftp.Client();
+  client.ftp.timeout = 30000;
+  client.ftp.ipFamily = 4;
+
+  try {
+    await connectFTP(client);
+    return await fn(client);
+  } finally {
+    client.close();
+  }
+}
+
+/**
+ * @returns {CDRSource}
+ */
+function createFTPSource() {
+  return {
+    type: 'ftp',
+
+    async listBatch(folderName) {
+      return withClient(async client => {
+        try {
+          const entries = await client.list(`/${folderName}/`);
+          return entries
+            .filter(entry => entry.isFile && isCDRFile(entry.name))
+            .map(entry => ({ name: entry.name, size: entry.size }));
+        } catch (err) {
+          console.log(`⚠️  Folder /${folderName}/ not found or inaccessible: ${err.message}`);
+          return null;
+        }
+      });
+    },
+
+    fetchBatch(folderName, targetDir) {
+      return downloadCDRFolder(folderName, targetDir);
+    },
+
+    async acknowledgeBatch(folderName, fileNames) {
+      const mode = getAckMode();
+      if (mode === ACK_MODES.NONE || fileNames.length === 0) return;
+
+      await withClient(async client => {
+        for (const name of fileNames) {
+          const remotePath = `/${folderName}/${name}`;
+          if (mode === ACK_MODES.DELETE) {
+            await client.remove(remotePath);
+          } else {
+            await client.rename(remotePath, `${remotePath}.done`);
+          }
+          console.log(`✔️  Acknowledged ${remotePath} (${mode})`);
+        }
+      });
+    },
+
+    verify: verifyFTPConnection
+  };
+}
+
+module.exports = {
+  createFTPSource
+};
@@ -0,0 +1,87 @@
+/**
+ * Local directory CDR source
+ * Reads dated folders (YYYYMMDD) from CDR_SOURCE_DIR, e.g. a drop folder in
+ * test or a mounted share. Files are copied, so the source is only changed
+ * when a batch is acknowledged; a copy whose size differs from the listing
+ * (the file was still being written) is quarantined.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { ACK_MODES, getAckMode, isCDRFile, downloadVerified } = require('./common');
+
+function getRoot() {
+  if (!process.env.CDR_SOURCE_DIR) {
+    throw new Error('CDR_SOURCE_DIR is required when CDR_SOURCE=local');
+  }
+  return process.env.CDR_SOURCE_DIR;
+}
+
+/**
+ * @returns {CDRSource}
+ */
+function createLocalSource() {
+  async function listBatch(folderName) {
+    const folder = path.join(getRoot(), folderName);
+    if (!fs.existsSync(folder)) {
+      console.log(`⚠️  Folder ${folder} not found`);
+      return null;
+    }
+
+    return fs.readdirSync(folder)
+      .filter(name => isCDRFile(name))
+      .map(name => ({ name, stat: fs.statSync(path.join(folder, name)) }))
+      .filter(({ stat }) => stat.isFile())
+      .map(({ name, stat }) => ({ name, size: stat.size }));
+  }
+
+  return {
+    type: 'local',
+
+    listBatch,
+
+    async fetchBatch(folderName, targetDir) {
+      const files = await listBatch(folderName);
+      if (!files) return null;
+
+      fs.mkdirSync(targetDir, { recursive: true });
+      const quarantined = [];
+      for (const file of files) {
+        const sourcePath = path.join(getRoot(), folderName, file.name);
+        const problem = await downloadVerified(file, targetDir, async partFile => {
+          fs.copyFileSync(sourcePath, partFile);
+        }, { folder: folderName, resumable: false });
+        if (problem) quarantined.push(problem);
+      }
+      console.log(`📥 Copied CDRs from ${path.join(getRoot(), folderName)}`);
+      return { directory: targetDir, quarantined };
+    },
+
+    async acknowledgeBatch(folderName, fileNames) {
+      const mode = getAckMode();
+      if (mode === ACK_MODES.NONE) return;
+
+      for (const name of fileNames) {
+        const sourcePath = path.join(getRoot(), folderName, name);
+        if (mode === ACK_MODES.DELETE) {
+          fs.unlinkSync(sourcePath);
+        } else {
+          fs.renameSync(sourcePath, `${sourcePath}.done`);
+        }
+        console.log(`✔️  Acknowledged ${sourcePath} (${mode})`);
+      }
+    },
+
+    async verify() {
+      const root = getRoot();
+      if (!fs.existsSync(root) || !fs.statSync(root).isDirectory()) {
+        throw new Error(`CDR_SOURCE_DIR ${root} is not a directory`);
+      }
+      fs.accessSync(root, fs.constants.R_OK);
+    }
+  };
+}
+
+module.exports = {
+  createLocalSource
+};
@@ -0,0 +1,155 @@
+/**
+ * SFTP CDR source
+ * Reads dated folders (YYYYMMDD) under SFTP_ROOT on an SSH server. Log in
+ * with SFTP_PASSWORD or an SFTP_PRIVATE_KEY file. The server's host key must
+ * be pinned with SFTP_HOST_KEY_SHA256 (the base64 SHA-256 fingerprint
+ * ssh-keygen -l prints, with or without the "SHA256:" prefix); without it
+ * the connection is refused unless SFTP_ALLOW_ANY_HOST_KEY=true.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const SftpClient = require('ssh2-sftp-client');
+const { ACK_MODES, getAckMode, isCDRFile, downloadVerified } = require('./common');
+
+function remoteFolder(folderName) {
+  return path.posix.join(process.env.SFTP_ROOT || '/', folderName);
+}
+
+/**
+ * @returns {Object} ssh2 connect options
+ * @throws {Error} When SFTP_HOST_KEY_SHA256 is not set and any host key is not explicitly allowed
+ */
+function connectOptions() {
+  const options = {
+    host: process.env.SFTP_HOST,
+    port: parseInt(process.env.SFTP_PORT) || 22,
+    username: process.env.SFTP_USER,
+    readyTimeout: 30000
+  };
+
+  if (process.env.SFTP_PRIVATE_KEY) {
+    options.privateKey = fs.readFileSync(process.env.SFTP_PRIVATE_KEY);
+    if (process.env.SFTP_PASSPHRASE) options.passphrase = process.env.SFTP_PASSPHRASE;
+  } else {
+    options.password = process.env.SFTP_PASSWORD;
+  }
+
+  const pinned = (process.env.SFTP_HOST_KEY_SHA256 || '').replace(/^SHA256:/, '').replace(/=+$/, '');
+  if (pinned) {
+    options.hostVerifier = key => {
+      const fingerprint = crypto.createHash('sha256').update(key).digest('base64').replace(/=+$/, '');
+      if (fingerprint !== pinned) {
+        console.error(`❌ SFTP host key SHA256:${fingerprint} does not match SFTP_HOST_KEY_SHA256`);
+      }
+      return fingerprint === pinned;
+    };
+  } else if (process.env.SFTP_ALLOW_ANY_HOST_KEY === 'true') {
+    console.warn(`⚠️  SFTP_ALLOW_ANY_HOST_KEY is set; accepting any host key from ${options.host}`);
+  } else {
+    throw new Error(`SFTP_HOST_KEY_SHA256 is not set; refusing to connect to ${options.host} without a pinned host key ` +
+      `(get it with ssh-keyscan ${options.host} | ssh-keygen -lf -)`);
+  }
+
+  return options;
+}
+
+async function connect() {
+  const client = new SftpClient('tbssync');
+  console.log(`Attempting SFTP connection to ${process.env.SFTP_HOST}`);
+  await client.connect(connectOptions());
+  return client;
+}
+
+async function withClient(fn) {
+  const client = await connect();
+
+  try {
+    return await fn(client);
+  } finally {
+    await client.end();
+  }
+}
+
+async function listFiles(client, folderName) {
+  const folder = remoteFolder(folderName);
+  if (!await client.exists(folder)) {
+    console.log(`⚠️  Folder ${folder} not found`);
+    return null;
+  }
+
+  const entries = await client.list(folder);
+  return entries
+    .filter(entry => entry.type === '-' && isCDRFile(entry.name))
+    .map(entry => ({ name: entry.name, size: entry.size }));
+}
+
+/**
+ * @returns {CDRSource}
+ */
+function createSFTPSource() {
+  return {
+    type: 'sftp',
+
+    listBatch(folderName) {
+      return withClient(client => listFiles(client, folderName));
+    },
+
+    async fetchBatch(folderName, targetDir) {
+      let client = await connect();
+
+      try {
+        const files = await listFiles(client, folderName);
+        if (!files) return null;
+
+        fs.mkdirSync(targetDir, { recursive: true });
+        const quarantined = [];
+        for (const file of files) {
+          const remotePath = path.posix.join(remoteFolder(folderName), file.name);
+          const problem = await downloadVerified(file, targetDir, (partFile, offset) => client.get(remotePath, partFile, {
+            readStreamOptions: { start: offset },
+            writeStreamOptions: { flags: offset > 0 ? 'a' : 'w' }
+          }), {
+            folder: folderName,
+            onRetry: async () => {
+              // Resume on a fresh connection; the old one may have dropped
+              await client.end().catch(() => {});
+              client = await connect();
+            }
+          });
+          if (problem) quarantined.push(problem);
+        }
+        console.log(`✅ Downloaded CDRs from ${remoteFolder(folderName)}`);
+        return { directory: targetDir, quarantined };
+      } finally {
+        await client.end().catch(() => {});
+      }
+    },
+
+    async acknowledgeBatch(folderName, fileNames) {
+      const mode = getAckMode();
+      if (mode === ACK_MODES.NONE || fileNames.length === 0) return;
+
+      await withClient(async client => {
+        for (const name of fileNames) {
+          const remotePath = path.posix.join(remoteFolder(folderName), name);
+          if (mode === ACK_MODES.DELETE) {
+            await client.delete(remotePath);
+          } else {
+            await client.rename(remotePath, `${remotePath}.done`);
+          }
+          console.log(`✔️  Acknowledged ${remotePath} (${mode})`);
+        }
+      });
+    },
+
+    async verify() {
+      await withClient(client => client.list(process.env.SFTP_ROOT || '/'));
+    }
+  };
+}
+
+module.exports = {
+  createSFTPSource
+};
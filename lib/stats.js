@@ -0,0 +1,95 @@
+/**
+ * Processing statistics
+ * Tracks phone number processing metrics for a single CDR batch.
+ */
+
+const { getServiceCodes } = require('./serviceNumbers');
+
+/**
+ * Creates and initializes a comprehensive processing statistics tracking object.
+ * 
+ * This function returns a statistics object that tracks detailed metrics about
+ * phone number processing, including counts by type, invalid number categorization,
+ * performance metrics, and unique number tracking. The object is designed to be
+ * passed to the cleanPhoneNumber function to collect statistics during processing.
+ * 
+ * @function createProcessingStats
+ * @returns {ProcessingStats} A fully initialized statistics tracking object
+ * 
+ * @typedef {Object} ProcessingStats
+ * @property {number} totalProcessed - Total count of phone numbers processed
+ * @property {number} tenDigitNumbers - Count of valid 10-digit phone numbers
+ * @property {number} serviceNumbers - Count of registered service codes (see lib/serviceNumbers.js)
+ * @property {number} internationalNumbers - Count of valid E.164 international numbers
+ * @property {Object<string, number>} nanpCategoryBreakdown - Valid 10-digit numbers by NANP category (geographic, toll-free, premium, personal-communications)
+ * @property {Object<string, number>} countryBreakdown - International numbers by ISO country ('non-geographic' for satellite and network codes)
+ * @property {number} invalidNumbers - Count of invalid/rejected phone numbers
+ * @property {Object<string, number>} serviceNumberBreakdown - Count by service code, one entry per code in the registry (see lib/serviceNumbers.js)
+ * @property {string[]} invalidExamples - Array of sample invalid phone numbers (max 10)
+ * @property {Object} invalidCategories - Categorization of invalid numbers by type
+ * @property {number} invalidCategories.international - Count of 11+ digit numbers that are not valid E.164
+ * @property {number} invalidCategories.shortCodes - Count of invalid short codes
+ * @property {number} invalidCategories.invalidLength - Count of wrong-length numbers
+ * @property {number} invalidCategories.invalidPattern - Count of invalid patterns (all zeros, etc.)
+ * @property {number} invalidCategories.invalidAreaCode - Count of invalid area codes (0/1 prefix, N11, N9X)
+ * @property {number} invalidCategories.invalidExchange - Count of invalid exchanges (0/1 prefix, N11)
+ * @property {number} invalidCategories.fictional - Count of 555-0100 to 555-0199 numbers
+ * @property {number} ambiguousTimes - StartTimes that fell in a DST fall-back hour
+ * @property {number} nonexistentTimes - StartTimes that fell in a DST spring-forward gap
+ * @property {Date} processingStartTime - Timestamp when processing began
+ * @property {Set<string>} uniqueNumbers - Set of unique phone numbers encountered
+ * 
+ * @example
+ * // Create statistics object and use with phone number processing
+ * const stats = createProcessingStats();
+ * const cleanedNumber = cleanPhoneNumber('911', stats);
+ * console.log(stats.serviceNumbers); // 1
+ * console.log(stats.serviceNumberBreakdown['911']); // 1
+ * 
+ * @example
+ * // Access processing metrics after completion
+ * const stats = createProcessingStats();
+ * // ... process many numbers ...
+ * const processingTime = new Date() - stats.processingStartTime;
+ * const successRate = (stats.tenDigitNumbers + stats.serviceNumbers) / stats.totalProcessed;
+ * 
+ * @since 2.1.0
+ * @see {@link cleanPhoneNumber} for usage with phone number processing
+ */
+function createProcessingStats() {
+  return {
+    totalProcessed: 0,
+    tenDigitNumbers: 0,
+    serviceNumbers: 0,
+    internationalNumbers: 0,
+    invalidNumbers: 0,
+    // Every registered service code (see lib/serviceNumbers.js)
+    serviceNumberBreakdown: Object.fromEntries(getServiceCodes().map(({ code }) => [code, 0])),
+    nanpCategoryBreakdown: {
+      'geographic': 0,
+      'toll-free': 0,
+      'premium': 0,
+      'personal-communications': 0
+    },
+    countryBreakdown: {},
+    invalidExamples: [],
+    // Enhanced invalid number categorization for better troubleshooting
+    invalidCategories: {
+      'international': 0,      // 11+ digit numbers with no known country code or a bad length
+      'shortCodes': 0,         // Invalid short codes (4-6 digits)
+      'invalidLength': 0,      // Other invalid lengths (1-2, 7-9 digits)
+      'invalidPattern': 0,     // Invalid patterns (all zeros, all ones, etc.)
+      'invalidAreaCode': 0,    // Invalid area codes (starting with 0 or 1, N11, N9X)
+      'invalidExchange': 0,    // Invalid exchanges (starting with 0 or 1, N11)
+      'fictional': 0           // 555-0100 to 555-0199, reserved for fiction
+    },
+    ambiguousTimes: 0,                // StartTimes in a DST fall-back hour (resolved per CDR_AMBIGUOUS_TIME)
+    nonexistentTimes: 0,              // StartTimes in a DST spring-forward gap (moved forward)
+    processingStartTime: new Date(),  // For performance tracking
+    uniqueNumbers: new Set()          // Track unique phone numbers processed
+  };
+}
+
+module.exports = {
+  createProcessingStats
+};
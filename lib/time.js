@@ -0,0 +1,244 @@
+/**
+ * Timezone helpers
+ * Converts vendor CDR timestamps between IANA time zones.
+ *
+ * VoIP Innovations writes StartTime/StopTime as wall-clock strings with no
+ * offset ("2025-01-13 17:17:34"). CDR_SOURCE_TIMEZONE states which zone those
+ * strings are in (UTC by default); TIMEZONE is the billing zone whose wall
+ * clock is stored in SQL (America/Los_Angeles by default). Conversion uses the
+ * zone rules built into Node's Intl, so it does not depend on the host
+ * machine's own timezone.
+ */
+
+const DEFAULT_SOURCE_TIMEZONE = 'UTC';
+const DEFAULT_TARGET_TIMEZONE = 'America/Los_Angeles';
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+// "2025-01-13 17:17:34", "2025-01-13T17:17:34.250" or with a Z / ±HH:MM suffix
+const TIMESTAMP_PATTERN = /^(\d{4})-(\d{2})-(\d{2})[T ](\d{2}):(\d{2})(?::(\d{2})(?:\.(\d{1,3})\d*)?)?\s*(Z|[+-]\d{2}:?\d{2})?$/i;
+
+const formatters = new Map();
+
+function getFormatter(timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }));
+  }
+  return formatters.get(timeZone);
+}
+
+/**
+ * Checks that a string is an IANA zone name this Node build knows about.
+ *
+ * @param {string} timeZone - e.g. 'America/Los_Angeles'
+ * @returns {boolean}
+ */
+function isValidTimeZone(timeZone) {
+  if (!timeZone) return false;
+  try {
+    getFormatter(timeZone);
+    return true;
+  } catch (err) {
+    return false;
+  }
+}
+
+/**
+ * Returns the configured source and billing zones.
+ *
+ * @returns {{sourceTimeZone: string, targetTimeZone: string}}
+ * @throws {RangeError} When either setting is not a valid IANA zone
+ */
+function getTimeZoneSettings() {
+  const sourceTimeZone = process.env.CDR_SOURCE_TIMEZONE || DEFAULT_SOURCE_TIMEZONE;
+  const targetTimeZone = process.env.TIMEZONE || DEFAULT_TARGET_TIMEZONE;
+
+  [['CDR_SOURCE_TIMEZONE', sourceTimeZone], ['TIMEZONE', targetTimeZone]].forEach(([name, zone]) => {
+    if (!isValidTimeZone(zone)) {
+      throw new RangeError(`${name} is not a valid IANA time zone: ${zone}`);
+    }
+  });
+
+  return { sourceTimeZone, targetTimeZone };
+}
+
+/**
+ * Breaks an instant into wall-clock fields in the given zone.
+ *
+ * @param {number} instant - Milliseconds since the epoch
+ * @param {string} timeZone - IANA zone name
+ * @returns {{year: number, month: number, day: number, hour: number, minute: number, second: number, millisecond: number}}
+ */
+function getZonedFields(instant, timeZone) {
+  const fields = { millisecond: ((instant % 1000) + 1000) % 1000 };
+  getFormatter(timeZone).formatToParts(new Date(instant)).forEach(part => {
+    if (part.type !== 'literal') {
+      fields[part.type] = Number(part.value);
+    }
+  });
+  return fields;
+}
+
+/**
+ * Offset of a zone from UTC at a given instant, in minutes (PDT is -420).
+ *
+ * @param {number} instant - Milliseconds since the epoch
+ * @param {string} timeZone - IANA zone name
+ * @returns {number}
+ */
+function getTimeZoneOffset(instant, timeZone) {
+  const f = getZonedFields(instant, timeZone);
+  const asUTC = Date.UTC(f.year, f.month - 1, f.day, f.hour, f.minute, f.second, f.millisecond);
+  return Math.round((asUTC - instant) / MINUTE_MS);
+}
+
+/**
+ * Resolves wall-clock fields in a zone to an instant.
+ *
+ * Around a DST change a wall-clock time can occur twice (the fall-back hour)
+ * or not at all (the spring-forward gap). Ambiguous times resolve to the
+ * earlier occurrence unless `ambiguous: 'later'` is given; times in the gap
+ * are moved forward by the length of the gap, as a clock would show them.
+ *
+ * @param {Object} fields - year, month (1-12), day, hour, minute, second, millisecond
+ * @param {string} timeZone - IANA zone name
+ * @param {Object} [options]
+ * @param {string} [options.ambiguous='earlier'] - 'earlier' or 'later'
+ * @returns {{instant: number, ambiguous: boolean, nonexistent: boolean}}
+ */
+function zonedTimeToInstant(fields, timeZone, options = {}) {
+  const wallClock = Date.UTC(fields.year, fields.month - 1, fields.day,
+    fields.hour, fields.minute, fields.second || 0, fields.millisecond || 0);
+
+  // Offsets a day either side bracket any transition near this time
+  const offsetBefore = getTimeZoneOffset(wallClock - DAY_MS, timeZone);
+  const offsetAfter = getTimeZoneOffset(wallClock + DAY_MS, timeZone);
+
+  const candidates = [...new Set([offsetBefore, offsetAfter])]
+    .map(offset => wallClock - offset * MINUTE_MS)
+    .filter(instant => getTimeZoneOffset(instant, timeZone) * MINUTE_MS === wallClock - instant)
+    .sort((a, b) => a - b);
+
+  if (candidates.length === 0) {
+    return { instant: wallClock - offsetBefore * MINUTE_MS, ambiguous: false, nonexistent: true };
+  }
+
+  if (candidates.length > 1) {
+    const instant = options.ambiguous === 'later' ? candidates[candidates.length - 1] : candidates[0];
+    return { instant, ambiguous: true, nonexistent: false };
+  }
+
+  return { instant: candidates[0], ambiguous: false, nonexistent: false };
+}
+
+/**
+ * Formats an instant as an offset-free ISO-8601 wall-clock string in a zone,
+ * e.g. "2025-01-13T09:17:34.000". This is the form stored in datetime2.
+ *
+ * @param {number} instant - Milliseconds since the epoch
+ * @param {string} timeZone - IANA zone name
+ * @returns {string}
+ */
+function formatZonedISO(instant, timeZone) {
+  const f = getZonedFields(instant, timeZone);
+  const pad = (value, length = 2) => String(value).padStart(length, '0');
+  return `${pad(f.year, 4)}-${pad(f.month)}-${pad(f.day)}T${pad(f.hour)}:${pad(f.minute)}:${pad(f.second)}.${pad(f.millisecond, 3)}`;
+}
+
+/**
+ * Splits a vendor CDR timestamp into its date and time fields, checking that
+ * the date exists on the calendar.
+ *
+ * @param {string} value - Vendor timestamp, e.g. "2025-01-13 17:17:34"
+ * @returns {{fields: Object, offset: string|null}} Wall-clock fields and the Z / ±HH:MM suffix, if any
+ * @throws {RangeError} When the timestamp cannot be parsed
+ */
+function parseCDRTimestamp(value) {
+  const match = TIMESTAMP_PATTERN.exec(String(value).trim());
+  if (!match) {
+    throw new RangeError(`Unparseable CDR timestamp: ${value}`);
+  }
+
+  const fields = {
+    year: Number(match[1]),
+    month: Number(match[2]),
+    day: Number(match[3]),
+    hour: Number(match[4]),
+    minute: Number(match[5]),
+    second: Number(match[6] || 0),
+    millisecond: Number((match[7] || '0').padEnd(3, '0'))
+  };
+
+  const calendarCheck = new Date(Date.UTC(fields.year, fields.month - 1, fields.day));
+  if (calendarCheck.getUTCMonth() !== fields.month - 1 || calendarCheck.getUTCDate() !== fields.day ||
+      fields.hour > 23 || fields.minute > 59 || fields.second > 59) {
+    throw new RangeError(`Invalid CDR timestamp: ${value}`);
+  }
+
+  return { fields, offset: match[8] || null };
+}
+
+/**
+ * Converts a vendor CDR timestamp to billing-zone wall-clock time.
+ *
+ * Timestamps without an offset are read in CDR_SOURCE_TIMEZONE; an explicit
+ * "Z" or "±HH:MM" suffix is honoured as given.
+ *
+ * @param {string} value - Vendor timestamp, e.g. "2025-01-13 17:17:34"
+ * @param {Object} [options]
+ * @param {string} [options.sourceTimeZone] - Overrides CDR_SOURCE_TIMEZONE
+ * @param {string} [options.targetTimeZone] - Overrides TIMEZONE
+ * @param {string} [options.ambiguous] - 'earlier' (default) or 'later'; overrides CDR_AMBIGUOUS_TIME
+ * @returns {{value: string, instant: number, ambiguous: boolean, nonexistent: boolean}}
+ * @throws {RangeError} When the timestamp cannot be parsed
+ *
+ * @example
+ * // Source UTC, billing zone America/Los_Angeles
+ * convertCDRTime('2025-01-13 17:17:34').value // '2025-01-13T09:17:34.000' (PST, UTC-8)
+ * convertCDRTime('2025-07-13 17:17:34').value // '2025-07-13T10:17:34.000' (PDT, UTC-7)
+ */
+function convertCDRTime(value, options = {}) {
+  const settings = getTimeZoneSettings();
+  const sourceTimeZone = options.sourceTimeZone || settings.sourceTimeZone;
+  const targetTimeZone = options.targetTimeZone || settings.targetTimeZone;
+  const ambiguousPolicy = options.ambiguous || process.env.CDR_AMBIGUOUS_TIME || 'earlier';
+
+  const { fields, offset } = parseCDRTimestamp(value);
+
+  let resolved;
+  if (offset) {
+    // Explicit offset: no zone rules needed
+    const suffix = offset.toUpperCase();
+    const offsetMinutes = suffix === 'Z' ? 0 :
+      (suffix[0] === '-' ? -1 : 1) * (Number(suffix.slice(1, 3)) * 60 + Number(suffix.slice(-2)));
+    const wallClock = Date.UTC(fields.year, fields.month - 1, fields.day,
+      fields.hour, fields.minute, fields.second, fields.millisecond);
+    resolved = { instant: wallClock - offsetMinutes * MINUTE_MS, ambiguous: false, nonexistent: false };
+  } else {
+    resolved = zonedTimeToInstant(fields, sourceTimeZone, { ambiguous: ambiguousPolicy });
+  }
+
+  return { value: formatZonedISO(resolved.instant, targetTimeZone), ...resolved };
+}
+
+module.exports = {
+  DEFAULT_SOURCE_TIMEZONE,
+  DEFAULT_TARGET_TIMEZONE,
+  isValidTimeZone,
+  getTimeZoneSettings,
+  getTimeZoneOffset,
+  zonedTimeToInstant,
+  formatZonedISO,
+  parseCDRTimestamp,
+  convertCDRTime
+};
@@ -0,0 +1,134 @@
+/**
+ * Usage rollups
+ * Keeps the daily and monthly usage rollups (VI_UsageDaily, VI_UsageMonthly)
+ * up to date after each load, and reads billing-period summaries from them
+ * for the invoicing export (see VI_Usage.sql and `tbssync usage`).
+ */
+
+const sql = require('mssql');
+const Papa = require('papaparse');
+const { getPool } = require('./db');
+
+/**
+ * Columns of a usage summary row, in export order.
+ *
+ * @constant {string[]} USAGE_COLUMNS
+ */
+const USAGE_COLUMNS = [
+  'CustomerId', 'CallType', 'ServiceCode', 'Calls', 'BilledSeconds', 'RatedSeconds',
+  'WholesaleCost', 'RetailAmount', 'UnratedCalls'
+];
+
+/**
+ * @typedef {Object} UsageRow
+ * @property {number} CustomerId - 0 for calls not attributed to a customer
+ * @property {string} CallType - Vendor CallType
+ * @property {string} ServiceCode - Service code dialled, '' for other calls
+ * @property {number} Calls
+ * @property {number} BilledSeconds - Vendor BillDuration
+ * @property {number} RatedSeconds - Seconds of the rated calls, after our minimum and increment
+ * @property {number} WholesaleCost - Vendor CallPrice
+ * @property {number} RetailAmount - Retail price of the rated calls
+ * @property {number} UnratedCalls - Calls without a retail price
+ */
+
+/**
+ * Rebuilds the rollups for a range of days (and the months they fall in)
+ * from the stored calls.
+ *
+ * @param {string} fromDate - First day, YYYY-MM-DD
+ * @param {string} toDate - Last day, YYYY-MM-DD
+ * @returns {Promise<number>} Daily rollup rows written
+ */
+async function refreshUsage(fromDate, toDate) {
+  const pool = await getPool();
+  const result = await pool.request()
+    .input('fromDate', sql.VarChar(10), fromDate)
+    .input('toDate', sql.VarChar(10), toDate)
+    .output('dailyRows', sql.Int)
+    .execute('VI_RefreshUsage');
+  return result.output.dailyRows;
+}
+
+/**
+ * Sums the daily rollups over a billing period, per customer, call type and
+ * service code.
+ *
+ * @param {Object} period
+ * @param {string} period.from - First day, YYYY-MM-DD
+ * @param {string} period.to - Last day, YYYY-MM-DD
+ * @param {number} [period.customerId] - Only this customer
+ * @returns {Promise<UsageRow[]>} Ordered by customer, call type and service code
+ */
+async function getUsageSummary({ from, to, customerId }) {
+  const pool = await getPool();
+  const request = pool.request()
+    .input('fromDate', sql.VarChar(10), from)
+    .input('toDate', sql.VarChar(10), to);
+  if (customerId !== undefined) request.input('customerId', sql.Int, customerId);
+
+  const result = await request.query(`
+    SELECT CustomerId, CallType, ServiceCode, SUM(Calls) AS Calls,
+           SUM(BilledSeconds) AS BilledSeconds, SUM(RatedSeconds) AS RatedSeconds,
+           SUM(WholesaleCost) AS WholesaleCost, SUM(RetailAmount) AS RetailAmount,
+           SUM(UnratedCalls) AS UnratedCalls
+    FROM VI_UsageDaily
+    WHERE UsageDate BETWEEN @fromDate AND @toDate
+    ${customerId !== undefined ? 'AND CustomerId = @customerId' : ''}
+    GROUP BY CustomerId, CallType, ServiceCode
+    ORDER BY CustomerId, CallType, ServiceCode`);
+
+  // bigint sums come back as strings
+  return result.recordset.map(row => ({
+    ...row,
+    BilledSeconds: Number(row.BilledSeconds),
+    RatedSeconds: Number(row.RatedSeconds)
+  }));
+}
+
+/**
+ * Totals of a usage summary.
+ *
+ * @param {UsageRow[]} rows
+ * @returns {{customers: number, calls: number, billedSeconds: number, ratedSeconds: number,
+ *   wholesaleCost: number, retailAmount: number, margin: number, unratedCalls: number}}
+ */
+function totalUsage(rows) {
+  const sum = column => rows.reduce((total, row) => total + row[column], 0);
+  const money = value => Math.round(value * 100000) / 100000;
+  const wholesaleCost = money(sum('WholesaleCost'));
+  const retailAmount = money(sum('RetailAmount'));
+  return {
+    customers: new Set(rows.map(row => row.CustomerId)).size,
+    calls: sum('Calls'),
+    billedSeconds: sum('BilledSeconds'),
+    ratedSeconds: sum('RatedSeconds'),
+    wholesaleCost,
+    retailAmount,
+    margin: money(retailAmount - wholesaleCost),
+    unratedCalls: sum('UnratedCalls')
+  };
+}
+
+/**
+ * Formats a usage summary as CSV for the invoicing system, one line per row
+ * with the billing period in the first two columns.
+ *
+ * @param {UsageRow[]} rows
+ * @param {{from: string, to: string}} period
+ * @returns {string}
+ */
+function formatUsageCSV(rows, { from, to }) {
+  return Papa.unparse({
+    fields: ['PeriodFrom', 'PeriodTo', ...USAGE_COLUMNS],
+    data: rows.map(row => [from, to, ...USAGE_COLUMNS.map(column => row[column])])
+  }) + '\n';
+}
+
+module.exports = {
+  USAGE_COLUMNS,
+  refreshUsage,
+  getUsageSummary,
+  totalUsage,
+  formatUsageCSV
+};
@@ -0,0 +1,274 @@
+/**
+ * Row validation
+ * Declarative per-field rules checked against each raw CDR row before it is
+ * cleaned. A rule that fails with severity 'reject' keeps the row out of the
+ * load and sends it to the file's reject file; 'warn' loads the row and only
+ * counts it. CDR_VALIDATION_RULES changes a rule's severity or turns it off.
+ */
+
+const { parseCDRTimestamp } = require('./time');
+
+/**
+ * What happens to a row that fails a rule.
+ *
+ * @constant {Object<string, string>} RULE_SEVERITIES
+ */
+const RULE_SEVERITIES = {
+  REJECT: 'reject',
+  WARN: 'warn',
+  OFF: 'off'
+};
+
+const NUMBER_PATTERN = /^[+-]?(\d+\.?\d*|\.\d+)$/;
+const INTEGER_PATTERN = /^[+-]?\d+$/;
+
+function isBlank(value) {
+  return value === undefined || String(value).trim() === '';
+}
+
+function isTimestamp(value) {
+  try {
+    parseCDRTimestamp(value);
+    return true;
+  } catch (err) {
+    return false;
+  }
+}
+
+function isNumber(value) {
+  return NUMBER_PATTERN.test(String(value).trim());
+}
+
+function isNonNegativeNumber(value) {
+  return isNumber(value) && parseFloat(value) >= 0;
+}
+
+function isNonNegativeInteger(value) {
+  return INTEGER_PATTERN.test(String(value).trim()) && parseInt(value) >= 0;
+}
+
+/**
+ * Rules in the order they are checked. `check` receives the field's raw
+ * value (and the whole row) and returns true when the row passes; `message`
+ * is recorded in the reject file for a row that fails.
+ *
+ * @constant {Array<{id: string, field: string|null, severity: string, message: string, check: function(string, Object): boolean}>} VALIDATION_RULES
+ */
+const VALIDATION_RULES = [
+  {
+    id: 'columns',
+    field: null,
+    severity: RULE_SEVERITIES.REJECT,
+    message: 'Row has fewer columns than the header',
+    check: (value, row) => !(row.missingColumns > 0)
+  },
+  {
+    id: 'start-time',
+    field: 'StartTime',
+    severity: RULE_SEVERITIES.REJECT,
+    message: 'StartTime is missing or not a valid timestamp',
+    check: value => !isBlank(value) && isTimestamp(value)
+  },
+  {
+    id: 'stop-time',
+    field: 'StopTime',
+    severity: RULE_SEVERITIES.WARN,
+    message: 'StopTime is not a valid timestamp',
+    check: value => isBlank(value) || isTimestamp(value)
+  },
+  {
+    id: 'call-duration',
+    field: 'CallDuration',
+    severity: RULE_SEVERITIES.REJECT,
+    message: 'CallDuration is not a non-negative number',
+    check: value => isNonNegativeNumber(value)
+  },
+  {
+    id: 'bill-duration',
+    field: 'BillDuration',
+    severity: RULE_SEVERITIES.REJECT,
+    message: 'BillDuration is not a non-negative whole number',
+    check: value => isNonNegativeInteger(value)
+  },
+  {
+    id: 'call-minimum',
+    field: 'CallMinimum',
+    severity: RULE_SEVERITIES.WARN,
+    message: 'CallMinimum is not a non-negative whole number',
+    check: value => isBlank(value) || isNonNegativeInteger(value)
+  },
+  {
+    id: 'call-increment',
+    field: 'CallIncrement',
+    severity: RULE_SEVERITIES.WARN,
+    message: 'CallIncrement is not a non-negative whole number',
+    check: value => isBlank(value) || isNonNegativeInteger(value)
+  },
+  {
+    id: 'base-price',
+    field: 'BasePrice',
+    severity: RULE_SEVERITIES.WARN,
+    message: 'BasePrice is not a number',
+    check: value => isBlank(value) || isNumber(value)
+  },
+  {
+    id: 'call-price',
+    field: 'CallPrice',
+    severity: RULE_SEVERITIES.REJECT,
+    message: 'CallPrice is missing or not a number',
+    check: value => !isBlank(value) && isNumber(value)
+  },
+  {
+    id: 'transaction-id',
+    field: 'TransactionId',
+    severity: RULE_SEVERITIES.WARN,
+    message: 'TransactionId is missing',
+    check: value => !isBlank(value)
+  },
+  {
+    id: 'dnis',
+    field: 'DNIS',
+    severity: RULE_SEVERITIES.WARN,
+    message: 'DNIS is missing',
+    check: value => !isBlank(value)
+  }
+];
+
+// Counted like a rule when cleaning a row throws; always rejects
+const PROCESSING_RULE = {
+  id: 'processing',
+  field: null,
+  severity: RULE_SEVERITIES.REJECT,
+  message: 'Row could not be cleaned'
+};
+
+/**
+ * Reads CDR_VALIDATION_RULES, a comma-separated list of rule=severity
+ * overrides such as "call-price=warn,stop-time=off".
+ *
+ * @returns {Array<Object>} VALIDATION_RULES with the overrides applied, rules turned off left out
+ * @throws {Error} On an unknown rule or severity
+ */
+function getValidationRules() {
+  const overrides = {};
+  (process.env.CDR_VALIDATION_RULES || '').split(',').map(entry => entry.trim()).filter(Boolean).forEach(entry => {
+    const [id, severity = ''] = entry.split('=').map(part => part.trim().toLowerCase());
+    if (!VALIDATION_RULES.some(rule => rule.id === id)) {
+      throw new Error(`Invalid CDR_VALIDATION_RULES: unknown rule "${id}"`);
+    }
+    if (!Object.values(RULE_SEVERITIES).includes(severity)) {
+      throw new Error(`Invalid CDR_VALIDATION_RULES: "${entry}" (expected ${id}=reject, warn or off)`);
+    }
+    overrides[id] = severity;
+  });
+
+  return VALIDATION_RULES
+    .map(rule => (overrides[rule.id] ? { ...rule, severity: overrides[rule.id] } : rule))
+    .filter(rule => rule.severity !== RULE_SEVERITIES.OFF);
+}
+
+/**
+ * @typedef {Object} RuleFailure
+ * @property {string} rule - Rule id, e.g. 'call-price'
+ * @property {string} severity - 'reject' or 'warn'
+ * @property {string} reason - The rule's message, with the offending value
+ */
+
+/**
+ * @typedef {Object} ValidationSummary
+ * @property {number} accepted - Rows that passed every reject rule
+ * @property {number} rejected - Rows kept out of the load
+ * @property {Object<string, {severity: string, accepted: number, warned: number, rejected: number}>} rules
+ *   Per rule: rows it let through (warned ones included), warned about and rejected
+ */
+
+/**
+ * Creates a validator that checks one file's rows and counts the outcome of
+ * every rule.
+ *
+ * @returns {{validate: function(Object): {rejected: boolean, failures: RuleFailure[]}, processingError: function(Error): RuleFailure, summary: function(): ValidationSummary}}
+ * @throws {Error} When CDR_VALIDATION_RULES is invalid
+ */
+function createRowValidator() {
+  const rules = getValidationRules();
+  const counts = {};
+  [...rules, PROCESSING_RULE].forEach(rule => {
+    counts[rule.id] = { severity: rule.severity, accepted: 0, warned: 0, rejected: 0 };
+  });
+  let accepted = 0;
+  let rejected = 0;
+
+  function fail(rule, reason) {
+    if (rule.severity === RULE_SEVERITIES.REJECT) {
+      counts[rule.id].rejected++;
+    } else {
+      counts[rule.id].accepted++;
+      counts[rule.id].warned++;
+    }
+    return { rule: rule.id, severity: rule.severity, reason };
+  }
+
+  return {
+    validate(row) {
+      const failures = [];
+      rules.forEach(rule => {
+        const value = rule.field ? row[rule.field] : undefined;
+        if (rule.check(value, row)) {
+          counts[rule.id].accepted++;
+        } else {
+          failures.push(fail(rule, rule.field && !isBlank(value) ? `${rule.message} ("${value}")` : rule.message));
+        }
+      });
+
+      const isRejected = failures.some(failure => failure.severity === RULE_SEVERITIES.REJECT);
+      if (isRejected) {
+        rejected++;
+      } else {
+        accepted++;
+      }
+      return { rejected: isRejected, failures };
+    },
+
+    // Moves a row that passed validation but failed cleaning to the rejected count
+    processingError(err) {
+      accepted--;
+      rejected++;
+      return fail(PROCESSING_RULE, `${PROCESSING_RULE.message}: ${err.message}`);
+    },
+
+    summary() {
+      const rulesWithOutcomes = {};
+      Object.entries(counts).forEach(([id, count]) => {
+        if (id !== PROCESSING_RULE.id || count.rejected > 0) rulesWithOutcomes[id] = count;
+      });
+      return { accepted, rejected, rules: rulesWithOutcomes };
+    }
+  };
+}
+
+/**
+ * Adds one file's validation summary into a run total.
+ *
+ * @param {ValidationSummary[]} summaries
+ * @returns {Object<string, {accepted: number, warned: number, rejected: number}>} Counts per rule
+ */
+function mergeValidationSummaries(summaries) {
+  const rules = {};
+  summaries.filter(Boolean).forEach(summary => {
+    Object.entries(summary.rules).forEach(([id, count]) => {
+      const total = rules[id] || (rules[id] = { accepted: 0, warned: 0, rejected: 0 });
+      total.accepted += count.accepted;
+      total.warned += count.warned;
+      total.rejected += count.rejected;
+    });
+  });
+  return rules;
+}
+
+module.exports = {
+  RULE_SEVERITIES,
+  VALIDATION_RULES,
+  getValidationRules,
+  createRowValidator,
+  mergeValidationSummaries
+};
@@ -0,0 +1,240 @@
+/**
+ * SQL Server writer
+ * Stores processed CDR records through the VI_StoreCDRs stored procedure,
+ * sending each batch as a dbo.VI_CDRBatch table-valued parameter.
+ */
+
+const sql = require('mssql');
+const { getPool } = require('./db');
+const { BATCH_SIZE, BATCH_RETRIES } = require('./config');
+const { CDR_FIELDS } = require('./record');
+const { sendAlert } = require('./alerter');
+
+/**
+ * Columns of the dbo.VI_CDRBatch table type, in declaration order (see
+ * VI_CDRBatch.sql): RowId, every CDR field with each phone field followed by
+ * its Raw copy, CallKey, then each phone field's country and NANP category,
+ * then the customer attribution, retail rating and jurisdiction.
+ */
+const BATCH_COLUMNS = [
+  { name: 'RowId', sqlType: 'int' },
+  ...CDR_FIELDS.flatMap(({ name, type, sqlType }) => (type === 'phone'
+    ? [{ name, sqlType }, { name: `Raw${name}`, sqlType: 'nvarchar(32)' }]
+    : [{ name, sqlType }])),
+  { name: 'CallKey', sqlType: 'char(64)' },
+  ...CDR_FIELDS.filter(({ type }) => type === 'phone').map(({ name }) => ({ name: `${name}Country`, sqlType: 'char(2)' })),
+  ...CDR_FIELDS.filter(({ type }) => type === 'phone').map(({ name }) => ({ name: `${name}Category`, sqlType: 'nvarchar(24)' })),
+  { name: 'CustomerId', sqlType: 'int' },
+  { name: 'Attribution', sqlType: 'nvarchar(16)' },
+  { name: 'RetailPrice', sqlType: 'decimal(12,5)' },
+  { name: 'RatedSeconds', sqlType: 'int' },
+  { name: 'RateId', sqlType: 'int' },
+  { name: 'Jurisdiction', sqlType: 'nvarchar(16)' }
+];
+
+// SQL Server errors worth retrying: deadlock victim, lock timeout, and Azure
+// SQL throttling/failover
+const TRANSIENT_ERROR_NUMBERS = [1205, 1222, 40197, 40501, 40613, 49918, 49919, 49920];
+
+// Unique key violations: sending the batch again cannot succeed
+const DUPLICATE_KEY_ERROR_NUMBERS = [2601, 2627];
+
+// Connection drops and timeouts; a failed login (ELOGIN) fails the same way every time
+const TRANSIENT_ERROR_CODES = ['ETIMEOUT', 'ESOCKET', 'ECONNRESET', 'ECONNCLOSED'];
+
+function toSqlType(sqlType) {
+  const [, base, args] = sqlType.match(/^(\w+)(?:\((.*)\))?$/);
+  const params = args ? args.split(',').map(arg => (arg === 'max' ? sql.MAX : parseInt(arg))) : [];
+
+  switch (base) {
+    case 'int': return sql.Int;
+    case 'datetime2': return sql.DateTime2;
+    case 'decimal': return sql.Decimal(...params);
+    case 'char': return sql.Char(...params);
+    default: return sql.NVarChar(...params);
+  }
+}
+
+// Billing-zone wall clock strings are sent as UTC Dates so the driver
+// (useUTC) writes exactly the digits we produced, whatever the host zone
+function toSqlValue(sqlType, value) {
+  if (sqlType === 'datetime2') {
+    return value ? new Date(`${value}Z`) : null;
+  }
+  return value === undefined ? null : value;
+}
+
+/**
+ * Builds the table-valued parameter for one batch of records.
+ *
+ * @param {CDRRecord[]} records
+ * @returns {sql.Table}
+ */
+function buildBatchTable(records) {
+  const table = new sql.Table('dbo.VI_CDRBatch');
+  BATCH_COLUMNS.forEach(({ name, sqlType }) => {
+    table.columns.add(name, toSqlType(sqlType), { nullable: name !== 'RowId' });
+  });
+
+  records.forEach((record, index) => {
+    table.rows.add(...BATCH_COLUMNS.map(({ name, sqlType }) => (
+      name === 'RowId' ? index + 1 : toSqlValue(sqlType, record[name])
+    )));
+  });
+
+  return table;
+}
+
+/**
+ * Whether a failed batch may succeed if sent again.
+ *
+ * @param {Error} err - Error from the mssql driver
+ * @returns {boolean}
+ */
+function isTransientError(err) {
+  return TRANSIENT_ERROR_NUMBERS.includes(err.number) || TRANSIENT_ERROR_CODES.includes(err.code);
+}
+
+/**
+ * Rewrites a unique key violation so it names the key and, when it is a
+ * CallKey in the batch, the call it belongs to.
+ *
+ * @param {Error} err - Error from the mssql driver
+ * @param {CDRRecord[]} records - The batch that failed
+ * @param {string} where - Batch and file, for the message
+ * @returns {Error} err itself when it is not a unique key violation
+ */
+function describeDuplicateKey(err, records, where) {
+  if (!DUPLICATE_KEY_ERROR_NUMBERS.includes(err.number)) return err;
+
+  const match = /duplicate key value is \((.*)\)/.exec(err.message);
+  const key = match ? match[1].trim() : null;
+  const record = key ? records.find(r => r.CallKey === key) : null;
+  const call = record
+    ? ` (TransactionId ${record.TransactionId}, ${record.StartTime} ${record.ANI} → ${record.DNIS})`
+    : '';
+
+  const error = new Error(`Duplicate key ${key || '(unknown)'}${call} in ${where}: ${err.message}`);
+  error.number = err.number;
+  error.cause = err;
+  return error;
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * @typedef {Object} CDRWriter
+ * @property {function(CDRRecord[]): Promise<number>} write - Stores one batch; resolves to the records staged
+ * @property {function(): number} staged - Records staged so far
+ */
+
+/**
+ * Creates a writer that stores one file's records in batches through
+ * VI_StoreCDRs, one transaction per batch.
+ *
+ * A batch that fails with a transient error is sent again, up to
+ * CDR_BATCH_RETRIES times with a growing delay. Resending is safe because
+ * VI_StoreCDRs deduplicates on CallKey: calls a lost reply already stored are
+ * matched, not inserted twice. For the same reason a file that fails part way
+ * can simply be loaded again from the start.
+ *
+ * @param {string} filename - Source file name, recorded in AuditTrail and cdr_detail
+ * @param {Object} [options]
+ * @param {number} [options.ledgerId] - VI_FileLedger entry whose row counts each batch adds to
+ * @param {number} [options.retries=BATCH_RETRIES] - Retries per batch after a transient error
+ * @returns {CDRWriter}
+ */
+function createCDRWriter(filename, options = {}) {
+  const retries = options.retries !== undefined ? options.retries : BATCH_RETRIES;
+  let staged = 0;
+  let batches = 0;
+
+  async function storeBatch(records) {
+    const pool = await getPool();
+    const request = pool.request();
+    request.input('cdrBatch', buildBatchTable(records));
+    request.input('filename', sql.NVarChar(255), filename);
+    request.input('ledgerId', sql.Int, options.ledgerId || null);
+    request.output('recordCount', sql.Int);
+
+    const result = await request.execute('VI_StoreCDRs');
+    return result.output.recordCount;
+  }
+
+  return {
+    async write(records) {
+      if (records.length === 0) return 0;
+      batches++;
+
+      for (let attempt = 0; ; attempt++) {
+        try {
+          const count = await storeBatch(records);
+          staged += count;
+          return count;
+        } catch (err) {
+          if (attempt >= retries || !isTransientError(err)) {
+            throw describeDuplicateKey(err, records, `batch ${batches} of ${filename}`);
+          }
+
+          const delay = 2000 * (attempt + 1);
+          console.warn(`⚠️  Batch ${batches} of ${filename} failed (${err.message}); retry ${attempt + 1}/${retries} in ${delay / 1000}s`);
+          await sleep(delay);
+        }
+      }
+    },
+
+    staged() {
+      return staged;
+    }
+  };
+}
+
+/**
+ * Stores processed CDR records through VI_StoreCDRs, in batches of
+ * CDR_BATCH_SIZE.
+ *
+ * @param {CDRRecord[]} processedData - Records from processAndCleanCDRs
+ * @param {string} filename - Source file name, recorded in AuditTrail and cdr_detail
+ * @param {Object} [options]
+ * @param {number} [options.ledgerId] - VI_FileLedger entry whose row counts each batch adds to
+ * @returns {Promise<number>} Records staged by the stored procedure
+ */
+async function WriteToSQL(processedData, filename, options = {}) {
+  try {
+    console.log(`Writing ${processedData.length} records to SQL for file: ${filename}`);
+
+    const writer = createCDRWriter(filename, options);
+    for (let i = 0; i < processedData.length; i += BATCH_SIZE) {
+      await writer.write(processedData.slice(i, i + BATCH_SIZE));
+    }
+    const recordCount = writer.staged();
+
+    console.log(`Successfully processed ${recordCount} records from ${filename}`);
+
+    return recordCount;
+
+  } catch (error) {
+    console.error(`Error processing ${filename}:`, error);
+    await sendAlert(`CDR Processing Failed: ${filename}`, error.message);
+    throw error;
+  }
+}
+
+/**
+ * Runs a trivial query to confirm database credentials and reachability.
+ *
+ * @returns {Promise<void>}
+ * @throws {Error} When the connection fails
+ */
+async function verifyDatabaseConnection() {
+  const pool = await getPool();
+  await pool.request().query('SELECT 1 AS ok');
+}
+
+module.exports = {
+  BATCH_COLUMNS,
+  isTransientError,
+  createCDRWriter,
+  WriteToSQL,
+  verifyDatabaseConnection
+};
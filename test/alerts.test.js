@@ -0,0 +1,134 @@
+/**
+ * Alert sinks and severity routing, against a local HTTP stand-in for the
+ * webhook and chat endpoints.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('node:http');
+const { sendAlert, routeAlert } = require('../lib/alerter');
+
+const ALERT_ENV = [
+  'ALERTS_ENABLED', 'ALERT_EMAIL_ENABLED', 'ALERT_WEBHOOK_URL', 'ALERT_WEBHOOK_TOKEN', 'ALERT_CHAT_WEBHOOK_URL',
+  'ALERT_CHAT_FORMAT', 'ALERT_SYSLOG_HOST', 'ALERT_FILE_PATH', 'ALERT_WEBHOOK_MIN_SEVERITY', 'ALERT_CHAT_MIN_SEVERITY'
+];
+
+// Records every POST; answers with the status set for its path (200 by default)
+function startReceiver() {
+  const requests = [];
+  const statuses = {};
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      requests.push({ path: req.url, headers: req.headers, body: JSON.parse(body) });
+      res.writeHead(statuses[req.url] || 200);
+      res.end(statuses[req.url] ? 'stand-in failure' : 'ok');
+    });
+  });
+
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => {
+    const base = `http://127.0.0.1:${server.address().port}`;
+    resolve({ base, requests, statuses, close: () => new Promise(done => server.close(done)) });
+  }));
+}
+
+test('alert sinks', async t => {
+  const receiver = await startReceiver();
+  const saved = Object.fromEntries(ALERT_ENV.map(name => [name, process.env[name]]));
+
+  t.beforeEach(() => {
+    ALERT_ENV.forEach(name => { delete process.env[name]; });
+    process.env.ALERT_EMAIL_ENABLED = 'false';
+    process.env.ALERT_WEBHOOK_URL = `${receiver.base}/webhook`;
+    process.env.ALERT_CHAT_WEBHOOK_URL = `${receiver.base}/chat`;
+    receiver.requests.length = 0;
+    Object.keys(receiver.statuses).forEach(path => { delete receiver.statuses[path]; });
+  });
+
+  t.after(async () => {
+    ALERT_ENV.forEach(name => {
+      if (saved[name] === undefined) delete process.env[name];
+      else process.env[name] = saved[name];
+    });
+    await receiver.close();
+  });
+
+  await t.test('webhook posts the alert as JSON with the bearer token', async t => {
+    t.mock.method(console, 'error', () => {});
+    process.env.ALERT_WEBHOOK_TOKEN = 'secret';
+
+    await sendAlert('CDR Processing Failed: 20250113.CDR', 'timeout', { severity: 'error' });
+
+    assert.strictEqual(receiver.requests.length, 1);
+    const [request] = receiver.requests;
+    assert.strictEqual(request.path, '/webhook');
+    assert.strictEqual(request.headers.authorization, 'Bearer secret');
+    assert.strictEqual(request.body.source, 'tbssync');
+    assert.strictEqual(request.body.severity, 'error');
+    assert.strictEqual(request.body.subject, 'CDR Processing Failed: 20250113.CDR');
+    assert.strictEqual(request.body.message, 'timeout');
+    assert.ok(request.body.timestamp && request.body.host);
+  });
+
+  await t.test('chat posts a Slack payload by default', async t => {
+    t.mock.method(console, 'error', () => {});
+
+    await sendAlert('911 Anomaly', 'No 911 calls', { severity: 'critical' });
+
+    const chat = receiver.requests.find(request => request.path === '/chat');
+    assert.ok(chat, 'chat received the alert');
+    assert.strictEqual(chat.body.text, '[CRITICAL] CDR System Alert: 911 Anomaly');
+    assert.strictEqual(chat.body.attachments[0].color, '#B00020');
+    assert.match(chat.body.attachments[0].text, /No 911 calls/);
+  });
+
+  await t.test('chat posts a Teams card with ALERT_CHAT_FORMAT=teams', async t => {
+    t.mock.method(console, 'error', () => {});
+    process.env.ALERT_CHAT_FORMAT = 'teams';
+
+    await sendAlert('911 Anomaly', 'No 911 calls', { severity: 'critical' });
+
+    const chat = receiver.requests.find(request => request.path === '/chat');
+    assert.strictEqual(chat.body['@type'], 'MessageCard');
+    assert.strictEqual(chat.body.themeColor, 'B00020');
+    assert.deepStrictEqual(chat.body.sections[0].facts[0], { name: 'Severity', value: 'critical' });
+  });
+
+  await t.test('each sink only receives alerts at or above its threshold', async t => {
+    t.mock.method(console, 'error', () => {});
+    t.mock.method(console, 'warn', () => {});
+    const paths = () => receiver.requests.map(request => request.path).sort();
+
+    await sendAlert('Warning', 'w', { severity: 'warning' });
+    assert.deepStrictEqual(paths(), []);
+
+    await sendAlert('Error', 'e', { severity: 'error' });
+    assert.deepStrictEqual(paths(), ['/webhook']);
+
+    receiver.requests.length = 0;
+    await sendAlert('Critical', 'c', { severity: 'critical' });
+    assert.deepStrictEqual(paths(), ['/chat', '/webhook']);
+
+    receiver.requests.length = 0;
+    process.env.ALERT_CHAT_MIN_SEVERITY = 'warning';
+    await sendAlert('Warning', 'w', { severity: 'warning' });
+    assert.deepStrictEqual(paths(), ['/chat']);
+  });
+
+  await t.test('routing is empty when alerts are disabled', () => {
+    process.env.ALERTS_ENABLED = 'false';
+    assert.deepStrictEqual(routeAlert('critical'), []);
+  });
+
+  await t.test('a failing sink is logged and does not stop the others', async t => {
+    const errors = t.mock.method(console, 'error', () => {});
+    receiver.statuses['/webhook'] = 500;
+
+    await sendAlert('Critical', 'c', { severity: 'critical' });
+
+    assert.deepStrictEqual(receiver.requests.map(request => request.path).sort(), ['/chat', '/webhook']);
+    assert.ok(errors.mock.calls.some(call => /Failed to send alert via webhook/.test(call.arguments[0]) &&
+      /HTTP 500/.test(call.arguments[1])));
+  });
+});
@@ -0,0 +1,107 @@
+/**
+ * Customer attribution from the VI_CustomerMap entries (lib/attribution.js).
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { MATCH_TYPES, ATTRIBUTION_OUTCOMES, getCallDirection, createCustomerAttributor } = require('../lib/attribution');
+
+let nextId = 1;
+const entry = (customerId, matchType, pattern, effectiveFrom = '2025-01-01', effectiveTo = null) =>
+  ({ mapId: nextId++, customerId, matchType, pattern, effectiveFrom, effectiveTo });
+
+const call = fields => ({
+  CallType: 'TERM_INTERSTATE',
+  StartTime: '2025-01-13T09:17:34.000',
+  ANI: '8314240641',
+  DNIS: '2125551234',
+  CustomerIP: '209.151.158.141',
+  ...fields
+});
+
+test('getCallDirection', () => {
+  assert.strictEqual(getCallDirection('TERM_INTRASTATE'), 'outbound');
+  assert.strictEqual(getCallDirection('Registered 911'), 'outbound');
+  assert.strictEqual(getCallDirection('Orig-Tiered'), 'inbound');
+  assert.strictEqual(getCallDirection('800OrigE'), 'inbound');
+  assert.strictEqual(getCallDirection('SMS-LOCAL-IN'), 'inbound');
+  assert.strictEqual(getCallDirection(''), null);
+});
+
+test('the most specific IP range wins', () => {
+  const { attribute } = createCustomerAttributor([
+    entry(1, MATCH_TYPES.IP, '209.151.0.0/16'),
+    entry(2, MATCH_TYPES.IP, '209.151.158.0/24')
+  ]);
+  assert.deepStrictEqual(
+    [attribute(call()).CustomerId, attribute(call({ CustomerIP: '209.151.1.1' })).CustomerId], [2, 1]);
+  assert.strictEqual(attribute(call()).Attribution, MATCH_TYPES.IP);
+});
+
+test('an exact number beats its block, and numbers beat IP ranges', () => {
+  const { attribute } = createCustomerAttributor([
+    entry(1, MATCH_TYPES.ANI, '831424*'),
+    entry(2, MATCH_TYPES.ANI, '8314240641'),
+    entry(3, MATCH_TYPES.IP, '209.151.158.141')
+  ]);
+  assert.strictEqual(attribute(call()).CustomerId, 2);
+  assert.strictEqual(attribute(call({ ANI: '8314249999' })).CustomerId, 1);
+  const byIP = attribute(call({ ANI: '4155550000' }));
+  assert.deepStrictEqual([byIP.CustomerId, byIP.Attribution], [3, MATCH_TYPES.IP]);
+});
+
+test('matches DIDs on inbound calls and ANIs on outbound calls', () => {
+  const { attribute } = createCustomerAttributor([
+    entry(1, MATCH_TYPES.DID, '2125551234'),
+    entry(2, MATCH_TYPES.ANI, '8314240641')
+  ]);
+  assert.strictEqual(attribute(call({ CallType: 'Orig-Tiered' })).CustomerId, 1);
+  assert.strictEqual(attribute(call()).CustomerId, 2);
+  // No direction: both are tried, and two customers match
+  assert.strictEqual(attribute(call({ CallType: 'UNKNOWN' })).Attribution, ATTRIBUTION_OUTCOMES.AMBIGUOUS);
+});
+
+test('equally specific entries of different customers are ambiguous', () => {
+  const { attribute, summary } = createCustomerAttributor([
+    entry(1, MATCH_TYPES.IP, '209.151.158.0/24'),
+    entry(2, MATCH_TYPES.IP, '209.151.158.0/24'),
+    entry(3, MATCH_TYPES.IP, '10.0.0.0/8'),
+    entry(3, MATCH_TYPES.IP, '10.1.0.0/16')
+  ]);
+  const record = attribute(call());
+  assert.deepStrictEqual([record.CustomerId, record.Attribution], [null, ATTRIBUTION_OUTCOMES.AMBIGUOUS]);
+  // Several entries of one customer are not ambiguous
+  assert.strictEqual(attribute(call({ CustomerIP: '10.1.2.3' })).CustomerId, 3);
+  attribute(call({ CustomerIP: '' }));
+
+  assert.deepStrictEqual(summary(), {
+    attributed: 1,
+    unattributed: 2,
+    matchedBy: { did: 0, ani: 0, ip: 1 },
+    unmatched: 1,
+    ambiguous: 1,
+    unattributedIPs: { '209.151.158.141': 1, '(none)': 1 }
+  });
+});
+
+test('only entries in effect on the call date apply', () => {
+  const { attribute } = createCustomerAttributor([
+    entry(1, MATCH_TYPES.IP, '209.151.158.141', '2024-01-01', '2025-01-13'),
+    entry(2, MATCH_TYPES.IP, '209.151.158.141', '2025-01-13')
+  ]);
+  assert.strictEqual(attribute(call({ StartTime: '2025-01-12T23:59:59.000' })).CustomerId, 1);
+  assert.strictEqual(attribute(call()).CustomerId, 2);
+});
+
+test('skips entries with invalid patterns', t => {
+  const warn = t.mock.method(console, 'warn', () => {});
+  const attributor = createCustomerAttributor([
+    entry(1, MATCH_TYPES.IP, '209.151.158.0/33'),
+    entry(1, MATCH_TYPES.ANI, '831-424-0641'),
+    entry(1, 'email', 'a@example.com'),
+    entry(2, MATCH_TYPES.IP, '2001:db8::1')
+  ]);
+  assert.strictEqual(attributor.size, 1);
+  assert.strictEqual(warn.mock.callCount(), 3);
+  assert.strictEqual(attributor.attribute(call({ CustomerIP: '2001:db8::1' })).CustomerId, 2);
+});
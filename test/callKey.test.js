@@ -0,0 +1,59 @@
+/**
+ * Per-call deduplication keys (lib/callKey.js).
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('node:crypto');
+const { OCCURRENCE_WINDOW, buildCallKey, createCallKeyGenerator } = require('../lib/callKey');
+
+const call = {
+  TransactionId: 'CHRG00067263453',
+  StartTime: '2025-01-13 17:17:34',
+  StopTime: '2025-01-13 17:19:09',
+  ANI: '+18314240641',
+  DNIS: '18313834971',
+  CallDuration: '95',
+  Price: '0.0095'
+};
+
+test('buildCallKey hashes the versioned key fields and the occurrence', () => {
+  const expected = crypto.createHash('sha256')
+    .update('v1|CHRG00067263453|2025-01-13 17:17:34|2025-01-13 17:19:09|+18314240641|18313834971|0')
+    .digest('hex');
+  assert.strictEqual(buildCallKey(call), expected);
+  assert.notStrictEqual(buildCallKey(call, 1), expected);
+});
+
+test('buildCallKey ignores price, duration and surrounding whitespace', () => {
+  const rerated = { ...call, CallDuration: '96', Price: '0.0100', ANI: ' +18314240641 ' };
+  assert.strictEqual(buildCallKey(rerated), buildCallKey(call));
+  assert.notStrictEqual(buildCallKey({ ...call, DNIS: '18313834972' }), buildCallKey(call));
+});
+
+test('the generator numbers identical rows and reproduces the same keys on reload', () => {
+  const keyFile = rows => rows.map(createCallKeyGenerator());
+  const other = { ...call, DNIS: '18313834972' };
+  const keys = keyFile([call, other, call, call]);
+
+  assert.deepStrictEqual(keys, [buildCallKey(call, 0), buildCallKey(other, 0), buildCallKey(call, 1), buildCallKey(call, 2)]);
+  assert.deepStrictEqual(keyFile([call, other, call, call]), keys);
+});
+
+test('the generator forgets rows not seen within the last OCCURRENCE_WINDOW distinct rows', () => {
+  const key = createCallKeyGenerator();
+  key(call);
+  for (let i = 0; i < OCCURRENCE_WINDOW; i++) {
+    key({ ...call, TransactionId: `FILL${i}` });
+  }
+  assert.strictEqual(key(call), buildCallKey(call, 0));
+
+  // A row seen again is moved to the most recent end and kept
+  const recent = createCallKeyGenerator();
+  recent(call);
+  for (let i = 0; i < OCCURRENCE_WINDOW; i++) {
+    if (i === OCCURRENCE_WINDOW / 2) recent(call);
+    recent({ ...call, TransactionId: `FILL${i}` });
+  }
+  assert.strictEqual(recent(call), buildCallKey(call, 2));
+});
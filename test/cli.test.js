@@ -0,0 +1,113 @@
+/**
+ * tbssync argument parsing, run statuses and exit codes (lib/cli.js).
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { EXIT_CODES, UsageError, parseArgs, overallStatus, run } = require('../lib/cli');
+
+test('parseArgs', async t => {
+  await t.test('splits the command, positionals and flags', () => {
+    assert.deepStrictEqual(parseArgs(['backfill', '--from', '2025-01-13', '--to=2025-01-15', '--dry-run']), {
+      command: 'backfill',
+      positionals: [],
+      flags: { from: '2025-01-13', to: '2025-01-15', 'dry-run': true }
+    });
+    assert.deepStrictEqual(parseArgs(['reprocess', './cdrs', '--force']), {
+      command: 'reprocess',
+      positionals: ['./cdrs'],
+      flags: { force: true }
+    });
+  });
+
+  await t.test('keeps an = inside a value', () => {
+    assert.strictEqual(parseArgs(['usage', '--output=a=b.csv']).flags.output, 'a=b.csv');
+  });
+
+  await t.test('returns no command for an empty command line', () => {
+    assert.deepStrictEqual(parseArgs([]), { command: undefined, positionals: [], flags: {} });
+  });
+
+  await t.test('rejects unknown flags, missing values and values on switches', () => {
+    assert.throws(() => parseArgs(['daily', '--verbose']), { name: 'UsageError', message: 'Unknown option: --verbose' });
+    assert.throws(() => parseArgs(['backfill', '--from']), { message: '--from requires a value' });
+    assert.throws(() => parseArgs(['backfill', '--from', '--to', '2025-01-15']), { message: '--from requires a value' });
+    assert.throws(() => parseArgs(['daily', '--force=yes']), { message: '--force does not take a value' });
+    assert.throws(() => parseArgs(['daily', '--nope']), UsageError);
+  });
+});
+
+test('overallStatus', () => {
+  assert.strictEqual(overallStatus(['success', 'skipped']), 'success');
+  assert.strictEqual(overallStatus(['success', 'failed']), 'partial');
+  assert.strictEqual(overallStatus(['success', 'no-data']), 'partial');
+  assert.strictEqual(overallStatus(['failed', 'failed']), 'failed');
+  assert.strictEqual(overallStatus(['failed', 'no-data']), 'failed');
+  assert.strictEqual(overallStatus(['no-data']), 'no-data');
+  assert.strictEqual(overallStatus([]), 'no-data');
+});
+
+test('run', async t => {
+  const saved = { ...process.env };
+  const { log, info } = console;
+  t.afterEach(() => {
+    process.env = { ...saved };
+    // --json sends progress logging to stderr for the rest of the process
+    console.log = log;
+    console.info = info;
+  });
+
+  await t.test('prints the usage on stdout and succeeds for --help', async t => {
+    const out = t.mock.method(console, 'log', () => {});
+    const err = t.mock.method(console, 'error', () => {});
+    assert.strictEqual(await run(['--help']), EXIT_CODES.SUCCESS);
+    assert.strictEqual(await run(['daily', '--help']), EXIT_CODES.SUCCESS);
+    assert.match(out.mock.calls[0].arguments[0], /^Usage: tbssync <command>/);
+    assert.strictEqual(err.mock.callCount(), 0);
+  });
+
+  await t.test('is a usage error without a known command or with a bad flag', async t => {
+    t.mock.method(console, 'error', () => {});
+    assert.strictEqual(await run([]), EXIT_CODES.USAGE);
+    assert.strictEqual(await run(['nightly']), EXIT_CODES.USAGE);
+    assert.strictEqual(await run(['daily', '--verbose']), EXIT_CODES.USAGE);
+    assert.strictEqual(await run(['parse']), EXIT_CODES.USAGE);
+  });
+
+  await t.test('--config overrides settings already loaded', async t => {
+    t.mock.method(console, 'error', () => {});
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'tbssync-config-'));
+    t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+    const config = path.join(directory, 'site.env');
+    fs.writeFileSync(config, 'CDR_SOURCE=local\n');
+    process.env.CDR_SOURCE = 'ftp';
+
+    await run(['parse', '--config', config]);
+    assert.strictEqual(process.env.CDR_SOURCE, 'local');
+    assert.strictEqual(await run(['parse', '--config', path.join(directory, 'missing.env')]), EXIT_CODES.USAGE);
+  });
+
+  await t.test('prints the JSON summary on stdout and exits by its status', async t => {
+    t.mock.method(console, 'error', () => {});
+    t.mock.method(console, 'warn', () => {});
+    // The test runner reports over stdout too, as binary; keep only the summary
+    const written = [];
+    const write = process.stdout.write.bind(process.stdout);
+    t.mock.method(process.stdout, 'write', (chunk, ...rest) =>
+      (typeof chunk === 'string' ? written.push(chunk) : write(chunk, ...rest)));
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'tbssync-parse-'));
+    t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+    const file = path.join(directory, '20250113.CDR');
+    const sample = fs.readFileSync(path.join(__dirname, '..', '20250113.CDR'), 'utf8');
+    fs.writeFileSync(file, sample.split('\n').slice(0, 11).join('\n') + '\n');
+
+    assert.strictEqual(await run(['parse', file, '--json', '--no-alerts']), EXIT_CODES.SUCCESS);
+    const summary = JSON.parse(written.join(''));
+    assert.strictEqual(summary.command, 'parse');
+    assert.strictEqual(summary.status, 'success');
+    assert.strictEqual(summary.totals.parsedRecords, 10);
+  });
+});
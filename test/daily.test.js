@@ -0,0 +1,276 @@
+/**
+ * tbssync daily against a local drop folder and an in-memory stand-in for
+ * the database (lib/commands/daily.js): catching up the folders of earlier
+ * days that the ledger does not show as loaded, and --wait polling for a
+ * late folder until CDR_WAIT_DEADLINE.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const sql = require('mssql');
+
+// ./cdrs and ./bak are relative to the working directory; these settings
+// are read by lib/config.js when it is first required
+const work = fs.mkdtempSync(path.join(os.tmpdir(), 'tbssync-daily-'));
+const root = path.join(work, 'drop');
+fs.mkdirSync(root);
+process.chdir(work);
+Object.assign(process.env, {
+  CDR_SOURCE: 'local',
+  CDR_SOURCE_DIR: root,
+  CDR_SOURCE_ACK: 'none',
+  CDR_CATCHUP_DAYS: '3',
+  CDR_WAIT_DEADLINE: '12:00',
+  CDR_POLL_INTERVAL: '60',
+  CDR_POLL_MAX_INTERVAL: '120',
+  CDR_QUARANTINE_DIRECTORY: path.join(work, 'quarantine'),
+  ALERTS_ENABLED: 'false'
+});
+delete process.env.CDR_ARCHIVE_DIRECTORY;
+
+const daily = require('../lib/commands/daily');
+const { formatDateForFolder } = require('../lib/dates');
+const { LEDGER_STATUS } = require('../lib/ledger');
+
+const SAMPLE = path.join(__dirname, '..', '20250113.CDR');
+
+// The header and first calls of the sample file; a different count is different content
+function sampleCDR(lines) {
+  return fs.readFileSync(SAMPLE, 'utf8').split('\n').slice(0, lines + 1).join('\n') + '\n';
+}
+
+function folderDaysAgo(days) {
+  const date = new Date();
+  date.setDate(date.getDate() - days);
+  return formatDateForFolder(date);
+}
+
+function publish(folder, name, content) {
+  fs.mkdirSync(path.join(root, folder), { recursive: true });
+  fs.writeFileSync(path.join(root, folder, name), content);
+}
+
+/**
+ * Answers the ledger queries and procedures a daily run sends. Every
+ * VI_StoreCDRs batch is recorded with the folder it was loaded for.
+ */
+function createDatabase() {
+  const ledger = [];
+  const batches = [];
+  const queries = [];
+
+  function request() {
+    const inputs = {};
+    const req = {
+      input(name, type, value) {
+        inputs[name] = value === undefined ? type : value;
+        return req;
+      },
+      output() {
+        return req;
+      },
+      async query(text) {
+        queries.push(text);
+        if (/SELECT SourceFolder, FileName FROM VI_FileLedger/.test(text)) {
+          return {
+            recordset: ledger.filter(entry => entry.Status === inputs.status &&
+              entry.SourceFolder >= inputs.fromFolder && entry.SourceFolder <= inputs.toFolder)
+          };
+        }
+        if (/FROM VI_FileLedger WHERE Sha256/.test(text)) {
+          return { recordset: ledger.filter(entry => entry.Sha256 === inputs.sha256).map(entry => ({ ...entry })) };
+        }
+        if (/^MERGE VI_FileLedger/.test(text)) {
+          const entry = { LedgerId: ledger.length + 1, FileName: inputs.fileName, SourceFolder: inputs.folder,
+            Sha256: inputs.sha256, Status: inputs.status, Attempts: 1 };
+          ledger.push(entry);
+          return { recordset: [{ LedgerId: entry.LedgerId }] };
+        }
+        if (/^UPDATE VI_FileLedger/.test(text)) {
+          const entry = ledger.find(existing => existing.LedgerId === inputs.ledgerId);
+          if (inputs.status) entry.Status = inputs.status;
+          if (inputs.status === LEDGER_STATUS.LOADED) entry.LoadedAt = new Date();
+          if (inputs.folder && !entry.SourceFolder) entry.SourceFolder = inputs.folder;
+          return { recordset: [] };
+        }
+        if (/FROM VI_(CustomerMap|CustomerRatePlan|Rate)\b/.test(text)) return { recordset: [] };
+        throw new Error(`Unexpected query: ${text}`);
+      },
+      async execute(procedure) {
+        if (procedure === 'VI_StoreCDRs') {
+          const entry = ledger.find(existing => existing.LedgerId === inputs.ledgerId);
+          batches.push({ folder: entry.SourceFolder, rows: inputs.cdrBatch.rows.length });
+          return { output: { recordCount: inputs.cdrBatch.rows.length } };
+        }
+        if (procedure === 'VI_RefreshUsage') return { output: { dailyRows: 1 } };
+        throw new Error(`Unexpected procedure: ${procedure}`);
+      }
+    };
+    return req;
+  }
+
+  return { ledger, batches, queries, pool: { request, close: async () => {} } };
+}
+
+// lib/db.js keeps the first pool it connects for the whole process
+const database = createDatabase();
+
+function reset() {
+  fs.rmSync(root, { recursive: true, force: true });
+  fs.rmSync(path.join(work, 'cdrs'), { recursive: true, force: true });
+  database.ledger.length = 0;
+  database.batches.length = 0;
+  database.queries.length = 0;
+}
+
+test.after(() => {
+  process.chdir(os.tmpdir());
+  fs.rmSync(work, { recursive: true, force: true });
+});
+
+test('daily catch-up', async t => {
+  t.mock.method(sql.ConnectionPool.prototype, 'connect', async () => database.pool);
+
+  const today = folderDaysAgo(0);
+  const loadedDay = folderDaysAgo(2);
+  const missedDay = folderDaysAgo(1);
+
+  t.beforeEach(t => {
+    ['log', 'info', 'warn', 'error'].forEach(method => t.mock.method(console, method, () => {}));
+    reset();
+    // Three days ago was never published; two days ago is already in the ledger
+    publish(loadedDay, '20250113.CDR', sampleCDR(3));
+    publish(missedDay, '20250113.CDR', sampleCDR(4));
+    publish(today, '20250113.CDR', sampleCDR(5));
+    database.ledger.push({ LedgerId: 1, FileName: '20250113.CDR', SourceFolder: loadedDay,
+      Sha256: 'a'.repeat(64), Status: LEDGER_STATUS.LOADED, Attempts: 1, LoadedAt: new Date() });
+  });
+
+  await t.test('loads only the earlier folders the ledger does not show as loaded', async () => {
+    const result = await daily([], {});
+
+    assert.strictEqual(result.status, 'success');
+    assert.strictEqual(result.folder, today);
+    assert.deepStrictEqual(result.caughtUp, [{ folder: missedDay, status: 'success' }]);
+    // The missed day before today, oldest first
+    assert.deepStrictEqual(database.batches, [{ folder: missedDay, rows: 4 }, { folder: today, rows: 5 }]);
+    assert.deepStrictEqual(result.files.map(file => file.status), ['success', 'success']);
+    assert.ok(!fs.existsSync(path.join(work, 'cdrs', loadedDay)), 'the loaded day is not fetched');
+  });
+
+  await t.test('finds nothing to catch up once every folder is loaded', async () => {
+    await daily([], {});
+    database.batches.length = 0;
+
+    const result = await daily([], {});
+
+    assert.deepStrictEqual(result.caughtUp, []);
+    // Today's file is fetched again and skipped by its hash
+    assert.deepStrictEqual(database.batches, []);
+    assert.deepStrictEqual(result.files.map(file => file.reason), ['already-loaded']);
+  });
+
+  await t.test('is skipped without the ledger', async () => {
+    const result = await daily([], { dryRun: true });
+
+    assert.deepStrictEqual(result.caughtUp, []);
+    assert.deepStrictEqual(database.queries, []);
+    assert.deepStrictEqual(result.files.map(file => [file.file, file.reason]), [['20250113.CDR', 'dry-run']]);
+  });
+});
+
+test('daily --wait', async t => {
+  t.mock.method(sql.ConnectionPool.prototype, 'connect', async () => database.pool);
+
+  let log;
+  let alerts;
+  t.beforeEach(t => {
+    log = t.mock.method(console, 'log', () => {});
+    ['info', 'warn'].forEach(method => t.mock.method(console, method, () => {}));
+    const error = t.mock.method(console, 'error', () => {});
+    alerts = () => error.mock.calls.map(call => call.arguments[0]).filter(line => /^ALERT /.test(line))
+      .map(line => line.slice(0, line.indexOf(' - ')));
+    reset();
+  });
+
+  // Starts the clock at `time` today (host local time), with the poll delays under the test's control
+  function startClock(t, time) {
+    const [hours, minutes] = time.split(':').map(Number);
+    const now = new Date();
+    now.setHours(hours, minutes, 0, 0);
+    t.mock.timers.enable({ apis: ['setTimeout', 'Date'], now });
+    return formatDateForFolder(now);
+  }
+
+  // Resolves once the run has logged `count` misses and is waiting for the next poll
+  async function missed(count) {
+    const misses = () => log.mock.calls.filter(call => /not published yet/.test(call.arguments[0])).length;
+    for (let turns = 0; misses() < count; turns++) {
+      if (turns > 1000) throw new Error(`Only ${misses()} of ${count} misses logged`);
+      await new Promise(resolve => setImmediate(resolve));
+    }
+  }
+
+  await t.test('loads the folder at once when it is already published', async t => {
+    const today = startClock(t, '06:00');
+    publish(today, '20250113.CDR', sampleCDR(5));
+
+    const result = await daily([], { wait: true });
+
+    assert.strictEqual(result.status, 'success');
+    assert.strictEqual(result.wait.published, true);
+    assert.strictEqual(result.wait.polls, 1);
+    assert.deepStrictEqual(alerts(), []);
+  });
+
+  await t.test('warns at the first miss and loads the folder once it is published', async t => {
+    const today = startClock(t, '11:00');
+
+    const run = daily([], { wait: true });
+    await missed(1);
+    publish(today, '20250113.CDR', sampleCDR(5));
+    t.mock.timers.tick(60 * 1000);
+    const result = await run;
+
+    assert.strictEqual(result.status, 'success');
+    assert.strictEqual(result.wait.published, true);
+    assert.strictEqual(result.wait.polls, 2);
+    assert.strictEqual(result.wait.publishedAt, new Date().toISOString());
+    assert.deepStrictEqual(database.batches, [{ folder: today, rows: 5 }]);
+    assert.deepStrictEqual(alerts(), ['ALERT [warning]: CDR Files Late']);
+  });
+
+  await t.test('backs off until the deadline and escalates', async t => {
+    startClock(t, '11:56');
+
+    const run = daily([], { wait: true });
+    // 60 s, then 120 s (CDR_POLL_MAX_INTERVAL), cut short by the deadline
+    await missed(1);
+    t.mock.timers.tick(60 * 1000);
+    await missed(2);
+    t.mock.timers.tick(120 * 1000);
+    await missed(3);
+    t.mock.timers.tick(60 * 1000);
+    const result = await run;
+
+    assert.strictEqual(result.status, 'no-data');
+    assert.strictEqual(result.wait.published, false);
+    assert.strictEqual(result.wait.polls, 4);
+    assert.strictEqual(new Date(result.wait.deadline).getTime(), Date.now());
+    assert.deepStrictEqual(database.batches, []);
+    assert.deepStrictEqual(alerts(), ['ALERT [warning]: CDR Files Late', 'ALERT [critical]: CDR Files Missing After Deadline']);
+  });
+
+  await t.test('escalates after one check once the deadline has passed', async t => {
+    startClock(t, '12:30');
+
+    const result = await daily([], { wait: true });
+
+    assert.strictEqual(result.wait.published, false);
+    assert.strictEqual(result.wait.polls, 1);
+    assert.deepStrictEqual(alerts(), ['ALERT [critical]: CDR Files Missing After Deadline']);
+  });
+});
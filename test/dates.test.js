@@ -0,0 +1,56 @@
+/**
+ * Folder names, --from/--to dates and the --wait deadline (lib/dates.js),
+ * all in host local time.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { formatDateForFolder, parseDateArg, parseTimeOfDay, getDateRange } = require('../lib/dates');
+
+test('formatDateForFolder pads the month and day', () => {
+  assert.strictEqual(formatDateForFolder(new Date(2025, 0, 5)), '20250105');
+  assert.strictEqual(formatDateForFolder(new Date(2025, 11, 31, 23, 59)), '20251231');
+});
+
+test('parseDateArg', async t => {
+  await t.test('reads YYYY-MM-DD as local midnight', () => {
+    const date = parseDateArg('2025-01-13');
+    assert.strictEqual(date.getTime(), new Date(2025, 0, 13).getTime());
+    assert.strictEqual(formatDateForFolder(date), '20250113');
+  });
+
+  await t.test('rejects other formats and dates that do not exist', () => {
+    for (const value of ['20250113', '2025-1-13', '2025-01-13T00:00', '', undefined, '2025-02-30', '2025-13-01']) {
+      assert.strictEqual(parseDateArg(value), null, String(value));
+    }
+    assert.ok(parseDateArg('2024-02-29'));
+  });
+});
+
+test('parseTimeOfDay', async t => {
+  const now = new Date(2025, 0, 14, 6, 45, 30, 500);
+
+  await t.test('resolves HH:MM to that time on the given day', () => {
+    assert.strictEqual(parseTimeOfDay('12:00', now).getTime(), new Date(2025, 0, 14, 12, 0).getTime());
+    assert.strictEqual(parseTimeOfDay('7:05', now).getTime(), new Date(2025, 0, 14, 7, 5).getTime());
+    assert.strictEqual(parseTimeOfDay('00:00', now).getTime(), new Date(2025, 0, 14).getTime());
+    assert.strictEqual(now.getHours(), 6, 'the day passed in is not changed');
+  });
+
+  await t.test('defaults to today', () => {
+    assert.strictEqual(formatDateForFolder(parseTimeOfDay('23:59')), formatDateForFolder(new Date()));
+  });
+
+  await t.test('rejects times outside the day and other formats', () => {
+    for (const value of ['24:00', '12:60', '12', '12:0', '12:00:00', 'noon', '', undefined]) {
+      assert.strictEqual(parseTimeOfDay(value, now), null, String(value));
+    }
+  });
+});
+
+test('getDateRange includes both ends, across a month end', () => {
+  const range = getDateRange(new Date(2025, 0, 30), new Date(2025, 1, 2));
+  assert.deepStrictEqual(range.map(formatDateForFolder), ['20250130', '20250131', '20250201', '20250202']);
+  assert.deepStrictEqual(getDateRange(new Date(2025, 0, 13), new Date(2025, 0, 13)).map(formatDateForFolder), ['20250113']);
+  assert.deepStrictEqual(getDateRange(new Date(2025, 0, 14), new Date(2025, 0, 13)), []);
+});
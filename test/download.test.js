@@ -0,0 +1,145 @@
+/**
+ * Verified downloads shared by the CDR sources (lib/sources/common.js):
+ * .part files, size checks against the listing, resumes and retries.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+
+// Read by lib/config.js when it is first required
+const quarantine = fs.mkdtempSync(path.join(os.tmpdir(), 'tbssync-quarantine-'));
+process.env.CDR_QUARANTINE_DIRECTORY = quarantine;
+process.env.ALERTS_ENABLED = 'false';
+
+const { DOWNLOAD_ATTEMPTS, downloadVerified } = require('../lib/sources/common');
+
+const content = Buffer.from('CDR content '.repeat(100));
+const listed = { name: '20250113.CDR', size: content.length };
+
+// Copies the content from `offset` (0 starts the .part over), recording each call
+function transferFrom(source = content) {
+  const calls = [];
+  const transfer = async (partFile, offset) => {
+    calls.push(offset);
+    fs.writeFileSync(partFile, source.subarray(offset), { flag: offset ? 'a' : 'w' });
+  };
+  return { calls, transfer };
+}
+
+// Lets the retry delay be scheduled before the mock clock moves past it
+function settle() {
+  return new Promise(resolve => setImmediate(resolve));
+}
+
+test('downloadVerified', async t => {
+  let target;
+
+  t.beforeEach(t => {
+    ['log', 'error', 'warn'].forEach(method => t.mock.method(console, method, () => {}));
+    target = fs.mkdtempSync(path.join(os.tmpdir(), 'tbssync-download-'));
+  });
+
+  t.afterEach(() => fs.rmSync(target, { recursive: true, force: true }));
+  t.after(() => fs.rmSync(quarantine, { recursive: true, force: true }));
+
+  await t.test('renames the .part once its size matches the listing', async () => {
+    const { calls, transfer } = transferFrom();
+
+    assert.strictEqual(await downloadVerified(listed, target, transfer), null);
+
+    assert.deepStrictEqual(calls, [0]);
+    assert.deepStrictEqual(fs.readdirSync(target), ['20250113.CDR']);
+    assert.deepStrictEqual(fs.readFileSync(path.join(target, '20250113.CDR')), content);
+  });
+
+  await t.test('does not download a file already there at the listed size', async () => {
+    fs.writeFileSync(path.join(target, '20250113.CDR'), content);
+    const { calls, transfer } = transferFrom();
+
+    assert.strictEqual(await downloadVerified(listed, target, transfer), null);
+    assert.deepStrictEqual(calls, []);
+  });
+
+  await t.test('resumes a .part, unless the transport cannot or the source file changed', async () => {
+    const part = path.join(target, '20250113.CDR.part');
+    const resumed = transferFrom();
+    fs.writeFileSync(part, content.subarray(0, 500));
+    await downloadVerified(listed, target, resumed.transfer);
+    assert.deepStrictEqual(resumed.calls, [500]);
+
+    fs.rmSync(path.join(target, '20250113.CDR'));
+    const restarted = transferFrom();
+    fs.writeFileSync(part, content.subarray(0, 500));
+    await downloadVerified(listed, target, restarted.transfer, { resumable: false });
+    assert.deepStrictEqual(restarted.calls, [0]);
+
+    fs.rmSync(path.join(target, '20250113.CDR'));
+    const changed = transferFrom();
+    fs.writeFileSync(part, Buffer.concat([content, content]));
+    await downloadVerified(listed, target, changed.transfer);
+    assert.deepStrictEqual(changed.calls, [0]);
+    assert.deepStrictEqual(fs.readFileSync(path.join(target, '20250113.CDR')), content);
+  });
+
+  await t.test('retries a failed transfer from the bytes already received', async t => {
+    t.mock.timers.enable({ apis: ['setTimeout'] });
+    const calls = [];
+    const retries = [];
+    const transfer = async (partFile, offset) => {
+      calls.push(offset);
+      if (calls.length === 1) {
+        fs.writeFileSync(partFile, content.subarray(0, 300));
+        throw new Error('Connection reset');
+      }
+      fs.writeFileSync(partFile, content.subarray(offset), { flag: 'a' });
+    };
+
+    const download = downloadVerified(listed, target, transfer, {
+      onRetry: async (attempt, err) => retries.push([attempt, err.message])
+    });
+    await settle();
+    t.mock.timers.tick(2000);
+
+    assert.strictEqual(await download, null);
+    assert.deepStrictEqual(calls, [0, 300]);
+    assert.deepStrictEqual(retries, [[1, 'Connection reset']]);
+    assert.deepStrictEqual(fs.readFileSync(path.join(target, '20250113.CDR')), content);
+  });
+
+  await t.test(`gives up after ${DOWNLOAD_ATTEMPTS} attempts`, async t => {
+    t.mock.timers.enable({ apis: ['setTimeout'] });
+    let attempts = 0;
+    const transfer = async () => {
+      attempts++;
+      throw new Error('Connection refused');
+    };
+
+    const download = assert.rejects(downloadVerified(listed, target, transfer), { message: 'Connection refused' });
+    for (let retry = 1; retry < DOWNLOAD_ATTEMPTS; retry++) {
+      await settle();
+      t.mock.timers.tick(2000);
+    }
+    await download;
+
+    assert.strictEqual(attempts, DOWNLOAD_ATTEMPTS);
+    assert.deepStrictEqual(fs.readdirSync(target), []);
+  });
+
+  await t.test('quarantines a transfer that completes short of the listing', async () => {
+    const { transfer } = transferFrom(content.subarray(0, 700));
+
+    const problem = await downloadVerified(listed, target, transfer, { folder: '20250114' });
+
+    const quarantinedFile = path.join(quarantine, '20250114', '20250113.CDR');
+    assert.deepStrictEqual(problem, {
+      file: '20250113.CDR',
+      reason: `Downloaded 700 of ${content.length} bytes listed at the source`,
+      quarantinedFile
+    });
+    assert.deepStrictEqual(fs.readdirSync(target), []);
+    assert.strictEqual(fs.statSync(quarantinedFile).size, 700);
+  });
+});
@@ -0,0 +1,71 @@
+/**
+ * FTP certificate change detection: the state file that remembers the last
+ * certificate accepted from each host.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { recordCertificate } = require('../lib/ftp');
+
+function certificate(fingerprint256) {
+  return {
+    fingerprint256,
+    subject: { CN: 'customercdr.voipinnovations.com' },
+    issuer: { CN: 'Example CA' },
+    valid_from: 'Jan  1 00:00:00 2025 GMT',
+    valid_to: 'Jan  1 00:00:00 2026 GMT'
+  };
+}
+
+test('recordCertificate', async t => {
+  let dir;
+  let file;
+
+  t.beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tbssync-cert-'));
+    file = path.join(dir, 'state', 'ftp-certificates.json');
+  });
+
+  t.afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  await t.test('records the first certificate without reporting a change', () => {
+    assert.deepStrictEqual(recordCertificate('ftp.example.com', certificate('AA:01'), file), { first: true, previous: null });
+    const state = JSON.parse(fs.readFileSync(file, 'utf8'));
+    assert.strictEqual(state['ftp.example.com'].fingerprint256, 'AA:01');
+    assert.match(state['ftp.example.com'].description, /Issuer: CN=Example CA/);
+  });
+
+  await t.test('reports nothing while the certificate stays the same', () => {
+    recordCertificate('ftp.example.com', certificate('AA:01'), file);
+    assert.deepStrictEqual(recordCertificate('ftp.example.com', certificate('AA:01'), file), { first: false, previous: null });
+  });
+
+  await t.test('returns the previous certificate when it changes, and remembers the new one', () => {
+    recordCertificate('ftp.example.com', certificate('AA:01'), file);
+
+    const change = recordCertificate('ftp.example.com', certificate('BB:02'), file);
+    assert.strictEqual(change.first, false);
+    assert.strictEqual(change.previous.fingerprint256, 'AA:01');
+    assert.match(change.previous.description, /SHA256 fingerprint: AA:01/);
+
+    assert.deepStrictEqual(recordCertificate('ftp.example.com', certificate('BB:02'), file), { first: false, previous: null });
+  });
+
+  await t.test('keeps each host separately', () => {
+    recordCertificate('ftp.example.com', certificate('AA:01'), file);
+    assert.deepStrictEqual(recordCertificate('sftp.example.com', certificate('CC:03'), file), { first: true, previous: null });
+    assert.deepStrictEqual(recordCertificate('ftp.example.com', certificate('AA:01'), file), { first: false, previous: null });
+  });
+
+  await t.test('starts again from an unreadable state file', t => {
+    t.mock.method(console, 'warn', () => {});
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, 'not json');
+    assert.deepStrictEqual(recordCertificate('ftp.example.com', certificate('AA:01'), file), { first: true, previous: null });
+  });
+});
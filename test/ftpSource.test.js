@@ -0,0 +1,226 @@
+/**
+ * FTP CDR source, end to end against an in-process plain FTP stand-in
+ * (FTP_SECURE=false): full downloads, a resumed .part and a file that
+ * arrives shorter than listed.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const net = require('node:net');
+const os = require('node:os');
+const path = require('node:path');
+
+// Read by lib/config.js when it is first required
+const quarantine = fs.mkdtempSync(path.join(os.tmpdir(), 'tbssync-quarantine-'));
+process.env.CDR_QUARANTINE_DIRECTORY = quarantine;
+
+const { createCDRSource } = require('../lib/source');
+
+const FOLDER = '20250114';
+const SAMPLE = path.join(__dirname, '..', '20250113.CDR');
+
+function sampleCDR(lines) {
+  return Buffer.from(fs.readFileSync(SAMPLE, 'utf8').split('\n').slice(0, lines + 1).join('\n') + '\n');
+}
+
+/**
+ * Serves `files` ({'/20250114/x.CDR': {data, size}}) over plain FTP on
+ * 127.0.0.1, with passive data connections. `size` is what LIST reports
+ * (default: the data's length). Every command received is recorded.
+ */
+function startFTPServer(files) {
+  const commands = [];
+  const sockets = new Set();
+
+  const server = net.createServer(control => {
+    sockets.add(control);
+    control.on('close', () => sockets.delete(control));
+    let cwd = '/';
+    let restart = 0;
+    let data = null;
+    let buffered = '';
+
+    const reply = line => control.write(`${line}\r\n`);
+    const resolve = target => path.posix.resolve(cwd, target || '.');
+
+    function openPassive() {
+      const listener = net.createServer();
+      data = new Promise(accepted => listener.once('connection', socket => {
+        sockets.add(socket);
+        socket.on('close', () => sockets.delete(socket));
+        listener.close();
+        accepted(socket);
+      }));
+      return new Promise(listening => listener.listen(0, '127.0.0.1', () => listening(listener.address().port)));
+    }
+
+    async function send(content) {
+      const socket = await data;
+      data = null;
+      reply('150 Opening data connection');
+      socket.end(content, () => reply('226 Transfer complete'));
+    }
+
+    async function handle(line) {
+      commands.push(line);
+      const [verb, ...rest] = line.split(' ');
+      const arg = rest.join(' ');
+
+      switch (verb.toUpperCase()) {
+        case 'USER': return reply('331 Password required');
+        case 'PASS': return reply('230 Logged in');
+        case 'TYPE': case 'STRU': case 'OPTS': return reply('200 OK');
+        case 'PWD': return reply(`257 "${cwd}"`);
+        case 'CWD': {
+          const target = resolve(arg);
+          const exists = Object.keys(files).some(file => path.posix.dirname(file) === target);
+          if (!exists) return reply('550 No such directory');
+          cwd = target;
+          return reply('250 OK');
+        }
+        case 'EPSV': return reply(`229 Entering Extended Passive Mode (|||${await openPassive()}|)`);
+        case 'PASV': {
+          const port = await openPassive();
+          return reply(`227 Entering Passive Mode (127,0,0,1,${port >> 8},${port & 255})`);
+        }
+        case 'LIST': {
+          const directory = resolve(arg.replace(/^-a\s*/, ''));
+          const listing = Object.entries(files)
+            .filter(([file]) => path.posix.dirname(file) === directory)
+            .map(([file, { data: content, size }]) =>
+              `-rw-r--r-- 1 vi vi ${size ?? content.length} Jan 14 06:00 ${path.posix.basename(file)}\r\n`)
+            .join('');
+          return send(listing);
+        }
+        case 'REST':
+          restart = Number(arg);
+          return reply(`350 Restarting at ${restart}`);
+        case 'RETR': {
+          const file = files[resolve(arg)];
+          if (!file) return reply('550 No such file');
+          const start = restart;
+          restart = 0;
+          return send(file.data.subarray(start));
+        }
+        default: return reply('502 Not implemented');
+      }
+    }
+
+    control.on('data', chunk => {
+      buffered += chunk;
+      let end;
+      while ((end = buffered.indexOf('\r\n')) !== -1) {
+        const line = buffered.slice(0, end);
+        buffered = buffered.slice(end + 2);
+        handle(line);
+      }
+    });
+    reply('220 Stand-in FTP ready');
+  });
+
+  return new Promise(ready => server.listen(0, '127.0.0.1', () => ready({
+    port: server.address().port,
+    commands,
+    close: () => new Promise(done => {
+      sockets.forEach(socket => socket.destroy());
+      server.close(done);
+    })
+  })));
+}
+
+test('ftp source', async t => {
+  const full = sampleCDR(20);
+  const other = sampleCDR(5);
+  const server = await startFTPServer({
+    [`/${FOLDER}/20250113.CDR`]: { data: full },
+    [`/${FOLDER}/20250115.CDR`]: { data: other },
+    [`/${FOLDER}/notes.txt`]: { data: Buffer.from('not a CDR file') },
+    // Listed longer than what the server sends
+    [`/20250115/20250114.CDR`]: { data: full.subarray(0, 1000), size: full.length }
+  });
+  const saved = { ...process.env };
+  let work;
+
+  t.beforeEach(() => {
+    work = fs.mkdtempSync(path.join(os.tmpdir(), 'tbssync-work-'));
+    Object.assign(process.env, {
+      CDR_SOURCE: 'ftp',
+      FTP_HOST: '127.0.0.1',
+      FTP_PORT: String(server.port),
+      FTP_USER: 'tbssync',
+      FTP_PASSWORD: 'secret',
+      FTP_SECURE: 'false',
+      ALERTS_ENABLED: 'false'
+    });
+    server.commands.length = 0;
+  });
+
+  t.afterEach(() => {
+    fs.rmSync(work, { recursive: true, force: true });
+    process.env = { ...saved };
+  });
+
+  t.after(async () => {
+    await server.close();
+    fs.rmSync(quarantine, { recursive: true, force: true });
+  });
+
+  await t.test('lists only the .CDR files of a folder, with their sizes', async t => {
+    t.mock.method(console, 'log', () => {});
+    const files = await createCDRSource().listBatch(FOLDER);
+    assert.deepStrictEqual(files, [
+      { name: '20250113.CDR', size: full.length },
+      { name: '20250115.CDR', size: other.length }
+    ]);
+  });
+
+  await t.test('downloads every file of a folder in full', async t => {
+    t.mock.method(console, 'log', () => {});
+    const target = path.join(work, FOLDER);
+
+    const batch = await createCDRSource().fetchBatch(FOLDER, target);
+
+    assert.deepStrictEqual(batch, { directory: target, quarantined: [] });
+    assert.deepStrictEqual(fs.readdirSync(target).sort(), ['20250113.CDR', '20250115.CDR']);
+    assert.deepStrictEqual(fs.readFileSync(path.join(target, '20250113.CDR')), full);
+    assert.deepStrictEqual(fs.readFileSync(path.join(target, '20250115.CDR')), other);
+  });
+
+  await t.test('resumes a .part left by an interrupted transfer', async t => {
+    t.mock.method(console, 'log', () => {});
+    const target = path.join(work, FOLDER);
+    fs.mkdirSync(target);
+    fs.writeFileSync(path.join(target, '20250113.CDR.part'), full.subarray(0, 1000));
+
+    await createCDRSource().fetchBatch(FOLDER, target);
+
+    assert.ok(server.commands.includes('REST 1000'), 'transfer restarted at the bytes already received');
+    assert.deepStrictEqual(fs.readFileSync(path.join(target, '20250113.CDR')), full);
+    assert.ok(!fs.existsSync(path.join(target, '20250113.CDR.part')));
+  });
+
+  await t.test('quarantines a file that arrives shorter than listed', async t => {
+    t.mock.method(console, 'log', () => {});
+    t.mock.method(console, 'warn', () => {});
+    t.mock.method(console, 'error', () => {});
+    const target = path.join(work, '20250115');
+
+    const batch = await createCDRSource().fetchBatch('20250115', target);
+
+    const quarantinedFile = path.join(quarantine, '20250115', '20250114.CDR');
+    assert.deepStrictEqual(batch.quarantined, [{
+      file: '20250114.CDR',
+      reason: `Downloaded 1000 of ${full.length} bytes listed at the source`,
+      quarantinedFile
+    }]);
+    assert.deepStrictEqual(fs.readdirSync(target), []);
+    assert.strictEqual(fs.statSync(quarantinedFile).size, 1000);
+    assert.ok(fs.existsSync(`${quarantinedFile}.reason.txt`));
+  });
+
+  await t.test('returns null for a folder that does not exist', async t => {
+    t.mock.method(console, 'log', () => {});
+    assert.strictEqual(await createCDRSource().fetchBatch('20250101', path.join(work, '20250101')), null);
+  });
+});
@@ -0,0 +1,133 @@
+/**
+ * Call jurisdiction labels and their agreement with the vendor CallType
+ * (lib/jurisdiction.js).
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { JURISDICTIONS, getVendorJurisdiction, jurisdictionsAgree, loadExchanges, createJurisdictionClassifier } =
+  require('../lib/jurisdiction');
+
+const call = fields => ({
+  CallType: 'TERM_INTRASTATE',
+  ANI: '8314240641',
+  ANIState: 'CA',
+  ANICountry: 'US',
+  DNIS: '8313834971',
+  DNISState: 'CA',
+  DNISLATA: '',
+  DNISCountry: 'US',
+  DNISCategory: 'geographic',
+  ...fields
+});
+
+// Clears CDR_EXCHANGE_FILE for the test, restoring it afterwards
+function withoutExchangeFile(t) {
+  const saved = process.env.CDR_EXCHANGE_FILE;
+  t.after(() => {
+    if (saved === undefined) delete process.env.CDR_EXCHANGE_FILE;
+    else process.env.CDR_EXCHANGE_FILE = saved;
+  });
+  delete process.env.CDR_EXCHANGE_FILE;
+}
+
+function writeExchangeFile(t, content) {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'tbssync-exchanges-'));
+  t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+  const file = path.join(directory, 'exchanges.csv');
+  fs.writeFileSync(file, content);
+  return file;
+}
+
+test('getVendorJurisdiction', () => {
+  assert.strictEqual(getVendorJurisdiction('TERM_INTRASTATE'), JURISDICTIONS.INTRASTATE);
+  assert.strictEqual(getVendorJurisdiction('TERM_INTERSTATE'), JURISDICTIONS.INTERSTATE);
+  assert.strictEqual(getVendorJurisdiction('TERM_EXT_US_INTER'), JURISDICTIONS.INTERNATIONAL);
+  assert.strictEqual(getVendorJurisdiction('800OrigE'), JURISDICTIONS.TOLL_FREE);
+  assert.strictEqual(getVendorJurisdiction('SMS-LOCAL-IN'), JURISDICTIONS.LOCAL);
+  assert.strictEqual(getVendorJurisdiction('Orig-Tiered'), null);
+  assert.strictEqual(getVendorJurisdiction(undefined), null);
+});
+
+test('jurisdictionsAgree', () => {
+  assert.ok(jurisdictionsAgree(JURISDICTIONS.INTERSTATE, JURISDICTIONS.INTERSTATE));
+  // The vendor only says intrastate
+  assert.ok(jurisdictionsAgree(JURISDICTIONS.INTRALATA, JURISDICTIONS.INTRASTATE));
+  assert.ok(jurisdictionsAgree(JURISDICTIONS.LOCAL, JURISDICTIONS.INTRASTATE));
+  assert.ok(jurisdictionsAgree(JURISDICTIONS.INTRASTATE, JURISDICTIONS.LOCAL));
+  // Toll-free calls are terminated as TERM_INTRASTATE or TERM_INTERSTATE
+  assert.ok(jurisdictionsAgree(JURISDICTIONS.TOLL_FREE, JURISDICTIONS.INTRASTATE));
+  assert.ok(jurisdictionsAgree(JURISDICTIONS.TOLL_FREE, JURISDICTIONS.INTERSTATE));
+  assert.ok(!jurisdictionsAgree(JURISDICTIONS.TOLL_FREE, JURISDICTIONS.INTERNATIONAL));
+  assert.ok(!jurisdictionsAgree(JURISDICTIONS.INTERSTATE, JURISDICTIONS.INTRASTATE));
+  assert.ok(!jurisdictionsAgree(JURISDICTIONS.INTRASTATE, JURISDICTIONS.TOLL_FREE));
+});
+
+test('labels calls from their numbers and states without exchange data', t => {
+  withoutExchangeFile(t);
+  const { classify, summary } = createJurisdictionClassifier();
+
+  assert.strictEqual(classify(call()), JURISDICTIONS.INTRASTATE);
+  assert.strictEqual(classify(call({ DNIS: '2125551234', DNISState: 'NY', CallType: 'TERM_INTERSTATE' })), JURISDICTIONS.INTERSTATE);
+  assert.strictEqual(classify(call({ DNIS: '8665551234', DNISState: '', DNISCategory: 'toll-free' })), JURISDICTIONS.TOLL_FREE);
+  assert.strictEqual(classify(call({ DNIS: '+353874075705', DNISCountry: 'IE', CallType: 'TERM_EXT_US_INTER' })),
+    JURISDICTIONS.INTERNATIONAL);
+  // Puerto Rico is rated as a state
+  assert.strictEqual(classify(call({ DNIS: '7875551234', DNISState: 'PR', DNISCountry: 'PR', CallType: 'TERM_INTERSTATE' })),
+    JURISDICTIONS.INTERSTATE);
+  // States missing from the CDR come from the area code
+  assert.strictEqual(classify(call({ ANIState: '', DNISState: '', DNIS: '2125551234', CallType: 'TERM_INTERSTATE' })),
+    JURISDICTIONS.INTERSTATE);
+  assert.strictEqual(classify(call({ DNIS: '911', DNISCountry: null, CallType: 'Registered 911' })), null);
+
+  const result = summary();
+  assert.strictEqual(result.exchangeData, false);
+  assert.strictEqual(result.byJurisdiction.unclassified, 1);
+  assert.strictEqual(result.checked, 6);
+  assert.strictEqual(result.mismatches, 0);
+});
+
+test('counts the calls the vendor CallType disagrees with', t => {
+  withoutExchangeFile(t);
+  const { classify, summary } = createJurisdictionClassifier();
+
+  classify(call({ DNIS: '2125551234', DNISState: 'NY' }));
+  classify(call({ CallType: 'TERM_INTERSTATE' }));
+  classify(call({ CallType: 'Orig-Tiered', DNIS: '2125551234', DNISState: 'NY' }));
+
+  const result = summary();
+  assert.strictEqual(result.checked, 2);
+  assert.strictEqual(result.mismatches, 2);
+  assert.deepStrictEqual(result.mismatchesByType, { 'TERM_INTRASTATE → interstate': 1, 'TERM_INTERSTATE → intrastate': 1 });
+  assert.strictEqual(result.mismatchExamples[0],
+    'TERM_INTRASTATE: 8314240641 (CA) → 2125551234 (NY, LATA ?) is interstate');
+});
+
+test('tells local and intraLATA calls apart with exchange data', t => {
+  withoutExchangeFile(t);
+  process.env.CDR_EXCHANGE_FILE = writeExchangeFile(t, [
+    'NPA,NXX,State,LATA,RateCenter,OCN',
+    '831,424,CA,736,SALINAS,6529',
+    '831,383,CA,736,SALINAS,6529',
+    '831,222,CA,736,SANTA CRUZ,6529',
+    '415,555,CA,722,SAN FRANCISCO,9740'
+  ].join('\n') + '\n');
+  const { classify, summary } = createJurisdictionClassifier();
+
+  assert.strictEqual(classify(call()), JURISDICTIONS.LOCAL);
+  assert.strictEqual(classify(call({ DNIS: '8312221234' })), JURISDICTIONS.INTRALATA);
+  assert.strictEqual(classify(call({ DNIS: '4155551234' })), JURISDICTIONS.INTRASTATE);
+  assert.strictEqual(summary().exchangeData, true);
+  assert.strictEqual(summary().mismatches, 0);
+});
+
+test('loadExchanges rejects files without the key columns or with bad rows', t => {
+  const file = writeExchangeFile(t, 'NPA,NXX,State\n831,424,CA\n');
+  assert.throws(() => loadExchanges(file), /missing column LATA$/);
+  fs.writeFileSync(file, 'NPA,NXX,LATA\n831,42,736\n');
+  assert.throws(() => loadExchanges(file), /row 2 has NPA "831" NXX "42" \(expected 3 digits each\)$/);
+  assert.throws(() => loadExchanges(`${file}.missing`), { message: /^Cannot read exchange file/ });
+});
@@ -0,0 +1,111 @@
+/**
+ * Local directory CDR source, end to end against a temporary drop folder:
+ * list → fetch → load (dry run) → acknowledge.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { createCDRSource, loadBatch, acknowledgeLoaded } = require('../lib/source');
+
+const FOLDER = '20250114';
+const SAMPLE = path.join(__dirname, '..', '20250113.CDR');
+
+// The header and first calls of the sample file, enough to parse
+function sampleCDR(lines) {
+  return fs.readFileSync(SAMPLE, 'utf8').split('\n').slice(0, lines + 1).join('\n') + '\n';
+}
+
+test('local source', async t => {
+  const saved = { ...process.env };
+  let root;
+  let work;
+
+  t.beforeEach(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'tbssync-drop-'));
+    work = fs.mkdtempSync(path.join(os.tmpdir(), 'tbssync-work-'));
+    fs.mkdirSync(path.join(root, FOLDER));
+    fs.writeFileSync(path.join(root, FOLDER, '20250113.CDR'), sampleCDR(20));
+    fs.writeFileSync(path.join(root, FOLDER, 'notes.txt'), 'not a CDR file');
+    process.env.CDR_SOURCE = 'local';
+    process.env.CDR_SOURCE_DIR = root;
+    process.env.ALERTS_ENABLED = 'false';
+    delete process.env.CDR_SOURCE_ACK;
+  });
+
+  t.afterEach(() => {
+    fs.rmSync(root, { recursive: true, force: true });
+    fs.rmSync(work, { recursive: true, force: true });
+    process.env = { ...saved };
+  });
+
+  await t.test('lists only the .CDR files of a folder, with their sizes', async () => {
+    const source = createCDRSource();
+    const files = await source.listBatch(FOLDER);
+    assert.deepStrictEqual(files, [
+      { name: '20250113.CDR', size: fs.statSync(path.join(root, FOLDER, '20250113.CDR')).size }
+    ]);
+  });
+
+  await t.test('returns null for a folder that does not exist', async t => {
+    t.mock.method(console, 'log', () => {});
+    const source = createCDRSource();
+    assert.strictEqual(await source.listBatch('20250101'), null);
+    assert.strictEqual(await source.fetchBatch('20250101', path.join(work, '20250101')), null);
+  });
+
+  await t.test('fetches a verified copy and leaves the source untouched', async t => {
+    t.mock.method(console, 'log', () => {});
+    const source = createCDRSource();
+    const target = path.join(work, FOLDER);
+
+    const batch = await source.fetchBatch(FOLDER, target);
+
+    assert.deepStrictEqual(batch, { directory: target, quarantined: [] });
+    assert.deepStrictEqual(fs.readdirSync(target), ['20250113.CDR']);
+    assert.strictEqual(fs.readFileSync(path.join(target, '20250113.CDR'), 'utf8'), sampleCDR(20));
+    assert.ok(fs.existsSync(path.join(root, FOLDER, '20250113.CDR')));
+  });
+
+  await t.test('loads a fetched batch and acknowledges the loaded files by rename', async t => {
+    t.mock.method(console, 'log', () => {});
+    process.env.CDR_SOURCE_ACK = 'rename';
+    const source = createCDRSource();
+
+    const results = await loadBatch(source, FOLDER, path.join(work, FOLDER), { dryRun: true });
+    assert.strictEqual(results.length, 1);
+    assert.strictEqual(results[0].file, '20250113.CDR');
+    assert.strictEqual(results[0].status, 'skipped');
+    assert.strictEqual(results[0].reason, 'dry-run');
+    assert.strictEqual(results[0].parsed, 20);
+
+    // Dry runs never acknowledge; a real run does once the files are stored
+    assert.ok(fs.existsSync(path.join(root, FOLDER, '20250113.CDR')));
+    await acknowledgeLoaded(source, FOLDER, results.map(r => ({ ...r, status: 'success' })));
+
+    assert.deepStrictEqual(fs.readdirSync(path.join(root, FOLDER)).sort(), ['20250113.CDR.done', 'notes.txt']);
+    assert.deepStrictEqual(await source.listBatch(FOLDER), []);
+  });
+
+  await t.test('acknowledges by delete, and only the files that loaded', async t => {
+    t.mock.method(console, 'log', () => {});
+    process.env.CDR_SOURCE_ACK = 'delete';
+    fs.writeFileSync(path.join(root, FOLDER, '20250115.CDR'), sampleCDR(5));
+    const source = createCDRSource();
+
+    await acknowledgeLoaded(source, FOLDER, [
+      { file: '20250113.CDR', status: 'success' },
+      { file: '20250115.CDR', status: 'failed' }
+    ]);
+
+    assert.deepStrictEqual(fs.readdirSync(path.join(root, FOLDER)).sort(), ['20250115.CDR', 'notes.txt']);
+  });
+
+  await t.test('leaves the source as it is with CDR_SOURCE_ACK=none', async () => {
+    const source = createCDRSource();
+    await acknowledgeLoaded(source, FOLDER, [{ file: '20250113.CDR', status: 'success' }]);
+    assert.ok(fs.existsSync(path.join(root, FOLDER, '20250113.CDR')));
+  });
+});
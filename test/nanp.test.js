@@ -0,0 +1,55 @@
+/**
+ * NANP numbering rules and number categories (lib/nanp.js).
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { NANP_CATEGORIES, NANP_INVALID_REASONS, classifyNANPNumber } = require('../lib/nanp');
+const { cleanPhoneNumber, getPhoneNumberCategory } = require('../lib/phoneNumbers');
+const { createProcessingStats } = require('../lib/stats');
+
+test('classifies valid numbers by category', () => {
+  assert.deepStrictEqual(classifyNANPNumber('8314240641'), { category: NANP_CATEGORIES.GEOGRAPHIC });
+  assert.deepStrictEqual(classifyNANPNumber('8885551234'), { category: NANP_CATEGORIES.TOLL_FREE });
+  assert.deepStrictEqual(classifyNANPNumber('9005551234'), { category: NANP_CATEGORIES.PREMIUM });
+  assert.deepStrictEqual(classifyNANPNumber('3109761234'), { category: NANP_CATEGORIES.PREMIUM });
+  assert.deepStrictEqual(classifyNANPNumber('5002221234'), { category: NANP_CATEGORIES.PERSONAL_COMMUNICATIONS });
+  // 822 is reserved for toll-free but not opened
+  assert.deepStrictEqual(classifyNANPNumber('8222221234'), { category: NANP_CATEGORIES.GEOGRAPHIC });
+});
+
+test('gives the reason a number is invalid', () => {
+  const reason = number => classifyNANPNumber(number).reason;
+  assert.strictEqual(reason('0000000000'), NANP_INVALID_REASONS.PATTERN);
+  assert.strictEqual(reason('1111111111'), NANP_INVALID_REASONS.PATTERN);
+  assert.strictEqual(reason('1234567890'), NANP_INVALID_REASONS.AREA_CODE);
+  assert.strictEqual(reason('4115551234'), NANP_INVALID_REASONS.AREA_CODE);
+  assert.strictEqual(reason('3935551234'), NANP_INVALID_REASONS.AREA_CODE);
+  assert.strictEqual(reason('3101231234'), NANP_INVALID_REASONS.EXCHANGE);
+  assert.strictEqual(reason('3104111234'), NANP_INVALID_REASONS.EXCHANGE);
+  assert.strictEqual(reason('3105550142'), NANP_INVALID_REASONS.FICTIONAL);
+  assert.strictEqual(classifyNANPNumber('3105550200').category, NANP_CATEGORIES.GEOGRAPHIC);
+});
+
+test('allows N11 exchanges in toll-free area codes only', () => {
+  assert.strictEqual(classifyNANPNumber('8886111234').category, NANP_CATEGORIES.TOLL_FREE);
+  assert.strictEqual(classifyNANPNumber('3106111234').category, NANP_CATEGORIES.INVALID);
+});
+
+test('cleanPhoneNumber counts invalid numbers by reason and valid ones by category', () => {
+  const stats = createProcessingStats();
+  ['3105550142', '4115551234', '8665551234', '8314240641', '18314240641'].forEach(number => cleanPhoneNumber(number, stats));
+  assert.strictEqual(stats.invalidNumbers, 2);
+  assert.strictEqual(stats.invalidCategories.fictional, 1);
+  assert.strictEqual(stats.invalidCategories.invalidAreaCode, 1);
+  assert.strictEqual(stats.nanpCategoryBreakdown['toll-free'], 1);
+  assert.strictEqual(stats.nanpCategoryBreakdown.geographic, 2);
+});
+
+test('getPhoneNumberCategory', () => {
+  assert.strictEqual(getPhoneNumberCategory('8665551234'), 'toll-free');
+  assert.strictEqual(getPhoneNumberCategory(null, '3105550142'), 'invalid');
+  assert.strictEqual(getPhoneNumberCategory(null, ' '), null);
+  assert.strictEqual(getPhoneNumberCategory('911'), null);
+  assert.strictEqual(getPhoneNumberCategory('+4512345678'), null);
+});
@@ -0,0 +1,46 @@
+/**
+ * Reading .CDR files whole and streamed in batches (lib/parser.js).
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { parseCDRs, readCDRHeader, readCDRBatches } = require('../lib/parser');
+
+const SAMPLE = path.join(__dirname, '..', '20250113.CDR');
+
+async function readAll(filePath, batchSize) {
+  const batches = [];
+  for await (const batch of readCDRBatches(filePath, batchSize)) batches.push(batch);
+  return batches;
+}
+
+test('streams the sample file in batches, row for row as parsing it whole', async () => {
+  const batches = await readAll(SAMPLE, 1000);
+
+  assert.deepStrictEqual(batches.map(batch => batch.length), [1000, 1000, 1000, 1000, 1000, 844]);
+  const streamed = batches.flat();
+  assert.deepStrictEqual(streamed, parseCDRs(fs.readFileSync(SAMPLE, 'utf8')));
+  // Rows that start a read chunk keep their values (no 'CA_1' renaming)
+  assert.ok(streamed.every(row => Object.keys(row).length === 24));
+  assert.strictEqual(streamed[1000].lineNumber, 1002);
+});
+
+test('records each row\'s line and the columns it is short of', async t => {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'tbssync-parser-'));
+  t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+  const [header, first, second] = fs.readFileSync(SAMPLE, 'utf8').split(/\r?\n/);
+  const file = path.join(directory, 'lines.CDR');
+  const short = second.split(';').slice(0, 20).join(';');
+  fs.writeFileSync(file, [header, first, '', short, first.replace('CHRG00067263453', '"CHRG\n00067263453"'), first].join('\n'));
+
+  const [rows] = await readAll(file, 100);
+
+  assert.deepStrictEqual(rows.map(row => row.lineNumber), [2, 4, 5, 7]);
+  assert.deepStrictEqual(rows.map(row => row.missingColumns), [0, 4, 0, 0]);
+  assert.strictEqual(rows[1].EPG, undefined);
+  assert.ok(!Object.keys(rows[0]).includes('lineNumber'), 'not a column');
+  assert.deepStrictEqual(await readCDRHeader(file), header.split(';'));
+});
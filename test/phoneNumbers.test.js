@@ -0,0 +1,49 @@
+/**
+ * International (E.164) numbers and the country of each number
+ * (lib/phoneNumbers.js).
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { cleanPhoneNumber, getPhoneNumberCountry } = require('../lib/phoneNumbers');
+const { createProcessingStats } = require('../lib/stats');
+
+test('reads +, 011 and 00 prefixed numbers as E.164', () => {
+  assert.strictEqual(cleanPhoneNumber('+353874075705'), '+353874075705');
+  assert.strictEqual(cleanPhoneNumber('011302671069266'), '+302671069266');
+  assert.strictEqual(cleanPhoneNumber('00302671069266'), '+302671069266');
+});
+
+test('reads an unprefixed number too long for NANP as E.164', () => {
+  assert.strictEqual(cleanPhoneNumber('497044908814'), '+497044908814');
+});
+
+test('keeps a 10-digit number after + with a country code other than 1 international', () => {
+  assert.strictEqual(cleanPhoneNumber('+4512345678'), '+4512345678');
+  assert.strictEqual(cleanPhoneNumber('+18314240641'), '8314240641');
+  assert.strictEqual(cleanPhoneNumber('+1-831-424-0641'), '8314240641');
+});
+
+test('rejects unassigned country codes and lengths E.164 does not allow', t => {
+  t.mock.method(console, 'warn', () => {});
+  const stats = createProcessingStats();
+  assert.strictEqual(cleanPhoneNumber('+999123456789', stats), null);
+  assert.strictEqual(cleanPhoneNumber('+4412345678901234', stats), null);
+  assert.strictEqual(stats.invalidCategories.international, 2);
+});
+
+test('counts international numbers by country', () => {
+  const stats = createProcessingStats();
+  ['+353874075705', '011302671069266', '00302671069266', '8314240641'].forEach(number => cleanPhoneNumber(number, stats));
+  assert.strictEqual(stats.internationalNumbers, 3);
+  assert.strictEqual(stats.tenDigitNumbers, 1);
+  assert.deepStrictEqual(stats.countryBreakdown, { IE: 1, GR: 2 });
+});
+
+test('getPhoneNumberCountry', () => {
+  assert.strictEqual(getPhoneNumberCountry('8314240641'), 'US');
+  assert.strictEqual(getPhoneNumberCountry('4165551234'), 'CA');
+  assert.strictEqual(getPhoneNumberCountry('+61408127108'), 'AU');
+  assert.strictEqual(getPhoneNumberCountry('911'), null);
+  assert.strictEqual(getPhoneNumberCountry(null), null);
+});
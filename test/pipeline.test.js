@@ -0,0 +1,225 @@
+/**
+ * Loading files through the pipeline against an in-memory stand-in for the
+ * database (lib/pipeline.js): the VI_FileLedger skip, force and resume
+ * paths, retiring a downloaded file only once it is stored and quarantining
+ * a truncated one.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const sql = require('mssql');
+
+// Backups go to ./bak, retired files to CDR_ARCHIVE_DIRECTORY and quarantined
+// ones to CDR_QUARANTINE_DIRECTORY, read by lib/config.js when it is first required
+const work = fs.mkdtempSync(path.join(os.tmpdir(), 'tbssync-pipeline-'));
+fs.mkdirSync(path.join(work, 'bak'));
+fs.mkdirSync(path.join(work, 'archive'));
+process.chdir(work);
+process.env.CDR_ARCHIVE_DIRECTORY = path.join(work, 'archive');
+process.env.CDR_QUARANTINE_DIRECTORY = path.join(work, 'quarantine');
+process.env.ALERTS_ENABLED = 'false';
+
+const { processCDRFile } = require('../lib/pipeline');
+const { LEDGER_STATUS } = require('../lib/ledger');
+
+const SAMPLE = path.join(__dirname, '..', '20250113.CDR');
+const sample = fs.readFileSync(SAMPLE, 'utf8').split('\n').slice(0, 21).join('\n') + '\n';
+
+/**
+ * Answers the queries and procedures the pipeline sends, keeping the
+ * ledger in memory. Every VI_StoreCDRs batch is recorded; errors pushed to
+ * `failures` are thrown by the next batches instead.
+ */
+function createDatabase() {
+  const ledger = [];
+  const batches = [];
+  const failures = [];
+
+  function request() {
+    const inputs = {};
+    const req = {
+      input(name, type, value) {
+        inputs[name] = value === undefined ? type : value;
+        return req;
+      },
+      output() {
+        return req;
+      },
+      async query(text) {
+        if (/FROM VI_FileLedger WHERE Sha256/.test(text)) {
+          return { recordset: ledger.filter(entry => entry.Sha256 === inputs.sha256).map(entry => ({ ...entry })) };
+        }
+        if (/^MERGE VI_FileLedger/.test(text)) {
+          let entry = ledger.find(existing => existing.Sha256 === inputs.sha256);
+          if (entry) {
+            Object.assign(entry, { FileName: inputs.fileName, Status: inputs.status, Attempts: entry.Attempts + 1, LastError: null });
+          } else {
+            entry = { LedgerId: ledger.length + 1, FileName: inputs.fileName, SourceFolder: inputs.folder, Sha256: inputs.sha256,
+              Status: inputs.status, Attempts: 1, LastError: null, LoadedAt: null };
+            ledger.push(entry);
+          }
+          return { recordset: [{ LedgerId: entry.LedgerId }] };
+        }
+        if (/^UPDATE VI_FileLedger/.test(text)) {
+          const entry = ledger.find(existing => existing.LedgerId === inputs.ledgerId);
+          if (inputs.status) entry.Status = inputs.status;
+          if (inputs.status === LEDGER_STATUS.LOADED) {
+            Object.assign(entry, { RowsParsed: inputs.rowsParsed, RowsProcessed: inputs.rowsProcessed, LoadedAt: new Date() });
+          }
+          if (inputs.error) entry.LastError = inputs.error;
+          if (inputs.folder && !entry.SourceFolder) entry.SourceFolder = inputs.folder;
+          return { recordset: [] };
+        }
+        // No customer map or rate plans: attribution and rating are skipped
+        if (/FROM VI_(CustomerMap|CustomerRatePlan|Rate)\b/.test(text)) return { recordset: [] };
+        throw new Error(`Unexpected query: ${text}`);
+      },
+      async execute(procedure) {
+        if (procedure === 'VI_StoreCDRs') {
+          if (failures.length) throw failures.shift();
+          batches.push({ ledgerId: inputs.ledgerId, rows: inputs.cdrBatch.rows.length });
+          return { output: { recordCount: inputs.cdrBatch.rows.length } };
+        }
+        if (procedure === 'VI_RefreshUsage') return { output: { dailyRows: 1 } };
+        throw new Error(`Unexpected procedure: ${procedure}`);
+      }
+    };
+    return req;
+  }
+
+  return { ledger, batches, failures, pool: { request, close: async () => {} } };
+}
+
+test('loading files', async t => {
+  const database = createDatabase();
+  const connect = t.mock.method(sql.ConnectionPool.prototype, 'connect', async () => database.pool);
+  t.after(() => {
+    process.chdir(os.tmpdir());
+    fs.rmSync(work, { recursive: true, force: true });
+  });
+
+  let file;
+  t.beforeEach(t => {
+    ['log', 'info', 'warn', 'error'].forEach(method => t.mock.method(console, method, () => {}));
+    file = path.join(work, '20250113.CDR');
+    fs.writeFileSync(file, sample);
+  });
+
+  await t.test('records a new file as loaded', async () => {
+    const result = await processCDRFile(file, { folder: '20250114' });
+
+    assert.strictEqual(result.status, 'success');
+    assert.strictEqual(result.attempt, 1);
+    assert.strictEqual(result.written, true);
+    assert.deepStrictEqual(database.batches, [{ ledgerId: 1, rows: 20 }]);
+    assert.strictEqual(database.ledger.length, 1);
+    assert.strictEqual(database.ledger[0].Status, LEDGER_STATUS.LOADED);
+    assert.strictEqual(database.ledger[0].SourceFolder, '20250114');
+    assert.strictEqual(database.ledger[0].RowsProcessed, 20);
+    assert.ok(fs.existsSync(file), 'the operator\'s file is left in place');
+  });
+
+  await t.test('skips content already loaded, under any name', async () => {
+    const renamed = path.join(work, '20250113-copy.CDR');
+    fs.renameSync(file, renamed);
+
+    const result = await processCDRFile(renamed, { folder: '20250114' });
+
+    assert.strictEqual(result.status, 'skipped');
+    assert.strictEqual(result.reason, 'already-loaded');
+    assert.strictEqual(database.batches.length, 1);
+    assert.ok(fs.existsSync(renamed));
+    fs.rmSync(renamed);
+  });
+
+  await t.test('removes a skipped duplicate only when it was downloaded', async () => {
+    const result = await processCDRFile(file, { folder: '20250114', retire: true });
+
+    assert.strictEqual(result.reason, 'already-loaded');
+    assert.ok(!fs.existsSync(file));
+    assert.ok(fs.existsSync(result.archivedFile));
+  });
+
+  await t.test('reloads loaded content with force', async () => {
+    const result = await processCDRFile(file, { force: true });
+
+    assert.strictEqual(result.status, 'success');
+    assert.strictEqual(result.attempt, 2);
+    assert.strictEqual(database.batches.length, 2);
+    assert.strictEqual(database.ledger[0].Attempts, 2);
+  });
+
+  await t.test('loads content whose earlier attempt failed again', async () => {
+    Object.assign(database.ledger[0], { Status: LEDGER_STATUS.FAILED, LastError: 'Connection lost' });
+
+    const result = await processCDRFile(file);
+
+    assert.strictEqual(result.status, 'success');
+    assert.strictEqual(result.attempt, 3);
+    assert.strictEqual(database.ledger[0].Status, LEDGER_STATUS.LOADED);
+  });
+
+  await t.test('does not consult the ledger for a dry run', async () => {
+    const result = await processCDRFile(file, { dryRun: true });
+
+    assert.strictEqual(result.status, 'skipped');
+    assert.strictEqual(result.reason, 'dry-run');
+    assert.strictEqual(result.attempt, 0);
+    assert.strictEqual(database.batches.length, 3);
+  });
+
+  await t.test('keeps a downloaded file whose batches failed to store', async () => {
+    database.failures.push(Object.assign(new Error('Violation of PRIMARY KEY constraint'), { number: 2627 }));
+
+    const result = await processCDRFile(file, { force: true, retire: true, backupPrefix: '20250114_' });
+
+    assert.strictEqual(result.status, 'failed');
+    assert.strictEqual(result.written, false);
+    assert.strictEqual(result.archivedFile, null);
+    assert.ok(fs.existsSync(file), 'kept for a rerun');
+    assert.strictEqual(database.ledger[0].Status, LEDGER_STATUS.FAILED);
+    assert.match(database.ledger[0].LastError, /PRIMARY KEY/);
+  });
+
+  await t.test('archives a downloaded file once every batch is stored', async () => {
+    const result = await processCDRFile(file, { retire: true, backupPrefix: '20250114_' });
+
+    assert.strictEqual(result.status, 'success');
+    assert.strictEqual(result.archivedFile, path.join(work, 'archive', '20250114_20250113.CDR'));
+    assert.ok(!fs.existsSync(file));
+    assert.strictEqual(database.ledger[0].Status, LEDGER_STATUS.LOADED);
+  });
+
+  await t.test('quarantines a downloaded file cut off mid-row instead of loading it', async () => {
+    const truncated = path.join(work, '20250115.CDR');
+    fs.writeFileSync(truncated, sample.slice(0, sample.lastIndexOf(';', sample.length - 20)));
+
+    const result = await processCDRFile(truncated, { folder: '20250116', retire: true });
+
+    assert.strictEqual(result.status, 'failed');
+    assert.strictEqual(result.reason, 'quarantined');
+    assert.match(result.error, /^Truncated file: Last row has \d+ of \d+ columns$/);
+    assert.strictEqual(result.quarantinedFile, path.join(work, 'quarantine', '20250116', '20250115.CDR'));
+    assert.ok(!fs.existsSync(truncated));
+    assert.strictEqual(database.ledger.length, 1, 'never recorded in the ledger');
+  });
+
+  await t.test('leaves the operator\'s own truncated file where it is', async () => {
+    const truncated = path.join(work, '20250115.CDR');
+    fs.writeFileSync(truncated, sample.slice(0, sample.lastIndexOf(';', sample.length - 20)));
+
+    const result = await processCDRFile(truncated);
+
+    assert.strictEqual(result.reason, 'quarantined');
+    assert.strictEqual(result.quarantinedFile, null);
+    assert.ok(fs.existsSync(truncated));
+    fs.rmSync(truncated);
+  });
+
+  await t.test('every file of the run shares one connection pool', () => {
+    assert.strictEqual(connect.mock.callCount(), 1);
+  });
+});
@@ -0,0 +1,72 @@
+/**
+ * Cleaning the sample .CDR file end to end (lib/processor.js): numbers,
+ * timestamps, service codes and the invalid-number count.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const path = require('node:path');
+const { parseCDRs } = require('../lib/parser');
+const { processAndCleanCDRs } = require('../lib/processor');
+
+const SAMPLE = path.join(__dirname, '..', '20250113.CDR');
+
+const PROCESSOR_ENV = ['CDR_SOURCE_TIMEZONE', 'TIMEZONE', 'CDR_EXCHANGE_FILE', 'CDR_SERVICE_CODES_FILE',
+  'CDR_VALIDATION_RULES', 'ALERTS_ENABLED'];
+
+// Runs with the default zones and registry, alerts off and the logging muted
+function quietly(t) {
+  const saved = Object.fromEntries(PROCESSOR_ENV.map(name => [name, process.env[name]]));
+  t.after(() => PROCESSOR_ENV.forEach(name => {
+    if (saved[name] === undefined) delete process.env[name];
+    else process.env[name] = saved[name];
+  }));
+  PROCESSOR_ENV.forEach(name => { delete process.env[name]; });
+  process.env.ALERTS_ENABLED = 'false';
+  ['log', 'info', 'warn', 'error'].forEach(method => t.mock.method(console, method, () => {}));
+}
+
+test('cleans every call of the sample file', async t => {
+  quietly(t);
+  const rows = parseCDRs(fs.readFileSync(SAMPLE, 'utf8'));
+
+  const result = await processAndCleanCDRs(rows);
+
+  assert.strictEqual(rows.length, 5844);
+  assert.strictEqual(result.processedRecords.length, 5844);
+  assert.deepStrictEqual(result.rejects, []);
+  assert.strictEqual(result.validation.accepted, 5844);
+  assert.strictEqual(result.processingStats.serviceNumberBreakdown['911'], 5);
+  assert.strictEqual(result.processingStats.internationalNumbers, 4);
+  assert.strictEqual(result.invalidNumbers, 11);
+  // Only the first 10 are kept as examples, however many a file has
+  assert.strictEqual(result.invalidPhoneNumbers.length, 10);
+
+  const [first] = result.processedRecords;
+  assert.strictEqual(first.TransactionId, 'CHRG00067263453');
+  // Vendor UTC to Pacific
+  assert.strictEqual(first.StartTime, '2025-01-13T09:17:34.000');
+  assert.strictEqual(first.StopTime, '2025-01-13T09:19:09.000');
+  assert.deepStrictEqual([first.ANI, first.RawANI], ['8314240641', '+18314240641']);
+  assert.deepStrictEqual([first.DNIS, first.RawDNIS], ['8313834971', '18313834971']);
+  assert.strictEqual(first.CallDuration, 95.22);
+  assert.strictEqual(first.BillDuration, 96);
+  assert.match(first.CallKey, /^[0-9a-f]{64}$/);
+});
+
+test('keeps service codes and drops numbers that cannot be cleaned', async t => {
+  quietly(t);
+  const [header, call] = fs.readFileSync(SAMPLE, 'utf8').split(/\r?\n/);
+  const columns = header.split(';');
+  const withNumbers = (ani, dnis) => call.split(';')
+    .map((value, i) => (columns[i] === 'ANI' ? ani : columns[i] === 'DNIS' ? dnis : value)).join(';');
+
+  const { processedRecords, invalidNumbers, invalidPhoneNumbers } = await processAndCleanCDRs(parseCDRs(
+    [header, withNumbers('+18314240641', '911'), withNumbers('65895', '0'), withNumbers('', '123')].join('\n')));
+
+  assert.deepStrictEqual(processedRecords.map(record => [record.ANI, record.DNIS]),
+    [['8314240641', '911'], [null, '0'], [null, null]]);
+  assert.strictEqual(invalidNumbers, 2);
+  assert.deepStrictEqual(invalidPhoneNumbers, ['ANI: 65895', 'DNIS: 123']);
+});
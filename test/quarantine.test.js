@@ -0,0 +1,49 @@
+/**
+ * Truncation check for .CDR files (lib/quarantine.js).
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { checkCDRFileComplete } = require('../lib/quarantine');
+
+const SAMPLE = path.join(__dirname, '..', '20250113.CDR');
+const lines = fs.readFileSync(SAMPLE, 'utf8').split('\n').slice(0, 6);
+
+test('checkCDRFileComplete', async t => {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'tbssync-truncation-'));
+  t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+
+  const check = (name, content) => {
+    const file = path.join(directory, name);
+    fs.writeFileSync(file, content);
+    return checkCDRFileComplete(file);
+  };
+
+  await t.test('accepts a file ending with a line ending', async () => {
+    assert.strictEqual(await check('complete.CDR', lines.join('\n') + '\n'), null);
+  });
+
+  await t.test('accepts a complete last row with no line ending after it', async () => {
+    assert.strictEqual(await check('no-newline.CDR', lines.join('\n')), null);
+    assert.strictEqual(await check('crlf.CDR', lines.join('\r\n')), null);
+  });
+
+  await t.test('accepts a header with no calls', async () => {
+    assert.strictEqual(await check('header.CDR', lines[0] + '\n'), null);
+  });
+
+  await t.test('flags a last row cut off mid-row', async () => {
+    const last = lines[lines.length - 1];
+    const cut = last.slice(0, last.indexOf(';', last.length / 2));
+    const reason = await check('cut.CDR', [...lines.slice(0, -1), cut].join('\n'));
+    assert.match(reason, /^Last row has \d+ of \d+ columns$/);
+  });
+
+  await t.test('flags an empty file and a cut-off header', async () => {
+    assert.strictEqual(await check('empty.CDR', ''), 'File is empty');
+    assert.strictEqual(await check('header-only.CDR', lines[0].slice(0, 20)), 'Header row is incomplete');
+  });
+});
@@ -0,0 +1,140 @@
+/**
+ * Retail pricing from customer rate plans (lib/rating.js).
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { UNRATED_REASONS, roundBilledSeconds, createRater } = require('../lib/rating');
+
+let nextId = 1;
+const rate = fields => ({
+  rateId: nextId++,
+  ratePlanId: 10,
+  callType: null,
+  jurisdiction: null,
+  state: null,
+  lata: null,
+  prefix: null,
+  ratePerMinute: 0.01,
+  minimum: null,
+  increment: null,
+  effectiveFrom: '2025-01-01',
+  effectiveTo: null,
+  ...fields
+});
+
+const assignments = [{ customerId: 42, ratePlanId: 10, effectiveFrom: '2025-01-01', effectiveTo: null }];
+
+const call = fields => ({
+  CustomerId: 42,
+  CallType: 'TERM_INTRASTATE',
+  Jurisdiction: 'intrastate-intralata',
+  StartTime: '2025-01-13T09:17:34.000',
+  CallDuration: 95.22,
+  CallMinimum: 6,
+  CallIncrement: 6,
+  CallPrice: 0.00978,
+  DNIS: '8313834971',
+  DNISState: 'CA',
+  DNISLATA: '736',
+  ...fields
+});
+
+test('roundBilledSeconds', () => {
+  assert.strictEqual(roundBilledSeconds(12.4, 30, 6), 30);
+  assert.strictEqual(roundBilledSeconds(43, 30, 6), 48);
+  assert.strictEqual(roundBilledSeconds(61, 60, 60), 120);
+  assert.strictEqual(roundBilledSeconds(95.22, 0, 1), 96);
+  assert.strictEqual(roundBilledSeconds(7, null, null), 7);
+  assert.strictEqual(roundBilledSeconds(0, 30, 6), 0);
+  assert.strictEqual(roundBilledSeconds(NaN, 30, 6), 0);
+});
+
+test('prices a call at its rounded minutes, with the CDR increment unless the rate sets one', () => {
+  const { rate: price } = createRater({ assignments, rates: [rate({ ratePerMinute: 0.012 })] });
+  const record = price(call());
+  assert.strictEqual(record.RatedSeconds, 96);
+  assert.strictEqual(record.RetailPrice, 0.0192);
+
+  const { rate: perMinute } = createRater({ assignments, rates: [rate({ minimum: 60, increment: 60 })] });
+  assert.strictEqual(perMinute(call()).RatedSeconds, 120);
+  assert.strictEqual(perMinute(call({ CallDuration: 5 })).RatedSeconds, 60);
+});
+
+test('the most specific matching rate wins', () => {
+  const rates = [
+    rate({ rateId: 1, ratePerMinute: 0.01 }),
+    rate({ rateId: 2, callType: 'TERM_INTRASTATE' }),
+    rate({ rateId: 3, jurisdiction: 'intrastate-intralata' }),
+    rate({ rateId: 4, state: 'CA' }),
+    rate({ rateId: 5, lata: '736' }),
+    rate({ rateId: 6, prefix: '831' }),
+    rate({ rateId: 7, prefix: '831383' })
+  ];
+  const { rate: price } = createRater({ assignments, rates });
+  assert.strictEqual(price(call()).RateId, 7);
+  assert.strictEqual(price(call({ DNIS: '8319999999' })).RateId, 6);
+  assert.strictEqual(price(call({ DNIS: '4155551234' })).RateId, 5);
+  assert.strictEqual(price(call({ DNIS: '4155551234', DNISLATA: '722' })).RateId, 4);
+  assert.strictEqual(price(call({ DNIS: '2125551234', DNISLATA: '132', DNISState: 'NY' })).RateId, 3);
+  const interstate = { DNIS: '2125551234', DNISLATA: '132', DNISState: 'NY', Jurisdiction: 'interstate' };
+  assert.strictEqual(price(call(interstate)).RateId, 2);
+  assert.strictEqual(price(call({ ...interstate, CallType: 'TERM_INTERSTATE' })).RateId, 1);
+});
+
+test('on a tie the most recent rate in effect wins', () => {
+  const rates = [
+    rate({ rateId: 1, effectiveFrom: '2024-01-01' }),
+    rate({ rateId: 2, effectiveFrom: '2025-01-10' }),
+    rate({ rateId: 3, effectiveFrom: '2025-02-01' })
+  ];
+  const { rate: price } = createRater({ assignments, rates });
+  assert.strictEqual(price(call()).RateId, 2);
+  assert.strictEqual(price(call({ StartTime: '2025-01-09T23:00:00.000' })).RateId, 1);
+});
+
+test('leaves calls unrated with the reason, and sums retail against wholesale', () => {
+  const { rate: price, summary } = createRater({ assignments, rates: [rate({ callType: 'TERM_INTERSTATE' })] });
+  assert.strictEqual(price(call({ CustomerId: null })).RetailPrice, null);
+  price(call({ CustomerId: 7 }));
+  price(call());
+  price(call({ CallType: 'TERM_INTERSTATE', CallDuration: 60 }));
+
+  assert.deepStrictEqual(summary(), {
+    rated: 1,
+    serviceCodes: 0,
+    unrated: 3,
+    [UNRATED_REASONS.NO_CUSTOMER]: 1,
+    [UNRATED_REASONS.NO_PLAN]: 1,
+    [UNRATED_REASONS.NO_RATE]: 1,
+    retail: 0.01,
+    wholesale: 0.00978,
+    unratedCustomers: { 7: 1, 42: 1 }
+  });
+});
+
+test('prices service codes from the registry, with the customer override', t => {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'tbssync-rating-'));
+  const saved = process.env.CDR_SERVICE_CODES_FILE;
+  t.after(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+    if (saved === undefined) delete process.env.CDR_SERVICE_CODES_FILE;
+    else process.env.CDR_SERVICE_CODES_FILE = saved;
+  });
+  process.env.CDR_SERVICE_CODES_FILE = path.join(directory, 'serviceCodes.json');
+  fs.writeFileSync(process.env.CDR_SERVICE_CODES_FILE, JSON.stringify([
+    { code: '911', description: 'Emergency services', category: 'emergency', billing: 'no-charge' },
+    { code: '411', description: 'Directory assistance', category: 'information', billing: 'pass-through',
+      customers: { 42: { billing: 'billable' } } }
+  ]));
+
+  const { rate: price } = createRater({ assignments, rates: [rate({ ratePerMinute: 0.5 })] });
+  assert.strictEqual(price(call({ DNIS: '911' })).RetailPrice, 0);
+  // Customer 7 has no plan; pass-through needs none
+  assert.strictEqual(price(call({ DNIS: '411', CustomerId: 7 })).RetailPrice, 0.00978);
+  // Customer 42's override rates 411 from its plan
+  assert.strictEqual(price(call({ DNIS: '411' })).RetailPrice, 0.8);
+});
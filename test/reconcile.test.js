@@ -0,0 +1,50 @@
+/**
+ * Invoice reconciliation against stored totals and ledger entries, without
+ * a database: reconcileInvoice only compares what the queries return.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { RECONCILE_STATUS, reconcileInvoice } = require('../lib/reconcile');
+
+const invoice = [
+  { date: '2025-01-12', callType: 'TERM_INTERSTATE', calls: 5840, seconds: 350400, amount: 29.2 }
+];
+
+// 20250113.CDR carries most of the 12th's calls, 20250112.CDR the first few
+const loaded = [
+  { date: '2025-01-12', callType: 'TERM_INTERSTATE', file: '20250113.CDR', calls: 5836, seconds: 350160, amount: 29.18 },
+  { date: '2025-01-12', callType: 'TERM_INTERSTATE', file: '20250112.CDR', calls: 4, seconds: 240, amount: 0.02 }
+];
+
+const ledgerEntry = (id, fileName, folder, sha256) => ({
+  LedgerId: id, FileName: fileName, SourceFolder: folder, Sha256: sha256, Status: 'loaded'
+});
+
+test('a day split across two files reconciles without a file issue', () => {
+  const ledger = [
+    ledgerEntry(1, '20250112.CDR', '20250112', 'a'.repeat(64)),
+    ledgerEntry(2, '20250113.CDR', '20250113', 'b'.repeat(64))
+  ];
+
+  const { rows, files } = reconcileInvoice({ invoice, loaded, ledger, tolerance: 0 });
+
+  assert.strictEqual(rows.length, 1);
+  assert.strictEqual(rows[0].Status, RECONCILE_STATUS.MATCHED);
+  assert.strictEqual(rows[0].Files, '20250112.CDR 20250113.CDR');
+  assert.deepStrictEqual(files, []);
+});
+
+test('different contents loaded under the same name are loaded-twice', () => {
+  const ledger = [
+    ledgerEntry(2, '20250113.CDR', '20250113', 'b'.repeat(64)),
+    ledgerEntry(7, '20250113.CDR', '20250114', 'c'.repeat(64))
+  ];
+
+  const { files } = reconcileInvoice({ invoice, loaded, ledger, tolerance: 0 });
+
+  assert.strictEqual(files.length, 1);
+  assert.strictEqual(files[0].issue, 'loaded-twice');
+  assert.strictEqual(files[0].file, '20250113.CDR');
+  assert.match(files[0].detail, /ledger entries 2 from \/20250113\/, 7 from \/20250114\//);
+});
@@ -0,0 +1,59 @@
+/**
+ * The typed CDR record built from a raw row (lib/record.js).
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { CDR_FIELDS, buildCDRRecord } = require('../lib/record');
+const { CDR_SCHEMA_VERSIONS } = require('../lib/schema');
+
+test('CDR_FIELDS covers every column of the current .CDR layout, in order', () => {
+  const current = CDR_SCHEMA_VERSIONS[CDR_SCHEMA_VERSIONS.length - 1];
+  assert.deepStrictEqual(CDR_FIELDS.map(field => field.name), current.columns);
+});
+
+test('buildCDRRecord coerces the raw columns by type', () => {
+  const record = buildCDRRecord({
+    CallType: ' TERM_INTRASTATE ',
+    CallDuration: '95.22',
+    BillDuration: '96',
+    CallMinimum: 'n/a',
+    BasePrice: '',
+    CallPrice: '0.00978',
+    ANI: ' +18314240641 ',
+    DNIS: '18313834971',
+    DNISLATA: '736'
+  }, {});
+
+  assert.strictEqual(record.CallType, 'TERM_INTRASTATE');
+  assert.strictEqual(record.CallDuration, 95.22);
+  assert.strictEqual(record.BillDuration, 96);
+  assert.strictEqual(record.CallMinimum, 0);
+  assert.strictEqual(record.BasePrice, 0);
+  assert.strictEqual(record.CallPrice, 0.00978);
+  assert.strictEqual(record.DNISLATA, '736');
+  assert.strictEqual(record.Identity, '');
+});
+
+test('buildCDRRecord takes times and numbers as converted, keeping the raw numbers', () => {
+  const record = buildCDRRecord({ StartTime: '2025-01-13 17:17:34', ANI: '+18314240641', DNIS: '65895' }, {
+    StartTime: '2025-01-13T09:17:34.000',
+    ANI: '8314240641',
+    DNIS: null,
+    ANICountry: 'US',
+    ANICategory: 'geographic',
+    DNISCategory: 'invalid',
+    CallKey: 'a'.repeat(64)
+  });
+
+  assert.strictEqual(record.StartTime, '2025-01-13T09:17:34.000');
+  assert.strictEqual(record.StopTime, null);
+  assert.deepStrictEqual([record.ANI, record.RawANI, record.ANICountry, record.ANICategory],
+    ['8314240641', '+18314240641', 'US', 'geographic']);
+  assert.deepStrictEqual([record.DNIS, record.RawDNIS, record.DNISCountry, record.DNISCategory],
+    [null, '65895', null, 'invalid']);
+  assert.strictEqual(record.CallKey, 'a'.repeat(64));
+  // Filled in by the later stages
+  assert.deepStrictEqual([record.Jurisdiction, record.CustomerId, record.Attribution, record.RetailPrice],
+    [null, null, null, null]);
+});
@@ -0,0 +1,47 @@
+/**
+ * .CDR header checks against the known schema versions (lib/schema.js).
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const path = require('node:path');
+const { CDR_SCHEMA_VERSIONS, checkCDRHeader, describeSchemaDrift } = require('../lib/schema');
+
+const columns = CDR_SCHEMA_VERSIONS[CDR_SCHEMA_VERSIONS.length - 1].columns;
+
+test('the sample file matches the current schema exactly', () => {
+  const header = fs.readFileSync(path.join(__dirname, '..', '20250113.CDR'), 'utf8').split(/\r?\n/)[0].split(';');
+  const check = checkCDRHeader(header);
+  assert.deepStrictEqual(check, {
+    version: 1, expectedVersion: 1, added: [], removed: [], reordered: false, missingRequired: []
+  });
+  assert.strictEqual(describeSchemaDrift(check), '');
+});
+
+test('an added or dropped optional column is drift, not a block', () => {
+  const check = checkCDRHeader([...columns.filter(column => column !== 'EPG'), 'Region']);
+  assert.strictEqual(check.version, null);
+  assert.strictEqual(check.expectedVersion, 1);
+  assert.deepStrictEqual(check.added, ['Region']);
+  assert.deepStrictEqual(check.removed, ['EPG']);
+  assert.deepStrictEqual(check.missingRequired, []);
+  assert.strictEqual(describeSchemaDrift(check), 'added Region; removed EPG');
+});
+
+test('a renamed required column blocks the file', () => {
+  const check = checkCDRHeader(columns.map(column => (column === 'ANI' ? 'CallerNumber' : column)));
+  assert.deepStrictEqual(check.missingRequired, ['ANI']);
+  assert.strictEqual(check.reordered, false);
+  assert.strictEqual(describeSchemaDrift(check), 'added CallerNumber; removed ANI');
+});
+
+test('the same columns in another order are reported as reordered', () => {
+  const swapped = [...columns];
+  [swapped[1], swapped[2]] = [swapped[2], swapped[1]];
+  const check = checkCDRHeader(swapped);
+  assert.strictEqual(check.version, null);
+  assert.strictEqual(check.reordered, true);
+  assert.deepStrictEqual(check.missingRequired, []);
+  assert.strictEqual(describeSchemaDrift(check), 'columns reordered');
+});
@@ -0,0 +1,88 @@
+/**
+ * Service code registry: file checks, per-customer overrides and alert
+ * thresholds (lib/serviceNumbers.js).
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { SERVICE_BILLING, loadServiceCodes, findServiceCode, isValidServiceNumber, exceededThreshold } =
+  require('../lib/serviceNumbers');
+
+const entry = {
+  code: '411',
+  description: 'Directory assistance',
+  category: 'information',
+  billing: 'pass-through',
+  alertThresholds: { warning: 20 },
+  customers: { 42: { billing: 'no-charge', alertThresholds: { warning: 100 } } }
+};
+
+test('service code registry', async t => {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'tbssync-service-codes-'));
+  const saved = process.env.CDR_SERVICE_CODES_FILE;
+  t.after(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+    if (saved === undefined) delete process.env.CDR_SERVICE_CODES_FILE;
+    else process.env.CDR_SERVICE_CODES_FILE = saved;
+  });
+
+  const registry = (name, entries) => {
+    const file = path.join(directory, name);
+    fs.writeFileSync(file, typeof entries === 'string' ? entries : JSON.stringify(entries));
+    return file;
+  };
+
+  await t.test('the shipped registry keeps 911 and the operator free of charge', () => {
+    delete process.env.CDR_SERVICE_CODES_FILE;
+    assert.strictEqual(findServiceCode('911').billing, SERVICE_BILLING.NO_CHARGE);
+    assert.strictEqual(isValidServiceNumber('0'), true);
+    assert.strictEqual(isValidServiceNumber('123'), false);
+    assert.strictEqual(isValidServiceNumber(null), false);
+  });
+
+  await t.test('applies a customer override by CustomerId', () => {
+    process.env.CDR_SERVICE_CODES_FILE = registry('override.json', [entry]);
+    assert.strictEqual(findServiceCode('411').billing, SERVICE_BILLING.PASS_THROUGH);
+    assert.strictEqual(findServiceCode('411', 7).billing, SERVICE_BILLING.PASS_THROUGH);
+    const override = findServiceCode('411', 42);
+    assert.strictEqual(override.billing, SERVICE_BILLING.NO_CHARGE);
+    assert.deepStrictEqual(override.alertThresholds, { warning: 100 });
+    assert.strictEqual(override.description, 'Directory assistance');
+    assert.strictEqual(findServiceCode('411', '42').billing, SERVICE_BILLING.NO_CHARGE);
+  });
+
+  await t.test('defaults the optional fields', () => {
+    const [loaded] = loadServiceCodes(registry('minimal.json', [{ code: '0', description: 'Operator', category: 'operator', billing: 'billable' }]));
+    assert.deepStrictEqual(loaded, {
+      code: '0', description: 'Operator', category: 'operator', priority: '', note: '',
+      billing: 'billable', alertThresholds: {}, customers: {}
+    });
+  });
+
+  await t.test('rejects invalid registries with the entry at fault', () => {
+    const invalid = (name, entries, message) =>
+      assert.throws(() => loadServiceCodes(registry(name, entries)), { message });
+    invalid('json.json', '[{', /^Cannot read service code registry .*json\.json/);
+    invalid('object.json', { code: '911' }, /expected an array of service codes$/);
+    invalid('code.json', [{ ...entry, code: 411 }], /entry 1: code must be 1 to 3 digits, as a string$/);
+    invalid('twice.json', [entry, entry], /code 411: listed more than once$/);
+    invalid('billing.json', [{ ...entry, billing: 'free' }], /code 411: billing must be no-charge, billable, pass-through$/);
+    invalid('severity.json', [{ ...entry, alertThresholds: { urgent: 1 } }], /unknown alert severity "urgent"/);
+    invalid('count.json', [{ ...entry, alertThresholds: { warning: 2.5 } }], /alertThresholds.warning must be a whole number of calls$/);
+    invalid('name.json', [{ ...entry, customers: { acme: { billing: 'billable' } } }],
+      /code 411, customer acme: customers are keyed by CustomerId \(see VI_CustomerMap\)$/);
+    invalid('field.json', [{ ...entry, customers: { 42: { description: 'x' } } }],
+      /only billing and alertThresholds can be overridden, not description$/);
+  });
+});
+
+test('exceededThreshold returns the most severe threshold passed', () => {
+  const thresholds = { warning: 5, critical: 10 };
+  assert.strictEqual(exceededThreshold(thresholds, 5), null);
+  assert.deepStrictEqual(exceededThreshold(thresholds, 7), { severity: 'warning', threshold: 5 });
+  assert.deepStrictEqual(exceededThreshold(thresholds, 11), { severity: 'critical', threshold: 10 });
+  assert.strictEqual(exceededThreshold({}, 1000), null);
+});
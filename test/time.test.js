@@ -0,0 +1,63 @@
+/**
+ * Vendor timestamp conversion to the billing zone (lib/time.js), including
+ * the hour that repeats when clocks fall back and the hour skipped when
+ * they spring forward.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { getTimeZoneOffset, isValidTimeZone, parseCDRTimestamp, convertCDRTime } = require('../lib/time');
+
+const LA = 'America/Los_Angeles';
+const fromUTC = { sourceTimeZone: 'UTC', targetTimeZone: LA };
+const fromLA = { sourceTimeZone: LA, targetTimeZone: 'UTC' };
+
+test('converts UTC vendor times to Pacific standard and daylight time', () => {
+  assert.strictEqual(convertCDRTime('2025-01-13 17:17:34', fromUTC).value, '2025-01-13T09:17:34.000');
+  assert.strictEqual(convertCDRTime('2025-07-13 17:17:34', fromUTC).value, '2025-07-13T10:17:34.000');
+  assert.strictEqual(getTimeZoneOffset(Date.UTC(2025, 0, 13), LA), -480);
+});
+
+test('resolves the repeated fall-back hour to the earlier occurrence unless told otherwise', () => {
+  const earlier = convertCDRTime('2025-11-02 01:30:00', fromLA);
+  assert.strictEqual(earlier.value, '2025-11-02T08:30:00.000');
+  assert.strictEqual(earlier.ambiguous, true);
+  assert.strictEqual(earlier.nonexistent, false);
+
+  const later = convertCDRTime('2025-11-02 01:30:00', { ...fromLA, ambiguous: 'later' });
+  assert.strictEqual(later.value, '2025-11-02T09:30:00.000');
+  assert.strictEqual(later.instant - earlier.instant, 60 * 60 * 1000);
+});
+
+test('honours CDR_AMBIGUOUS_TIME when no policy is passed', t => {
+  const saved = process.env.CDR_AMBIGUOUS_TIME;
+  t.after(() => {
+    if (saved === undefined) delete process.env.CDR_AMBIGUOUS_TIME;
+    else process.env.CDR_AMBIGUOUS_TIME = saved;
+  });
+  process.env.CDR_AMBIGUOUS_TIME = 'later';
+  assert.strictEqual(convertCDRTime('2025-11-02 01:30:00', fromLA).value, '2025-11-02T09:30:00.000');
+});
+
+test('moves a time in the spring-forward gap forward by the gap', () => {
+  const skipped = convertCDRTime('2025-03-09 02:30:00', fromLA);
+  assert.strictEqual(skipped.nonexistent, true);
+  assert.strictEqual(skipped.ambiguous, false);
+  // 02:30 PST does not exist; it is read as 03:30 PDT
+  assert.strictEqual(skipped.value, '2025-03-09T10:30:00.000');
+  assert.strictEqual(convertCDRTime('2025-03-09 03:30:00', fromLA).value, '2025-03-09T10:30:00.000');
+});
+
+test('honours an explicit Z or ±HH:MM suffix over the source zone', () => {
+  assert.strictEqual(convertCDRTime('2025-01-13 17:17:34.5Z', fromLA).value, '2025-01-13T17:17:34.500');
+  assert.strictEqual(convertCDRTime('2025-01-13T17:17:34+02:00', fromLA).value, '2025-01-13T15:17:34.000');
+  assert.strictEqual(convertCDRTime('2025-11-02 01:30:00-07:00', fromLA).ambiguous, false);
+});
+
+test('rejects timestamps that do not parse or are not on the calendar', () => {
+  assert.throws(() => parseCDRTimestamp('yesterday'), { name: 'RangeError', message: /^Unparseable CDR timestamp/ });
+  assert.throws(() => parseCDRTimestamp('2025-02-30 00:00:00'), { name: 'RangeError', message: /^Invalid CDR timestamp/ });
+  assert.throws(() => parseCDRTimestamp('2025-01-13 24:00:00'), RangeError);
+  assert.strictEqual(isValidTimeZone('Mars/Base'), false);
+  assert.strictEqual(isValidTimeZone(LA), true);
+});
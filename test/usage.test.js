@@ -0,0 +1,41 @@
+/**
+ * Billing-period totals and the invoicing CSV (lib/usage.js).
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { USAGE_COLUMNS, totalUsage, formatUsageCSV } = require('../lib/usage');
+
+const rows = [
+  { CustomerId: 0, CallType: 'TERM_INTERSTATE', ServiceCode: '', Calls: 3, BilledSeconds: 180, RatedSeconds: 0,
+    WholesaleCost: 0.03, RetailAmount: 0, UnratedCalls: 3 },
+  { CustomerId: 42, CallType: 'Registered 911', ServiceCode: '911', Calls: 1, BilledSeconds: 60, RatedSeconds: 0,
+    WholesaleCost: 0, RetailAmount: 0, UnratedCalls: 0 },
+  { CustomerId: 42, CallType: 'TERM_INTRASTATE', ServiceCode: '', Calls: 10, BilledSeconds: 600, RatedSeconds: 630,
+    WholesaleCost: 0.06111, RetailAmount: 0.126, UnratedCalls: 0 }
+];
+
+test('totalUsage sums a period and its margin', () => {
+  assert.deepStrictEqual(totalUsage(rows), {
+    customers: 2,
+    calls: 14,
+    billedSeconds: 840,
+    ratedSeconds: 630,
+    wholesaleCost: 0.09111,
+    retailAmount: 0.126,
+    margin: 0.03489,
+    unratedCalls: 3
+  });
+  assert.deepStrictEqual(totalUsage([]), {
+    customers: 0, calls: 0, billedSeconds: 0, ratedSeconds: 0, wholesaleCost: 0, retailAmount: 0, margin: 0, unratedCalls: 0
+  });
+});
+
+test('formatUsageCSV writes one line per row with the period first', () => {
+  const csv = formatUsageCSV(rows, { from: '2025-01-01', to: '2025-01-31' });
+  assert.ok(csv.endsWith('0.126,0\n'));
+  const lines = csv.trimEnd().split('\r\n');
+  assert.strictEqual(lines[0], ['PeriodFrom', 'PeriodTo', ...USAGE_COLUMNS].join(','));
+  assert.strictEqual(lines[2], '2025-01-01,2025-01-31,42,Registered 911,911,1,60,0,0,0,0');
+  assert.strictEqual(lines.length, 4);
+});
@@ -0,0 +1,106 @@
+/**
+ * Per-field row validation and its per-rule counts (lib/validation.js).
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { RULE_SEVERITIES, VALIDATION_RULES, getValidationRules, createRowValidator, mergeValidationSummaries } =
+  require('../lib/validation');
+
+const row = {
+  CallType: 'TERM_INTRASTATE',
+  StartTime: '2025-01-13 17:17:34',
+  StopTime: '2025-01-13 17:19:09',
+  CallDuration: '95.22',
+  BillDuration: '96',
+  CallMinimum: '12',
+  CallIncrement: '6',
+  BasePrice: '0.00611',
+  CallPrice: '0.00978',
+  TransactionId: 'CHRG00067263453',
+  ANI: '+18314240641',
+  DNIS: '18313834971'
+};
+
+function withRules(t, value) {
+  const saved = process.env.CDR_VALIDATION_RULES;
+  t.after(() => {
+    if (saved === undefined) delete process.env.CDR_VALIDATION_RULES;
+    else process.env.CDR_VALIDATION_RULES = saved;
+  });
+  process.env.CDR_VALIDATION_RULES = value;
+}
+
+test('accepts a complete row', () => {
+  assert.deepStrictEqual(createRowValidator().validate(row), { rejected: false, failures: [] });
+});
+
+test('rejects a row failing a reject rule, with the offending value', () => {
+  const result = createRowValidator().validate({ ...row, CallPrice: 'n/a', BillDuration: '-6' });
+  assert.strictEqual(result.rejected, true);
+  assert.deepStrictEqual(result.failures, [
+    { rule: 'bill-duration', severity: 'reject', reason: 'BillDuration is not a non-negative whole number ("-6")' },
+    { rule: 'call-price', severity: 'reject', reason: 'CallPrice is missing or not a number ("n/a")' }
+  ]);
+});
+
+test('loads a row failing only warn rules', () => {
+  const result = createRowValidator().validate({ ...row, StopTime: '2025-01-13 25:00:00', TransactionId: '' });
+  assert.strictEqual(result.rejected, false);
+  assert.deepStrictEqual(result.failures.map(failure => [failure.rule, failure.severity]),
+    [['stop-time', 'warn'], ['transaction-id', 'warn']]);
+});
+
+test('rejects a row shorter than the header', () => {
+  const short = { ...row };
+  Object.defineProperty(short, 'missingColumns', { value: 3 });
+  const result = createRowValidator().validate(short);
+  assert.strictEqual(result.rejected, true);
+  assert.deepStrictEqual(result.failures[0], { rule: 'columns', severity: 'reject', reason: 'Row has fewer columns than the header' });
+});
+
+test('counts outcomes per rule and moves cleaning failures to rejected', () => {
+  const validator = createRowValidator();
+  validator.validate(row);
+  validator.validate({ ...row, DNIS: '' });
+  validator.validate({ ...row, StartTime: 'soon' });
+  validator.validate(row);
+  assert.deepStrictEqual(validator.processingError(new Error('bad number')),
+    { rule: 'processing', severity: 'reject', reason: 'Row could not be cleaned: bad number' });
+
+  const summary = validator.summary();
+  assert.strictEqual(summary.accepted, 2);
+  assert.strictEqual(summary.rejected, 2);
+  assert.deepStrictEqual(summary.rules.dnis, { severity: 'warn', accepted: 4, warned: 1, rejected: 0 });
+  assert.deepStrictEqual(summary.rules['start-time'], { severity: 'reject', accepted: 3, warned: 0, rejected: 1 });
+  assert.deepStrictEqual(summary.rules.processing, { severity: 'reject', accepted: 0, warned: 0, rejected: 1 });
+  assert.ok(!('processing' in createRowValidator().summary().rules), 'processing only listed once it rejects a row');
+});
+
+test('CDR_VALIDATION_RULES changes severities and turns rules off', t => {
+  withRules(t, 'call-price=warn, stop-time=OFF');
+  const rules = getValidationRules();
+  assert.strictEqual(rules.find(rule => rule.id === 'call-price').severity, RULE_SEVERITIES.WARN);
+  assert.ok(!rules.some(rule => rule.id === 'stop-time'));
+  assert.strictEqual(rules.length, VALIDATION_RULES.length - 1);
+  assert.strictEqual(createRowValidator().validate({ ...row, CallPrice: '' }).rejected, false);
+});
+
+test('CDR_VALIDATION_RULES rejects unknown rules and severities', t => {
+  withRules(t, 'price=warn');
+  assert.throws(() => getValidationRules(), { message: 'Invalid CDR_VALIDATION_RULES: unknown rule "price"' });
+  process.env.CDR_VALIDATION_RULES = 'call-price=ignore';
+  assert.throws(() => createRowValidator(), /expected call-price=reject, warn or off/);
+});
+
+test('mergeValidationSummaries adds per-rule counts across files', () => {
+  const first = createRowValidator();
+  first.validate({ ...row, DNIS: '' });
+  const second = createRowValidator();
+  second.validate({ ...row, DNIS: '' });
+  second.validate(row);
+
+  const totals = mergeValidationSummaries([first.summary(), null, second.summary()]);
+  assert.deepStrictEqual(totals.dnis, { accepted: 3, warned: 2, rejected: 0 });
+  assert.deepStrictEqual(totals['call-price'], { accepted: 3, warned: 0, rejected: 0 });
+});
@@ -0,0 +1,119 @@
+/**
+ * Batches sent to VI_StoreCDRs as table-valued parameters, and the retry of
+ * transient failures (lib/writer.js), against a stand-in connection pool.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const path = require('node:path');
+const sql = require('mssql');
+const { BATCH_COLUMNS, isTransientError, createCDRWriter } = require('../lib/writer');
+const { buildCDRRecord } = require('../lib/record');
+
+const record = buildCDRRecord({ TransactionId: 'CHRG00067263453', CallPrice: '0.00978' }, {
+  StartTime: '2025-01-13T09:17:34.000',
+  ANI: '8314240641',
+  DNIS: '8313834971',
+  CallKey: 'a'.repeat(64)
+});
+
+test('BATCH_COLUMNS matches the dbo.VI_CDRBatch declaration', () => {
+  const script = fs.readFileSync(path.join(__dirname, '..', 'VI_CDRBatch.sql'), 'utf8');
+  const declaration = script.slice(script.indexOf('AS TABLE ('), script.lastIndexOf(');'))
+    .split('\n')
+    .map(line => /^\s+\[?(\w+)\]? (\w+(?:\([\w,]+\))?)/.exec(line))
+    .filter(Boolean)
+    .map(([, name, sqlType]) => ({ name, sqlType }));
+
+  assert.deepStrictEqual(BATCH_COLUMNS, declaration);
+});
+
+test('isTransientError', () => {
+  assert.ok(isTransientError({ number: 1205 }), 'deadlock victim');
+  assert.ok(isTransientError({ number: 40501 }), 'Azure SQL throttling');
+  assert.ok(isTransientError({ code: 'ETIMEOUT' }));
+  assert.ok(isTransientError({ code: 'ECONNRESET' }));
+  assert.ok(!isTransientError({ code: 'ELOGIN' }), 'a failed login fails the same way every time');
+  assert.ok(!isTransientError({ number: 2627 }), 'a duplicate key fails the same way every time');
+  assert.ok(!isTransientError(new Error('Invalid column name')));
+});
+
+test('createCDRWriter', async t => {
+  const calls = [];
+  const failures = [];
+  t.mock.method(sql.ConnectionPool.prototype, 'connect', async () => ({
+    request() {
+      const inputs = {};
+      const request = {
+        input(name, type, value) {
+          inputs[name] = value === undefined ? type : value;
+          return request;
+        },
+        output() {
+          return request;
+        },
+        async execute(procedure) {
+          calls.push({ procedure, ...inputs });
+          if (failures.length) throw failures.shift();
+          return { output: { recordCount: inputs.cdrBatch.rows.length } };
+        }
+      };
+      return request;
+    },
+    close: async () => {}
+  }));
+  t.beforeEach(() => {
+    calls.length = 0;
+    failures.length = 0;
+  });
+
+  await t.test('sends each batch as one table-valued parameter', async () => {
+    const writer = createCDRWriter('20250113.CDR', { ledgerId: 7 });
+    assert.strictEqual(await writer.write([record, { ...record, CallKey: 'b'.repeat(64) }]), 2);
+    assert.strictEqual(await writer.write([]), 0);
+
+    assert.strictEqual(calls.length, 1);
+    assert.strictEqual(calls[0].procedure, 'VI_StoreCDRs');
+    assert.strictEqual(calls[0].filename, '20250113.CDR');
+    assert.strictEqual(calls[0].ledgerId, 7);
+    const table = calls[0].cdrBatch;
+    assert.deepStrictEqual(table.columns.map(column => column.name), BATCH_COLUMNS.map(column => column.name));
+    const row = table.rows[1];
+    assert.strictEqual(row[0], 2, 'RowId');
+    assert.deepStrictEqual(row[BATCH_COLUMNS.findIndex(column => column.name === 'StartTime')],
+      new Date('2025-01-13T09:17:34.000Z'));
+    assert.strictEqual(row[BATCH_COLUMNS.findIndex(column => column.name === 'CallKey')], 'b'.repeat(64));
+    assert.strictEqual(writer.staged(), 2);
+  });
+
+  await t.test('sends a batch again after a transient error', async t => {
+    t.mock.method(console, 'warn', () => {});
+    t.mock.timers.enable({ apis: ['setTimeout'] });
+    failures.push(Object.assign(new Error('Transaction was deadlocked'), { number: 1205 }));
+
+    const writing = createCDRWriter('20250113.CDR', { retries: 1 }).write([record]);
+    // Let the failed attempt schedule its retry, then skip the 2s delay
+    const settle = () => new Promise(resolve => setImmediate(resolve));
+    while (calls.length < 1) await settle();
+    await settle();
+    t.mock.timers.tick(2000);
+
+    assert.strictEqual(await writing, 1);
+    assert.strictEqual(calls.length, 2);
+  });
+
+  await t.test('names the call behind a duplicate key and does not retry it', async () => {
+    failures.push(Object.assign(
+      new Error(`Cannot insert duplicate key row in object 'dbo.cdr' with unique index 'UX_cdr_CallKey'. ` +
+        `The duplicate key value is (${'a'.repeat(64)}).`),
+      { number: 2601 }));
+
+    await assert.rejects(createCDRWriter('20250113.CDR', { retries: 3 }).write([record]), {
+      number: 2601,
+      message: new RegExp(`^Duplicate key a{64} \\(TransactionId CHRG00067263453, 2025-01-13T09:17:34.000 ` +
+        `8314240641 → 8313834971\\) in batch 1 of 20250113.CDR`)
+    });
+    assert.strictEqual(calls.length, 1);
+  });
+});